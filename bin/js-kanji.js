@@ -9,6 +9,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream');
+const { execFileSync } = require('child_process');
 const { program } = require('commander');
 const chalk = require('chalk');
 const jsCompression = require('../index');
@@ -17,6 +19,9 @@ const jsCompression = require('../index');
 const packageJson = require('../package.json');
 const VERSION = packageJson.version;
 
+// Extensions of the files packed from a directory
+const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
 // Setup CLI program
 program
   .name('js-kanji')
@@ -26,13 +31,40 @@ program
 // Compress command
 program
   .command('compress <file>')
-  .description('Compress JavaScript code')
-  .option('-o, --output <file>', 'Output file (defaults to input.min.js)')
-  .option('-m, --method <method>', 'Compression method (kanji, semantic-kanji)', 'semantic-kanji')
+  .description('Compress JavaScript code (use - to stream it from stdin)')
+  .option('-o, --output <file>', 'Output file (defaults to input.min.js, or stdout with -)')
+  .option('-m, --method <method>', 'Compression method (kanji, semantic-kanji, outline)', 'semantic-kanji')
   .option('-p, --print', 'Print the compressed code to console')
   .option('-s, --stats', 'Show compression statistics', true)
-  .action((file, options) => {
+  .option('--no-header', 'Omit the container header (method, dictionary and options)')
+  .option('--dictionary <file>', 'Extend the built-in dictionary with a dictionary file')
+  .option('--base-dictionary <file>', 'Use a dictionary file instead of the built-in dictionary')
+  .option('--patterns <file>', 'Use a semantic pattern file instead of the built-in patterns')
+  .option('--source-map', 'Also write a source map from the output to the input (<output>.map)')
+  .option('--rename-locals', 'Shorten local variable names (restored on decompression)')
+  .option('--module-header', 'Move import and export declarations into the header')
+  .option('--compress-comments', 'Write JSDoc comments without their " * " line prefixes')
+  .option('-l, --language <language>', 'Source language (javascript, typescript); defaults to the file extension')
+  .option('--jsx', 'Compress JSX elements (the default for .jsx and .tsx files)')
+  .option('-t, --tokenizer <file>', 'Count tokens with a .tiktoken merge table', process.env.JS_KANJI_TOKENIZER)
+  .action((file, options, command) => {
     try {
+      // Stream stdin with the Kanji layer, the only method that works in pieces
+      if (file === '-') {
+        const method = command.getOptionValueSource('method') === 'default' ? 'kanji' : options.method;
+        pipeStdin(jsCompression.createCompressStream(method, {
+          header: options.header,
+          renameLocals: options.renameLocals,
+          moduleHeader: options.moduleHeader,
+          compressComments: options.compressComments,
+          language: options.language,
+          jsx: options.jsx,
+          sourceMap: options.sourceMap,
+          ...loadTableOptions(options)
+        }), options.output, 'Compressed code');
+        return;
+      }
+
       // Validate input file
       if (!fs.existsSync(file)) {
         console.error(chalk.red(`Error: File '${file}' not found`));
@@ -46,11 +78,24 @@ program
       const outputFile = options.output || getDefaultOutputName(file, options.method);
       
       // Compress code using specified method
-      const compressedCode = jsCompression.compress(originalCode, options.method);
+      const result = jsCompression.compress(originalCode, options.method, {
+        header: options.header,
+        renameLocals: options.renameLocals,
+        moduleHeader: options.moduleHeader,
+        compressComments: options.compressComments,
+        language: options.language || jsCompression.utils.detectLanguage(file),
+        jsx: options.jsx || jsCompression.utils.detectJsx(file, originalCode),
+        sourceMap: options.sourceMap && getSourceMapNames(file, outputFile),
+        ...loadTableOptions(options)
+      });
+      const compressedCode = options.sourceMap ? result.code : result;
       
       // Write compressed output
       fs.writeFileSync(outputFile, compressedCode);
       console.log(chalk.green(`Compressed code written to: ${outputFile}`));
+      if (options.sourceMap) {
+        writeSourceMap(outputFile, result.map);
+      }
       
       // Print code if requested
       if (options.print) {
@@ -60,7 +105,9 @@ program
       
       // Show statistics if requested
       if (options.stats) {
-        const stats = jsCompression.getStats(originalCode, compressedCode, options.method !== 'mini');
+        const stats = jsCompression.getStats(originalCode, compressedCode, options.method !== 'mini', {
+          tokenizer: loadTokenizerOption(options.tokenizer)
+        });
         displayStats(stats);
       }
     } catch (error) {
@@ -72,12 +119,39 @@ program
 // Decompress command
 program
   .command('decompress <file>')
-  .description('Decompress Kanji-compressed code')
-  .option('-o, --output <file>', 'Output file (defaults to input.expanded.js)')
-  .option('-m, --method <method>', 'Decompression method (kanji, semantic-kanji, auto)', 'auto')
+  .description('Decompress Kanji-compressed code (use - to stream it from stdin)')
+  .option('-o, --output <file>', 'Output file (defaults to input.expanded.js, or .ts, .jsx or .tsx; stdout with -)')
+  .option('-m, --method <method>', 'Decompression method (kanji, semantic-kanji, outline, auto)', 'auto')
   .option('-p, --print', 'Print the decompressed code to console')
+  .option('-d, --dict-version <version>', 'Dictionary version the code was compressed with (1 for older output)')
+  .option('--dictionary <file>', 'Dictionary file the code was compressed with')
+  .option('--base-dictionary <file>', 'Dictionary file used instead of the built-in dictionary')
+  .option('--patterns <file>', 'Semantic pattern file the code was compressed with')
+  .option('--source-map', 'Also write a source map from the output to the input (<output>.map)')
+  .option('--format-config [path]', 'Format in the style of the project at path (.editorconfig, Prettier); defaults to the file\'s directory')
+  .option('--indent <width>', 'Indentation width, or "tab"')
+  .option('--quotes <style>', 'String quotes (single, double, preserve)')
+  .option('--no-semi', 'Leave out semicolons')
+  .option('--trailing-commas <mode>', 'Trailing commas in broken lists (none, es5, all)')
+  .option('--max-line-width <columns>', 'Line width to fit lists in')
+  .option('--no-format', 'Leave the decompressed code unformatted')
+  .option('--enable-repair <names>', 'Comma-separated repair rules to switch on')
+  .option('--disable-repair <names>', 'Comma-separated repair rules to switch off')
+  .option('--repair-rules <file>', 'Module exporting repair rules of your own')
   .action((file, options) => {
     try {
+      // Stream stdin, re-indenting the code instead of printing it
+      if (file === '-') {
+        pipeStdin(jsCompression.createDecompressStream(options.method, {
+          dictionaryVersion: options.dictVersion,
+          sourceMap: options.sourceMap,
+          ...loadTableOptions(options),
+          ...getFormatOptions(file, options),
+          ...getRepairOptions(options)
+        }), options.output, 'Decompressed code');
+        return;
+      }
+
       // Validate input file
       if (!fs.existsSync(file)) {
         console.error(chalk.red(`Error: File '${file}' not found`));
@@ -88,15 +162,24 @@ program
       const compressedCode = fs.readFileSync(file, 'utf8');
       
       // Generate output filename if not specified
-      const outputFile = options.output || file.replace(/\.(min|kanji|semantic)\.js$/, '') + '.expanded.js';
+      const outputFile = options.output || getExpandedOutputName(file, compressedCode);
       
       // Decompress code
-      const method = options.method === 'auto' ? null : options.method;
-      const decompressedCode = jsCompression.decompress(compressedCode, method);
+      const result = jsCompression.decompress(compressedCode, options.method, {
+        dictionaryVersion: options.dictVersion,
+        sourceMap: options.sourceMap && getSourceMapNames(file, outputFile),
+        ...loadTableOptions(options),
+        ...getFormatOptions(file, options),
+        ...getRepairOptions(options)
+      });
+      const decompressedCode = options.sourceMap ? result.code : result;
       
       // Write decompressed output
       fs.writeFileSync(outputFile, decompressedCode);
       console.log(chalk.green(`Decompressed code written to: ${outputFile}`));
+      if (options.sourceMap) {
+        writeSourceMap(outputFile, result.map);
+      }
       
       // Print code if requested
       if (options.print) {
@@ -109,12 +192,89 @@ program
     }
   });
 
+// Diff command
+program
+  .command('diff <oldFile> <newFile>')
+  .description('Write the changes between two files as a compressed patch')
+  .option('-o, --output <file>', 'Write the patch to a file instead of printing it')
+  .option('-m, --method <method>', 'Compression method (kanji, semantic-kanji)', 'kanji')
+  .option('--dictionary <file>', 'Extend the built-in dictionary with a dictionary file')
+  .option('--base-dictionary <file>', 'Use a dictionary file instead of the built-in dictionary')
+  .option('--patterns <file>', 'Use a semantic pattern file instead of the built-in patterns')
+  .action((oldFile, newFile, options) => {
+    try {
+      for (const file of [oldFile, newFile]) {
+        if (!fs.existsSync(file)) {
+          console.error(chalk.red(`Error: File '${file}' not found`));
+          process.exit(1);
+        }
+      }
+
+      const patch = jsCompression.createCompressedPatch(
+        fs.readFileSync(oldFile, 'utf8'),
+        fs.readFileSync(newFile, 'utf8'),
+        { method: options.method, file: toPatchPath(newFile), ...loadTableOptions(options) }
+      );
+
+      if (!patch) {
+        console.log(chalk.green('Files are identical'));
+      } else if (options.output) {
+        fs.writeFileSync(options.output, patch);
+        console.log(chalk.green(`Compressed patch written to: ${options.output}`));
+      } else {
+        process.stdout.write(patch);
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Apply command
+program
+  .command('apply <file> <patch>')
+  .description('Apply a compressed patch to a file, keeping its formatting')
+  .option('-o, --output <file>', 'Output file (defaults to changing the file in place)')
+  .option('-m, --method <method>', 'Compression method of a patch without a header', 'kanji')
+  .option('--dictionary <file>', 'Dictionary file the patch was compressed with')
+  .option('--base-dictionary <file>', 'Dictionary file used instead of the built-in dictionary')
+  .option('--patterns <file>', 'Semantic pattern file the patch was compressed with')
+  .option('-p, --print', 'Print the resulting diff in plain JavaScript')
+  .action((file, patchFile, options) => {
+    try {
+      for (const input of [file, patchFile]) {
+        if (!fs.existsSync(input)) {
+          console.error(chalk.red(`Error: File '${input}' not found`));
+          process.exit(1);
+        }
+      }
+
+      const result = jsCompression.applyCompressedPatch(
+        fs.readFileSync(file, 'utf8'),
+        fs.readFileSync(patchFile, 'utf8'),
+        { method: options.method, file: toPatchPath(file), ...loadTableOptions(options) }
+      );
+
+      const outputFile = options.output || file;
+      fs.writeFileSync(outputFile, result.code);
+      console.log(chalk.green(`Patched code written to: ${outputFile}`));
+
+      if (options.print) {
+        console.log(chalk.cyan(result.diff));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Compare command
 program
   .command('compare <file>')
   .description('Compare different compression methods')
   .option('-o, --output <prefix>', 'Output files prefix for all formats')
   .option('-p, --print', 'Print the compressed code to console')
+  .option('-t, --tokenizer <file>', 'Count tokens with a .tiktoken merge table', process.env.JS_KANJI_TOKENIZER)
   .action((file, options) => {
     try {
       // Validate input file
@@ -127,7 +287,9 @@ program
       const originalCode = fs.readFileSync(file, 'utf8');
       
       // Compare all methods
-      const comparison = jsCompression.compare(originalCode);
+      const comparison = jsCompression.compare(originalCode, {
+        tokenizer: loadTokenizerOption(options.tokenizer)
+      });
       
       // Display comparison
       displayComparison(comparison);
@@ -160,6 +322,186 @@ program
     }
   });
 
+// Learn dictionary command
+program
+  .command('learn <patterns...>')
+  .description('Learn a project dictionary from source files (files, directories or globs)')
+  .option('-o, --output <file>', 'Dictionary file to write (.json or .js)', 'kanji-dict.learned.json')
+  .option('-b, --budget <tokens>', 'Maximum tokens the learned entries may take', String(jsCompression.DEFAULT_LEARN_BUDGET))
+  .option('--min-count <count>', 'Minimum number of uses for an entry', '2')
+  .option('--no-sequences', 'Only learn single identifiers, not member sequences')
+  .option('-t, --tokenizer <file>', 'Count tokens with a .tiktoken merge table', process.env.JS_KANJI_TOKENIZER)
+  .action((patterns, options) => {
+    try {
+      const files = jsCompression.utils.expandGlob(patterns);
+      if (files.length === 0) {
+        console.error(chalk.red(`Error: No files match ${patterns.join(' ')}`));
+        process.exit(1);
+      }
+
+      const learned = jsCompression.learnDictionary(files, {
+        budget: Number(options.budget),
+        minCount: Number(options.minCount),
+        sequences: options.sequences,
+        tokenizer: loadTokenizerOption(options.tokenizer)
+      });
+
+      fs.writeFileSync(options.output, jsCompression.formatDictionaryFile(learned, options.output));
+      console.log(chalk.green(`Learned ${learned.details.length} entries from ${files.length} files`));
+      console.log(`Dictionary written to: ${options.output}`);
+
+      learned.details.slice(0, 10).forEach(({ word, target, count, savings }) => {
+        console.log(`- ${target}  ${word} (${count} uses, ~${savings} tokens)`);
+      });
+      console.log(chalk.green(`\nEstimated savings: ~${learned.estimatedSavings} tokens ` +
+        `for a dictionary of ~${learned.dictionaryTokens} tokens`));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Pack command
+program
+  .command('pack <patterns...>')
+  .description('Pack files (directories or globs) into one bundle with a shared dictionary')
+  .option('-o, --output <file>', 'Bundle file to write (defaults to <directory>.kjb, or bundle.kjb)')
+  .option('--root <dir>', 'Directory that paths in the bundle are relative to (defaults to the directory packed)')
+  .option('-b, --budget <tokens>', 'Maximum tokens the shared dictionary may take', String(jsCompression.DEFAULT_LEARN_BUDGET))
+  .option('--no-dictionary', 'Do not learn a shared dictionary')
+  .option('-t, --tokenizer <file>', 'Count tokens with a .tiktoken merge table', process.env.JS_KANJI_TOKENIZER)
+  .action((patterns, options) => {
+    try {
+      const { root, sources } = readPackSources(patterns, options.root);
+      const outputFile = options.output || getBundleOutputName(root);
+      const tokenizer = loadTokenizerOption(options.tokenizer);
+      const bundle = jsCompression.packBundle(sources, {
+        learn: options.dictionary,
+        budget: Number(options.budget),
+        tokenizer
+      });
+
+      fs.writeFileSync(outputFile, bundle);
+      console.log(chalk.green(`Packed ${sources.length} files into: ${outputFile}`));
+
+      const counting = { tokenizer };
+      const originalTokens = sources.reduce((sum, source) => sum + jsCompression.utils.estimateTokens(source.code, false, counting), 0);
+      const bundleTokens = jsCompression.utils.estimateTokens(bundle, true, counting);
+      console.log(`Tokens: ${originalTokens} -> ${bundleTokens}`);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Budget command
+program
+  .command('budget <patterns...>')
+  .description('Pack files into a bundle that fits a token budget, choosing how much of each file to keep')
+  .requiredOption('-m, --max-tokens <tokens>', 'Token budget of the bundle')
+  .option('-o, --output <file>', 'Bundle file to write (defaults to <directory>.kjb, or bundle.kjb)')
+  .option('--root <dir>', 'Directory that paths in the bundle are relative to (defaults to the directory packed)')
+  .option('--entry <files...>', 'Entry points (defaults to main, module and bin of package.json in the root)')
+  .option('--changed <files...>', 'Recently changed files')
+  .option('--since <ref>', 'Also count the files changed since a git revision as recently changed')
+  .option('--no-dictionary', 'Do not learn a shared dictionary')
+  .option('-t, --tokenizer <file>', 'Count tokens with a .tiktoken merge table', process.env.JS_KANJI_TOKENIZER)
+  .action((patterns, options) => {
+    try {
+      const { root, sources } = readPackSources(patterns, options.root);
+      const outputFile = options.output || getBundleOutputName(root);
+      const fromRoot = file => path.relative(root, file).split(path.sep).join('/');
+
+      const changed = (options.changed || []).map(fromRoot);
+      if (options.since) {
+        const output = execFileSync('git', ['diff', '--name-only', '--relative', options.since], { cwd: root, encoding: 'utf8' });
+        changed.push(...output.split('\n').filter(Boolean));
+      }
+
+      const result = jsCompression.packForBudget(sources, {
+        maxTokens: Number(options.maxTokens),
+        priorities: {
+          entries: options.entry ? options.entry.map(fromRoot) : getPackageEntryPoints(root),
+          changed
+        },
+        learn: options.dictionary,
+        tokenizer: loadTokenizerOption(options.tokenizer)
+      });
+
+      fs.writeFileSync(outputFile, result.bundle);
+      console.log(chalk.green(`Packed ${sources.length} files into: ${outputFile}`));
+      displayBudget(result, Number(options.maxTokens));
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Unpack command
+program
+  .command('unpack <bundle>')
+  .description('Restore the files of a bundle')
+  .option('-o, --output <dir>', 'Directory to write the files to (defaults to the bundle name without .kjb)')
+  .action((bundleFile, options) => {
+    try {
+      if (!fs.existsSync(bundleFile)) {
+        console.error(chalk.red(`Error: File '${bundleFile}' not found`));
+        process.exit(1);
+      }
+
+      const files = jsCompression.unpackBundle(fs.readFileSync(bundleFile, 'utf8'));
+      const outputDir = options.output ||
+        (path.extname(bundleFile) === '.kjb' ? bundleFile.slice(0, -'.kjb'.length) : `${bundleFile}.unpacked`);
+
+      // Files packed for a budget may not be whole, and are not written
+      const complete = files.filter(file => !file.level);
+      for (const file of complete) {
+        const target = path.join(outputDir, ...file.path.split('/'));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.code);
+      }
+      console.log(chalk.green(`Unpacked ${complete.length} files into: ${outputDir}`));
+      if (complete.length < files.length) {
+        console.log(chalk.yellow(`Skipped ${files.length - complete.length} files the bundle does not hold in full`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Optimize symbols command
+program
+  .command('optimize')
+  .description('Re-assign dictionary and pattern symbols to single-token characters of a tokenizer')
+  .option('-t, --tokenizer <file>', 'Tokenizer vocabulary (.tiktoken merge table)', process.env.JS_KANJI_TOKENIZER)
+  .option('-o, --output <prefix>', 'Output files prefix (defaults to kanji-dict.<tokenizer>)')
+  .option('--dictionary <file>', 'Extend the built-in dictionary with a dictionary file first')
+  .action((options) => {
+    try {
+      if (!options.tokenizer) {
+        console.error(chalk.red('Error: Pass a tokenizer vocabulary with --tokenizer <file>'));
+        process.exit(1);
+      }
+
+      const result = jsCompression.optimizeSymbols(options.tokenizer, {
+        extendDictionary: loadDictionaryOption(options.dictionary)
+      });
+
+      const prefix = options.output || `kanji-dict.${result.tokenizer}`;
+      fs.writeFileSync(`${prefix}.json`, JSON.stringify(result.dictionary, null, 2) + '\n');
+      fs.writeFileSync(`${prefix}.patterns.json`, JSON.stringify(result.patterns, null, 2) + '\n');
+
+      displayOptimization(result);
+      console.log(chalk.green(`\nOutput files written to:`));
+      console.log(`- Dictionary: ${prefix}.json (use with --base-dictionary)`);
+      console.log(`- Patterns: ${prefix}.patterns.json (use with --patterns)`);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Generate prompt command
 program
   .command('prompt')
@@ -168,12 +510,13 @@ program
   .option('-f, --format <format>', 'Prompt format (full, basic, minimal)', 'full')
   .option('-o, --output <file>', 'Save prompts to file')
   .option('-s, --split', 'Generate split prompts for large conversations', false)
+  .option('--patches', 'Teach the model to answer edits with compressed patches', false)
   .action((options) => {
     try {
       const prompts = jsCompression.generatePrompt(
         options.format, 
         options.method, 
-        { split: options.split }
+        { split: options.split, patches: options.patches }
       );
       
       if (options.split && Array.isArray(prompts)) {
@@ -211,6 +554,121 @@ program
     }
   });
 
+// Helper function to load the --dictionary option
+function loadDictionaryOption(file) {
+  return file ? jsCompression.loadDictionaryFile(file) : undefined;
+}
+
+// Helper function to load the dictionary and pattern file options
+function loadTableOptions(options) {
+  return {
+    dictionary: loadDictionaryOption(options.baseDictionary),
+    extendDictionary: loadDictionaryOption(options.dictionary),
+    patterns: options.patterns ? JSON.parse(fs.readFileSync(options.patterns, 'utf8')) : undefined
+  };
+}
+
+// Helper function to turn the formatting flags into decompression options
+function getFormatOptions(file, options) {
+  const indent = options.indent === 'tab' ? { useTabs: true } :
+    options.indent ? { indentWidth: Number(options.indent) } : {};
+  return {
+    formatOutput: options.format,
+    formatConfig: options.formatConfig === true ? path.dirname(path.resolve(file)) : options.formatConfig,
+    format: {
+      ...indent,
+      quotes: options.quotes,
+      semicolons: options.semi === false ? false : undefined,
+      trailingCommas: options.trailingCommas,
+      maxLineWidth: options.maxLineWidth ? Number(options.maxLineWidth) : undefined
+    }
+  };
+}
+
+// Helper function to turn the repair flags into decompression options
+function getRepairOptions(options) {
+  const names = list => (list ? list.split(',').map(name => name.trim()).filter(Boolean) : []);
+  const repairs = {};
+  names(options.enableRepair).forEach(name => { repairs[name] = true; });
+  names(options.disableRepair).forEach(name => { repairs[name] = false; });
+  return {
+    repairs,
+    repairRules: options.repairRules ? require(path.resolve(options.repairRules)) : undefined
+  };
+}
+
+// Helper function to read the files to pack, relative to the root of the bundle
+function readPackSources(patterns, rootOption) {
+  const files = jsCompression.utils.expandGlob(patterns, { extensions: CODE_EXTENSIONS });
+  if (files.length === 0) {
+    throw new Error(`No files match ${patterns.join(' ')}`);
+  }
+
+  // A single directory is packed relative to itself
+  const directory = patterns.length === 1 && fs.statSync(patterns[0], { throwIfNoEntry: false });
+  const root = rootOption || (directory && directory.isDirectory() ? patterns[0] : '.');
+  const sources = files.map(file => ({
+    path: path.relative(root, file).split(path.sep).join('/'),
+    code: fs.readFileSync(file, 'utf8')
+  }));
+  return { root, sources };
+}
+
+// Helper function to name a bundle after the directory packed
+function getBundleOutputName(root) {
+  return root !== '.' ? `${path.basename(path.resolve(root))}.kjb` : 'bundle.kjb';
+}
+
+// Helper function to read the entry points from package.json (undefined to guess them)
+function getPackageEntryPoints(root) {
+  const file = path.join(root, 'package.json');
+  if (!fs.existsSync(file)) return undefined;
+
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = [json.main, json.module, ...(typeof json.bin === 'string' ? [json.bin] : Object.values(json.bin || {}))]
+    .filter(entry => typeof entry === 'string');
+  return entries.length > 0 ? entries : undefined;
+}
+
+// Helper function to load the --tokenizer option
+function loadTokenizerOption(file) {
+  return file ? jsCompression.loadTokenizer(file) : undefined;
+}
+
+// Helper function to name the files in a source map (the source relative to the map)
+function getSourceMapNames(inputFile, outputFile) {
+  return {
+    file: path.basename(outputFile),
+    source: path.relative(path.dirname(outputFile), inputFile).split(path.sep).join('/')
+  };
+}
+
+// Helper function to name a file in a patch (relative, with forward slashes)
+function toPatchPath(file) {
+  return path.relative(process.cwd(), file).split(path.sep).join('/');
+}
+
+// Helper function to write a source map next to an output file
+function writeSourceMap(outputFile, map) {
+  const mapFile = `${outputFile}.map`;
+  fs.writeFileSync(mapFile, JSON.stringify(map));
+  console.log(chalk.green(`Source map written to: ${mapFile}`));
+}
+
+// Helper function to pipe stdin through a stream into a file, or to stdout
+function pipeStdin(stream, outputFile, label) {
+  pipeline(process.stdin, stream, outputFile ? fs.createWriteStream(outputFile) : process.stdout, error => {
+    // A reader such as `head` may stop reading stdout early
+    if (error && error.code !== 'EPIPE') {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+    if (outputFile) {
+      console.log(chalk.green(`${label} written to: ${outputFile}`));
+    }
+  });
+}
+
 // Helper function to determine default output filename
 function getDefaultOutputName(inputFile, method) {
   const ext = path.extname(inputFile);
@@ -223,31 +681,86 @@ function getDefaultOutputName(inputFile, method) {
     case 'semantic-kanji':
     case 'semantic':
       return path.join(dir, `${base}.semantic${ext}`);
+    case 'outline':
+      return path.join(dir, `${base}.outline${ext}`);
     default:
       return path.join(dir, `${base}.compressed${ext}`);
   }
 }
 
+// Helper function to name decompressed output (with the extension of its language)
+function getExpandedOutputName(inputFile, compressedCode) {
+  const header = jsCompression.readHeader(compressedCode);
+  const ext = path.extname(inputFile);
+  const typescript = header ?
+    header.language === 'typescript' :
+    jsCompression.utils.detectLanguage(inputFile) === 'typescript';
+  const jsx = header ? header.options.jsx : jsCompression.utils.detectJsx(inputFile);
+  const base = inputFile.slice(0, inputFile.length - ext.length).replace(/\.(min|kanji|semantic|outline|compressed)$/, '');
+  return `${base}.expanded.${typescript ? 'ts' : 'js'}${jsx ? 'x' : ''}`;
+}
+
 // Helper function to display compression statistics
 function displayStats(stats) {
-  console.log(chalk.cyan('\nCompression Statistics:'));
-  console.log(`- Original: ${stats.originalChars} characters, ~${stats.originalTokens} tokens`);
-  console.log(`- Compressed: ${stats.compressedChars} characters, ~${stats.compressedTokens} tokens`);
+  const approx = jsCompression.utils.isExact(stats) ? '' : '~';
+  console.log(chalk.cyan(`\nCompression Statistics (${describeTokenizer(stats.tokenizer)}):`));
+  console.log(`- Original: ${stats.originalChars} characters, ${approx}${stats.originalTokens} tokens`);
+  console.log(`- Compressed: ${stats.compressedChars} characters, ${approx}${stats.compressedTokens} tokens`);
   console.log(`- Character reduction: ${stats.charReduction} (${stats.compressionRatio}% of original)`);
-  console.log(chalk.green(`- Token reduction: ${stats.tokenReduction} tokens (${stats.tokenSavingsPercent}% savings)`));
+  if (stats.tokenReduction < 0) {
+    console.log(chalk.red(`- Token increase: ${-stats.tokenReduction} tokens (compressed code costs more)`));
+  } else {
+    console.log(chalk.green(`- Token reduction: ${stats.tokenReduction} tokens (${stats.tokenSavingsPercent}% savings)`));
+  }
+}
+
+// Helper function to display the level each file was packed at
+function displayBudget(result, maxTokens) {
+  console.log(chalk.cyan(`\nBudget: ${result.tokens} of ${maxTokens} tokens`));
+  const width = Math.max(...result.files.map(file => file.path.length));
+  for (const file of result.files) {
+    const line = `- ${file.path.padEnd(width)}  ${file.level.padEnd(10)}  ${file.tokens} tokens (score ${file.score})`;
+    console.log(file.level === 'omitted' ? chalk.gray(line) : line);
+  }
+}
+
+// Helper function to describe where token counts come from
+function describeTokenizer(name) {
+  return name && name !== 'estimate' ? `tokens counted with ${name}` : 'tokens estimated, use --tokenizer for exact counts';
+}
+
+// Helper function to display the result of symbol optimization
+function displayOptimization(result) {
+  const count = (items, status) => items.filter(item => item.status === status).length;
+
+  console.log(chalk.cyan(`\nSymbol Optimization (${result.tokenizer}):`));
+  console.log(`- Dictionary: ${count(result.entries, 'kept')} kept, ` +
+    `${count(result.entries, 'reassigned')} re-assigned, ` +
+    `${count(result.entries, 'removed')} removed (no single-token symbol is cheaper)`);
+  console.log(`- Pattern symbols: ${count(result.symbols, 'kept')} kept, ` +
+    `${count(result.symbols, 'reassigned')} re-assigned`);
+
+  if (result.negative.length > 0) {
+    console.log(chalk.red(`\nEntries with negative savings in the current tables (${result.negative.length}):`));
+    result.negative.forEach(({ type, source, target, sourceTokens, targetTokens }) => {
+      const name = type === 'pattern' ? `pattern ${target}` : `${source} → ${target}`;
+      console.log(chalk.red(`- ${name}: ${targetTokens} tokens instead of ${sourceTokens}`));
+    });
+  }
 }
 
 // Helper function to display compression comparison
 function displayComparison(comparison) {
-  console.log(chalk.cyan('\nCompression Comparison:'));
-  console.log(`Original code: ${comparison.original.chars} characters, ~${comparison.original.tokens} tokens\n`);
+  const approx = comparison.tokenizer === 'estimate' ? '~' : '';
+  console.log(chalk.cyan(`\nCompression Comparison (${describeTokenizer(comparison.tokenizer)}):`));
+  console.log(`Original code: ${comparison.original.chars} characters, ${approx}${comparison.original.tokens} tokens\n`);
   
   console.log('JS-Kanji:');
-  console.log(`- ${comparison.kanji.chars} characters, ~${comparison.kanji.tokens} tokens`);
+  console.log(`- ${comparison.kanji.chars} characters, ${approx}${comparison.kanji.tokens} tokens`);
   console.log(`- Token reduction: ${comparison.kanji.reduction} (${comparison.kanji.savingsPercent}% savings)`);
   
   console.log('\nSemantic-Kanji:');
-  console.log(`- ${comparison.semantic.chars} characters, ~${comparison.semantic.tokens} tokens`);
+  console.log(`- ${comparison.semantic.chars} characters, ${approx}${comparison.semantic.tokens} tokens`);
   console.log(chalk.green(`- Token reduction: ${comparison.semantic.reduction} (${comparison.semantic.savingsPercent}% savings)`));
   
   // Determine the best method
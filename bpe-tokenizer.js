@@ -0,0 +1,256 @@
+/**
+ * JS-Kanji: Byte pair encoding tokenizer
+ *
+ * Counts tokens the way LLM tokenizers do, so that compression statistics
+ * report what a model would actually be charged. Kanji that look like one
+ * character often cost two or three tokens, which a character-based estimate
+ * cannot see.
+ *
+ * Merge tables are read from local files in the tiktoken format (one
+ * `<base64 token> <rank>` pair per line), such as `cl100k_base.tiktoken` or
+ * `o200k_base.tiktoken`. Nothing is downloaded.
+ *
+ * Every tokenizer implements the interface accepted by `utils.setTokenizer`
+ * and the `tokenizer` option:
+ *
+ *   { name: string, countTokens(text): number }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FormatError } = require('./errors');
+
+// Pre-tokenization patterns, splitting text into pieces that are merged separately
+const CONTRACTIONS = "'(?:[sS]|[tT]|[rR][eE]|[vV][eE]|[mM]|[lL][lL]|[dD])";
+const UPPER = '[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]';
+const LOWER = '[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]';
+
+const PATTERNS = {
+  cl100k: [
+    CONTRACTIONS,
+    '[^\\r\\n\\p{L}\\p{N}]?\\p{L}+',
+    '\\p{N}{1,3}',
+    ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*',
+    '\\s*[\\r\\n]+',
+    '\\s+(?!\\S)',
+    '\\s+'
+  ].join('|'),
+  o200k: [
+    `[^\\r\\n\\p{L}\\p{N}]?${UPPER}*${LOWER}+(?:${CONTRACTIONS})?`,
+    `[^\\r\\n\\p{L}\\p{N}]?${UPPER}+${LOWER}*(?:${CONTRACTIONS})?`,
+    '\\p{N}{1,3}',
+    ' ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*',
+    '\\s*[\\r\\n]+',
+    '\\s+(?!\\S)',
+    '\\s+'
+  ].join('|')
+};
+
+// Number of encoded pieces remembered per tokenizer
+const CACHE_SIZE = 10000;
+
+/**
+ * Parse a merge table in the tiktoken format
+ *
+ * @param {string} text - File contents, one `<base64 token> <rank>` per line
+ * @param {string} source - File name used in error messages
+ * @return {Map<string, number>} - Ranks by token bytes (as a latin1 string)
+ * @throws {FormatError} - If a line is malformed
+ */
+function parseMergeTable(text, source = 'merge table') {
+  const ranks = new Map();
+  const lines = text.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const [token, rank] = line.split(' ');
+    if (!token || !/^\d+$/.test(rank || '')) {
+      throw new FormatError(`Malformed line ${i + 1} in ${source}: expected "<base64 token> <rank>"`);
+    }
+    ranks.set(Buffer.from(token, 'base64').toString('latin1'), Number(rank));
+  }
+
+  return ranks;
+}
+
+/**
+ * Create a BPE tokenizer from a merge table
+ *
+ * @param {Map<string, number>} ranks - Ranks by token bytes, from parseMergeTable
+ * @param {Object} options - Tokenizer options
+ * @param {string} options.name - Tokenizer name shown in statistics
+ * @param {string|RegExp} options.pattern - Pre-tokenization pattern ('cl100k', 'o200k' or a RegExp)
+ * @return {Object} - Tokenizer with `encode`, `decode` and `countTokens`
+ */
+function createBpeTokenizer(ranks, options = {}) {
+  const name = options.name || 'bpe';
+  const pattern = toPattern(options.pattern || 'cl100k');
+  const cache = new Map();
+  let tokens = null;
+
+  /**
+   * Encode one pre-tokenized piece
+   *
+   * @param {string} piece - Piece of text
+   * @return {number[]} - Token ranks
+   */
+  function encodePiece(piece) {
+    if (cache.has(piece)) return cache.get(piece);
+
+    const bytes = Buffer.from(piece, 'utf8').toString('latin1');
+    const encoded = ranks.has(bytes) ?
+      [ranks.get(bytes)] :
+      mergeBytes(bytes, ranks).map(part => rankOf(part, ranks, name));
+
+    if (cache.size >= CACHE_SIZE) cache.clear();
+    cache.set(piece, encoded);
+    return encoded;
+  }
+
+  return {
+    name,
+
+    /**
+     * Encode text into token ranks
+     *
+     * @param {string} text - Text to encode
+     * @return {number[]} - Token ranks
+     */
+    encode(text) {
+      const result = [];
+      for (const [piece] of String(text).matchAll(pattern)) {
+        result.push(...encodePiece(piece));
+      }
+      return result;
+    },
+
+    /**
+     * Decode token ranks back into text
+     *
+     * @param {number[]} ids - Token ranks
+     * @return {string} - Decoded text
+     */
+    decode(ids) {
+      if (!tokens) {
+        tokens = new Map([...ranks].map(([bytes, rank]) => [rank, bytes]));
+      }
+      const bytes = ids.map(id => tokens.get(id) || '').join('');
+      return Buffer.from(bytes, 'latin1').toString('utf8');
+    },
+
+    /**
+     * Count the tokens of a text
+     *
+     * @param {string} text - Text to measure
+     * @return {number} - Number of tokens
+     */
+    countTokens(text) {
+      let count = 0;
+      for (const [piece] of String(text).matchAll(pattern)) {
+        count += encodePiece(piece).length;
+      }
+      return count;
+    }
+  };
+}
+
+/**
+ * Load a BPE tokenizer from a merge table file
+ *
+ * The pre-tokenization pattern is taken from the file name (`o200k` files use
+ * the o200k pattern, everything else cl100k) unless `options.pattern` is set.
+ *
+ * @param {string} file - Path to a `.tiktoken` merge table
+ * @param {Object} options - Tokenizer options (see createBpeTokenizer)
+ * @return {Object} - Tokenizer
+ * @throws {FormatError} - If the file cannot be read or is malformed
+ */
+function loadBpeTokenizer(file, options = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new FormatError(`Cannot read merge table ${file}: ${error.message}`);
+  }
+
+  const name = options.name || path.basename(file).replace(/\.[^.]*$/, '');
+  return createBpeTokenizer(parseMergeTable(text, file), {
+    name,
+    pattern: options.pattern || (/o200k/i.test(name) ? 'o200k' : 'cl100k')
+  });
+}
+
+/**
+ * Split bytes into the parts that byte pair merging produces
+ *
+ * Starting from single bytes, the adjacent pair whose concatenation has the
+ * lowest rank is merged until no pair is in the table.
+ *
+ * @param {string} bytes - Bytes of one piece, as a latin1 string
+ * @param {Map<string, number>} ranks - Ranks by token bytes
+ * @return {string[]} - Merged parts
+ */
+function mergeBytes(bytes, ranks) {
+  const parts = bytes.split('');
+
+  while (parts.length > 1) {
+    let best = -1;
+    let bestRank = Infinity;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const rank = ranks.get(parts[i] + parts[i + 1]);
+      if (rank !== undefined && rank < bestRank) {
+        best = i;
+        bestRank = rank;
+      }
+    }
+    if (best === -1) break;
+
+    parts.splice(best, 2, parts[best] + parts[best + 1]);
+  }
+
+  return parts;
+}
+
+/**
+ * Look up the rank of a merged part
+ *
+ * @param {string} part - Token bytes
+ * @param {Map<string, number>} ranks - Ranks by token bytes
+ * @param {string} name - Tokenizer name used in error messages
+ * @return {number} - Rank of the part
+ * @throws {FormatError} - If a single byte is missing from the table
+ */
+function rankOf(part, ranks, name) {
+  const rank = ranks.get(part);
+  if (rank === undefined) {
+    const hex = Buffer.from(part, 'latin1').toString('hex');
+    throw new FormatError(`Merge table ${name} has no token for byte 0x${hex}`);
+  }
+  return rank;
+}
+
+/**
+ * Compile a pre-tokenization pattern
+ *
+ * @param {string|RegExp} pattern - Pattern name or regular expression
+ * @return {RegExp} - Global, Unicode-aware regular expression
+ */
+function toPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    const flags = new Set(pattern.flags + 'gu');
+    return new RegExp(pattern.source, [...flags].join(''));
+  }
+  if (!PATTERNS[pattern]) {
+    throw new FormatError(`Unknown pre-tokenization pattern: ${pattern} (available: ${Object.keys(PATTERNS).join(', ')})`);
+  }
+  return new RegExp(PATTERNS[pattern], 'gu');
+}
+
+module.exports = {
+  PATTERNS,
+  parseMergeTable,
+  createBpeTokenizer,
+  loadBpeTokenizer
+};
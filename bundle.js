@@ -0,0 +1,212 @@
+/**
+ * JS-Kanji: Project bundles
+ *
+ * A bundle carries a whole folder of files in one text, for sending a
+ * project to an LLM in a single message:
+ *
+ *   //@kjb/1 n=2
+ *   //@dict tenantId=租,ledgerEntry=帳
+ *   //@file src/api.js 1832 9c1e5f2a 41
+ *   //@kjs/1 m=kanji d=custom#5f2a9c1e o=lb,ll
+ *   ...
+ *   //@file README.md 120 aa11bb22 5 raw
+ *   ...
+ *
+ * The `//@dict` section holds the entries shared by all files, which extend
+ * the bundled dictionary of each file's language. Each file starts with a
+ * `//@file` line giving its path, its size in bytes, a hash of its contents
+ * and the number of lines that follow; together these lines are the
+ * manifest of the bundle. Code files follow as compressed code with their
+ * own container header, and other files (`raw`) as they are.
+ *
+ * Bundles packed for a token budget may hold less than the whole of a file
+ * (see context-budget.js). The `//@file` line then ends with the level it
+ * was packed at instead of `raw`: `semantic`, `signatures`, or `omitted`
+ * with no lines following. Size and hash always describe the whole file.
+ *
+ * Paths are relative and use `/`; whitespace and `%` in them are written as
+ * `%XX` escapes.
+ */
+
+const crypto = require('crypto');
+const { FormatError } = require('./errors');
+
+const BUNDLE_MAGIC = '//@kjb/';
+const BUNDLE_VERSION = 1;
+
+const HEADER_LINE = /^\/\/@kjb\/(\d+)((?: [^\s=]+=\S*)*)$/;
+const FILE_LINE = /^\/\/@file (\S+) (\d+) ([0-9a-f]+) (\d+)(?: (raw|semantic|signatures|omitted))?$/;
+
+// Files compressed as code, by extension
+const CODE_FILE = /\.[cm]?[jt]sx?$/i;
+
+/**
+ * Check whether a file is compressed as code in a bundle
+ *
+ * @param {string} file - File path
+ * @return {boolean} - True for JavaScript and TypeScript files
+ */
+function isCodeFile(file) {
+  return CODE_FILE.test(file);
+}
+
+/**
+ * Get the manifest fields of a file's contents
+ *
+ * @param {string} code - File contents
+ * @return {Object} - `{ size, hash }` with the size in UTF-8 bytes
+ */
+function describeContents(code) {
+  return {
+    size: Buffer.byteLength(code, 'utf8'),
+    hash: crypto.createHash('sha256').update(code, 'utf8').digest('hex').slice(0, 8)
+  };
+}
+
+/**
+ * Write a bundle
+ *
+ * @param {Object} bundle - Bundle contents
+ * @param {Object} bundle.entries - Shared dictionary entries (word to Kanji)
+ * @param {Object[]} bundle.files - Files as `{ path, size, hash, raw, level, content }`,
+ *   where content is the compressed code (or the file itself if raw) and
+ *   level is 'full' (the default), 'semantic', 'signatures' or 'omitted'
+ * @return {string} - Bundle text
+ */
+function createBundle({ entries = {}, files }) {
+  const lines = [`${BUNDLE_MAGIC}${BUNDLE_VERSION} n=${files.length}`];
+  if (Object.keys(entries).length > 0) {
+    lines.push('//@dict ' + Object.keys(entries).map(word => `${word}=${entries[word]}`).join(','));
+  }
+
+  return lines.join('\n') + '\n' + files.map(formatBundleFile).join('');
+}
+
+/**
+ * Write the part of a bundle holding one file
+ *
+ * @param {Object} file - File as passed to createBundle
+ * @return {string} - Its `//@file` line and contents, ending with a line break
+ */
+function formatBundleFile(file) {
+  const level = file.level || 'full';
+  const content = level === 'omitted' ? [] : file.content.split('\n');
+  const kind = level !== 'full' ? ` ${level}` : file.raw ? ' raw' : '';
+
+  return [
+    `//@file ${encodePath(checkPath(file.path))} ${file.size} ${file.hash} ${content.length}${kind}`,
+    ...content
+  ].join('\n') + '\n';
+}
+
+/**
+ * Read a bundle
+ *
+ * @param {string} text - Bundle text
+ * @return {Object} - `{ entries, files }` as passed to createBundle
+ * @throws {FormatError} - If the bundle is malformed, truncated or from a newer format
+ */
+function parseBundle(text) {
+  const lines = String(text).split('\n');
+  const header = HEADER_LINE.exec(lines[0].replace(/\r$/, ''));
+  if (!header) {
+    throw new FormatError('Not a js-kanji bundle');
+  }
+
+  const formatVersion = Number(header[1]);
+  if (formatVersion > BUNDLE_VERSION) {
+    throw new FormatError(
+      `Bundle format version ${formatVersion} is not supported (this release reads up to ${BUNDLE_VERSION})`,
+      { formatVersion }
+    );
+  }
+  const fields = Object.fromEntries(header[2].trim().split(/\s+/).filter(Boolean).map(field => field.split('=')));
+
+  let line = 1;
+  const entries = {};
+  if (lines[line] !== undefined && lines[line].startsWith('//@dict ')) {
+    for (const entry of lines[line].slice('//@dict '.length).split(',').filter(Boolean)) {
+      const [word, target] = entry.split('=');
+      entries[word] = target;
+    }
+    line++;
+  }
+
+  const files = [];
+  while (line < lines.length && !(line === lines.length - 1 && lines[line] === '')) {
+    const match = FILE_LINE.exec(lines[line]);
+    if (!match) {
+      throw new FormatError(`Expected a //@file line at line ${line + 1} of the bundle`, { formatVersion });
+    }
+
+    const count = Number(match[4]);
+    if (line + 1 + count > lines.length) {
+      throw new FormatError(`Bundle ends inside ${match[1]}`, { formatVersion });
+    }
+    files.push({
+      path: checkPath(decodePath(match[1])),
+      size: Number(match[2]),
+      hash: match[3],
+      raw: match[5] === 'raw',
+      level: match[5] && match[5] !== 'raw' ? match[5] : 'full',
+      content: lines.slice(line + 1, line + 1 + count).join('\n')
+    });
+    line += 1 + count;
+  }
+
+  if (fields.n !== undefined && Number(fields.n) !== files.length) {
+    throw new FormatError(`Bundle lists ${fields.n} files but holds ${files.length}`, { formatVersion });
+  }
+
+  return { entries, files };
+}
+
+/**
+ * Check that a path stays inside the folder a bundle is unpacked into
+ *
+ * @param {string} file - Path as stored in the bundle
+ * @return {string} - The path
+ * @throws {FormatError} - If it is empty, absolute or goes up a directory
+ */
+function checkPath(file) {
+  const parts = String(file).split('/');
+  if (!file || /^[\\/]|^[A-Za-z]:/.test(file) || file.includes('\\') || parts.some(part => part === '' || part === '.' || part === '..')) {
+    throw new FormatError(`Invalid path in bundle: ${JSON.stringify(file)}`);
+  }
+  return file;
+}
+
+/**
+ * Escape whitespace and `%` in a path
+ *
+ * @param {string} file - Path
+ * @return {string} - Path without whitespace
+ */
+function encodePath(file) {
+  return file.replace(/[%\s]/g, encodeURIComponent);
+}
+
+/**
+ * Undo encodePath
+ *
+ * @param {string} file - Escaped path
+ * @return {string} - Path
+ * @throws {FormatError} - If an escape is malformed
+ */
+function decodePath(file) {
+  try {
+    return decodeURIComponent(file);
+  } catch (error) {
+    throw new FormatError(`Invalid path in bundle: ${file}`);
+  }
+}
+
+module.exports = {
+  BUNDLE_MAGIC,
+  BUNDLE_VERSION,
+  isCodeFile,
+  describeContents,
+  createBundle,
+  formatBundleFile,
+  parseBundle
+};
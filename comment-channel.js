@@ -0,0 +1,194 @@
+/**
+ * JS-Kanji: Comments
+ *
+ * Comments (JSDoc above all) tell an LLM what the code is for, so they are
+ * carried through compression as they are, beside the code rather than
+ * through it:
+ *
+ * - The compressor copies every comment token unchanged. Only the
+ *   indentation of its continuation lines is made relative to the column
+ *   the comment starts at, since compressed code has no indentation.
+ * - The decompressor takes the comments out (found by the tokenizer, so
+ *   `//` inside strings is left alone) before it rewrites any text, puts a
+ *   marker in their place, and puts them back at the markers afterwards,
+ *   re-indented to the column they land at.
+ *
+ * With `compressComments`, decorated block comments (JSDoc) are also written
+ * without their ` * ` line prefixes, which is safe for natural language
+ * because it leaves every word alone, and exactly reversible:
+ *
+ *   /**              /**~
+ *    * Add them.     Add them.
+ *    * @param {X} a  @param {X} a
+ *    *\/             *\/
+ *
+ * The `~` after the opening marks a stripped comment; a comment that starts
+ * with `~` itself is written with a second one.
+ */
+
+const { tokenize } = require('./js-tokenizer');
+
+// Stands in for a comment while the decompressor rewrites the code
+const COMMENT_MARKER = '__KJS_COMMENT_';
+const MARKERS = /__KJS_COMMENT_(\d+)__/g;
+const MARKER_PARTS = /(__KJS_COMMENT_\d+__)/;
+
+// Opening of a block comment and an optional stripped mark (`~`) after it
+const OPENING = /^\/\*\*?(~*)/;
+
+/**
+ * Prepare a comment token for compressed output
+ *
+ * @param {Object} token - Comment token of the original code
+ * @param {Object} options - Compression options
+ * @param {boolean} options.compressComments - Strip the decoration of block comments
+ * @return {string} - Comment text for the compressed code
+ */
+function prepareComment(token, options = {}) {
+  if (!token.value.startsWith('/*')) return token.value;
+
+  const [first, ...rest] = token.value.split('\n');
+  const indent = new RegExp(`^[ \\t]{0,${token.column}}`);
+  const text = [first, ...rest.map(line => line.replace(indent, ''))].join('\n');
+  return options.compressComments ? encodeComment(text) : text;
+}
+
+/**
+ * Replace the comments of compressed code with markers
+ *
+ * @param {string} code - Compressed code
+ * @param {Object} options - Extraction options
+ * @param {Object} options.aliases - Aliases for tokenizing the code (see tokenize)
+ * @param {boolean} options.compressComments - Whether the comments were compressed
+ * @param {string} options.language - Language of the code (see tokenize)
+ * @param {boolean} options.jsx - Whether the code contains JSX (see tokenize)
+ * @return {Object} - `{ code, comments }` with the comment texts in marker order
+ */
+function extractComments(code, options = {}) {
+  const comments = [];
+  let result = '';
+  let copied = 0;
+
+  for (const token of tokenize(code, { aliases: options.aliases, language: options.language, jsx: options.jsx })) {
+    if (token.type !== 'comment') continue;
+    result += code.slice(copied, token.start) + `${COMMENT_MARKER}${comments.length}__`;
+    comments.push(options.compressComments ? decodeComment(token.value) : token.value);
+    copied = token.end;
+  }
+
+  return { code: result + code.slice(copied), comments };
+}
+
+/**
+ * Put extracted comments back at their markers
+ *
+ * Continuation lines of block comments are indented by the column the
+ * comment starts at once the comments before it on its line are back.
+ *
+ * @param {string} code - Code with comment markers
+ * @param {string[]} comments - Comment texts from extractComments
+ * @return {string} - Code with its comments
+ */
+function restoreComments(code, comments) {
+  let column = 0;
+  const advance = text => {
+    const lineEnd = text.lastIndexOf('\n');
+    column = lineEnd === -1 ? column + text.length : text.length - lineEnd - 1;
+    return text;
+  };
+
+  let restored = '';
+  let copied = 0;
+  for (const { 0: marker, 1: index, index: offset } of code.matchAll(MARKERS)) {
+    const comment = comments[Number(index)];
+    restored += advance(code.slice(copied, offset));
+    restored += advance(comment === undefined ? marker : indentComment(comment, column));
+    copied = offset + marker.length;
+  }
+  return restored + code.slice(copied);
+}
+
+/**
+ * Split text at its comment markers
+ *
+ * A marker written between two words without whitespace joins them into one
+ * identifier, so the words around it are split off to be read on their own.
+ *
+ * @param {string} text - Text that may contain comment markers
+ * @return {string[]} - The text between the markers, with the markers in between
+ */
+function splitAtMarkers(text) {
+  return text.split(MARKER_PARTS);
+}
+
+/**
+ * Indent the continuation lines of a comment for the column it starts at
+ *
+ * @param {string} comment - Comment text, its lines relative to its start
+ * @param {number} column - Column the comment starts at
+ * @return {string} - Indented comment
+ */
+function indentComment(comment, column) {
+  const indent = ' '.repeat(column);
+  return comment.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+}
+
+/**
+ * Strip the ` * ` decoration from a block comment
+ *
+ * @param {string} text - Block comment, its lines relative to its start
+ * @return {string} - Stripped comment (marked with `~`), or the comment unchanged
+ */
+function encodeComment(text) {
+  const opening = text.match(OPENING);
+  if (opening[1]) {
+    // Starts with `~` already: mark it as not stripped
+    return text.replace(OPENING, `${opening[0]}~`);
+  }
+
+  const lines = text.split('\n');
+  const body = lines.slice(1, -1);
+  const decorated = lines.length > 2 &&
+    lines[lines.length - 1] === ' */' &&
+    body.every(line => line === ' *' || (line.startsWith(' * ') && line.length > 3));
+  if (!decorated) return text;
+
+  return [
+    `${lines[0].slice(0, opening[0].length)}~${lines[0].slice(opening[0].length)}`,
+    ...body.map(line => line.slice(3)),
+    '*/'
+  ].join('\n');
+}
+
+/**
+ * Put the ` * ` decoration back on a stripped block comment
+ *
+ * @param {string} text - Comment as written by encodeComment
+ * @return {string} - The comment as it was
+ */
+function decodeComment(text) {
+  const opening = text.match(OPENING);
+  if (!opening || !opening[1]) return text;
+
+  const start = opening[0].length - opening[1].length;
+  if (opening[1].length > 1) {
+    return text.slice(0, start) + text.slice(start + 1);
+  }
+
+  const lines = text.split('\n');
+  return [
+    text.slice(0, start) + lines[0].slice(start + 1),
+    ...lines.slice(1, -1).map(line => (line ? ` * ${line}` : ' *')),
+    ' */'
+  ].join('\n');
+}
+
+module.exports = {
+  prepareComment,
+  extractComments,
+  restoreComments,
+  splitAtMarkers,
+  indentComment,
+  encodeComment,
+  decodeComment
+};
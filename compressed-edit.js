@@ -0,0 +1,425 @@
+/**
+ * JS-Kanji: Edits made to compressed code
+ *
+ * The usual workflow is to send compressed code to an LLM and get modified
+ * compressed code back. Decompressing the reply gives freshly formatted code
+ * that has lost the formatting and comments of the original file, so instead
+ * the edit is worked out in compressed space and replayed on the original:
+ *
+ * 1. Both compressed versions are read as tokens, with semantic calls
+ *    expanded and every Kanji standing for the words it decodes to.
+ * 2. The tokens of the version that was sent are lined up with the tokens of
+ *    the original file, which gives each of them a place in the file.
+ * 3. Only the tokens the edit removed or added are rewritten there; new
+ *    lines are indented like the code around them.
+ *
+ * The result is the edited file together with a minimal unified diff.
+ */
+
+const container = require('./container');
+const { resolveDictionary } = require('./kanji-dictionary');
+const { createTokenTranslator } = require('./js-kanji-decompressor');
+const { restoreNames } = require('./identifier-renamer');
+const { decodeComment, indentComment } = require('./comment-channel');
+const { expandSemanticCalls } = require('./semantic-calls');
+const semanticPatterns = require('./semantic-patterns');
+const { tokenize } = require('./js-tokenizer');
+const { diffSequences, createUnifiedDiff } = require('./diff');
+
+const OPENERS = new Set(['(', '[', '{']);
+const CLOSERS = new Set([')', ']', '}']);
+
+/**
+ * Apply an edit made to compressed code to the original source
+ *
+ * The method, dictionary and renamed locals are read from the container
+ * header of the compressed code if it has one, and semantic calls are
+ * expanded when the code carries the semantic anchor (or `options.method`
+ * says so).
+ *
+ * @param {string} originalCode - Original JavaScript source
+ * @param {string} compressedBefore - Compressed code that was sent
+ * @param {string} compressedAfter - Edited compressed code that came back
+ * @param {Object} options - Edit options
+ * @param {string} options.method - 'kanji' or 'semantic-kanji' for code without a header
+ * @param {Object} options.dictionary - Dictionary the code was compressed with
+ * @param {Object} options.patterns - Pattern table the code was compressed with
+ * @param {boolean} options.compressComments - Whether comments were compressed (for code without a header)
+ * @param {string} options.file - File name to use in the diff
+ * @return {Object} - `{ code, diff }` with the edited source and a unified
+ *   diff against the original (empty if nothing changed)
+ */
+function applyCompressedEdit(originalCode, compressedBefore, compressedAfter, options = {}) {
+  const before = container.parseHeader(compressedBefore);
+  const after = container.parseHeader(compressedAfter);
+  const header = before.header || after.header;
+
+  const method = header ? header.method : options.method && container.normalizeMethod(options.method);
+  const settings = {
+    translator: createTokenTranslator(header ?
+      container.resolveDictionary(header, options) :
+      resolveDictionary(options)),
+    patterns: options.patterns || semanticPatterns,
+    semantic: method ? method === 'semantic-kanji' : /⚓\s*$/.test(before.body),
+    compressComments: header ? header.options.compressComments : Boolean(options.compressComments)
+  };
+
+  // Renamed locals get their names back before anything is compared
+  const names = header ? container.parseNames(header.sections.names || '') : {};
+  const restore = body => restoreNames(body, names, { aliases: settings.translator.aliases });
+
+  const original = readTokens(originalCode);
+  const sent = readCompressedTokens(restore(before.body), settings);
+  const received = readCompressedTokens(restore(after.body), settings);
+  const places = locateTokens(sent, original, originalCode.length);
+  const indentUnit = detectIndentUnit(originalCode);
+
+  const changes = slideChanges(diffSequences(sent, received, sameToken), sent, received);
+  const edits = changes.map(change => {
+    const inserted = received.slice(change.bStart, change.bEnd);
+    if (change.aEnd > change.aStart) {
+      const start = places[change.aStart].start;
+      const end = places[change.aEnd - 1].end;
+      if (!inserted.length) return removeText(originalCode, start, end);
+
+      const text = renderTokens(inserted, originalCode, start, indentUnit);
+      return { start, end, text: keepQuotes(text, originalCode.slice(start, end)) };
+    }
+
+    // New tokens go after the token before them, unless the whitespace
+    // that separated the two now comes before the new tokens
+    const next = sent[change.aStart];
+    const following = received[change.bEnd];
+    if (change.aStart > 0 && (!next || next.space === following.space || next.space !== inserted[0].space)) {
+      const at = places[change.aStart - 1].end;
+      return { start: at, end: at, text: renderTokens(inserted, originalCode, at, indentUnit, true) };
+    }
+
+    const at = next ? places[change.aStart].start : originalCode.length;
+    const space = following ? following.space : '';
+    const text = renderTokens(inserted, originalCode, at, indentUnit) +
+      space + (space.endsWith('\n') ? lineIndent(originalCode, at) : '');
+    return { start: at, end: at, text };
+  });
+
+  const code = applyEdits(originalCode, edits);
+  return { code, diff: createUnifiedDiff(originalCode, code, { file: options.file }) };
+}
+
+/**
+ * Read compressed code as the tokens of the code it stands for
+ *
+ * @param {string} compressed - Compressed code without a header
+ * @param {Object} settings - `{ translator, patterns, semantic, compressComments }`
+ * @return {Object[]} - Tokens with their `type`, `value` and preceding `space`
+ */
+function readCompressedTokens(compressed, settings) {
+  let code = compressed.replace(/⚓\s*$/, '');
+  if (settings.semantic) {
+    code = expandSemanticCalls(code, settings.patterns);
+  }
+
+  const { aliases, translate } = settings.translator;
+  const tokens = [];
+  for (const token of readTokens(code, aliases)) {
+    if (token.type === 'comment' && settings.compressComments) {
+      tokens.push({ ...token, value: decodeComment(token.value) });
+      continue;
+    }
+
+    const text = translate(token);
+    if (text === token.value) {
+      tokens.push(token);
+      continue;
+    }
+
+    // A symbol may stand for several tokens, such as `module.exports`
+    readTokens(text).forEach((part, i) => {
+      tokens.push({ ...part, space: i === 0 ? token.space : part.space });
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Tokenize code, keeping the whitespace before each token with it
+ *
+ * @param {string} code - Code to tokenize
+ * @param {Object} aliases - Aliases for the tokenizer
+ * @return {Object[]} - Code and comment tokens with a `space` property
+ */
+function readTokens(code, aliases) {
+  const tokens = [];
+  let end = 0;
+  for (const token of tokenize(code, { aliases })) {
+    if (token.type === 'whitespace') continue;
+    tokens.push({ ...token, space: code.slice(end, token.start) });
+    end = token.end;
+  }
+  return tokens;
+}
+
+/**
+ * Find the text in the original source that each sent token stands for
+ *
+ * Tokens that match no original token cover the original tokens they were
+ * lined up against, or the point between them.
+ *
+ * @param {Object[]} tokens - Tokens of the compressed code that was sent
+ * @param {Object[]} original - Tokens of the original source
+ * @param {number} length - Length of the original source
+ * @return {Object[]} - `{ start, end }` offsets for every token
+ */
+function locateTokens(tokens, original, length) {
+  const places = [];
+  const pointAt = index => {
+    const offset = index > 0 ? original[index - 1].end : (original.length ? original[0].start : length);
+    return { start: offset, end: offset };
+  };
+
+  let j = 0;
+  const matchUntil = stop => {
+    while (places.length < stop) {
+      places.push({ start: original[j].start, end: original[j].end });
+      j++;
+    }
+  };
+
+  for (const change of diffSequences(tokens, original, sameToken)) {
+    matchUntil(change.aStart);
+    const place = change.bEnd > change.bStart ?
+      { start: original[change.bStart].start, end: original[change.bEnd - 1].end } :
+      pointAt(change.bStart);
+    while (places.length < change.aEnd) places.push(place);
+    j = change.bEnd;
+  }
+  matchUntil(tokens.length);
+
+  return places;
+}
+
+/**
+ * Move pure insertions and deletions to where they make most sense
+ *
+ * A run of tokens next to equal tokens can be placed in several positions
+ * (inserting `} else {` before a `}` or `else { }` after it). Each run is
+ * moved to where its brackets balance and, if possible, where it starts a
+ * line.
+ *
+ * @param {Object[]} changes - Token changes in order
+ * @param {Object[]} sent - Tokens of the code that was sent
+ * @param {Object[]} received - Tokens of the edited code
+ * @return {Object[]} - Changes, some of them moved
+ */
+function slideChanges(changes, sent, received) {
+  return changes.map((change, n) => {
+    const inserting = change.aStart === change.aEnd;
+    if (inserting === (change.bStart === change.bEnd)) return change;
+
+    const tokens = inserting ? received : sent;
+    const start = inserting ? change.bStart : change.aStart;
+    const end = inserting ? change.bEnd : change.aEnd;
+    const previous = changes[n - 1];
+    const next = changes[n + 1];
+    const low = previous ? (inserting ? previous.bEnd : previous.aEnd) : 0;
+    const high = next ? (inserting ? next.bStart : next.aStart) : tokens.length;
+
+    let shift = 0;
+    let best = scoreRun(tokens, start, end);
+    for (let s = -1; start + s >= low && sameToken(tokens[start + s], tokens[end + s]); s--) {
+      const score = scoreRun(tokens, start + s, end + s);
+      if (score > best) [shift, best] = [s, score];
+    }
+    for (let s = 1; end + s <= high && sameToken(tokens[start + s - 1], tokens[end + s - 1]); s++) {
+      const score = scoreRun(tokens, start + s, end + s);
+      if (score > best) [shift, best] = [s, score];
+    }
+
+    return {
+      aStart: change.aStart + shift,
+      aEnd: change.aEnd + shift,
+      bStart: change.bStart + shift,
+      bEnd: change.bEnd + shift
+    };
+  });
+}
+
+/**
+ * Rate a position for a run of inserted or deleted tokens
+ *
+ * @param {Object[]} tokens - Tokens containing the run
+ * @param {number} start - Index of the first token
+ * @param {number} end - Index after the last token
+ * @return {number} - Higher for balanced brackets and runs that start a line
+ */
+function scoreRun(tokens, start, end) {
+  let depth = 0;
+  let balanced = true;
+  for (let i = start; i < end; i++) {
+    if (OPENERS.has(tokens[i].value)) depth++;
+    if (CLOSERS.has(tokens[i].value) && --depth < 0) balanced = false;
+  }
+  return (balanced && depth === 0 ? 2 : 0) + (tokens[start].space.includes('\n') ? 1 : 0);
+}
+
+/**
+ * Turn inserted tokens into source text
+ *
+ * Line breaks that the compressed code left without indentation are
+ * indented like the surrounding source, following the brackets in the
+ * inserted code.
+ *
+ * @param {Object[]} tokens - Tokens to write
+ * @param {string} source - Original source
+ * @param {number} at - Offset the text is written at
+ * @param {string} indentUnit - One level of indentation
+ * @param {boolean} leadingSpace - Keep the whitespace before the first token
+ * @return {string} - Source text
+ */
+function renderTokens(tokens, source, at, indentUnit, leadingSpace = false) {
+  const startsLine = leadingSpace && tokens[0].space.includes('\n');
+  const base = startsLine ? nextLineIndent(source, at, indentUnit) : lineIndent(source, at);
+
+  let depth = 0;
+  let text = '';
+  tokens.forEach((token, i) => {
+    let space = i > 0 || leadingSpace ? token.space : '';
+    if (space.endsWith('\n')) {
+      const level = Math.max(0, depth - (CLOSERS.has(token.value) ? 1 : 0));
+      space += base + indentUnit.repeat(level);
+    }
+
+    if (OPENERS.has(token.value)) depth++;
+    if (CLOSERS.has(token.value)) depth--;
+    text += space;
+
+    // Comments come without the indentation of their continuation lines
+    if (token.type === 'comment') {
+      const column = text.includes('\n') ?
+        text.length - text.lastIndexOf('\n') - 1 :
+        at - source.lastIndexOf('\n', at - 1) - 1 + text.length;
+      text += indentComment(token.value, column);
+    } else {
+      text += token.value;
+    }
+  });
+  return text;
+}
+
+/**
+ * Write a replaced string literal with the quotes of the original
+ *
+ * Semantic templates and LLMs may use other quotes than the source; the
+ * original quotes are kept when the new string does not contain them.
+ *
+ * @param {string} text - Replacement text
+ * @param {string} replaced - Original text it replaces
+ * @return {string} - Replacement text
+ */
+function keepQuotes(text, replaced) {
+  const string = /^(['"])((?:[^'"\\\n]|\\[^'"])*)\1$/;
+  const quote = replaced.match(string);
+  const match = text.match(string);
+  return quote && match ? quote[1] + match[2] + quote[1] : text;
+}
+
+/**
+ * Remove the text of deleted tokens, with their line if nothing else is on it
+ *
+ * @param {string} source - Original source
+ * @param {number} start - Start of the deleted text
+ * @param {number} end - End of the deleted text
+ * @return {Object} - Edit `{ start, end, text }`
+ */
+function removeText(source, start, end) {
+  const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  const newline = source.indexOf('\n', end);
+  const lineEnd = newline === -1 ? source.length : newline;
+  const blankBefore = !source.slice(lineStart, start).trim();
+  const blankAfter = !source.slice(end, lineEnd).trim();
+
+  if (blankBefore && blankAfter) {
+    return newline === -1 ?
+      { start: Math.max(0, lineStart - 1), end: lineEnd, text: '' } :
+      { start: lineStart, end: newline + 1, text: '' };
+  }
+  if (blankAfter) {
+    return { start: start - (source.slice(lineStart, start).match(/[ \t]*$/)[0].length), end, text: '' };
+  }
+  return { start, end, text: '' };
+}
+
+/**
+ * Apply edits to a text
+ *
+ * @param {string} source - Text to edit
+ * @param {Object[]} edits - Edits as `{ start, end, text }`
+ * @return {string} - Edited text
+ */
+function applyEdits(source, edits) {
+  let result = '';
+  let copied = 0;
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    const start = Math.max(edit.start, copied);
+    result += source.slice(copied, start) + edit.text;
+    copied = Math.max(edit.end, start);
+  }
+  return result + source.slice(copied);
+}
+
+/**
+ * Get the indentation of the line containing an offset
+ *
+ * @param {string} source - Source text
+ * @param {number} offset - Offset in the line
+ * @return {string} - Leading whitespace of the line
+ */
+function lineIndent(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Get the indentation for a line inserted after an offset
+ *
+ * This is the indentation of the next line with code, one level deeper if
+ * that line closes a block.
+ *
+ * @param {string} source - Source text
+ * @param {number} offset - Offset the line is inserted after
+ * @param {string} indentUnit - One level of indentation
+ * @return {string} - Indentation
+ */
+function nextLineIndent(source, offset, indentUnit) {
+  const next = source.slice(offset).match(/\n([ \t]*)(\S?)/);
+  if (!next || !next[2]) return lineIndent(source, offset);
+  return CLOSERS.has(next[2]) ? next[1] + indentUnit : next[1];
+}
+
+/**
+ * Work out one level of indentation from the source
+ *
+ * @param {string} source - Source text
+ * @return {string} - A tab, or the smallest indentation in spaces (two by default)
+ */
+function detectIndentUnit(source) {
+  const indents = source.match(/^[ \t]+(?=\S)/gm) || [];
+  if (indents.some(indent => indent.startsWith('\t'))) return '\t';
+  const smallest = indents.reduce((min, indent) => Math.min(min, indent.length), Infinity);
+  return ' '.repeat(smallest === Infinity ? 2 : smallest);
+}
+
+/**
+ * Check whether two tokens are the same code
+ *
+ * @param {Object} a - Token
+ * @param {Object} b - Token
+ * @return {boolean} - True if their text is equal
+ */
+function sameToken(a, b) {
+  return a.value === b.value;
+}
+
+module.exports = {
+  applyCompressedEdit
+};
@@ -0,0 +1,367 @@
+/**
+ * JS-Kanji: Compressed container header
+ *
+ * Compressed code may start with a one-line header recording how it was
+ * produced, so that it can be decoded deterministically long afterwards:
+ *
+ *   //@kjs/1 m=kanji d=kanji@2#1f0c9a2e o=lb
+ *
+ * - `//@kjs/1`: magic marker and container format version
+ * - `m`: compression method ('kanji', 'semantic-kanji' or 'outline')
+ * - `d`: dictionary name, version and hash
+ * - `p`: hash of the semantic pattern table (semantic method only), which
+ *   may be a custom table passed as `patterns`
+ * - `l`: language of the code, if it is not JavaScript ('typescript')
+ * - `o`: options used for compression (`lb` preserveLineBreaks,
+ *   `nc` removeComments, `ll` lossless, `cc` compressComments, `jx` jsx)
+ *
+ * The header is a line comment, so compressed code is still readable as
+ * JavaScript. Further sections may follow as `//@<name> <value>` lines.
+ *
+ * Code compressed with a custom dictionary is referenced by name and hash,
+ * and the dictionary itself is embedded in a `//@dict` section (unless
+ * `embedDictionary: false` is passed), e.g.
+ *
+ *   //@dict kanji@2:tenantId=租,ledgerEntry=帳
+ *
+ * Code whose locals were renamed (see identifier-renamer.js) carries the
+ * original names in a `//@names` section, e.g.
+ *
+ *   //@names a=lineItems,b=subtotal
+ *
+ * Import and export declarations moved out of the code (see module-header.js)
+ * are recorded in a `//@from` and a `//@mod` section.
+ */
+
+const semanticPatterns = require('./semantic-patterns');
+const kanjiDictionary = require('./kanji-dictionary');
+const { DictionaryError, FormatError } = require('./errors');
+const { hashTable } = require('./utils');
+
+const HEADER_MAGIC = '//@kjs/';
+const FORMAT_VERSION = 1;
+
+// Short flags for the options that are recorded in the header
+const OPTION_FLAGS = {
+  preserveLineBreaks: 'lb',
+  removeComments: 'nc',
+  lossless: 'll',
+  compressComments: 'cc',
+  jsx: 'jx'
+};
+
+// Method names accepted by compress, mapped to the name stored in the header
+const METHODS = {
+  'kanji': 'kanji',
+  'semantic': 'semantic-kanji',
+  'semantic-kanji': 'semantic-kanji',
+  'outline': 'outline'
+};
+
+const HEADER_LINE = /^\/\/@kjs\/(\d+)([^\r\n]*)(?:\r?\n|$)/;
+const SECTION_LINE = /^\/\/@([\w-]+)(?: ([^\r\n]*))?(?:\r?\n|$)/;
+const DICTIONARY_FIELD = /^([^@#\s]+)(?:@(\d+))?#([0-9a-f]+)$/;
+
+// Hash of the semantic pattern table, computed on first use
+let patternsHash = null;
+
+/**
+ * Get the fingerprint of a semantic pattern table
+ *
+ * @param {Object} patterns - Custom pattern table (defaults to the installed one)
+ * @return {string} - Hash of the pattern table
+ */
+function getPatternsHash(patterns = null) {
+  if (patterns && patterns !== semanticPatterns) {
+    return hashTable(patterns);
+  }
+  if (!patternsHash) {
+    patternsHash = hashTable(semanticPatterns);
+  }
+  return patternsHash;
+}
+
+/**
+ * Create the header for compressed code
+ *
+ * @param {Object} info - How the code was compressed
+ * @param {string} info.method - Compression method
+ * @param {Object} info.dictionary - Dictionary used (defaults to the bundled one)
+ * @param {Object} info.options - Compression options
+ * @param {Object} sections - Extra header sections by name (single-line values)
+ * @return {string} - Header lines, each ending with a newline
+ */
+function createHeader(info, sections = {}) {
+  const method = normalizeMethod(info.method);
+  const dictionary = info.dictionary || kanjiDictionary.getDictionary();
+  const options = info.options || {};
+
+  // Custom dictionaries travel with the code unless the caller opts out
+  if (!dictionary.version && options.embedDictionary !== false) {
+    sections = { dict: serializeDictionary(dictionary), ...sections };
+  }
+
+  const version = dictionary.version ? `@${dictionary.version}` : '';
+  const fields = [`m=${method}`, `d=${dictionary.name}${version}#${dictionary.hash}`];
+  if (method === 'semantic-kanji' && !options.lossless) {
+    fields.push(`p=${getPatternsHash(options.patterns)}`);
+  }
+  if (options.language && options.language !== 'javascript') {
+    fields.push(`l=${options.language}`);
+  }
+
+  const flags = Object.keys(OPTION_FLAGS)
+    .filter(option => options[option])
+    .map(option => OPTION_FLAGS[option]);
+  if (flags.length > 0) {
+    fields.push(`o=${flags.join(',')}`);
+  }
+
+  let header = `${HEADER_MAGIC}${FORMAT_VERSION} ${fields.join(' ')}\n`;
+  for (const [name, value] of Object.entries(sections)) {
+    if (!/^[\w-]+$/.test(name) || name === 'kjs' || /[\r\n]/.test(value)) {
+      throw new FormatError(`Invalid header section: ${name}`);
+    }
+    header += `//@${name} ${value}\n`;
+  }
+
+  return header;
+}
+
+/**
+ * Split compressed code into its header and body
+ *
+ * @param {string} text - Compressed code, with or without a header
+ * @return {Object} - `{ header, body }` where header is null if there is none
+ * @throws {FormatError} - If the header is malformed or from a newer format
+ */
+function parseHeader(text) {
+  if (typeof text !== 'string' || !text.startsWith(HEADER_MAGIC)) {
+    return { header: null, body: text };
+  }
+
+  const match = HEADER_LINE.exec(text);
+  if (!match) {
+    throw new FormatError('Malformed container header');
+  }
+
+  const formatVersion = Number(match[1]);
+  if (formatVersion > FORMAT_VERSION) {
+    throw new FormatError(
+      `Container format version ${formatVersion} is not supported (this release reads up to ${FORMAT_VERSION})`,
+      { formatVersion }
+    );
+  }
+
+  const fields = {};
+  for (const field of match[2].trim().split(/\s+/).filter(Boolean)) {
+    const separator = field.indexOf('=');
+    if (separator > 0) {
+      fields[field.slice(0, separator)] = field.slice(separator + 1);
+    }
+  }
+
+  const method = METHODS[fields.m];
+  if (!method) {
+    throw new FormatError(`Unknown compression method in header: ${fields.m}`, { formatVersion });
+  }
+
+  const dictionaryMatch = DICTIONARY_FIELD.exec(fields.d || '');
+  if (!dictionaryMatch) {
+    throw new FormatError(`Invalid dictionary in header: ${fields.d}`, { formatVersion, method });
+  }
+
+  const flags = (fields.o || '').split(',');
+  const options = {};
+  for (const [option, flag] of Object.entries(OPTION_FLAGS)) {
+    options[option] = flags.includes(flag);
+  }
+
+  // Collect the section lines that follow the header line
+  let position = match[0].length;
+  const sections = {};
+  let section;
+  while (text.startsWith('//@', position) &&
+      (section = SECTION_LINE.exec(text.slice(position)))) {
+    sections[section[1]] = section[2] || '';
+    position += section[0].length;
+  }
+
+  return {
+    header: {
+      formatVersion,
+      method,
+      dictionary: {
+        name: dictionaryMatch[1],
+        version: dictionaryMatch[2] ? Number(dictionaryMatch[2]) : null,
+        hash: dictionaryMatch[3]
+      },
+      patternsHash: fields.p || null,
+      language: fields.l || 'javascript',
+      options,
+      sections
+    },
+    body: text.slice(position)
+  };
+}
+
+/**
+ * Find the dictionary a header refers to and check that it is unchanged
+ *
+ * Bundled dictionaries are looked up by version. Custom dictionaries are
+ * rebuilt from the `//@dict` section, or taken from the `dictionary` and
+ * `extendDictionary` options if they were not embedded.
+ *
+ * @param {Object} header - Parsed header
+ * @param {Object} options - Decompression options
+ * @return {Object} - Dictionary to decode the body with
+ * @throws {DictionaryError} - If the dictionary is unavailable or differs
+ */
+function resolveDictionary(header, options = {}) {
+  const { name, version, hash } = header.dictionary;
+  const id = version ? `${name}@${version}` : name;
+
+  let dictionary = null;
+  if (version) {
+    dictionary = kanjiDictionary.findBundledDictionary(name, version);
+    if (!dictionary) {
+      throw new DictionaryError(
+        `Code was compressed with dictionary ${id}, which is not available in this release`,
+        { dictionary: id }
+      );
+    }
+  } else if (header.sections.dict !== undefined) {
+    dictionary = parseDictionary(header.sections.dict, name);
+  } else if (options.dictionary || options.extendDictionary) {
+    dictionary = kanjiDictionary.resolveDictionary(options);
+  } else {
+    throw new DictionaryError(
+      `Code was compressed with the custom dictionary "${name}", which is not embedded; ` +
+      'pass the same dictionary in the decompression options',
+      { dictionary: id }
+    );
+  }
+
+  if (dictionary.hash !== hash) {
+    throw new DictionaryError(
+      `Code was compressed with dictionary ${id} (hash ${hash}), but the available ${id} ` +
+      `has hash ${dictionary.hash}; refusing to decode with a different dictionary`,
+      { dictionary: id }
+    );
+  }
+
+  const availablePatterns = getPatternsHash(options.patterns);
+  if (header.patternsHash && header.patternsHash !== availablePatterns) {
+    throw new DictionaryError(
+      `Code was compressed with semantic patterns ${header.patternsHash}, but the available ` +
+      `patterns have hash ${availablePatterns}; refusing to decode with different patterns`,
+      { dictionary: 'semantic-patterns' }
+    );
+  }
+
+  return dictionary;
+}
+
+/**
+ * Write a custom dictionary as a single header line
+ *
+ * Entries that extend a bundled dictionary are written after its id, so that
+ * only the additions are embedded.
+ *
+ * @param {Object} dictionary - Custom dictionary
+ * @return {string} - `<base id>:<word>=<target>,...`
+ */
+function serializeDictionary(dictionary) {
+  const base = dictionary.base && dictionary.base.version ? dictionary.base : null;
+  const entries = base ? dictionary.entries : dictionary.forward;
+  const baseId = base ? `${base.name}@${base.version}` : '';
+
+  return baseId + ':' + Object.keys(entries)
+    .map(word => `${word}=${entries[word]}`)
+    .join(',');
+}
+
+/**
+ * Rebuild a custom dictionary from its header line
+ *
+ * @param {string} text - Output of serializeDictionary
+ * @param {string} name - Dictionary name recorded in the header
+ * @return {Object} - The dictionary
+ * @throws {DictionaryError} - If the base dictionary is not available
+ */
+function parseDictionary(text, name) {
+  const separator = text.indexOf(':');
+  const baseId = text.slice(0, separator);
+
+  const entries = {};
+  for (const entry of text.slice(separator + 1).split(',').filter(Boolean)) {
+    const [word, target] = entry.split('=');
+    entries[word] = target;
+  }
+
+  let base = null;
+  if (baseId) {
+    const [baseName, baseVersion] = baseId.split('@');
+    base = kanjiDictionary.findBundledDictionary(baseName, Number(baseVersion));
+    if (!base) {
+      throw new DictionaryError(
+        `Code was compressed with an extension of dictionary ${baseId}, which is not available in this release`,
+        { dictionary: baseId }
+      );
+    }
+  }
+
+  return kanjiDictionary.createDictionary(entries, { name, base });
+}
+
+/**
+ * Write a rename map as a single header line
+ *
+ * @param {Object} names - Original names by short name
+ * @return {string} - `<short>=<original>,...`
+ */
+function serializeNames(names) {
+  return Object.keys(names)
+    .map(short => `${short}=${names[short]}`)
+    .join(',');
+}
+
+/**
+ * Read a rename map from its header line
+ *
+ * @param {string} text - Output of serializeNames
+ * @return {Object} - Original names by short name
+ */
+function parseNames(text) {
+  const names = {};
+  for (const entry of text.split(',').filter(Boolean)) {
+    const [short, name] = entry.split('=');
+    names[short] = name;
+  }
+  return names;
+}
+
+/**
+ * Get the canonical name of a compression method
+ *
+ * @param {string} method - Method name as passed to compress
+ * @return {string} - Canonical method name
+ */
+function normalizeMethod(method) {
+  const name = METHODS[String(method).toLowerCase()];
+  if (!name) {
+    throw new FormatError(`Unknown compression method: ${method}`, { method });
+  }
+  return name;
+}
+
+module.exports = {
+  HEADER_MAGIC,
+  FORMAT_VERSION,
+  createHeader,
+  parseHeader,
+  resolveDictionary,
+  serializeNames,
+  parseNames,
+  normalizeMethod
+};
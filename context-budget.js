@@ -0,0 +1,193 @@
+/**
+ * JS-Kanji: Context budgets
+ *
+ * When a project does not fit in the context of a model, packForBudget
+ * (in index.js) decides how much of each file to send. Files are ranked by
+ * how likely they are to matter, and each is packed at one of four levels:
+ *
+ * - `full`: the whole file, compressed in lossless mode
+ * - `semantic`: the whole file, compressed with semantic patterns
+ * - `signatures`: the file with the bodies of its functions left out
+ * - `omitted`: only the manifest line, so the file is known to exist
+ *
+ * This module ranks the files and reduces code to its signatures; the
+ * compression and the choice of levels happen in index.js.
+ */
+
+const path = require('path');
+const { tokenize } = require('./js-tokenizer');
+const { findFunctionBodies } = require('./outline');
+
+// Levels a file can be packed at, most detailed first
+const BUDGET_LEVELS = ['full', 'semantic', 'signatures', 'omitted'];
+
+// Points a file gets for being an entry point or recently changed
+const ENTRY_POINT_SCORE = 4;
+const CHANGED_SCORE = 2;
+
+// Extensions tried when resolving a relative import without one
+const IMPORT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts', '.json'];
+
+// Marker left in place of a function body
+const ELIDED_BODY = ' /* … */ ';
+
+/**
+ * Rank files by how much they matter to someone reading the project
+ *
+ * A file scores ENTRY_POINT_SCORE if it is an entry point, CHANGED_SCORE if
+ * it was changed recently, one point for every other file importing it, and
+ * the extra points given to it in `priorities.boost`. Ties keep the order
+ * the files were passed in.
+ *
+ * @param {Object[]} files - Files as `{ path, code }`
+ * @param {Object} priorities - What to favour
+ * @param {string[]} priorities.entries - Entry points (default: the `index.*`
+ *   and `main.*` files closest to the root)
+ * @param {string[]} priorities.changed - Recently changed files
+ * @param {Object} priorities.boost - Extra points by path
+ * @return {Object[]} - `{ index, path, score, entry, changed, importedBy }`
+ *   for every file, best first, where index is its position in files
+ */
+function rankFiles(files, priorities = {}) {
+  const paths = files.map(file => file.path);
+  const entries = new Set((priorities.entries || findEntryPoints(paths)).map(normalizePath));
+  const changed = new Set((priorities.changed || []).map(normalizePath));
+  const boost = priorities.boost || {};
+
+  // Count the distinct files importing each file
+  const importers = new Map(paths.map(file => [file, new Set()]));
+  const known = new Set(paths);
+  files.forEach(file => {
+    if (!/\.[cm]?[jt]sx?$/i.test(file.path)) return;
+    for (const specifier of findImports(file.code, file.path)) {
+      const target = resolveImport(file.path, specifier, known);
+      if (target && target !== file.path) importers.get(target).add(file.path);
+    }
+  });
+
+  return files
+    .map((file, index) => {
+      const entry = entries.has(file.path);
+      const isChanged = changed.has(file.path);
+      const importedBy = importers.get(file.path).size;
+      return {
+        index,
+        path: file.path,
+        score: (entry ? ENTRY_POINT_SCORE : 0) + (isChanged ? CHANGED_SCORE : 0) + importedBy + (boost[file.path] || 0),
+        entry,
+        changed: isChanged,
+        importedBy
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Find the module specifiers a file imports
+ *
+ * Covers `import ... from`, `export ... from`, side-effect imports,
+ * `import()` and `require()` with a string literal.
+ *
+ * @param {string} code - Source code
+ * @param {string} file - File path, to tell TypeScript and JSX apart
+ * @return {string[]} - Module specifiers without their quotes
+ */
+function findImports(code, file = '') {
+  const tokens = tokenize(code, {
+    language: /\.[cm]?tsx?$/i.test(file) ? 'typescript' : 'javascript',
+    jsx: /\.[jt]sx$/i.test(file)
+  }).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+  const specifiers = [];
+
+  tokens.forEach((token, i) => {
+    if (token.type !== 'string' || i === 0) return;
+    const previous = tokens[i - 1];
+    const before = tokens[i - 2];
+    if ((previous.type === 'identifier' && previous.value === 'from') ||
+        (previous.type === 'keyword' && previous.value === 'import') ||
+        (previous.value === '(' && before && (before.value === 'require' || before.value === 'import'))) {
+      specifiers.push(token.value.slice(1, -1));
+    }
+  });
+
+  return specifiers;
+}
+
+/**
+ * Reduce code to its signatures by leaving out the bodies of its functions
+ *
+ * Function declarations and expressions, methods and arrow functions with
+ * a block body keep everything up to their opening brace; the body becomes
+ * a comment marker, so the result is still valid code. Everything outside
+ * function bodies (imports, classes, types, comments) is kept.
+ *
+ * @param {string} code - Source code
+ * @param {Object} options - Tokenizer options
+ * @param {string} options.language - Language of the code ('javascript' or 'typescript')
+ * @param {boolean} options.jsx - Whether the code has JSX elements
+ * @return {string} - Code with the function bodies left out
+ */
+function extractSignatures(code, options = {}) {
+  const tokens = tokenize(code, { language: options.language, jsx: options.jsx })
+    .filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+  const bodies = findFunctionBodies(tokens)
+    .map(body => ({ start: tokens[body.open].end, end: tokens[body.close].start }));
+
+  let result = '';
+  let copied = 0;
+  for (const body of bodies) {
+    result += code.slice(copied, body.start) + ELIDED_BODY;
+    copied = body.end;
+  }
+  return result + code.slice(copied);
+}
+
+/**
+ * Guess the entry points of a project from its file names
+ *
+ * @param {string[]} paths - File paths
+ * @return {string[]} - The `index.*` and `main.*` files fewest directories deep
+ */
+function findEntryPoints(paths) {
+  const candidates = paths.filter(file => /^(index|main)\.[cm]?[jt]sx?$/i.test(path.posix.basename(file)));
+  const depth = file => file.split('/').length;
+  const shallowest = Math.min(...candidates.map(depth));
+  return candidates.filter(file => depth(file) === shallowest);
+}
+
+/**
+ * Resolve a relative import to one of the files
+ *
+ * @param {string} from - Path of the importing file
+ * @param {string} specifier - Module specifier
+ * @param {Set<string>} known - Paths of all files
+ * @return {string|null} - Path of the imported file, or null for packages and unknown files
+ */
+function resolveImport(from, specifier, known) {
+  if (!specifier.startsWith('./') && !specifier.startsWith('../')) return null;
+
+  const target = path.posix.normalize(path.posix.join(path.posix.dirname(from), specifier));
+  const candidates = [
+    target,
+    ...IMPORT_EXTENSIONS.map(extension => target + extension),
+    ...IMPORT_EXTENSIONS.map(extension => `${target}/index${extension}`)
+  ];
+  return candidates.find(candidate => known.has(candidate)) || null;
+}
+
+/**
+ * Bring a path given on the command line to the form used in bundles
+ *
+ * @param {string} file - Path
+ * @return {string} - Path without `./` and with `/` separators
+ */
+function normalizePath(file) {
+  return path.posix.normalize(String(file).split('\\').join('/')).replace(/^\.\//, '');
+}
+
+module.exports = {
+  BUDGET_LEVELS,
+  rankFiles,
+  findImports,
+  extractSignatures
+};
@@ -0,0 +1,54 @@
+/**
+ * Kanji dictionary additions for React and JSX
+ *
+ * These entries extend the bundled dictionary when code is compressed with
+ * `jsx: true`, for the hooks, props and element names of components. Words
+ * React shares with other code (`useState`, `useEffect`, `props`, `key`,
+ * `value`...) are in the bundled dictionary already. Element names of one or
+ * two letters (`a`, `p`, `li`) are left out, since a Kanji would not make
+ * them shorter.
+ */
+
+module.exports = {
+  // Hooks and React API
+  'useContext': '脈',     // myaku - vein, connection
+  'useReducer': '減',     // gen - reduce
+  'useCallback': '呼',    // ko - call
+  'useMemo': '憶',        // oku - memory
+  'useRef': '照',         // shou - refer to
+  'useLayoutEffect': '層', // sou - layer
+  'createContext': '境',  // kyou - surroundings
+  'forwardRef': '託',     // taku - hand on
+  'memo': '覚',           // kaku - remember
+  'Fragment': '断',       // dan - fragment
+
+  // Props
+  'children': '子',       // ko - child
+  'className': '級',      // kyuu - class, grade
+  'onClick': '押',        // osu - push
+  'onChange': '改',       // kai - alter
+  'onSubmit': '提',       // tei - submit
+  'onKeyDown': '打',      // da - strike (a key)
+  'htmlFor': '宛',        // ate - addressed to
+  'ref': '紐',            // himo - tie
+  'disabled': '停',       // tei - halt
+  'placeholder': '仮',    // ka - provisional
+  'href': '址',           // shi - site
+  'src': '源',            // gen - source
+  'alt': '代',            // dai - substitute
+
+  // Elements
+  'div': '区',            // ku - division
+  'span': '幅',           // haba - span
+  'button': '釦',         // botan - button
+  'input': '注',          // chuu - pour in
+  'form': '票',           // hyou - form, slip
+  'section': '節',        // setsu - section
+  'header': '冠',         // kan - crown
+  'footer': '脚',         // kyaku - foot
+  'nav': '航',            // kou - navigate
+  'main': '主',           // shu - main
+  'textarea': '稿',       // kou - draft
+  'option': '肢',         // shi - choice
+  'img': '画'             // ga - picture
+};
@@ -0,0 +1,45 @@
+/**
+ * Kanji dictionary additions for TypeScript
+ *
+ * These entries extend the bundled dictionary when code is compressed with
+ * `language: 'typescript'`, for the keywords and types that only TypeScript
+ * code uses. Words TypeScript shares with JavaScript (`implements`, `any`,
+ * `Promise`...) are in the bundled dictionary already. The combined table is
+ * validated like any other, so these Kanji must not be used there.
+ */
+
+module.exports = {
+  // Declarations
+  'interface': '面',    // men - face, interface
+  'type': '種',         // shu - kind, type
+  'namespace': '域',    // iki - area, domain
+  'declare': '告',      // koku - announce, declare
+  'enum': '枚',         // mai - counter (enumerate)
+
+  // Modifiers
+  'readonly': '閲',     // etsu - read through
+  'abstract': '虚',     // kyo - empty, abstract
+  'private': '私',      // shi - private
+  'protected': '護',    // go - protect
+  'public': '公',       // kou - public
+  'override': '越',     // etsu - go beyond
+
+  // Type operators
+  'keyof': '錠',        // jou - lock (opened by a key)
+  'infer': '推',        // sui - infer
+  'satisfies': '満',    // man - satisfy
+
+  // Types
+  'string': '弦',       // gen - string (of an instrument)
+  'number': '桁',       // keta - digit
+  'boolean': '是',      // ze - right (or wrong)
+  'unknown': '謎',      // nazo - mystery
+  'never': '絶',        // zetsu - never
+
+  // Utility types
+  'Record': '記',       // ki - record
+  'Partial': '片',      // hen - fragment
+  'Omit': '略',         // ryaku - omit
+  'Pick': '摘',         // teki - pick
+  'Required': '必'      // hitsu - required
+};
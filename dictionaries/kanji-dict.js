@@ -3,6 +3,12 @@
  * 
  * This dictionary maps common JavaScript keywords, functions, and patterns
  * to single Kanji characters to maximize token efficiency.
+ * 
+ * This is version 2 of the dictionary. Every word has its own Kanji, so
+ * compressed code can always be translated back unambiguously; the table is
+ * validated when it is loaded (see kanji-dictionary.js). Version 1, which
+ * mapped some words to the same Kanji, is kept in kanji-dict-v1.js for
+ * decoding older output only.
  */
 
 module.exports = {
@@ -11,7 +17,7 @@ module.exports = {
   'return': '返',       // hen - return
   'const': '定',        // tei - fixed, constant
   'let': '変',          // hen - change, variable
-  'var': '数',          // suu - number, variable
+  'var': '宣',          // sen - declare
   'if': '条',           // jou - condition
   'else': '他',         // ta - other
   'for': '繰',          // kuri - repeat
@@ -32,7 +38,7 @@ module.exports = {
   'null': '無',         // mu - nothing
   'undefined': '未',    // mi - not yet
   'super': '親',        // oya - parent
-  'static': '静',       // sei - static
+  'static': '固',       // katashi - fixed
   'extends': '継',      // kei - continue, extend
   'implements': '実',   // jitsu - implement, practice
   
@@ -46,7 +52,7 @@ module.exports = {
   'Math': '算',         // san - calculate
   'console': '示',      // ji - display
   'log': '録',          // roku - record
-  'error': '誤',        // go - error
+  'error': '過誤',      // kago - error
   'warn': '警',         // kei - warn
   'info': '知',         // chi - know, info
   'JSON': '換',         // kan - exchange
@@ -57,8 +63,8 @@ module.exports = {
   
   // CommonJS/Node.js
   'require': '要',      // you - require
-  'module': '組',       // kumi - module
-  'exports': '送',      // sou - send
+  'module': '模',       // mo - model, module
+  'exports': '輸',      // yu - export
   'process': '過',      // ka - process
   'global': '全',       // zen - whole
   'Buffer': '緩',       // kan - buffer
@@ -75,8 +81,8 @@ module.exports = {
   'writeFile': '保',    // ho - preserve
   'mkdir': '創',        // sou - create
   'stat': '状',         // jou - state
-  'path': '道',         // michi - path
-  'join': '結',         // ketsu - join
+  'path': '跡',         // ato - track, path
+  'join': '繋',         // tsunagi - connect
   'readdir': '列挙',    // retsukyo - enumeration
   'unlink': '削除',     // sakujo - delete
   'rename': '改名',     // kaimei - rename
@@ -90,12 +96,12 @@ module.exports = {
   'response': '答',     // tou - response
   'server': '供',       // kyou - supply, serve
   'client': '客',       // kyaku - client
-  'router': '路',       // ro - path
+  'router': '路',       // ro - router
   'route': '経',        // kei - route
   'get': '取',          // tori - get
   'post': '送',         // okuri - send
   'put': '置',          // oki - put
-  'delete': '消',       // shou - delete
+  'delete': '除去',     // jokyo - remove
   'fetch': '獲',        // kaku - obtain
   'headers': '頭',      // atama - head
   'status': '態',       // tai - status
@@ -106,16 +112,14 @@ module.exports = {
   'express': '速',      // soku - express, speed
   'app': '応',          // ou - application
   'middleware': '中',   // chuu - middle
-  'static': '固',       // katashi - fixed
   'session': '会',      // kai - meeting
   'cookie': '点',       // ten - point
   'body': '体',         // tai - body
-  'params': '引',       // in - parameter
-  'query': '問',        // mon - question, query
-  'router': '路',       // ro - router
+  'params': '参',       // san - refer, parameter
+  'query': '詢',        // jun - inquiry
   'controller': '制',   // sei - control
   'view': '見',         // ken - view
-  'render': '画',       // ga - draw
+  'render': '描画',     // byouga - render
   'redirect': '転',     // ten - transfer
   'next': '次',         // ji - next
   
@@ -125,33 +129,30 @@ module.exports = {
   'useEffect': '効果',  // kouka - effect
   'props': '属性',      // zokusei - properties
   'component': '部品',  // buhin - component
-  'render': '描画',     // byouga - render
   'Vue': '景',          // kei - view
   'Angular': '角',      // kaku - angle
   'Svelte': '軽',       // kei - light
   'template': '型紙',   // katagami - template
-  'style': '様式',      // youshiki - style
+  'style': '様',        // you - style, manner
   
   // Database
   'database': '庫',     // ko - storehouse
   'connect': '接',      // setsu - connect
   'collection': '集',   // shuu - collection
-  'document': '件',     // ken - document
-  'model': '型',        // kata - model, type
-  'schema': '図',       // zu - diagram, plan
-  'find': '探',         // tan - find
+  'document': '紙',     // kami - paper, document
+  'model': '模型',      // mokei - model
+  'schema': '案',       // an - plan, draft
+  'find': '探',         // tan - search, find
   'findOne': '検',      // ken - examine
   'findById': '索',     // saku - search
   'save': '存',         // zon - exist, save
   'update': '更',       // kou - update
   'remove': '除',       // jo - remove
   'create': '造',       // zou - create
-  'delete': '削',       // saku - delete
-  'query': '詢',        // jun - inquiry
   'select': '選',       // sen - select
   'where': '処',        // sho - place, where
   'aggregate': '集計',  // shuukei - aggregate
-  'index': '索引',      // sakuin - index
+  'index': '位',        // kurai - position
   'transaction': '取引', // torihiki - transaction
   'commit': '確定',     // kakutei - commit
   'rollback': '巻戻',   // makimodo - rollback
@@ -163,7 +164,6 @@ module.exports = {
   
   // SQL specific
   'table': '表',        // hyo - table
-  'join': '結合',       // ketsugo - join
   'inner': '内',        // nai - inner
   'outer': '外',        // gai - outer
   'left': '左',         // hidari - left
@@ -180,7 +180,6 @@ module.exports = {
   'resolve': '決',      // ketsu - decide
   'reject': '否',       // hi - reject
   'then': '続',         // zoku - continue
-  'catch': '獲',        // kaku - capture
   'finally': '終',      // shu - end
   'all': '全部',        // zenbu - all
   'race': '競争',       // kyousou - race
@@ -194,13 +193,12 @@ module.exports = {
   'forEach': '各',      // kaku - each
   'some': '一',         // ichi - some
   'every': '皆',        // kai - all
-  'find': '見',         // mi - see
   'includes': '含',     // gan - include
   'push': '添',         // ten - add
-  'pop': '取',          // tori - take
+  'pop': '降',          // ori - take down
   'shift': '抜',        // nu - pull out
   'unshift': '挿',      // sou - insert
-  'slice': '薄切',      // usugiri - slice
+  'slice': '切',        // ki - cut
   'splice': '接続',     // setsuzoku - splice
   'concat': '連結',     // renketsu - concatenate
   'sort': '並',         // nami - sort
@@ -210,10 +208,8 @@ module.exports = {
   
   // String methods
   'split': '割',        // wari - divide
-  'join': '繋',         // tsunagi - connect
-  'replace': '換',      // kan - exchange
+  'replace': '替',      // kae - replace
   'match': '合',        // go - match
-  'slice': '切',        // ki - cut
   'substring': '部',    // bu - part
   'trim': '整',         // sei - arrange, tidy
   'toLowerCase': '低',  // tei - low
@@ -221,7 +217,7 @@ module.exports = {
   'charAt': '位置',     // ichi - position
   'indexOf': '索引位置', // sakuin-ichi - index position
   'startsWith': '始',   // hajime - start
-  'endsWith': '終',     // owari - end
+  'endsWith': '尾',     // o - tail, end
   'padStart': '前詰',   // maezume - pad start
   'padEnd': '後詰',     // atodzume - pad end
   
@@ -241,23 +237,19 @@ module.exports = {
   // Common variables/parameters
   'data': '資',         // shi - data
   'result': '果',       // ka - result
-  'options': '選',      // sen - selection
+  'options': '択',      // taku - choice, options
   'config': '設',       // setsu - setup
   'user': '者',         // mono - person
   'item': '品',         // hin - item
-  'index': '位',        // kurai - position
   'key': '鍵',          // kagi - key
   'value': '値',        // atai - value
   'name': '名',         // mei - name
   'id': '番',           // ban - number
   'file': '件',         // ken - matter, file
   'url': '所',          // tokoro - place
-  'path': '跡',         // ato - track, path
   'args': '引数',       // hikisuu - arguments
-  'params': '引数',     // hikisuu - parameters
   'callback': '呼戻',   // yobimodoshi - callback
   'payload': '積載',    // sekisai - payload
-  'error': '過誤',      // kago - error
   'success': '成功',    // seikou - success
   'failure': '失敗',    // shippai - failure
   'timeout': '時限',    // jigen - time limit
@@ -270,7 +262,6 @@ module.exports = {
   'typeof': '型',       // kata - type
   'instanceof': '例',   // rei - instance
   'void': '空',         // kara - empty
-  'delete': '除去',     // jokyo - remove
   'in': '中間',         // chukan - inside
   'of': '所属',         // shozoku - belonging
   
@@ -290,7 +281,6 @@ module.exports = {
   'xpath': '経路',      // keiro - path
   
   // Machine Learning/AI
-  'model': '模型',      // mokei - model
   'train': '訓練',      // kunren - train
   'predict': '予測',    // yosoku - predict
   'classify': '分類',   // bunrui - classify
@@ -0,0 +1,264 @@
+/**
+ * JS-Kanji: Dictionary learning
+ *
+ * Builds a dictionary tailored to a codebase. Identifiers and member
+ * sequences (such as `res.status`) are counted across the corpus, scored by
+ * the tokens their substitution would save, and assigned CJK characters that
+ * are used neither by the base dictionary nor by the code itself.
+ *
+ * The learned entries extend the bundled dictionary: pass them as
+ * `extendDictionary` when compressing and decompressing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, isIdentifierName } = require('./js-tokenizer');
+const { resolveDictionary, createDictionary } = require('./kanji-dictionary');
+const utils = require('./utils');
+
+// Default token budget for the learned dictionary itself
+const DEFAULT_BUDGET = 500;
+
+// Longest member sequence considered, in words
+const MAX_SEQUENCE_WORDS = 3;
+
+// Range of characters assigned to learned entries (CJK Unified Ideographs)
+const CJK_START = 0x4E00;
+const CJK_END = 0x9FFF;
+
+const ASCII_WORD = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Learn a dictionary from a set of source files
+ *
+ * Each candidate is scored as `uses * (tokens before - target cost) - entry
+ * cost`, where the entry cost is what listing `word=Kanji` takes in a prompt.
+ * Costs are counted with the tokenizer, which splits rarer Kanji into
+ * several tokens, so targets are assigned cheapest first and a candidate is
+ * only kept if the target it gets still saves tokens. Candidates are taken
+ * in order of savings until the entries would exceed the budget.
+ *
+ * @param {Array<string|Object>} files - File paths, or `{ path, code }` objects
+ * @param {Object} options - Learning options
+ * @param {number} options.budget - Maximum tokens the learned entries may take (default 500)
+ * @param {number} options.minCount - Minimum number of uses for a candidate (default 2)
+ * @param {boolean} options.sequences - Also learn member sequences (default true)
+ * @param {Object|Function} options.tokenizer - Tokenizer to count savings with
+ * @return {Object} - `{ entries, details, estimatedSavings, dictionaryTokens, files }`
+ */
+function learnDictionary(files, options = {}) {
+  const opts = {
+    budget: DEFAULT_BUDGET,
+    minCount: 2,
+    sequences: true,
+    ...options
+  };
+  const base = resolveDictionary(opts);
+
+  // Count candidates across the corpus
+  const counts = new Map();
+  const usedCharacters = new Set(Object.keys(base.reverse).join(''));
+  const sources = readSources(files);
+
+  for (const { code } of sources) {
+    for (const ch of code.match(/[\u4E00-\u9FFF]/g) || []) {
+      usedCharacters.add(ch);
+    }
+    countCandidates(tokenize(code), base, opts, counts);
+  }
+
+  // Score candidates by the tokens they would save with the cheapest target
+  const targets = freeTargets(usedCharacters, opts);
+  const score = (candidate, cost) =>
+    candidate.count * (candidate.before - cost) - (candidate.wordCost + cost + 1);
+
+  const scored = [];
+  for (const [word, count] of counts) {
+    if (count < opts.minCount || targets.length === 0) continue;
+
+    const candidate = {
+      word,
+      count,
+      before: utils.estimateTokens(compressWord(word, base), true, opts),
+      wordCost: utils.estimateTokens(word, false, opts)
+    };
+    candidate.savings = score(candidate, targets[0].cost);
+    if (candidate.savings > 0) {
+      scored.push(candidate);
+    }
+  }
+  scored.sort((a, b) => b.savings - a.savings || a.word.localeCompare(b.word));
+
+  // Take the best candidates that fit into the budget and still save with their target
+  const entries = {};
+  const details = [];
+  let dictionaryTokens = 0;
+  let estimatedSavings = 0;
+  let next = 0;
+
+  for (const candidate of scored) {
+    if (next === targets.length) break;
+
+    const { target, cost } = targets[next];
+    const savings = score(candidate, cost);
+    const entryCost = candidate.wordCost + cost + 1;
+    if (savings <= 0 || dictionaryTokens + entryCost > opts.budget) continue;
+
+    next++;
+    entries[candidate.word] = target;
+    details.push({ word: candidate.word, target, count: candidate.count, savings });
+    dictionaryTokens += entryCost;
+    estimatedSavings += savings;
+  }
+
+  // Make sure the result can be used to extend the base dictionary
+  createDictionary(entries, { base, name: 'learned' });
+
+  return {
+    entries,
+    details,
+    estimatedSavings,
+    dictionaryTokens,
+    files: sources.map(source => source.path)
+  };
+}
+
+/**
+ * Read the source of every file
+ *
+ * @param {Array<string|Object>} files - File paths, or `{ path, code }` objects
+ * @return {Object[]} - `{ path, code }` for every file
+ */
+function readSources(files) {
+  return files.map(file => {
+    if (typeof file === 'string') {
+      return { path: file, code: fs.readFileSync(file, 'utf8') };
+    }
+    return { path: file.path || null, code: String(file.code) };
+  });
+}
+
+/**
+ * Count identifiers and member sequences that the base dictionary lacks
+ *
+ * @param {Object[]} tokens - Tokens of one file
+ * @param {Object} base - Dictionary the learned entries will extend
+ * @param {Object} options - Learning options
+ * @param {Map} counts - Counts to update, by word
+ */
+function countCandidates(tokens, base, options, counts) {
+  const add = word => counts.set(word, (counts.get(word) || 0) + 1);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (!isCandidateToken(token)) continue;
+
+    if (!(token.value in base.forward)) {
+      add(token.value);
+    }
+
+    if (!options.sequences) continue;
+
+    // Member sequences starting at this word, written without whitespace
+    const parts = [token.value];
+    for (let next = i + 2; parts.length < MAX_SEQUENCE_WORDS; next += 2) {
+      if (!tokens[next - 1] || tokens[next - 1].value !== '.' || !isCandidateToken(tokens[next])) break;
+      parts.push(tokens[next].value);
+      const word = parts.join('.');
+      if (!(word in base.forward)) {
+        add(word);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a token may be part of a learned entry
+ *
+ * @param {Object} token - Token to check
+ * @return {boolean} - True for plain ASCII identifiers and keywords
+ */
+function isCandidateToken(token) {
+  return Boolean(token) && (token.type === 'identifier' || token.type === 'keyword') &&
+    ASCII_WORD.test(token.value);
+}
+
+/**
+ * Compress a word or member sequence with the base dictionary only
+ *
+ * @param {string} word - Identifier or member sequence
+ * @param {Object} base - Base dictionary
+ * @return {string} - The word as the base dictionary would write it
+ */
+function compressWord(word, base) {
+  return word.split('.').map(part => base.forward[part] || part).join('.');
+}
+
+/**
+ * List the CJK characters that are not used yet, cheapest first
+ *
+ * @param {Set<string>} used - Characters to skip
+ * @param {Object} options - Counting options, with the tokenizer to count with
+ * @return {Object[]} - `{ target, cost }` in order of tokens, then of code point
+ */
+function freeTargets(used, options) {
+  const targets = [];
+  for (const target of freeCharacters(used)) {
+    targets.push({ target, cost: utils.estimateTokens(target, true, options) });
+  }
+  return targets.sort((a, b) => a.cost - b.cost);
+}
+
+/**
+ * Generate CJK characters that are not used yet
+ *
+ * @param {Set<string>} used - Characters to skip
+ * @return {Iterator<string>} - Free characters in code point order
+ */
+function* freeCharacters(used) {
+  for (let code = CJK_START; code <= CJK_END; code++) {
+    const ch = String.fromCharCode(code);
+    if (!used.has(ch) && isIdentifierName(ch)) {
+      yield ch;
+    }
+  }
+}
+
+/**
+ * Format learned entries as a dictionary file
+ *
+ * `.js` files are written as CommonJS modules like the bundled dictionaries,
+ * annotated with use counts and savings; anything else is written as JSON.
+ *
+ * @param {Object} learned - Result of learnDictionary
+ * @param {string} file - Output file name, used to pick the format
+ * @return {string} - File contents
+ */
+function formatDictionaryFile(learned, file = 'dictionary.json') {
+  if (path.extname(file).toLowerCase() !== '.js') {
+    return JSON.stringify(learned.entries, null, 2) + '\n';
+  }
+
+  const lines = learned.details.map(({ word, target, count, savings }) =>
+    `  '${word}': '${target}', // ${count} uses, saves ~${savings} tokens`);
+
+  return [
+    '/**',
+    ' * Learned Kanji dictionary',
+    ' * ',
+    ` * Generated by \`js-kanji learn\` from ${learned.files.length} files.`,
+    ' * Use it to extend the bundled dictionary (`extendDictionary`).',
+    ' */',
+    '',
+    'module.exports = {',
+    ...lines,
+    '};',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  learnDictionary,
+  formatDictionaryFile,
+  DEFAULT_BUDGET
+};
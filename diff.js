@@ -0,0 +1,339 @@
+/**
+ * JS-Kanji: Diffs
+ *
+ * Finds the differences between two sequences (lines or tokens) with the
+ * Myers algorithm, writes line differences as unified diffs that `git apply`
+ * and `patch` understand, and applies unified diffs to text.
+ */
+
+const { PatchError } = require('./errors');
+
+// Context lines around each change in a unified diff
+const DEFAULT_CONTEXT = 3;
+
+// Edit distance after which the rest is treated as a single change
+const MAX_EDIT_DISTANCE = 2000;
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const NO_NEWLINE = '\\ No newline at end of file';
+
+/**
+ * Find the changes that turn one sequence into another
+ *
+ * Each change replaces `a[aStart..aEnd)` with `b[bStart..bEnd)`; one of the
+ * two ranges is empty for pure insertions and deletions. Everything between
+ * the changes is equal.
+ *
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {Function} equals - Compares an element of `a` with one of `b`
+ * @return {Object[]} - Changes in order, as `{ aStart, aEnd, bStart, bEnd }`
+ */
+function diffSequences(a, b, equals = (x, y) => x === y) {
+  // Equal ends need no search
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && equals(a[aEnd - 1], b[bEnd - 1])) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const matches = findMatches(a.slice(start, aEnd), b.slice(start, bEnd), equals)
+    .map(([i, j]) => [i + start, j + start]);
+
+  const changes = [];
+  let i = start;
+  let j = start;
+  for (const [matchA, matchB] of [...matches, [aEnd, bEnd]]) {
+    if (matchA > i || matchB > j) {
+      changes.push({ aStart: i, aEnd: matchA, bStart: j, bEnd: matchB });
+    }
+    i = matchA + 1;
+    j = matchB + 1;
+  }
+  return changes;
+}
+
+/**
+ * Find the pairs of equal elements on a shortest edit path
+ *
+ * @param {Array} a - Old sequence
+ * @param {Array} b - New sequence
+ * @param {Function} equals - Element comparison
+ * @return {number[][]} - Index pairs `[i, j]` in order
+ */
+function findMatches(a, b, equals) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= limit && !found; d++) {
+    // Furthest x on each diagonal k (x - y) before this step
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ?
+        v[offset + k + 1] :
+        v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && equals(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Too different: report one change
+  if (!found) return [];
+
+  const matches = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const before = k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d]) ? k + 1 : k - 1;
+    const previousX = previous[before + d];
+    const previousY = previousX - before;
+
+    while (x > previousX && y > previousY) {
+      matches.push([--x, --y]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    matches.push([--x, --y]);
+  }
+
+  return matches.reverse();
+}
+
+/**
+ * Write the differences between two texts as a unified diff
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - Diff options
+ * @param {string} options.file - File name for the `---`/`+++` lines (defaults to 'source.js')
+ * @param {number} options.context - Context lines around each change (defaults to 3)
+ * @return {string} - Unified diff, or an empty string if the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const file = options.file || 'source.js';
+  const context = options.context === undefined ? DEFAULT_CONTEXT : options.context;
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const changes = diffSequences(oldLines, newLines);
+  if (!changes.length) return '';
+
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  for (const group of groupChanges(changes, context, oldLines.length)) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const oldStart = Math.max(0, first.aStart - context);
+    const oldEnd = Math.min(oldLines.length, last.aEnd + context);
+    const newStart = first.bStart - (first.aStart - oldStart);
+    const newEnd = last.bEnd + (oldEnd - last.aEnd);
+
+    output.push(`@@ -${formatRange(oldStart, oldEnd)} +${formatRange(newStart, newEnd)} @@`);
+
+    let i = oldStart;
+    for (const change of group) {
+      for (; i < change.aStart; i++) output.push(formatLine(' ', oldLines[i]));
+      for (let k = change.aStart; k < change.aEnd; k++) output.push(formatLine('-', oldLines[k]));
+      for (let k = change.bStart; k < change.bEnd; k++) output.push(formatLine('+', newLines[k]));
+      i = change.aEnd;
+    }
+    for (; i < oldEnd; i++) output.push(formatLine(' ', oldLines[i]));
+  }
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Read the hunks of a unified diff
+ *
+ * Line counts in the hunk headers are not relied on, since hand-written (or
+ * LLM-written) diffs often get them wrong: a hunk runs until the next hunk
+ * or file header. Empty lines count as empty context lines.
+ *
+ * @param {string} patch - Unified diff
+ * @return {Object[]} - Hunks as `{ oldStart, lines }`, with lines as `{ type, text }`
+ *   where type is ' ', '-' or '+' and text includes the line break (if any)
+ * @throws {PatchError} - If the diff has no hunks
+ */
+function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let hunk = null;
+
+  for (const line of patch.split(/\r?\n/)) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      hunk = { oldStart: Number(header[1]), lines: [] };
+      hunks.push(hunk);
+    } else if (line.startsWith('--- ') || line.startsWith('+++ ') || line.startsWith('diff ')) {
+      hunk = null;
+    } else if (hunk && line === NO_NEWLINE) {
+      const last = hunk.lines[hunk.lines.length - 1];
+      if (last) last.text = last.text.replace(/\n$/, '');
+    } else if (hunk && (line === '' || ' -+'.includes(line[0]))) {
+      hunk.lines.push({ type: line[0] || ' ', text: line.slice(1) + '\n', bare: line === '' });
+    }
+  }
+
+  // Empty lines at the end of a hunk separate it from what follows
+  for (const { lines } of hunks) {
+    while (lines.length && lines[lines.length - 1].bare) lines.pop();
+    lines.forEach(line => delete line.bare);
+  }
+
+  if (!hunks.length) {
+    throw new PatchError('Patch contains no hunks');
+  }
+  return hunks;
+}
+
+/**
+ * Apply a unified diff to a text
+ *
+ * Each hunk is looked for where its header says, then ever further away from
+ * there (like `patch`), and lines are compared without trailing whitespace.
+ *
+ * @param {string} text - Text the diff was made against
+ * @param {string} patch - Unified diff
+ * @return {string} - Patched text
+ * @throws {PatchError} - If a hunk's context or removed lines are not found
+ */
+function applyUnifiedDiff(text, patch) {
+  const lines = splitLines(text);
+  const result = [];
+  let copied = 0;
+  let offset = 0;
+
+  parseUnifiedDiff(patch).forEach((hunk, n) => {
+    const expected = hunk.lines.filter(line => line.type !== '+').map(line => line.text);
+    // A hunk without old lines names the line it comes after
+    const start = expected.length ? hunk.oldStart - 1 : hunk.oldStart;
+    const wanted = Math.max(start + offset, copied);
+    const at = findLines(lines, expected, wanted, copied);
+    if (at === -1) {
+      throw new PatchError(`Hunk ${n + 1} does not apply at line ${hunk.oldStart}`, {
+        hunk: n + 1,
+        line: hunk.oldStart,
+        expected: expected.map(line => line.replace(/\n$/, ''))
+      });
+    }
+
+    result.push(...lines.slice(copied, at));
+    let i = at;
+    for (const line of hunk.lines) {
+      if (line.type === ' ') result.push(lines[i++]);
+      else if (line.type === '-') i++;
+      else result.push(line.text);
+    }
+
+    offset = at - start;
+    copied = i;
+  });
+
+  result.push(...lines.slice(copied));
+  return result.join('');
+}
+
+/**
+ * Find a run of lines, starting near a line and moving away from it
+ *
+ * @param {string[]} lines - Lines to search
+ * @param {string[]} expected - Lines to find
+ * @param {number} near - Index to look at first
+ * @param {number} from - Lowest index the run may start at
+ * @return {number} - Index of the run, or -1 if it is not there
+ */
+function findLines(lines, expected, near, from) {
+  const matchesAt = index => expected.every((line, k) =>
+    index + k < lines.length && lines[index + k].trimEnd() === line.trimEnd());
+  const last = lines.length - expected.length;
+
+  for (let distance = 0; near - distance >= from || near + distance <= last; distance++) {
+    if (near + distance <= last && matchesAt(near + distance)) return near + distance;
+    if (distance > 0 && near - distance >= from && near - distance <= last && matchesAt(near - distance)) {
+      return near - distance;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Group changes whose context lines touch or overlap into hunks
+ *
+ * @param {Object[]} changes - Line changes in order
+ * @param {number} context - Context lines around each change
+ * @param {number} length - Number of old lines
+ * @return {Object[][]} - Changes by hunk
+ */
+function groupChanges(changes, context, length) {
+  const groups = [];
+  for (const change of changes) {
+    const group = groups[groups.length - 1];
+    if (group && change.aStart - context <= Math.min(length, group[group.length - 1].aEnd + context)) {
+      group.push(change);
+    } else {
+      groups.push([change]);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Split text into lines that keep their line break
+ *
+ * @param {string} text - Text to split
+ * @return {string[]} - Lines; only the last one may lack a line break
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Format the range of a hunk header
+ *
+ * @param {number} start - 0-based index of the first line
+ * @param {number} end - Index after the last line
+ * @return {string} - `start,length`, where an empty range names the line before it
+ */
+function formatRange(start, end) {
+  const length = end - start;
+  return `${length ? start + 1 : start},${length}`;
+}
+
+/**
+ * Format a line of a hunk
+ *
+ * @param {string} prefix - ' ', '-' or '+'
+ * @param {string} line - Line with its line break
+ * @return {string} - Diff line, marking a missing final line break
+ */
+function formatLine(prefix, line) {
+  return line.endsWith('\n') ?
+    prefix + line.slice(0, -1) :
+    `${prefix}${line}\n\\ No newline at end of file`;
+}
+
+module.exports = {
+  diffSequences,
+  createUnifiedDiff,
+  parseUnifiedDiff,
+  applyUnifiedDiff,
+  splitLines
+};
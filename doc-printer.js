@@ -0,0 +1,287 @@
+/**
+ * JS-Kanji: Document layout
+ *
+ * The code printer (js-printer.js) does not write text directly. It builds a
+ * document out of text, groups and possible line breaks, and the layout here
+ * decides for each group, from the outside in, whether it fits on the rest of
+ * the line or has to break at its lines (the algorithm of Wadler's "A
+ * prettier printer", as used by Prettier).
+ *
+ * A document is a string, an array of documents, or one of:
+ *
+ * - `group(doc)`: laid out flat if it fits, broken otherwise
+ * - `indent(doc)`: lines that break inside it are indented one level more
+ * - `line`: a space when flat, a line break when broken
+ * - `softline`: nothing when flat, a line break when broken
+ * - `hardline`: always a line break, which breaks every group around it
+ * - `ifBreak(broken, flat)`: depends on whether the enclosing group broke
+ * - `lineSuffix(doc)`: held back until the end of the line (trailing comments)
+ * - `comment(text)`: a comment, its continuation lines indented to where it lands
+ */
+
+const line = { type: 'line' };
+const softline = { type: 'line', soft: true };
+const breakParent = { type: 'break-parent' };
+const hardline = [{ type: 'line', hard: true }, breakParent];
+
+/**
+ * Group a document, to be laid out on one line if it fits
+ *
+ * @param {*} contents - Document to group
+ * @param {boolean} shouldBreak - Break the group even if it fits
+ * @return {Object} - Group document
+ */
+function group(contents, shouldBreak = false) {
+  return { type: 'group', contents, break: shouldBreak };
+}
+
+/**
+ * Indent the lines that break inside a document
+ *
+ * @param {*} contents - Document to indent
+ * @return {Object} - Indent document
+ */
+function indent(contents) {
+  return { type: 'indent', contents };
+}
+
+/**
+ * Choose a document by whether the enclosing group broke
+ *
+ * @param {*} breakContents - Document for a broken group
+ * @param {*} flatContents - Document for a flat group
+ * @return {Object} - Conditional document
+ */
+function ifBreak(breakContents, flatContents = '') {
+  return { type: 'if-break', breakContents, flatContents };
+}
+
+/**
+ * Hold a document back until the end of the line
+ *
+ * @param {*} contents - Document to write at the end of the line
+ * @return {Object} - Line suffix document
+ */
+function lineSuffix(contents) {
+  return { type: 'line-suffix', contents };
+}
+
+/**
+ * Write a comment, indenting its continuation lines to the column it starts at
+ *
+ * @param {string} text - Comment text, its lines relative to its start
+ * @return {Object} - Comment document
+ */
+function comment(text) {
+  return { type: 'comment', text };
+}
+
+/**
+ * Join documents with a separator
+ *
+ * @param {*} separator - Document between the parts
+ * @param {Array} docs - Documents to join
+ * @return {Array} - Joined document
+ */
+function join(separator, docs) {
+  return docs.flatMap((doc, i) => (i === 0 ? [doc] : [separator, doc]));
+}
+
+/**
+ * Lay a document out as text
+ *
+ * @param {*} doc - Document to lay out
+ * @param {Object} options - Layout options
+ * @param {number} options.indentWidth - Columns per indentation level
+ * @param {boolean} options.useTabs - Indent with tabs instead of spaces
+ * @param {number} options.maxLineWidth - Width that groups have to fit in
+ * @return {string} - Laid out text
+ */
+function layoutDoc(doc, options) {
+  propagateBreaks(doc);
+
+  const indentation = level => (options.useTabs ? '\t'.repeat(level) : ' '.repeat(level * options.indentWidth));
+  const out = [];
+  const commands = [[0, 'break', doc]];
+  let suffixes = [];
+  let lineStart = 0;
+  let pos = 0;
+
+  while (commands.length) {
+    const [level, mode, current] = commands.pop();
+
+    if (typeof current === 'string') {
+      out.push(current);
+      const newline = current.lastIndexOf('\n');
+      pos = newline === -1 ? pos + current.length : current.length - newline - 1;
+      if (newline !== -1) lineStart = -1;
+      continue;
+    }
+
+    if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) commands.push([level, mode, current[i]]);
+      continue;
+    }
+
+    switch (current.type) {
+      case 'indent':
+        commands.push([level + 1, mode, current.contents]);
+        break;
+      case 'group': {
+        const flat = [level, 'flat', current.contents];
+        const fitsFlat = !current.break &&
+          (mode === 'flat' || fits(flat, commands, options.maxLineWidth - pos));
+        commands.push(fitsFlat ? flat : [level, 'break', current.contents]);
+        break;
+      }
+      case 'if-break':
+        commands.push([level, mode, mode === 'break' ? current.breakContents : current.flatContents]);
+        break;
+      case 'line-suffix':
+        suffixes.push([level, mode, current.contents]);
+        break;
+      case 'comment': {
+        // Continuation lines go under the comment, with the line's own indentation if it starts the line
+        const prefix = pos === lineStart ? indentation(level) : ' '.repeat(pos);
+        const lines = current.text.split('\n');
+        out.push(lines.map((text, i) => (i === 0 || !text ? text : prefix + text)).join('\n'));
+        pos = lines.length === 1 ? pos + lines[0].length : prefix.length + lines[lines.length - 1].length;
+        if (lines.length > 1) lineStart = -1;
+        break;
+      }
+      case 'line':
+        if (mode === 'flat' && !current.hard) {
+          if (!current.soft) {
+            out.push(' ');
+            pos++;
+          }
+          break;
+        }
+        if (suffixes.length) {
+          // Write the held back comments before breaking the line
+          commands.push([level, mode, current], ...suffixes.reverse());
+          suffixes = [];
+          break;
+        }
+        trimTrailingWhitespace(out);
+        out.push('\n' + indentation(level));
+        pos = lineStart = options.useTabs ? level * options.indentWidth : indentation(level).length;
+        break;
+      default:
+        break;
+    }
+
+    if (!commands.length && suffixes.length) {
+      commands.push(...suffixes.reverse());
+      suffixes = [];
+    }
+  }
+
+  trimTrailingWhitespace(out);
+  return out.join('');
+}
+
+/**
+ * Check whether a command fits in the given width when laid out flat
+ *
+ * The rest of the line after it (from the commands still to be laid out)
+ * has to fit too.
+ *
+ * @param {Array} next - Command to measure
+ * @param {Array[]} rest - Commands still to be laid out (the last one is next)
+ * @param {number} width - Columns left on the line
+ * @return {boolean} - True if it fits
+ */
+function fits(next, rest, width) {
+  const commands = [next];
+  let restIndex = rest.length;
+
+  while (width >= 0) {
+    if (!commands.length) {
+      if (restIndex === 0) return true;
+      commands.push(rest[--restIndex]);
+      continue;
+    }
+
+    const [level, mode, current] = commands.pop();
+    if (typeof current === 'string' || current.type === 'comment') {
+      const text = typeof current === 'string' ? current : current.text;
+      const newline = text.indexOf('\n');
+      width -= newline === -1 ? text.length : newline;
+      if (newline !== -1) return width >= 0;
+    } else if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) commands.push([level, mode, current[i]]);
+    } else if (current.type === 'indent') {
+      commands.push([level, mode, current.contents]);
+    } else if (current.type === 'group') {
+      commands.push([level, current.break ? 'break' : mode, current.contents]);
+    } else if (current.type === 'if-break') {
+      commands.push([level, mode, mode === 'break' ? current.breakContents : current.flatContents]);
+    } else if (current.type === 'line') {
+      if (mode === 'break' || current.hard) return true;
+      if (!current.soft) width--;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Mark every group that contains a hard line break as broken
+ *
+ * @param {*} doc - Document to mark
+ * @return {boolean} - True if the document contains a hard line break
+ */
+function propagateBreaks(doc) {
+  if (typeof doc === 'string') return false;
+  if (Array.isArray(doc)) {
+    let found = false;
+    for (const part of doc) found = propagateBreaks(part) || found;
+    return found;
+  }
+
+  switch (doc.type) {
+    case 'break-parent':
+      return true;
+    case 'group':
+      if (propagateBreaks(doc.contents)) doc.break = true;
+      return doc.break;
+    case 'indent':
+    case 'line-suffix':
+      return propagateBreaks(doc.contents);
+    case 'if-break':
+      return propagateBreaks(doc.breakContents);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Remove spaces and tabs from the end of the output so far
+ *
+ * @param {string[]} out - Output pieces
+ */
+function trimTrailingWhitespace(out) {
+  while (out.length) {
+    const trimmed = out[out.length - 1].replace(/[ \t]+$/, '');
+    if (trimmed) {
+      out[out.length - 1] = trimmed;
+      return;
+    }
+    out.pop();
+  }
+}
+
+module.exports = {
+  line,
+  softline,
+  hardline,
+  breakParent,
+  group,
+  indent,
+  ifBreak,
+  lineSuffix,
+  comment,
+  join,
+  layoutDoc
+};
@@ -0,0 +1,118 @@
+/**
+ * Error types for Semantic-Kanji
+ *
+ * Structured errors carry enough detail for automated pipelines to report
+ * exactly what went wrong without parsing error messages.
+ */
+
+/**
+ * Thrown when decompressing compressed code does not reproduce the original
+ */
+class RoundTripError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Where the round trip first diverged
+   * @param {string} details.method - Compression method that was verified
+   * @param {string} details.mode - Comparison mode ('bytes' or 'tokens'), or 'syntax' for an outline that does not parse
+   * @param {number} details.position - Offset of the first difference in the original
+   * @param {number} details.line - 1-based line of the first difference
+   * @param {number} details.column - 0-based column of the first difference
+   * @param {string} details.expected - Original text at the difference
+   * @param {string} details.actual - Round-tripped text at the difference
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RoundTripError';
+    this.method = details.method;
+    this.mode = details.mode;
+    this.position = details.position;
+    this.line = details.line;
+    this.column = details.column;
+    this.expected = details.expected;
+    this.actual = details.actual;
+  }
+}
+
+/**
+ * Thrown when a dictionary cannot be used for compression, or when compressed
+ * code refers to a dictionary that is not available
+ */
+class DictionaryError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - What is wrong with the dictionary
+   * @param {string} details.dictionary - Name of the dictionary
+   * @param {Object[]} details.duplicates - Targets shared by several words, as `{ target, words }`
+   * @param {string[]} details.invalid - Entries whose word or target is not an identifier
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'DictionaryError';
+    this.dictionary = details.dictionary;
+    this.duplicates = details.duplicates || [];
+    this.invalid = details.invalid || [];
+  }
+}
+
+/**
+ * Thrown when a compressed container header is malformed or unsupported
+ */
+class FormatError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - What was found in the header
+   * @param {number} details.formatVersion - Format version declared by the header
+   * @param {string} details.method - Compression method declared by the header
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FormatError';
+    this.formatVersion = details.formatVersion;
+    this.method = details.method;
+  }
+}
+
+/**
+ * Thrown when a patch does not apply to the code it is applied to
+ */
+class PatchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Where the patch failed
+   * @param {number} details.hunk - 1-based number of the hunk that failed
+   * @param {number} details.line - 1-based line the hunk expected to start at
+   * @param {string[]} details.expected - Lines the hunk expected to find
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PatchError';
+    this.hunk = details.hunk;
+    this.line = details.line;
+    this.expected = details.expected || [];
+  }
+}
+
+/**
+ * Thrown when a repair rule is malformed, or unknown when it is enabled or
+ * disabled by name
+ */
+class RepairRuleError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Which rule is wrong
+   * @param {string} details.rule - Name of the rule
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RepairRuleError';
+    this.rule = details.rule;
+  }
+}
+
+module.exports = {
+  RoundTripError,
+  DictionaryError,
+  FormatError,
+  PatchError,
+  RepairRuleError
+};
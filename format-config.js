@@ -0,0 +1,278 @@
+/**
+ * JS-Kanji: Formatting style
+ *
+ * Decompressed code is printed in a configurable style (see js-printer.js):
+ *
+ * - `indentWidth`: columns per indentation level (2)
+ * - `useTabs`: indent with tabs instead of spaces (false)
+ * - `quotes`: 'single', 'double', or 'preserve' to leave string literals as
+ *   written ('preserve'); a string keeps its quotes if the other kind would
+ *   need more escapes
+ * - `semicolons`: end statements with semicolons (true)
+ * - `trailingCommas`: 'none', 'es5' (arrays, objects, imports and exports) or
+ *   'all' (also parameters and arguments), in broken lists only ('none')
+ * - `maxLineWidth`: width that lists are broken to fit in (80)
+ *
+ * The style of a project can be read from its `.editorconfig` and Prettier
+ * configuration (`.prettierrc`, `.prettierrc.json`, `.prettierrc.yaml`,
+ * `.prettierrc.yml`, or the "prettier" key of package.json). Settings from the
+ * Prettier configuration win, as they do for Prettier itself. Configurations
+ * written as JavaScript are not loaded, since that would mean running them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STYLE = {
+  indentWidth: 2,
+  useTabs: false,
+  quotes: 'preserve',
+  semicolons: true,
+  trailingCommas: 'none',
+  maxLineWidth: 80
+};
+
+const PRETTIER_FILES = ['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml'];
+
+/**
+ * Complete a style with the defaults
+ *
+ * Later styles override earlier ones; settings left undefined are skipped.
+ *
+ * @param {...Object} styles - Style settings (any may be left out)
+ * @return {Object} - Full style
+ */
+function resolveStyle(...styles) {
+  const resolved = { ...DEFAULT_STYLE };
+  for (const style of styles) {
+    for (const [key, value] of Object.entries(style || {})) {
+      if (value !== undefined && key in DEFAULT_STYLE) resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Read the formatting style of a project
+ *
+ * Configuration files are looked for in the given directory and the
+ * directories above it. The nearest Prettier configuration is used, and the
+ * `.editorconfig` sections that apply to JavaScript files, up to one with
+ * `root = true`.
+ *
+ * @param {string} start - Directory to start from, or a file in it (defaults to the working directory)
+ * @return {Object} - Style settings found (only those that were set)
+ */
+function loadFormatConfig(start = process.cwd()) {
+  let directory = path.resolve(start);
+  let file = path.join(directory, 'index.js');
+  if (fs.existsSync(directory) && fs.statSync(directory).isFile()) {
+    file = directory;
+    directory = path.dirname(directory);
+  }
+
+  let prettier = null;
+  const editorConfigs = [];
+  let editorRoot = false;
+
+  for (let current = directory; ; current = path.dirname(current)) {
+    if (!prettier) prettier = readPrettierConfig(current);
+
+    const editorConfig = path.join(current, '.editorconfig');
+    if (!editorRoot && fs.existsSync(editorConfig)) {
+      const parsed = parseEditorConfig(fs.readFileSync(editorConfig, 'utf8'), path.relative(current, file));
+      editorConfigs.unshift(parsed.settings);
+      editorRoot = parsed.root;
+    }
+
+    if ((prettier && editorRoot) || path.dirname(current) === current) break;
+  }
+
+  return {
+    ...fromEditorConfig(Object.assign({}, ...editorConfigs)),
+    ...fromPrettierConfig(prettier || {})
+  };
+}
+
+/**
+ * Read the Prettier configuration in a directory
+ *
+ * @param {string} directory - Directory to look in
+ * @return {Object|null} - Prettier options, or null if there are none
+ */
+function readPrettierConfig(directory) {
+  for (const name of PRETTIER_FILES) {
+    const file = path.join(directory, name);
+    if (fs.existsSync(file)) {
+      return parsePrettierConfig(fs.readFileSync(file, 'utf8'));
+    }
+  }
+
+  const packageFile = path.join(directory, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    try {
+      const { prettier } = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+      if (prettier && typeof prettier === 'object') return prettier;
+    } catch (error) {
+      // Not a readable package.json
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a Prettier configuration file (JSON, or YAML with one option per line)
+ *
+ * @param {string} text - File contents
+ * @return {Object} - Prettier options
+ */
+function parsePrettierConfig(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const options = {};
+    for (const line of text.split('\n')) {
+      const match = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*(?:#.*)?$/);
+      if (match) options[match[1]] = parseScalar(match[2]);
+    }
+    return options;
+  }
+}
+
+/**
+ * Parse an `.editorconfig` file for the settings of one file
+ *
+ * @param {string} text - File contents
+ * @param {string} file - Path of the file, relative to the `.editorconfig`
+ * @return {Object} - `{ root, settings }`
+ */
+function parseEditorConfig(text, file) {
+  const settings = {};
+  let root = false;
+  let applies = false;
+  let preamble = true;
+
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+    const section = line.match(/^\[(.*)\]$/);
+    if (section) {
+      preamble = false;
+      applies = editorConfigGlob(section[1]).test(file.split(path.sep).join('/'));
+      continue;
+    }
+
+    const pair = line.match(/^([^=:]+?)\s*[=:]\s*(.*)$/);
+    if (!pair) continue;
+    const key = pair[1].toLowerCase();
+    const value = pair[2].toLowerCase();
+    if (preamble && key === 'root') root = value === 'true';
+    if (applies) settings[key] = parseScalar(value);
+  }
+
+  return { root, settings };
+}
+
+/**
+ * Turn an `.editorconfig` section name into a regular expression
+ *
+ * @param {string} pattern - Section glob (`*`, `**`, `?`, `{a,b}` and `[...]` are supported)
+ * @return {RegExp} - Expression matching the paths the section applies to
+ */
+function editorConfigGlob(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      const double = pattern[i + 1] === '*';
+      source += double ? '.*' : '[^/]*';
+      if (double) i++;
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      source += end === -1 ? '\\[' : pattern.slice(i, end + 1);
+      if (end !== -1) i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // Patterns without a slash match in any directory
+  return new RegExp(pattern.includes('/') ? `^${source.replace(/^\\\//, '')}$` : `(?:^|/)${source}$`);
+}
+
+/**
+ * Map `.editorconfig` settings to a style
+ *
+ * @param {Object} settings - Settings that apply to JavaScript files
+ * @return {Object} - Style settings
+ */
+function fromEditorConfig(settings) {
+  const style = {};
+  if (settings.indent_style === 'tab' || settings.indent_style === 'space') {
+    style.useTabs = settings.indent_style === 'tab';
+  }
+
+  const width = settings.indent_size === 'tab' ? settings.tab_width : settings.indent_size || settings.tab_width;
+  if (Number.isInteger(width)) style.indentWidth = width;
+  if (Number.isInteger(settings.max_line_length)) style.maxLineWidth = settings.max_line_length;
+  if (settings.quote_type === 'single' || settings.quote_type === 'double') style.quotes = settings.quote_type;
+  return style;
+}
+
+/**
+ * Map Prettier options to a style
+ *
+ * @param {Object} options - Prettier options
+ * @return {Object} - Style settings
+ */
+function fromPrettierConfig(options) {
+  const style = {};
+  if (Number.isInteger(options.tabWidth)) style.indentWidth = options.tabWidth;
+  if (typeof options.useTabs === 'boolean') style.useTabs = options.useTabs;
+  if (typeof options.singleQuote === 'boolean') style.quotes = options.singleQuote ? 'single' : 'double';
+  if (typeof options.semi === 'boolean') style.semicolons = options.semi;
+  if (['none', 'es5', 'all'].includes(options.trailingComma)) style.trailingCommas = options.trailingComma;
+  if (Number.isInteger(options.printWidth)) style.maxLineWidth = options.printWidth;
+  return style;
+}
+
+/**
+ * Parse a configuration value
+ *
+ * @param {string} value - Value as written
+ * @return {*} - Boolean, number or unquoted string
+ */
+function parseScalar(value) {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @param {string} text - Text to escape
+ * @return {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = {
+  DEFAULT_STYLE,
+  resolveStyle,
+  loadFormatConfig,
+  parseEditorConfig,
+  parsePrettierConfig
+};
@@ -0,0 +1,581 @@
+/**
+ * JS-Kanji: Renaming locals
+ *
+ * An optional stage before Kanji substitution that shortens the names of
+ * local variables, parameters and functions, which the dictionary cannot
+ * help with (`customerBalance` stays `customerBalance`):
+ *
+ *   function total(lineItems) { ... lineItems ... }
+ *   function total(a) { ... a ... }
+ *
+ * Scopes are worked out from the syntax tree, so every reference to a
+ * binding gets the same new name and nothing else does. Only bindings that
+ * cannot be seen from outside the code are renamed, which leaves top-level
+ * (global, module and exported) names alone. Scopes that contain a direct
+ * `eval` or a `with` statement, whose names can be looked up at run time,
+ * are left alone too.
+ *
+ * Each original name gets one short name that appears nowhere in the code,
+ * so the original names are restored token by token from the rename map:
+ *
+ *   //@names a=lineItems,b=subtotal
+ *
+ * Bindings written in shorthand (`{ lineItems }`), dictionary words and the
+ * names the semantic patterns spell out are not renamed, which keeps the
+ * restored code identical to the original.
+ */
+
+const { parseCode } = require('./js-parser');
+const { tokenize } = require('./js-tokenizer');
+const { getDictionary } = require('./kanji-dictionary');
+
+// Node properties that are not child nodes
+const IGNORED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'raw']);
+
+// Characters for short names (digits may follow the first character)
+const FIRST_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const NEXT_CHARS = FIRST_CHARS + '0123456789';
+
+// Names that cannot be declared or that mean something special
+const RESERVED = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+  'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new',
+  'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static',
+  'implements', 'interface', 'package', 'private', 'protected', 'public',
+  'async', 'of', 'get', 'set', 'arguments', 'eval', 'undefined', 'NaN',
+  'Infinity'
+]);
+
+// Identifiers spelled out by each pattern table
+const patternNames = new WeakMap();
+
+/**
+ * Rename local bindings to short names
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} options - Renaming options
+ * @param {Object} options.dictionary - Dictionary the code will be compressed with (its words keep their names)
+ * @param {Object} options.patterns - Semantic pattern table the code will be matched against, if any
+ * @return {Object} - `{ code, names, mappings }` where names maps each short
+ *   name to the original name, and mappings go from the renamed to the original code
+ */
+function renameLocals(code, options = {}) {
+  const ast = parseCode(code);
+  if (!ast) {
+    return { code, names: {}, mappings: [{ generated: 0, original: 0, length: code.length }] };
+  }
+
+  const dictionary = options.dictionary || getDictionary();
+  const spelled = options.patterns ? getPatternNames(options.patterns) : new Set();
+  const words = new Set();
+  for (const word of Object.keys(dictionary.forward)) {
+    (word.match(/[\w$]+/g) || []).forEach(part => words.add(part));
+  }
+
+  // Short names must not be confused with anything in the code or the tables
+  const taken = new Set([...spelled, ...words, ...RESERVED]);
+  for (const token of tokenize(code)) {
+    if (token.type === 'identifier' || token.type === 'keyword') taken.add(token.value);
+  }
+
+  const occurrences = new Map();
+  for (const binding of analyzeScopes(ast)) {
+    const { name } = binding;
+    if (binding.fixed || binding.scope.kind === 'program' || binding.scope.dynamic ||
+        RESERVED.has(name) || words.has(name) || spelled.has(name)) {
+      continue;
+    }
+    if (!occurrences.has(name)) occurrences.set(name, []);
+    occurrences.get(name).push(...binding.identifiers);
+  }
+
+  // Names that save the most get the shortest replacements
+  const ranked = [...occurrences].sort(([a, x], [b, y]) => b.length * y.length - a.length * x.length);
+  const shortNames = generateShortNames(taken);
+  let short = shortNames.next().value;
+  const names = {};
+  const edits = [];
+  for (const [name, identifiers] of ranked) {
+    // Each rename also costs its entry in the header
+    if ((name.length - short.length) * identifiers.length <= name.length + short.length + 2) continue;
+
+    names[short] = name;
+    for (const identifier of identifiers) {
+      edits.push({ start: identifier.start, end: identifier.end, text: short, name });
+    }
+    short = shortNames.next().value;
+  }
+
+  return { ...replaceRanges(code, edits), names };
+}
+
+/**
+ * Put the original names back into renamed code
+ *
+ * Works on any stage of the code (renamed, compressed or decompressed), as
+ * long as the short names are still separate identifiers.
+ *
+ * @param {string} code - Code with short names
+ * @param {Object} names - Original names by short name (from renameLocals)
+ * @param {Object} options - Restore options
+ * @param {Object} options.aliases - Aliases for tokenizing compressed code (see tokenize)
+ * @return {string} - Code with the original names
+ */
+function restoreNames(code, names, options = {}) {
+  return restoreNamesMapped(code, names, options).code;
+}
+
+/**
+ * Put the original names back into renamed code, with offset mappings
+ *
+ * @param {string} code - Code with short names
+ * @param {Object} names - Original names by short name
+ * @param {Object} options - Restore options (see restoreNames)
+ * @return {Object} - `{ code, mappings }` with mappings from the restored to the given code
+ */
+function restoreNamesMapped(code, names, options = {}) {
+  const edits = tokenize(code, { aliases: options.aliases })
+    .filter(token => token.type === 'identifier' && Object.prototype.hasOwnProperty.call(names, token.value))
+    .map(token => ({ start: token.start, end: token.end, text: names[token.value] }));
+  return replaceRanges(code, edits);
+}
+
+/**
+ * Find every binding in a syntax tree and the identifiers that refer to it
+ *
+ * @param {Object} ast - Program node
+ * @return {Object[]} - Bindings as `{ name, scope, identifiers, fixed }`,
+ *   where fixed bindings must keep their name
+ */
+function analyzeScopes(ast) {
+  const state = {
+    bindings: [],
+    references: [],
+    // Function declarations in blocks are also hoisted in sloppy scripts
+    sloppy: ast.sourceType === 'script'
+  };
+  const program = createScope(null, 'program');
+  visitStatements(ast.body, program, state);
+
+  // References are resolved once every declaration is known (hoisting)
+  for (const { node, scope, fixed } of state.references) {
+    const binding = lookup(scope, node.name);
+    if (!binding) continue;
+    binding.identifiers.push(node);
+    if (fixed) binding.fixed = true;
+  }
+
+  return state.bindings;
+}
+
+/**
+ * Create a scope
+ *
+ * @param {Object|null} parent - Enclosing scope
+ * @param {string} kind - 'program', 'function', 'block' or 'name' (of a function or class expression)
+ * @return {Object} - The scope
+ */
+function createScope(parent, kind) {
+  return { parent, kind, bindings: new Map(), dynamic: false };
+}
+
+/**
+ * Find the binding a name refers to in a scope
+ *
+ * @param {Object} scope - Scope of the reference
+ * @param {string} name - Referenced name
+ * @return {Object|null} - The binding, or null for globals
+ */
+function lookup(scope, name) {
+  for (let current = scope; current; current = current.parent) {
+    if (current.bindings.has(name)) return current.bindings.get(name);
+  }
+  return null;
+}
+
+/**
+ * Find the scope `var` declarations go to
+ *
+ * @param {Object} scope - Scope of the declaration
+ * @return {Object} - Nearest function (or program) scope
+ */
+function functionScope(scope) {
+  let current = scope;
+  while (current.kind !== 'function' && current.kind !== 'program') current = current.parent;
+  return current;
+}
+
+/**
+ * Declare a name in a scope
+ *
+ * @param {Object} scope - Scope the binding belongs to
+ * @param {Object} identifier - Identifier node declaring it
+ * @param {Object} state - Analysis state
+ * @param {boolean} fixed - Whether the binding must keep its name
+ */
+function declare(scope, identifier, state, fixed = false) {
+  let binding = scope.bindings.get(identifier.name);
+  if (!binding) {
+    binding = { name: identifier.name, scope, identifiers: [], fixed: false };
+    scope.bindings.set(identifier.name, binding);
+    state.bindings.push(binding);
+  }
+  binding.identifiers.push(identifier);
+  if (fixed) binding.fixed = true;
+}
+
+/**
+ * Visit the statements of a body in a scope
+ *
+ * @param {Object[]} statements - Statement nodes
+ * @param {Object} scope - Scope of the body
+ * @param {Object} state - Analysis state
+ */
+function visitStatements(statements, scope, state) {
+  for (const statement of statements) visitNode(statement, scope, state);
+}
+
+/**
+ * Record the declarations and references in a node
+ *
+ * Patterns reached from here are assignment targets, whose names are
+ * references; declared patterns go through declarePattern.
+ *
+ * @param {Object} node - Syntax tree node
+ * @param {Object} scope - Scope the node is in
+ * @param {Object} state - Analysis state
+ */
+function visitNode(node, scope, state) {
+  if (!node || typeof node.type !== 'string') return;
+
+  switch (node.type) {
+    case 'Identifier':
+      state.references.push({ node, scope });
+      return;
+
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      visitFunction(node, scope, state);
+      return;
+
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      visitClass(node, scope, state);
+      return;
+
+    case 'VariableDeclaration':
+      for (const declarator of node.declarations) {
+        declarePattern(declarator.id, node.kind === 'var' ? functionScope(scope) : scope, scope, state);
+        visitNode(declarator.init, scope, state);
+      }
+      return;
+
+    case 'BlockStatement':
+      visitStatements(node.body, createScope(scope, 'block'), state);
+      return;
+
+    case 'StaticBlock':
+      visitStatements(node.body, createScope(scope, 'function'), state);
+      return;
+
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      visitChildren(node, createScope(scope, 'block'), state);
+      return;
+
+    case 'SwitchStatement': {
+      visitNode(node.discriminant, scope, state);
+      const inner = createScope(scope, 'block');
+      for (const switchCase of node.cases) {
+        visitNode(switchCase.test, inner, state);
+        visitStatements(switchCase.consequent, inner, state);
+      }
+      return;
+    }
+
+    case 'CatchClause': {
+      const inner = createScope(scope, 'block');
+      if (node.param) declarePattern(node.param, inner, inner, state);
+      visitStatements(node.body.body, inner, state);
+      return;
+    }
+
+    case 'Property':
+      visitProperty(node, scope, state);
+      return;
+
+    case 'ObjectPattern':
+      node.properties.forEach(property => visitNode(property, scope, state));
+      return;
+
+    case 'MemberExpression':
+      visitNode(node.object, scope, state);
+      if (node.computed) visitNode(node.property, scope, state);
+      return;
+
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      if (node.computed) visitNode(node.key, scope, state);
+      visitNode(node.value, scope, state);
+      return;
+
+    case 'LabeledStatement':
+      visitNode(node.body, scope, state);
+      return;
+
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+    case 'ExportAllDeclaration':
+      return;
+
+    case 'ImportDeclaration':
+      node.specifiers.forEach(specifier => declare(scope, specifier.local, state, true));
+      return;
+
+    case 'ExportNamedDeclaration':
+      visitNode(node.declaration, scope, state);
+      if (!node.source) {
+        node.specifiers.forEach(specifier => state.references.push({ node: specifier.local, scope, fixed: true }));
+      }
+      return;
+
+    case 'CallExpression':
+      // A direct eval can see every name around it
+      if (node.callee.type === 'Identifier' && node.callee.name === 'eval') markDynamic(scope);
+      visitChildren(node, scope, state);
+      return;
+
+    case 'WithStatement':
+      markDynamic(scope);
+      visitChildren(node, scope, state);
+      return;
+
+    default:
+      visitChildren(node, scope, state);
+  }
+}
+
+/**
+ * Visit every child node of a node
+ *
+ * @param {Object} node - Syntax tree node
+ * @param {Object} scope - Scope the node is in
+ * @param {Object} state - Analysis state
+ */
+function visitChildren(node, scope, state) {
+  for (const key of Object.keys(node)) {
+    if (IGNORED_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach(child => visitNode(child, scope, state));
+    } else if (value && typeof value === 'object') {
+      visitNode(value, scope, state);
+    }
+  }
+}
+
+/**
+ * Visit a function, declaring its name and parameters
+ *
+ * @param {Object} node - Function node
+ * @param {Object} scope - Scope the function is in
+ * @param {Object} state - Analysis state
+ */
+function visitFunction(node, scope, state) {
+  let outer = scope;
+  if (node.type === 'FunctionDeclaration') {
+    if (node.id) declare(scope, node.id, state, scope.kind === 'block' && state.sloppy);
+  } else if (node.id) {
+    // The name of a function expression is only visible inside it
+    outer = createScope(scope, 'name');
+    declare(outer, node.id, state);
+  }
+
+  const inner = createScope(outer, 'function');
+  node.params.forEach(param => declarePattern(param, inner, inner, state));
+  if (node.body.type === 'BlockStatement') {
+    visitStatements(node.body.body, inner, state);
+  } else {
+    visitNode(node.body, inner, state);
+  }
+}
+
+/**
+ * Visit a class, declaring its name
+ *
+ * @param {Object} node - Class node
+ * @param {Object} scope - Scope the class is in
+ * @param {Object} state - Analysis state
+ */
+function visitClass(node, scope, state) {
+  let inner = scope;
+  if (node.type === 'ClassDeclaration') {
+    if (node.id) declare(scope, node.id, state);
+  } else if (node.id) {
+    inner = createScope(scope, 'name');
+    declare(inner, node.id, state);
+  }
+
+  visitNode(node.superClass, scope, state);
+  node.body.body.forEach(member => visitNode(member, inner, state));
+}
+
+/**
+ * Visit an object property, keeping shorthand names as they are
+ *
+ * @param {Object} node - Property node (of an object or an assignment pattern)
+ * @param {Object} scope - Scope the property is in
+ * @param {Object} state - Analysis state
+ */
+function visitProperty(node, scope, state) {
+  if (node.computed) visitNode(node.key, scope, state);
+  if (!node.shorthand) {
+    visitNode(node.value, scope, state);
+    return;
+  }
+
+  // `{ total }` names both the key and the variable
+  const value = node.value.type === 'AssignmentPattern' ? node.value.left : node.value;
+  state.references.push({ node: value, scope, fixed: true });
+  if (node.value.type === 'AssignmentPattern') visitNode(node.value.right, scope, state);
+}
+
+/**
+ * Declare the names of a binding pattern
+ *
+ * @param {Object} pattern - Identifier or destructuring pattern
+ * @param {Object} target - Scope the names are declared in
+ * @param {Object} scope - Scope default values and computed keys are evaluated in
+ * @param {Object} state - Analysis state
+ */
+function declarePattern(pattern, target, scope, state) {
+  switch (pattern.type) {
+    case 'Identifier':
+      declare(target, pattern, state);
+      break;
+
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        if (property.type === 'RestElement') {
+          declarePattern(property.argument, target, scope, state);
+          continue;
+        }
+        if (property.computed) visitNode(property.key, scope, state);
+        if (property.shorthand) {
+          const assigned = property.value.type === 'AssignmentPattern';
+          declare(target, assigned ? property.value.left : property.value, state, true);
+          if (assigned) visitNode(property.value.right, scope, state);
+        } else {
+          declarePattern(property.value, target, scope, state);
+        }
+      }
+      break;
+
+    case 'ArrayPattern':
+      pattern.elements.filter(Boolean).forEach(element => declarePattern(element, target, scope, state));
+      break;
+
+    case 'RestElement':
+      declarePattern(pattern.argument, target, scope, state);
+      break;
+
+    case 'AssignmentPattern':
+      declarePattern(pattern.left, target, scope, state);
+      visitNode(pattern.right, scope, state);
+      break;
+
+    default:
+      visitNode(pattern, scope, state);
+  }
+}
+
+/**
+ * Mark a scope and the scopes around it as having names looked up at run time
+ *
+ * @param {Object} scope - Scope with a direct eval or with statement
+ */
+function markDynamic(scope) {
+  for (let current = scope; current; current = current.parent) current.dynamic = true;
+}
+
+/**
+ * Collect the identifiers a pattern table spells out
+ *
+ * Renaming them would keep the patterns from matching.
+ *
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @return {Set<string>} - Identifiers outside the holes
+ */
+function getPatternNames(patterns) {
+  if (!patternNames.has(patterns)) {
+    const identifiers = new Set();
+    for (const template of Object.keys(patterns)) {
+      for (const token of tokenize(template)) {
+        if (token.type === 'identifier' && !/\$\d/.test(token.value)) identifiers.add(token.value);
+      }
+    }
+    patternNames.set(patterns, identifiers);
+  }
+  return patternNames.get(patterns);
+}
+
+/**
+ * Generate short names, shortest first, skipping taken ones
+ *
+ * @param {Set<string>} taken - Names that may not be used
+ * @return {Generator<string>} - Free names
+ */
+function* generateShortNames(taken) {
+  for (let length = 1; ; length++) {
+    const count = FIRST_CHARS.length * NEXT_CHARS.length ** (length - 1);
+    for (let n = 0; n < count; n++) {
+      let rest = Math.floor(n / FIRST_CHARS.length);
+      let name = FIRST_CHARS[n % FIRST_CHARS.length];
+      for (let i = 1; i < length; i++) {
+        name += NEXT_CHARS[rest % NEXT_CHARS.length];
+        rest = Math.floor(rest / NEXT_CHARS.length);
+      }
+      if (!taken.has(name)) yield name;
+    }
+  }
+}
+
+/**
+ * Replace ranges of code, with offset mappings
+ *
+ * @param {string} code - Code to change
+ * @param {Object[]} edits - Non-overlapping `{ start, end, text, name? }` replacements
+ * @return {Object} - `{ code, mappings }` with mappings from the result to the code
+ */
+function replaceRanges(code, edits) {
+  let result = '';
+  let copied = 0;
+  const mappings = [];
+  const copy = end => {
+    if (end > copied) mappings.push({ generated: result.length, original: copied, length: end - copied });
+    result += code.slice(copied, end);
+  };
+
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    copy(edit.start);
+    mappings.push(edit.name ?
+      { generated: result.length, original: edit.start, name: edit.name } :
+      { generated: result.length, original: edit.start });
+    result += edit.text;
+    copied = edit.end;
+  }
+  copy(code.length);
+
+  return { code: result, mappings };
+}
+
+module.exports = {
+  renameLocals,
+  restoreNames,
+  restoreNamesMapped
+};
@@ -2,6 +2,8 @@
  * Semantic-Kanji TypeScript declarations
  */
 
+import type { Transform } from 'stream';
+
 /**
  * Compression options
  */
@@ -9,17 +11,196 @@ export interface CompressionOptions {
   removeComments?: boolean;
   preserveLineBreaks?: boolean;
   optimizationLevel?: number;
+  /** Produce output that decompresses to the exact original bytes */
+  lossless?: boolean;
+  /** Decompress the output and throw a RoundTripError if it differs */
+  verify?: boolean;
+  /** Prepend a container header recording method, dictionary and options (default true) */
+  header?: boolean;
+  /** Dictionary used instead of the bundled one */
+  dictionary?: DictionaryEntries | Dictionary;
+  /** Entries added to the bundled (or given) dictionary */
+  extendDictionary?: DictionaryEntries;
+  /** Embed a custom dictionary in the container header (default true) */
+  embedDictionary?: boolean;
+  /** Semantic pattern table used instead of the bundled one */
+  patterns?: { [pattern: string]: string };
+  /** Also return a source map from the compressed to the original code */
+  sourceMap?: boolean | SourceMapOptions;
+  /** Shorten local names first, recording the originals in the header */
+  renameLocals?: boolean;
+  /** Move the import and export declarations at the top and end into the header */
+  moduleHeader?: boolean;
+  /** Write JSDoc blocks without their ` * ` line prefixes */
+  compressComments?: boolean;
+  /** Language of the code (defaults to 'javascript') */
+  language?: Language;
+  /** Compress JSX elements, with the React dictionary table */
+  jsx?: boolean;
   [key: string]: any;
 }
 
+/**
+ * Source languages
+ */
+export type Language = 'javascript' | 'typescript';
+
 /**
  * Decompression options
  */
 export interface DecompressionOptions {
+  /** Print the decompressed code in a consistent style (defaults to true) */
   formatOutput?: boolean;
+  /** Only re-indent the code by bracket depth, as for TypeScript */
+  reindent?: boolean;
+  /** Brackets left open by the parts of the file re-indented before this one, updated in place */
+  openBrackets?: boolean[];
+  /** Style to print the code in, over the project style (only its indentation for TypeScript) */
+  format?: FormatStyle;
+  /** Directory or file whose .editorconfig and Prettier configuration give the style (not for TypeScript) */
+  formatConfig?: string;
+  /** Repair rules switched on (true) or off (false) by name */
+  repairs?: { [name: string]: boolean };
+  /** Repair rules to run after the built-in ones */
+  repairRules?: RepairRule[];
+  /** Decompress code that was compressed in lossless mode */
+  lossless?: boolean;
+  /** Decompress code whose comments were compressed */
+  compressComments?: boolean;
+  /** Language the code was compressed as (read from the header if there is one) */
+  language?: Language;
+  /** Decompress code that was compressed with JSX (read from the header if there is one) */
+  jsx?: boolean;
+  /** Dictionary version the code was compressed with (defaults to the current one) */
+  dictionaryVersion?: number;
+  /** Custom dictionary the code was compressed with */
+  dictionary?: DictionaryEntries | Dictionary;
+  /** Entries the bundled dictionary was extended with */
+  extendDictionary?: DictionaryEntries;
+  /** Semantic pattern table the code was compressed with */
+  patterns?: { [pattern: string]: string };
+  /** Also return a source map from the decompressed to the compressed code */
+  sourceMap?: boolean | SourceMapOptions;
   [key: string]: any;
 }
 
+/**
+ * Style of decompressed code
+ */
+export interface FormatStyle {
+  /** Columns per indentation level (defaults to 2) */
+  indentWidth?: number;
+  /** Indent with tabs instead of spaces */
+  useTabs?: boolean;
+  /** Quotes of string literals (defaults to 'preserve') */
+  quotes?: 'single' | 'double' | 'preserve';
+  /** End statements with semicolons (defaults to true) */
+  semicolons?: boolean;
+  /** Trailing commas in broken lists (defaults to 'none') */
+  trailingCommas?: 'none' | 'es5' | 'all';
+  /** Width that lists are broken to fit in (defaults to 80) */
+  maxLineWidth?: number;
+}
+
+/**
+ * Names of the files in a source map
+ */
+export interface SourceMapOptions {
+  /** Name of the generated file */
+  file?: string;
+  /** Name of the original file (defaults to 'source.js') */
+  source?: string;
+  /** Embed the original code as sourcesContent */
+  includeContent?: boolean;
+}
+
+/**
+ * Source Map v3
+ */
+export interface SourceMap {
+  version: 3;
+  file?: string;
+  sources: string[];
+  sourcesContent?: string[];
+  names: string[];
+  mappings: string;
+}
+
+/**
+ * Code with the source map that describes where it came from
+ */
+export interface MappedCode {
+  code: string;
+  map: SourceMap;
+}
+
+/**
+ * Position in a source file (line is 1-based, column 0-based)
+ */
+export interface SourcePosition {
+  source: string;
+  line: number;
+  column: number;
+  name: string | null;
+}
+
+/**
+ * Options for generating prompts
+ */
+export interface PromptOptions {
+  /** Split the full prompt into segments */
+  split?: boolean;
+  /** Teach the model to answer edits with compressed patches */
+  patches?: boolean;
+  [key: string]: any;
+}
+
+/**
+ * Options for applying an edit made to compressed code
+ */
+export interface CompressedEditOptions {
+  /** Method the code was compressed with, for code without a header */
+  method?: 'kanji' | 'semantic-kanji' | 'semantic';
+  /** Custom dictionary the code was compressed with */
+  dictionary?: DictionaryEntries | Dictionary;
+  /** Entries the bundled dictionary was extended with */
+  extendDictionary?: DictionaryEntries;
+  /** Semantic pattern table the code was compressed with */
+  patterns?: { [pattern: string]: string };
+  /** File name used in the diff (defaults to 'source.js') */
+  file?: string;
+}
+
+/**
+ * Original code with an edit applied, and the edit as a unified diff
+ */
+export interface CompressedEdit {
+  code: string;
+  /** Unified diff against the original, empty if nothing changed */
+  diff: string;
+}
+
+/**
+ * Map of words (identifiers and keywords) to the Kanji that replace them
+ */
+export interface DictionaryEntries {
+  [word: string]: string;
+}
+
+/**
+ * Validated dictionary with lookup tables
+ */
+export interface Dictionary {
+  name: string;
+  version: number | null;
+  legacy: boolean;
+  hash: string;
+  base: Dictionary | null;
+  entries: DictionaryEntries;
+  forward: DictionaryEntries;
+  reverse: DictionaryEntries;
+}
+
 /**
  * Compression statistics
  */
@@ -31,6 +212,30 @@ export interface CompressionStats {
   compressedTokens: number;
   tokenReduction: number;
   tokenSavingsPercent: number;
+  /** Tokenizer the counts come from, or 'estimate' */
+  tokenizer: string;
+}
+
+/**
+ * Anything that counts tokens: an object with `countTokens`, or a function
+ */
+export type Tokenizer = { name: string; countTokens(text: string): number } | ((text: string) => number);
+
+/**
+ * Options for token counting
+ */
+export interface CountingOptions {
+  tokenizer?: Tokenizer;
+}
+
+/**
+ * Tokenizer built from a BPE merge table
+ */
+export interface BpeTokenizer {
+  name: string;
+  encode(text: string): number[];
+  decode(ids: number[]): string;
+  countTokens(text: string): number;
 }
 
 /**
@@ -56,8 +261,251 @@ export interface ComparisonResult {
     reduction: number;
     savingsPercent: number;
   };
+  bestMethod: 'kanji' | 'semantic';
+  tokenizer: string;
+}
+
+/**
+ * Thrown by compress({ verify: true }) when the round trip changes the code
+ */
+export class RoundTripError extends Error {
+  name: 'RoundTripError';
+  method: string;
+  mode: 'bytes' | 'tokens' | 'syntax';
+  position: number;
+  line: number;
+  column: number;
+  expected: string;
+  actual: string;
+}
+
+/**
+ * Thrown when a dictionary maps several words to one target, or is unknown
+ */
+export class DictionaryError extends Error {
+  name: 'DictionaryError';
+  dictionary: string;
+  duplicates: Array<{ target: string; words: string[] }>;
+  invalid: string[];
+}
+
+/**
+ * Thrown when a container header is malformed or from a newer format
+ */
+export class FormatError extends Error {
+  name: 'FormatError';
+  formatVersion?: number;
+  method?: string;
+}
+
+/**
+ * Thrown by applyCompressedPatch when a hunk does not match the code
+ */
+export class PatchError extends Error {
+  name: 'PatchError';
+  hunk?: number;
+  line?: number;
+  expected: string[];
+}
+
+/**
+ * Thrown when a repair rule is malformed, or switched by a name that does not exist
+ */
+export class RepairRuleError extends Error {
+  name: 'RepairRuleError';
+  rule?: string;
+}
+
+/**
+ * Context a repair rule runs in
+ */
+export interface RepairContext {
+  /** Dictionary the code is decoded with */
+  dictionary: Dictionary;
+  /** Decompression options */
+  options: DecompressionOptions;
+}
+
+/**
+ * Post-processing rule for code the dictionary cannot decode by itself
+ */
+export interface RepairRule {
+  /** Name to switch the rule by (kebab-case) */
+  name: string;
+  description?: string;
+  /** Run on the compressed code ('kanji') or on the decoded code ('code') */
+  stage: 'kanji' | 'code';
+  /** Precondition; the rule is skipped when it returns false */
+  when?: (context: RepairContext) => boolean;
+  /** Text to replace outside literals, and its replacement */
+  pattern?: RegExp;
+  replacement?: string | ((match: string, ...args: any[]) => string);
+  /** Rewrite the code (instead of pattern and replacement) */
+  apply?: (code: string, context: RepairContext) => string;
+  /** Whether the rule runs unless switched on by name (defaults to true) */
+  enabled?: boolean;
+  /** Examples the rule must turn input into output for, decoded with options */
+  tests?: Array<{ input: string; output: string; options?: DecompressionOptions }>;
+}
+
+/**
+ * Built-in repair rules
+ */
+export const repairRules: RepairRule[];
+
+/**
+ * Run the tests of a repair rule, returning those that fail
+ */
+export function checkRepairRule(rule: RepairRule): Array<{ input: string; expected: string; actual: string }>;
+
+/**
+ * Parsed container header
+ */
+export interface ContainerHeader {
+  formatVersion: number;
+  method: 'kanji' | 'semantic-kanji' | 'outline';
+  dictionary: {
+    name: string;
+    version: number | null;
+    hash: string;
+  };
+  patternsHash: string | null;
+  language: Language;
+  options: {
+    preserveLineBreaks: boolean;
+    removeComments: boolean;
+    lossless: boolean;
+    compressComments: boolean;
+    jsx: boolean;
+  };
+  sections: { [name: string]: string };
 }
 
+/**
+ * Validate entries and build a dictionary (throws DictionaryError if two
+ * words share a Kanji)
+ */
+export function createDictionary(
+  entries: DictionaryEntries,
+  options?: { name?: string; base?: Dictionary }
+): Dictionary;
+
+/**
+ * Load dictionary entries from a .json or .js file
+ */
+export function loadDictionaryFile(file: string): DictionaryEntries;
+
+/**
+ * Options for learning a dictionary
+ */
+export interface LearnDictionaryOptions extends CountingOptions {
+  /** Maximum tokens the learned entries may take (default 500) */
+  budget?: number;
+  /** Minimum number of uses for an entry (default 2) */
+  minCount?: number;
+  /** Also learn member sequences such as `res.status` (default true) */
+  sequences?: boolean;
+  /** Dictionary the learned entries extend (defaults to the bundled one) */
+  dictionary?: DictionaryEntries | Dictionary;
+  dictionaryVersion?: number;
+}
+
+/**
+ * Result of learning a dictionary
+ */
+export interface LearnedDictionary {
+  entries: DictionaryEntries;
+  details: Array<{ word: string; target: string; count: number; savings: number }>;
+  estimatedSavings: number;
+  dictionaryTokens: number;
+  files: Array<string | null>;
+}
+
+/**
+ * Learn dictionary entries from source files (paths or `{ path, code }`)
+ */
+export function learnDictionary(
+  files: Array<string | { path?: string; code: string }>,
+  options?: LearnDictionaryOptions
+): LearnedDictionary;
+
+/**
+ * Format learned entries as a .json or .js dictionary file
+ */
+export function formatDictionaryFile(learned: LearnedDictionary, file?: string): string;
+
+/**
+ * Print decompressed code in a style (re-indenting it only if it does not parse)
+ */
+export function formatCode(code: string, style?: FormatStyle): string;
+
+/**
+ * Read the formatting style of a project from its .editorconfig and Prettier configuration
+ */
+export function loadFormatConfig(start?: string): FormatStyle;
+
+/**
+ * Default token budget of learnDictionary
+ */
+export const DEFAULT_LEARN_BUDGET: number;
+
+/**
+ * Result of optimizing symbols for a tokenizer
+ */
+export interface SymbolOptimization {
+  tokenizer: string;
+  /** Dictionary where every replacement is strictly cheaper than its word */
+  dictionary: DictionaryEntries;
+  /** Semantic pattern table with single-token symbols */
+  patterns: { [pattern: string]: string };
+  entries: Array<{
+    word: string;
+    before: string;
+    after: string | null;
+    sourceTokens: number;
+    tokens: number;
+    status: 'kept' | 'reassigned' | 'removed';
+  }>;
+  symbols: Array<{
+    before: string;
+    after: string;
+    tokens: number;
+    status: 'kept' | 'reassigned' | 'unchanged';
+  }>;
+  /** Entries and patterns that cost more than their source in the current tables */
+  negative: Array<{
+    type: 'dictionary' | 'pattern';
+    source: string;
+    target: string;
+    sourceTokens: number;
+    targetTokens: number;
+    savings: number;
+  }>;
+}
+
+/**
+ * Re-assign dictionary and pattern symbols to single-token characters of a
+ * tokenizer (a `.tiktoken` merge table file or a tokenizer)
+ */
+export function optimizeSymbols(
+  vocabulary: string | Tokenizer,
+  options?: {
+    dictionary?: DictionaryEntries | Dictionary;
+    extendDictionary?: DictionaryEntries;
+    patterns?: { [pattern: string]: string };
+  }
+): SymbolOptimization;
+
+/**
+ * Read the container header of compressed code (null if it has none)
+ */
+export function readHeader(code: string): ContainerHeader | null;
+
+/**
+ * Version of the bundled dictionary used for compression
+ */
+export const DICTIONARY_VERSION: number;
+
 /**
  * Compression module interface
  */
@@ -74,11 +522,16 @@ export type PromptFormat = 'full' | 'basic' | 'minimal';
 /**
  * Compression method types
  */
-export type CompressionMethod = 'kanji' | 'semantic-kanji' | 'semantic' | 'auto';
+export type CompressionMethod = 'kanji' | 'semantic-kanji' | 'semantic' | 'outline' | 'auto';
 
 /**
  * Compress JavaScript code using the specified method
  */
+export function compress(
+  code: string, 
+  method: CompressionMethod | undefined, 
+  options: CompressionOptions & { sourceMap: true | SourceMapOptions }
+): MappedCode;
 export function compress(
   code: string, 
   method?: CompressionMethod, 
@@ -88,18 +541,172 @@ export function compress(
 /**
  * Decompress code back to readable JavaScript
  */
+export function decompress(
+  code: string, 
+  method: CompressionMethod | undefined, 
+  options: DecompressionOptions & { sourceMap: true | SourceMapOptions }
+): MappedCode;
 export function decompress(
   code: string, 
   method?: CompressionMethod, 
   options?: DecompressionOptions
 ): string;
 
+/**
+ * Create a stream that compresses code with the Kanji layer in pieces, for
+ * inputs too large to hold as one string. Options that need the whole code
+ * (renameLocals, moduleHeader, sourceMap, verify) throw.
+ */
+export function createCompressStream(method?: 'kanji', options?: CompressionOptions): Transform;
+export function createCompressStream(options?: CompressionOptions): Transform;
+
+/**
+ * Create a stream that decompresses 'kanji' or 'outline' code in pieces,
+ * re-indenting it instead of printing it
+ */
+export function createDecompressStream(method?: CompressionMethod, options?: DecompressionOptions): Transform;
+
+/**
+ * Find where a position in generated code came from. Without a column, the
+ * first mapped position on the line is used.
+ */
+export function originalPositionFor(
+  map: SourceMap,
+  position: { line: number; column?: number }
+): SourcePosition | null;
+
+/**
+ * Apply an edit made to compressed code to the original source, rewriting
+ * only the tokens that changed
+ */
+export function applyCompressedEdit(
+  originalCode: string,
+  compressedBefore: string,
+  compressedAfter: string,
+  options?: CompressedEditOptions
+): CompressedEdit;
+
+/**
+ * Describe the changes between two files as a compressed unified diff
+ * (empty if nothing changed). The method defaults to 'kanji'.
+ */
+export function createCompressedPatch(
+  oldCode: string,
+  newCode: string,
+  options?: CompressionOptions & { method?: CompressionMethod; file?: string }
+): string;
+
+/**
+ * Apply a compressed patch to the code it was made against
+ */
+export function applyCompressedPatch(
+  originalCode: string,
+  patch: string,
+  options?: CompressedEditOptions
+): CompressedEdit;
+
+/**
+ * A file of a bundle
+ */
+export interface BundleFile {
+  /** Relative path, separated by `/` */
+  path: string;
+  code: string;
+}
+
+/**
+ * Options for packing a bundle
+ */
+export interface PackBundleOptions extends CompressionOptions {
+  /** Learn a dictionary shared by all code files (default true) */
+  learn?: boolean;
+  /** Maximum tokens the shared dictionary may take (default 500) */
+  budget?: number;
+  /** Tokenizer to count savings with */
+  tokenizer?: Tokenizer;
+}
+
+/**
+ * Pack files into one bundle with a shared dictionary; code files are
+ * compressed in lossless mode
+ */
+export function packBundle(files: BundleFile[], options?: PackBundleOptions): string;
+
+/**
+ * Level of detail a file is packed at for a token budget
+ */
+export type BudgetLevel = 'full' | 'semantic' | 'signatures' | 'omitted';
+
+/**
+ * What to favour when packing for a token budget
+ */
+export interface BudgetPriorities {
+  /** Entry points (default: the `index.*` and `main.*` files closest to the root) */
+  entries?: string[];
+  /** Recently changed files */
+  changed?: string[];
+  /** Extra points by path */
+  boost?: Record<string, number>;
+}
+
+/**
+ * Options for packing a bundle into a token budget
+ */
+export interface PackForBudgetOptions extends PackBundleOptions {
+  /** Token budget of the whole bundle, as counted by estimateTokens */
+  maxTokens: number;
+  priorities?: BudgetPriorities;
+}
+
+/**
+ * A bundle packed for a token budget
+ */
+export interface BudgetBundle {
+  bundle: string;
+  /** Tokens the bundle takes */
+  tokens: number;
+  /** Level chosen for each file, best ranked first */
+  files: Array<{ path: string; level: BudgetLevel; score: number; tokens: number }>;
+}
+
+/**
+ * Pack files into a bundle that fits a token budget, keeping the best
+ * ranked files in most detail (throws RangeError if not even the manifest fits)
+ */
+export function packForBudget(files: BundleFile[], options: PackForBudgetOptions): BudgetBundle;
+
+/**
+ * A file restored from a bundle
+ */
+export interface UnpackedFile {
+  path: string;
+  /** The file, its semantic code or signatures, or null if it was omitted */
+  code: string | null;
+  /** Set for files not packed in full */
+  level?: Exclude<BudgetLevel, 'full'>;
+}
+
+/**
+ * Restore the files of a bundle (throws FormatError if one does not match
+ * the manifest)
+ */
+export function unpackBundle(bundle: string, options?: DecompressionOptions): UnpackedFile[];
+
+/**
+ * Re-compress code produced with an older dictionary version
+ */
+export function migrate(
+  code: string,
+  fromVersion?: number,
+  options?: CompressionOptions & DecompressionOptions
+): string;
+
 /**
  * Compare different compression methods on the same code
  */
 export function compare(
   code: string, 
-  options?: CompressionOptions
+  options?: CompressionOptions & CountingOptions
 ): ComparisonResult;
 
 /**
@@ -108,7 +715,7 @@ export function compare(
 export function generatePrompt(
   format?: PromptFormat, 
   method?: CompressionMethod, 
-  options?: any
+  options?: PromptOptions
 ): string | string[];
 
 /**
@@ -117,7 +724,8 @@ export function generatePrompt(
 export function getStats(
   original: string, 
   compressed: string, 
-  isKanji?: boolean
+  isKanji?: boolean,
+  options?: CountingOptions
 ): CompressionStats;
 
 /**
@@ -125,9 +733,32 @@ export function getStats(
  */
 export function estimateTokens(
   text: string, 
-  isKanji?: boolean
+  isKanji?: boolean,
+  options?: CountingOptions
 ): number;
 
+/**
+ * Count tokens for all statistics with a `.tiktoken` merge table file or a
+ * tokenizer (null to go back to estimates)
+ */
+export function setTokenizer(tokenizer: string | Tokenizer | null): Tokenizer | null;
+
+/**
+ * Load a BPE tokenizer from a `.tiktoken` merge table file
+ */
+export function loadTokenizer(
+  file: string,
+  options?: { name?: string; pattern?: 'cl100k' | 'o200k' | RegExp }
+): BpeTokenizer;
+
+/**
+ * Create a BPE tokenizer from ranks keyed by token bytes (as latin1 strings)
+ */
+export function createBpeTokenizer(
+  ranks: Map<string, number>,
+  options?: { name?: string; pattern?: 'cl100k' | 'o200k' | RegExp }
+): BpeTokenizer;
+
 /**
  * JS-Kanji compression module
  */
@@ -145,13 +776,22 @@ export const utils: {
   getCompressionStats(
     original: string, 
     compressed: string, 
-    isKanji?: boolean
+    isKanji?: boolean,
+    options?: CountingOptions
   ): CompressionStats;
   
+  setTokenizer(tokenizer: Tokenizer | null): Tokenizer | null;
+  
   estimateTokens(
     text: string, 
     isKanji?: boolean
   ): number;
   
+  /** Language of a source file, from its extension */
+  detectLanguage(file: string): Language;
+
+  /** Whether a source file holds JSX, from its extension and, for JavaScript, its code if given */
+  detectJsx(file: string, code?: string): boolean;
+  
   [key: string]: any;
 };
\ No newline at end of file
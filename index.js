@@ -11,14 +11,77 @@ const semanticKanji = require('./semantic-kanji');
 const utils = require('./utils');
 const prompt = require('./prompt-generator');
 const decompressor = require('./js-kanji-decompressor');
+const container = require('./container');
+const learner = require('./dictionary-learner');
+const bpe = require('./bpe-tokenizer');
+const optimizer = require('./symbol-optimizer');
+const semanticPatterns = require('./semantic-patterns');
+const { createSourceMap, shiftMappings, composeMappings, originalPositionFor } = require('./source-map');
+const { renameLocals, restoreNames, restoreNamesMapped } = require('./identifier-renamer');
+const { extractModules, serializeModules, parseModules, restoreModules, restoreModulesMapped } = require('./module-header');
+const { applyCompressedEdit } = require('./compressed-edit');
+const { createUnifiedDiff, applyUnifiedDiff } = require('./diff');
+const { isCodeFile, describeContents, createBundle, formatBundleFile, parseBundle } = require('./bundle');
+const { BUDGET_LEVELS, rankFiles, extractSignatures } = require('./context-budget');
+const { createOutline, expandOutline } = require('./outline');
+const { parseCode } = require('./js-parser');
+const { createCompressStream, createDecompressStream } = require('./kanji-stream');
+const {
+  getDictionary,
+  createDictionary,
+  resolveDictionary,
+  loadDictionaryFile,
+  CURRENT_VERSION
+} = require('./kanji-dictionary');
+const { loadFormatConfig } = require('./format-config');
+const { BUILT_IN_RULES, checkRule } = require('./repair-rules');
+const { RoundTripError, DictionaryError, FormatError, PatchError, RepairRuleError } = require('./errors');
 
 /**
  * Compress JavaScript code using the specified method
  * 
+ * Options:
+ * - `lossless`: produce output that decompresses (with `lossless: true`) to
+ *   the exact original bytes. Only the Kanji layer is applied, since semantic
+ *   patterns do not preserve the original formatting.
+ * - `verify`: decompress the result and compare it with the original, throwing
+ *   a RoundTripError at the first difference. Lossless output is compared
+ *   byte-for-byte, other output token-by-token.
+ * - `header`: prepend a container header recording the method, dictionary and
+ *   options, so that decompress can decode the output without guessing.
+ *   On by default for code that is not empty; pass `false` to save its
+ *   tokens when the code is only read, or decompressed with the same
+ *   options again.
+ * - `dictionary`: entries (word to Kanji) used instead of the bundled
+ *   dictionary; `extendDictionary` adds entries to it. With a header, the
+ *   custom entries are embedded unless `embedDictionary` is false.
+ * - `sourceMap`: also return a Source Map v3 from the compressed to the
+ *   original code, as `{ code, map }`. Pass `{ file, source }` to name the
+ *   compressed and original files in the map.
+ * - `compressComments`: write JSDoc blocks without their ` * ` line prefixes
+ *   (see comment-channel.js); decompress puts them back. Comments are
+ *   otherwise kept as they are.
+ * - `renameLocals`: shorten the names of local variables, parameters and
+ *   functions first (see identifier-renamer.js). The original names are
+ *   recorded in the container header, which is added whenever something
+ *   was renamed, and restored by decompress.
+ * - `language`: 'typescript' to compress TypeScript, with its keywords and
+ *   types added to the dictionary. The container header records the
+ *   language, so decompress picks it up; without a header, pass it again.
+ * - `jsx`: compress code with JSX elements, keeping their text as it is and
+ *   adding the React table to the dictionary. Recorded in the header too.
+ * - `moduleHeader`: move the import and export declarations at the top and
+ *   end of the module into the container header (see module-header.js),
+ *   which is then always added. Not applied in lossless mode.
+ * 
+ * The 'outline' method compresses only the API of the module (see
+ * outline.js) with the Kanji layer; decompress turns it into stub code.
+ * With `verify`, the stub code is what the result is compared with.
+ * 
  * @param {string} code - Original JavaScript code
- * @param {string} method - Compression method ('kanji' or 'semantic-kanji')
+ * @param {string} method - Compression method ('kanji', 'semantic-kanji' or 'outline')
  * @param {Object} options - Optional configuration options
- * @return {string} - Compressed code
+ * @return {string|Object} - Compressed code, or `{ code, map }` with `sourceMap`
  */
 function compress(code, method = 'semantic-kanji', options = {}) {
   // Check if method is an object (likely intended as options)
@@ -33,32 +96,182 @@ function compress(code, method = 'semantic-kanji', options = {}) {
     preserveLineBreaks: true, // Preserve code structure by default
     ...options
   };
+  const semantic = ['semantic-kanji', 'semantic'].includes(String(method).toLowerCase()) && !defaultOptions.lossless;
+  const dialect = { language: defaultOptions.language, jsx: defaultOptions.jsx };
+
+  // An outline replaces the code before any other stage sees it
+  const outlined = String(method).toLowerCase() === 'outline' ? createOutline(code, dialect) : null;
+  const input = outlined ? outlined.code : code;
+
+  // Locals are renamed before anything else, so later stages only see the short names
+  const renamed = defaultOptions.renameLocals ?
+    renameLocals(input, {
+      dictionary: resolveDictionary(defaultOptions),
+      patterns: semantic ? defaultOptions.patterns || semanticPatterns : null
+    }) :
+    null;
+  const names = renamed && Object.keys(renamed.names).length ? renamed.names : null;
+
+  // Declarations move to the header after renaming, which leaves module-level names alone
+  const extracted = defaultOptions.moduleHeader && !defaultOptions.lossless ?
+    extractModules(renamed ? renamed.code : input, { ...dialect, removeComments: defaultOptions.removeComments }) :
+    null;
+  const modules = extracted && extracted.modules;
+  const source = extracted ? extracted.code : renamed ? renamed.code : input;
   
+  let result;
   switch (String(method).toLowerCase()) {
     case 'kanji':
-      return jsKanji.compress(code, defaultOptions);
+    case 'outline':
+      result = jsKanji.compressMapped(source, defaultOptions);
+      break;
     case 'semantic-kanji':
     case 'semantic':
-      return semanticKanji.compress(code, defaultOptions);
+      result = semantic ?
+        semanticKanji.compressMapped(source, 'semantic-kanji', defaultOptions) :
+        jsKanji.compressMapped(source, defaultOptions);
+      break;
     default:
       throw new Error(`Unknown compression method: ${method}`);
   }
+
+  let compressed = result.code;
+  let mappings = extracted ? composeMappings(result.mappings, extracted.mappings) : result.mappings;
+  mappings = renamed ? composeMappings(mappings, renamed.mappings) : mappings;
+  mappings = outlined ? composeMappings(mappings, outlined.mappings) : mappings;
+
+  if (defaultOptions.verify) {
+    const aliases = resolveDictionary(defaultOptions).reverse;
+    const withModules = modules ? restoreModules(compressed, modules, { aliases, ...dialect }) : compressed;
+    const restored = names ? restoreNames(withModules, names, { aliases }) : withModules;
+    const expected = outlined ? expandOutline(outlined.code, dialect) : code;
+    if (outlined) verifyOutline(code, expected, dialect);
+    verifyRoundTrip(expected, restored, String(method).toLowerCase(), defaultOptions);
+  }
+
+  // Renamed code and moved declarations cannot be read back without the header,
+  // and empty code only gets one when asked for, so that it stays empty by default
+  const withHeader = defaultOptions.header !== undefined ? defaultOptions.header : /\S/.test(input);
+  if (withHeader || names || modules) {
+    const header = container.createHeader({
+      method,
+      dictionary: resolveDictionary(defaultOptions),
+      options: defaultOptions
+    }, {
+      ...(names ? { names: container.serializeNames(names) } : {}),
+      ...(modules ? serializeModules(modules) : {})
+    });
+    compressed = header + compressed;
+    mappings = shiftMappings(mappings, header.length);
+  }
+
+  if (!defaultOptions.sourceMap) {
+    return compressed;
+  }
+
+  return { code: compressed, map: createSourceMap(mappings, compressed, code, defaultOptions.sourceMap) };
+}
+
+/**
+ * Check that compressed code decompresses back to the original
+ * 
+ * @param {string} original - Original JavaScript code
+ * @param {string} compressed - Compressed code
+ * @param {string} method - Compression method that was used
+ * @param {Object} options - Options the code was compressed with
+ * @throws {RoundTripError} - If the decompressed code differs from the original
+ */
+function verifyRoundTrip(original, compressed, method, options) {
+  const mode = options.lossless ? 'bytes' : 'tokens';
+  const settings = {
+    language: options.language,
+    jsx: options.jsx,
+    dictionary: resolveDictionary(options),
+    patterns: options.patterns,
+    // The printer adds semicolons and rewrites numbers, so compare the code as decoded
+    formatOutput: false
+  };
+  const restored = decompress(compressed, method, options.lossless ? { ...settings, lossless: true } : settings);
+
+  const difference = utils.findFirstDifference(original, restored, mode, options);
+  if (difference) {
+    throw new RoundTripError(
+      `Round trip failed at line ${difference.line}, column ${difference.column}: ` +
+      `expected ${JSON.stringify(difference.expected)} but got ${JSON.stringify(difference.actual)}`,
+      { method, mode, ...difference }
+    );
+  }
+}
+
+/**
+ * Check that the stub code of an outline parses if its module does
+ *
+ * The round trip only compares the outline with itself, so an outline that
+ * lost the body of a declaration would pass it. TypeScript is not checked,
+ * since the parser only reads JavaScript and JSX.
+ *
+ * @param {string} code - Original code
+ * @param {string} stub - Outline expanded to stub code (see expandOutline)
+ * @param {Object} dialect - `{ language, jsx }` of the code
+ * @throws {RoundTripError} - If the module parses but its stub does not
+ */
+function verifyOutline(code, stub, dialect) {
+  if (dialect.language === 'typescript' || !parseCode(code, { jsx: dialect.jsx })) return;
+  if (!parseCode(stub, { jsx: dialect.jsx })) {
+    throw new RoundTripError('Outline is not valid code', { method: 'outline', mode: 'syntax', actual: stub });
+  }
 }
 
 /**
  * Decompress code back to readable JavaScript
  * 
+ * Code with a container header is decoded with the method, dictionary and
+ * options recorded in it. Without a header, pass `lossless: true` for code
+ * that was compressed in lossless mode, and `compressComments: true` for
+ * code compressed with that option.
+ * 
+ * With `sourceMap` set (as for compress), `{ code, map }` is returned, where
+ * the map points from the decompressed code back to the compressed code.
+ * 
+ * The code is printed in the style given by `format` (see format-config.js),
+ * merged over the style of the project at `formatConfig` (a directory or
+ * file whose `.editorconfig` and Prettier configuration are read). Pass
+ * `formatOutput: false` to leave the code as the dictionary produced it.
+ * 
+ * Repair rules (see repair-rules.js) are switched on or off by name with
+ * `repairs`, and `repairRules` adds more.
+ * 
  * @param {string} code - Compressed code
- * @param {string} method - Compression method used ('kanji' or 'semantic-kanji')
+ * @param {string} method - Compression method used ('kanji', 'semantic-kanji' or 'outline')
  * @param {Object} options - Optional configuration options
- * @return {string} - Decompressed JavaScript code
+ * @return {string|Object} - Decompressed JavaScript code, or `{ code, map }` with `sourceMap`
  */
 function decompress(code, method = 'auto', options = {}) {
+  if (options.sourceMap) {
+    return decompressWithSourceMap(code, method, options);
+  }
+
+  const { header, body } = container.parseHeader(code);
+  if (header) {
+    return decompressContainer(header, body, method, options);
+  }
+
+  // The markers of an outline become stubs first, so that the result parses and is formatted
+  if (String(method).toLowerCase() === 'outline') {
+    const stub = expandOutline(code, { language: options.language, jsx: options.jsx });
+    // A module without an API has an empty outline
+    return stub || options.lossless ? decompressor.decompress(stub, options) : '';
+  }
+
+  if (options.lossless) {
+    return decompressor.decompress(code, options);
+  }
+
   if (method === 'auto') {
     // Auto-detect method based on content
     if (containsKanji(code)) {
       if (containsSemanticSymbols(code)) {
-        return semanticKanji.decompress(code, options);
+        return semanticKanji.decompress(code, 'semantic-kanji', options);
       }
       return decompressor.decompress(code, options);
     }
@@ -70,12 +283,394 @@ function decompress(code, method = 'auto', options = {}) {
       return decompressor.decompress(code, options);
     case 'semantic-kanji':
     case 'semantic':
-      return semanticKanji.decompress(code, options);
+      return semanticKanji.decompress(code, 'semantic-kanji', options);
     default:
       throw new Error(`Unknown compression method: ${method}`);
   }
 }
 
+/**
+ * Decompress code and map the result back to it
+ * 
+ * @param {string} code - Compressed code
+ * @param {string} method - Compression method used
+ * @param {Object} options - Decompression options, including `sourceMap`
+ * @return {Object} - `{ code, map }`
+ */
+function decompressWithSourceMap(code, method, options) {
+  const { sourceMap, ...rest } = options;
+  const decompressed = decompress(code, method, rest);
+
+  // Map the body (through the declarations and names put back), then move the mappings past the header
+  const { header, body } = container.parseHeader(code);
+  const dictionary = header ? container.resolveDictionary(header, rest) : resolveDictionary(rest);
+  const names = header ? container.parseNames(header.sections.names || '') : {};
+  const modules = header ? parseModules(header.sections) : null;
+  const inserted = modules ?
+    restoreModulesMapped(body, modules, { aliases: dictionary.reverse, language: header.language, jsx: header.options.jsx }) :
+    { code: body, mappings: [{ generated: 0, original: 0, length: body.length }] };
+  const restored = restoreNamesMapped(inserted.code, names, { aliases: dictionary.reverse });
+  const mappings = composeMappings(
+    composeMappings(semanticKanji.mapDecompression(restored.code, decompressed, { ...rest, dictionary }), restored.mappings),
+    inserted.mappings
+  );
+
+  return {
+    code: decompressed,
+    map: createSourceMap(shiftMappings(mappings, 0, code.length - body.length), decompressed, code, sourceMap)
+  };
+}
+
+/**
+ * Decompress the body of code that has a container header
+ * 
+ * @param {Object} header - Parsed container header
+ * @param {string} body - Compressed code after the header
+ * @param {string} method - Method requested by the caller ('auto' to use the header)
+ * @param {Object} options - Optional configuration options
+ * @return {string} - Decompressed JavaScript code
+ * @throws {FormatError} - If the requested method differs from the header
+ * @throws {DictionaryError} - If the recorded dictionary is unavailable or changed
+ */
+function decompressContainer(header, body, method, options) {
+  if (method && method !== 'auto' && container.normalizeMethod(method) !== header.method) {
+    throw new FormatError(
+      `Code was compressed with method "${header.method}", not "${method}"`,
+      { formatVersion: header.formatVersion, method: header.method }
+    );
+  }
+
+  const dictionary = container.resolveDictionary(header, options);
+  const modules = parseModules(header.sections);
+  const withModules = modules ?
+    restoreModules(body, modules, { aliases: dictionary.reverse, language: header.language, jsx: header.options.jsx }) :
+    body;
+  const source = header.sections.names === undefined ?
+    withModules :
+    restoreNames(withModules, container.parseNames(header.sections.names), { aliases: dictionary.reverse });
+  return decompress(source, header.method, {
+    lossless: header.options.lossless,
+    compressComments: header.options.compressComments,
+    language: header.language,
+    jsx: header.options.jsx,
+    ...options,
+    dictionary,
+    extendDictionary: null
+  });
+}
+
+/**
+ * Read the container header of compressed code
+ * 
+ * @param {string} code - Compressed code
+ * @return {Object|null} - Parsed header, or null if the code has none
+ */
+function readHeader(code) {
+  return container.parseHeader(code).header;
+}
+
+/**
+ * Re-compress code that was produced with an older dictionary version
+ * 
+ * The code is decoded with the dictionary it was compressed with and then
+ * compressed again with the current one.
+ * 
+ * @param {string} code - Code compressed with an older dictionary
+ * @param {number} fromVersion - Dictionary version the code was compressed with
+ * @param {Object} options - Optional configuration options
+ * @return {string} - Code compressed with the current dictionary
+ */
+function migrate(code, fromVersion = 1, options = {}) {
+  // Make sure the version exists before doing any work
+  getDictionary(fromVersion);
+
+  const source = decompressor.decompress(code, { ...options, dictionaryVersion: fromVersion });
+  return jsKanji.compress(source, options);
+}
+
+/**
+ * Describe the changes between two versions of a file in compressed form
+ * 
+ * Both versions are compressed with the same method and dictionary, and the
+ * patch is a unified diff of the compressed code behind a container header,
+ * so that an LLM can read and write edits without seeing whole files.
+ * Patches default to the 'kanji' method, whose lines follow the lines of
+ * the code; semantic calls can span many lines. Locals are not renamed,
+ * since the two versions would get different short names, and declarations are
+ * not moved to the header, so that changes to them show in the diff.
+ * 
+ * @param {string} oldCode - Original JavaScript code
+ * @param {string} newCode - Changed JavaScript code
+ * @param {Object} options - Compression options, plus `method` and `file` (the name in the diff)
+ * @return {string} - Compressed patch, or an empty string if nothing changed
+ */
+function createCompressedPatch(oldCode, newCode, options = {}) {
+  const { method = 'kanji', file, ...rest } = options;
+  const before = compress(oldCode, method, { ...rest, renameLocals: false, moduleHeader: false, header: true });
+  const after = compress(newCode, method, { ...rest, renameLocals: false, moduleHeader: false, header: false });
+
+  const { body } = container.parseHeader(before);
+  const diff = createUnifiedDiff(body, after, { file });
+  return diff && before.slice(0, before.length - body.length) + diff;
+}
+
+/**
+ * Apply a compressed patch to the original code
+ * 
+ * The original is compressed the way the header of the patch describes, the
+ * hunks are applied to that, and the edit is then carried over to the
+ * original with applyCompressedEdit, keeping its formatting and comments.
+ * 
+ * @param {string} originalCode - JavaScript code the patch was made against
+ * @param {string} patch - Compressed patch (see createCompressedPatch)
+ * @param {Object} options - Options as for applyCompressedEdit (`method` for patches without a header)
+ * @return {Object} - `{ code, diff }` with the patched code and a unified diff in plain JavaScript
+ * @throws {PatchError} - If a hunk does not match the compressed original
+ * @throws {DictionaryError} - If the dictionary of the patch is unavailable or changed
+ */
+function applyCompressedPatch(originalCode, patch, options = {}) {
+  const { header, body } = container.parseHeader(patch);
+  const method = header ? header.method : options.method || 'kanji';
+  const settings = header ?
+    { ...options, ...header.options, dictionary: container.resolveDictionary(header, options), extendDictionary: null } :
+    options;
+
+  const before = compress(originalCode, method, { ...settings, renameLocals: false, moduleHeader: false, header: false });
+  const after = applyUnifiedDiff(before, body);
+  return applyCompressedEdit(originalCode, before, after, { ...settings, method });
+}
+
+/**
+ * Pack the files of a project into one bundle
+ * 
+ * A dictionary is learned across all code files (see dictionary-learner.js),
+ * so that names used throughout the project get a Kanji once, and every
+ * code file is compressed with it in lossless mode. Other files are stored
+ * as they are. See bundle.js for the format.
+ * 
+ * @param {Object[]} files - Files as `{ path, code }`, with relative `/`-separated paths
+ * @param {Object} options - Compression options for the code files, plus:
+ * @param {boolean} options.learn - Learn a shared dictionary (default true)
+ * @param {number} options.budget - Maximum tokens the shared dictionary may take
+ * @param {Object|Function} options.tokenizer - Tokenizer to count savings with
+ * @return {string} - Bundle text
+ */
+function packBundle(files, options = {}) {
+  const { learn = true, budget = learner.DEFAULT_BUDGET, tokenizer, ...rest } = options;
+  const extendDictionary = learnBundleDictionary(files, learn, { budget, tokenizer });
+
+  return createBundle({
+    entries: extendDictionary || {},
+    files: files.map(file => packBundleFile(file, 'full', { ...rest, extendDictionary }))
+  });
+}
+
+/**
+ * Pack the files of a project into a bundle that fits a token budget
+ * 
+ * Each file is packed at one of four levels: 'full' (lossless), 'semantic',
+ * 'signatures' (function bodies left out) or 'omitted' (manifest line only).
+ * Room for the manifest lines of all files is kept aside first. The files
+ * are then ranked (see context-budget.js) and, best first, each code file
+ * is given its smallest level above omitted while the budget lasts; a second pass
+ * in the same order moves each file up to the most detailed level that
+ * still fits. If the bundle as a whole comes out above the budget, the
+ * lowest ranked files are moved down a level until it fits.
+ * 
+ * @param {Object[]} files - Files as `{ path, code }`, with relative `/`-separated paths
+ * @param {Object} options - Options of packBundle, plus:
+ * @param {number} options.maxTokens - Token budget of the whole bundle, as counted by estimateTokens
+ * @param {Object} options.priorities - Entry points, recently changed files and
+ *   extra points by path (see rankFiles in context-budget.js)
+ * @return {Object} - `{ bundle, tokens, files }` where files lists `{ path, level, score, tokens }`
+ *   best ranked first, tokens being what the file takes in the bundle
+ * @throws {RangeError} - If the budget cannot even hold the manifest
+ */
+function packForBudget(files, options = {}) {
+  const { maxTokens, priorities, learn = true, budget, tokenizer, ...rest } = options;
+  if (!(maxTokens > 0)) {
+    throw new RangeError('packForBudget needs a positive maxTokens');
+  }
+
+  const counting = { tokenizer };
+  const extendDictionary = learnBundleDictionary(files, learn, {
+    budget: budget !== undefined ? budget : Math.min(learner.DEFAULT_BUDGET, Math.floor(maxTokens / 10)),
+    tokenizer
+  });
+  const entries = extendDictionary || {};
+  const measure = packed => utils.estimateTokens(createBundle({ entries, files: packed }), true, counting);
+
+  // Every level a file can be packed at, dropping those that would not save anything
+  const settings = { ...rest, extendDictionary };
+  const choices = files.map(file => {
+    const levels = [];
+    for (const level of isCodeFile(file.path) ? BUDGET_LEVELS : ['full', 'omitted']) {
+      let packed;
+      try {
+        packed = packBundleFile(file, level, settings);
+      } catch (error) {
+        // Semantic patterns do not round-trip on every file
+        if (level === 'semantic' && error instanceof RoundTripError) continue;
+        throw error;
+      }
+
+      const tokens = utils.estimateTokens(formatBundleFile(packed), true, counting);
+      if (level === 'omitted' || levels.length === 0 || tokens < levels[levels.length - 1].tokens) {
+        levels.push({ packed, tokens });
+      }
+    }
+    return levels;
+  });
+
+  const chosen = choices.map(levels => levels.length - 1);
+  const minimum = measure(choices.map(levels => levels[levels.length - 1].packed));
+  if (minimum > maxTokens) {
+    throw new RangeError(
+      `A budget of ${maxTokens} tokens cannot hold the manifest of ${files.length} files (${minimum} tokens)`
+    );
+  }
+
+  // Every code file gets its smallest level short of omitted first, then the best ranked files get more
+  const ranking = rankFiles(files, priorities);
+  let left = maxTokens - minimum;
+  const upgrade = (index, candidates) => {
+    const levels = choices[index];
+    const current = levels[chosen[index]].tokens;
+    const found = candidates.find(level => levels[level].tokens - current <= left);
+    if (found !== undefined && found < chosen[index]) {
+      left -= levels[found].tokens - current;
+      chosen[index] = found;
+    }
+  };
+  for (const { index, path } of ranking) {
+    if (isCodeFile(path)) upgrade(index, [choices[index].length - 2]);
+  }
+  for (const { index } of ranking) {
+    upgrade(index, choices[index].map((level, i) => i));
+  }
+
+  // Token counts of the parts do not always add up to that of the whole
+  let tokens = measure(chosen.map((level, index) => choices[index][level].packed));
+  for (let r = ranking.length - 1; tokens > maxTokens; ) {
+    const { index } = ranking[r];
+    if (chosen[index] < choices[index].length - 1) {
+      chosen[index]++;
+      tokens = measure(chosen.map((level, i) => choices[i][level].packed));
+    } else {
+      r--;
+    }
+  }
+
+  const packed = chosen.map((level, index) => choices[index][level].packed);
+  return {
+    bundle: createBundle({ entries, files: packed }),
+    tokens,
+    files: ranking.map(({ index, path, score }) => ({
+      path,
+      level: packed[index].level,
+      score,
+      tokens: choices[index][chosen[index]].tokens
+    }))
+  };
+}
+
+/**
+ * Learn the dictionary shared by the code files of a bundle
+ * 
+ * The entries must not clash with the TypeScript and React tables either,
+ * so they are learned against the largest bundled dictionary.
+ * 
+ * @param {Object[]} files - Files as `{ path, code }`
+ * @param {boolean} learn - Whether to learn entries at all
+ * @param {Object} options - `{ budget, tokenizer }` for learnDictionary
+ * @return {Object|undefined} - Entries (word to Kanji), or undefined if there are none
+ */
+function learnBundleDictionary(files, learn, options) {
+  const code = files.filter(file => isCodeFile(file.path));
+  if (!learn || code.length === 0) return undefined;
+
+  const { entries } = learner.learnDictionary(code, { ...options, language: 'typescript', jsx: true });
+  return Object.keys(entries).length > 0 ? entries : undefined;
+}
+
+/**
+ * Pack one file of a bundle at a level
+ * 
+ * @param {Object} file - File as `{ path, code }`
+ * @param {string} level - 'full', 'semantic', 'signatures' or 'omitted'
+ * @param {Object} options - Compression options, with the shared `extendDictionary`
+ * @return {Object} - File as passed to createBundle
+ */
+function packBundleFile(file, level, options) {
+  const contents = { path: file.path, ...describeContents(file.code), level };
+  if (!isCodeFile(file.path)) {
+    return { ...contents, raw: true, content: level === 'omitted' ? '' : file.code };
+  }
+  if (level === 'omitted') {
+    return { ...contents, raw: false, content: '' };
+  }
+
+  const settings = {
+    ...options,
+    language: utils.detectLanguage(file.path),
+    jsx: utils.detectJsx(file.path, file.code),
+    embedDictionary: false,
+    header: true
+  };
+  const compressed = level === 'full' ?
+    compress(file.code, 'kanji', { ...settings, lossless: true, verify: true }) :
+    level === 'semantic' ?
+      compress(file.code, 'semantic-kanji', { ...settings, verify: true }) :
+      compress(extractSignatures(file.code, settings), 'kanji', { ...settings, lossless: true });
+  return { ...contents, raw: false, content: compressed };
+}
+
+/**
+ * Restore the files of a bundle
+ * 
+ * Each file is checked against the size and hash in the manifest. Files
+ * packed at a lower level by packForBudget cannot be, and come back with
+ * their `level`: semantic code and signatures decompressed, and omitted
+ * files with a null code.
+ * 
+ * @param {string} bundle - Bundle from packBundle or packForBudget
+ * @param {Object} options - Decompression options
+ * @return {Object[]} - Files as `{ path, code }`, plus `level` for the files not packed in full
+ * @throws {FormatError} - If the bundle is malformed or a file does not match the manifest
+ */
+function unpackBundle(bundle, options = {}) {
+  const { entries, files } = parseBundle(bundle);
+  const extendDictionary = Object.keys(entries).length > 0 ? entries : undefined;
+
+  return files.map(file => {
+    if (file.level === 'omitted') {
+      return { path: file.path, code: null, level: file.level };
+    }
+
+    const header = file.raw ? null : readHeader(file.content);
+    const code = file.raw ?
+      file.content :
+      decompress(file.content, 'auto', {
+        ...options,
+        language: header ? header.language : undefined,
+        jsx: header ? header.options.jsx : undefined,
+        extendDictionary
+      });
+    if (file.level !== 'full') {
+      return { path: file.path, code, level: file.level };
+    }
+
+    const contents = describeContents(code);
+    if (contents.size !== file.size || contents.hash !== file.hash) {
+      throw new FormatError(
+        `${file.path} does not match the bundle manifest (size ${contents.size}, hash ${contents.hash}; ` +
+        `expected size ${file.size}, hash ${file.hash})`
+      );
+    }
+    return { path: file.path, code };
+  });
+}
+
 /**
  * Check if a string contains Kanji characters
  * 
@@ -102,6 +697,9 @@ function containsSemanticSymbols(text) {
 /**
  * Compare different compression methods on the same code
  * 
+ * Token counts come from `options.tokenizer` or the tokenizer set with
+ * setTokenizer, and are estimated otherwise (see `tokenizer` in the result).
+ * 
  * @param {string} code - Original JavaScript code
  * @param {Object} options - Optional configuration options
  * @return {Object} - Comparison statistics
@@ -125,9 +723,10 @@ function compare(code, options = {}) {
     // For semantic-kanji, explicitly specify the method and add pattern matching
     const semanticCompressed = semanticKanji.compress(code, 'semantic-kanji', semanticOptions);
     
-    const originalTokens = utils.estimateTokens(code, false);
-    const kanjiStats = utils.getCompressionStats(code, kanjiCompressed, true);
-    const semanticStats = utils.getCompressionStats(code, semanticCompressed, true);
+    const counting = { tokenizer: options.tokenizer };
+    const originalTokens = utils.estimateTokens(code, false, counting);
+    const kanjiStats = utils.getCompressionStats(code, kanjiCompressed, true, counting);
+    const semanticStats = utils.getCompressionStats(code, semanticCompressed, true, counting);
     
     // Make sure we're properly comparing the two methods
     if (semanticStats.tokenSavingsPercent < kanjiStats.tokenSavingsPercent) {
@@ -158,7 +757,8 @@ function compare(code, options = {}) {
         reduction: semanticStats.tokenReduction,
         savingsPercent: semanticStats.tokenSavingsPercent
       },
-      bestMethod: bestMethod
+      bestMethod: bestMethod,
+      tokenizer: kanjiStats.tokenizer
     };
   } catch (error) {
     throw new Error(`Comparison failed: ${error.message}`);
@@ -183,10 +783,11 @@ function generatePrompt(format = 'full', method = 'semantic-kanji', options = {}
  * @param {string} original - Original code
  * @param {string} compressed - Compressed code
  * @param {boolean} isKanji - Whether the compression used Kanji
+ * @param {Object} options - Counting options (`tokenizer`)
  * @return {Object} - Compression statistics
  */
-function getStats(original, compressed, isKanji = false) {
-  return utils.getCompressionStats(original, compressed, isKanji);
+function getStats(original, compressed, isKanji = false, options = {}) {
+  return utils.getCompressionStats(original, compressed, isKanji, options);
 }
 
 /**
@@ -194,21 +795,63 @@ function getStats(original, compressed, isKanji = false) {
  * 
  * @param {string} text - Input text
  * @param {boolean} isKanji - Whether the text contains Kanji
- * @return {number} - Estimated token count
+ * @param {Object} options - Counting options (`tokenizer`)
+ * @return {number} - Token count (exact when a tokenizer is configured)
+ */
+function estimateTokens(text, isKanji = false, options = {}) {
+  return utils.estimateTokens(text, isKanji, options);
+}
+
+/**
+ * Count tokens with a BPE merge table for all statistics
+ * 
+ * @param {string|Object|Function|null} tokenizer - Path to a `.tiktoken` merge
+ *   table, a tokenizer, or null to go back to estimates
+ * @return {Object|null} - The tokenizer now in use
  */
-function estimateTokens(text, isKanji = false) {
-  return utils.estimateTokens(text, isKanji);
+function setTokenizer(tokenizer) {
+  return utils.setTokenizer(typeof tokenizer === 'string' ? bpe.loadBpeTokenizer(tokenizer) : tokenizer);
 }
 
 // Export public API
 module.exports = {
   compress,
   decompress,
+  createCompressStream,
+  createDecompressStream,
   compare,
   generatePrompt,
   getStats,
   estimateTokens,
+  setTokenizer,
+  loadTokenizer: bpe.loadBpeTokenizer,
+  createBpeTokenizer: bpe.createBpeTokenizer,
+  optimizeSymbols: optimizer.optimizeSymbols,
   containsKanji,
+  migrate,
+  readHeader,
+  originalPositionFor,
+  applyCompressedEdit,
+  createCompressedPatch,
+  applyCompressedPatch,
+  packBundle,
+  packForBudget,
+  unpackBundle,
+  createDictionary,
+  loadDictionaryFile,
+  learnDictionary: learner.learnDictionary,
+  formatDictionaryFile: learner.formatDictionaryFile,
+  formatCode: decompressor.formatCode,
+  loadFormatConfig,
+  repairRules: BUILT_IN_RULES,
+  checkRepairRule: checkRule,
+  DEFAULT_LEARN_BUDGET: learner.DEFAULT_BUDGET,
+  DICTIONARY_VERSION: CURRENT_VERSION,
+  RoundTripError,
+  DictionaryError,
+  FormatError,
+  PatchError,
+  RepairRuleError,
   kanji: jsKanji,
   semantic: semanticKanji,
   utils
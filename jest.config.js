@@ -28,6 +28,30 @@ module.exports = {
     'semantic-kanji-module.js',
     'js-kanji-compressor.js',
     'js-kanji-decompressor.js',
+    'js-tokenizer.js',
+    'kanji-dictionary.js',
+    'container.js',
+    'dictionary-learner.js',
+    'bpe-tokenizer.js',
+    'symbol-optimizer.js',
+    'js-parser.js',
+    'pattern-matcher.js',
+    'semantic-calls.js',
+    'source-map.js',
+    'diff.js',
+    'compressed-edit.js',
+    'identifier-renamer.js',
+    'module-header.js',
+    'outline.js',
+    'kanji-stream.js',
+    'bundle.js',
+    'context-budget.js',
+    'comment-channel.js',
+    'doc-printer.js',
+    'js-printer.js',
+    'format-config.js',
+    'repair-rules.js',
+    'errors.js',
     'utils.js',
     'prompt-generator.js',
     'semantic-patterns.js',
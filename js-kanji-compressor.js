@@ -5,17 +5,57 @@
  * to achieve high token efficiency when communicating with language models.
  */
 
-const kanjiDict = require('./dictionaries/kanji-dict');
+const { getDictionary, resolveDictionary } = require('./kanji-dictionary');
+const { tokenize, needsSeparator } = require('./js-tokenizer');
+const { prepareComment } = require('./comment-channel');
 const utils = require('./utils');
 
+// Word-to-Kanji table of the current (bijective) dictionary
+const kanjiDict = getDictionary().forward;
+
+// Prefix that marks identifiers which must not be translated back
+const LOSSLESS_ESCAPE = '〆';
+
+// Patterns matching any character of a dictionary's Kanji, by dictionary
+const kanjiCharacters = new WeakMap();
+
 /**
  * Compress JavaScript code using Kanji characters
  * 
+ * The code is tokenized first so that only identifier and keyword tokens are
+ * substituted. String, template, regex and comment contents are copied
+ * byte-for-byte into the output. With `options.compressComments`, JSDoc
+ * blocks lose their ` * ` line prefixes (see comment-channel.js).
+ * 
+ * With `options.lossless` set, whitespace and comments are kept verbatim and
+ * only reversible substitutions are made, so that decompressing with the same
+ * option reproduces the input byte-for-byte.
+ * 
+ * `options.dictionary` replaces the bundled dictionary and
+ * `options.extendDictionary` adds entries to it; code must be decompressed
+ * with the same options. `options.language: 'typescript'` compresses
+ * TypeScript, with the TypeScript table added to the bundled dictionary, and
+ * `options.jsx` code with JSX elements, with the React table added to it.
+ * 
  * @param {string} code - Original JavaScript code
  * @param {Object} options - Compression options
  * @return {string} - Kanji-compressed code
  */
 function compress(code, options = {}) {
+  return compressMapped(code, options).code;
+}
+
+/**
+ * Compress JavaScript code and record where each token came from
+ * 
+ * Every token in the output gets an offset mapping to the token it was made
+ * from (see source-map.js); substituted words carry their original `name`.
+ * 
+ * @param {string} code - Original JavaScript code
+ * @param {Object} options - Compression options (see compress)
+ * @return {Object} - `{ code, mappings }`
+ */
+function compressMapped(code, options = {}) {
   // Merge default options with provided options
   const opts = {
     removeComments: false, // Changed to false to preserve comments
@@ -23,194 +63,325 @@ function compress(code, options = {}) {
     ...options
   };
 
-  // Preprocess the code
-  let compressed = preprocess(code, opts);
+  // Select the dictionary and split the code into tokens
+  const dictionary = resolveDictionary(opts);
+  let tokens = mergeSequences(tokenize(code, { language: opts.language, jsx: opts.jsx }), dictionary);
+  const mappings = [];
+
+  if (opts.lossless) {
+    return { code: encodeLossless(tokens, dictionary, mappings), mappings };
+  }
+
+  // Preprocess comments
+  tokens = preprocess(tokens, opts);
   
-  // Apply Kanji character substitution
-  compressed = applyKanjiSubstitution(compressed);
+  // Apply Kanji character substitution to code tokens
+  tokens = applyKanjiSubstitution(tokens, dictionary);
   
   // Apply whitespace and formatting optimization
-  compressed = optimizeWhitespace(compressed, opts);
-  
-  return compressed;
+  return { code: optimizeWhitespace(tokens, opts, mappings).trim(), mappings };
+}
+
+/**
+ * Create a compressor for code that arrives in pieces
+ * 
+ * The pieces are passed as tokens, and must be split where tokenizing each
+ * piece by itself gives the same tokens as tokenizing the whole code (see
+ * kanji-stream.js). Whitespace between two pieces is decided as if they were
+ * one, so the outputs of all pieces together are what compress returns for
+ * the whole code.
+ * 
+ * @param {Object} options - Compression options (see compress)
+ * @return {Function} - Takes the tokens of the next piece and returns its compressed code
+ */
+function createIncrementalCompressor(options = {}) {
+  const opts = {
+    removeComments: false,
+    preserveLineBreaks: true,
+    ...options
+  };
+  const dictionary = resolveDictionary(opts);
+  const state = { previous: null, pendingBreak: false, pendingSpace: false };
+  let held = ''; // Trailing whitespace, written only if more code follows
+  let started = false;
+
+  return tokens => {
+    const merged = mergeSequences(tokens, dictionary);
+    if (opts.lossless) {
+      return encodeLossless(merged, dictionary);
+    }
+
+    let code = held + optimizeWhitespace(applyKanjiSubstitution(preprocess(merged, opts), dictionary), opts, [], state);
+    if (!started) code = code.trimStart();
+    const written = code.trimEnd();
+    held = code.slice(written.length);
+    started = started || written.length > 0;
+    return written;
+  };
 }
 
 /**
- * Preprocess JavaScript code to prepare for compression
+ * Preprocess tokens to prepare for compression
  * 
- * @param {string} code - Original code
+ * @param {Object[]} tokens - Tokens of the original code
  * @param {Object} options - Processing options
- * @return {string} - Preprocessed code
+ * @return {Object[]} - Preprocessed tokens
  */
-function preprocess(code, options) {
-  let processed = code;
-  
-  // Handle comments based on options
-  if (options.removeComments) {
-    processed = processed
-      .replace(/\/\/.*$/gm, '')              // Remove single-line comments
-      .replace(/\/\*[\s\S]*?\*\//g, '');     // Remove multi-line comments
-  } else {
-    // Preserve comments but normalize them
-    // Replace multiline comments with specially marked ones
-    processed = processed.replace(/\/\*[\s\S]*?\*\//g, (match) => {
-      // Convert multiline comment to specialized format that won't get broken by compression
-      return '/*' + match.replace(/\*\//, '').substring(2).trim().replace(/\s+/g, ' ') + '*/';
-    });
-    
-    // Keep but normalize single-line comments
-    processed = processed.replace(/\/\/(.*)$/gm, '// $1');
+function preprocess(tokens, options) {
+  const processed = [];
+
+  for (const token of tokens) {
+    if (token.type !== 'comment') {
+      processed.push(token);
+      continue;
+    }
+
+    // Handle comments based on options
+    if (options.removeComments) continue;
+
+    // Comments are kept as they are (see comment-channel.js)
+    processed.push({ ...token, value: prepareComment(token, options) });
   }
-  
-  // Handle empty lines based on preserveLineBreaks option
-  if (!options.preserveLineBreaks) {
-    processed = processed.replace(/^\s*[\r\n]/gm, '');
+
+  return processed;
+}
+
+/**
+ * Apply Kanji character substitution to identifier and keyword tokens
+ * 
+ * @param {Object[]} tokens - Preprocessed tokens
+ * @param {Object} dictionary - Dictionary to substitute with
+ * @return {Object[]} - Tokens with Kanji substitutions
+ */
+function applyKanjiSubstitution(tokens, dictionary) {
+  const { forward } = dictionary;
+
+  return tokens.map(token => {
+    if ((token.type !== 'identifier' && token.type !== 'keyword') || token.substituted) {
+      return token;
+    }
+
+    if (!(token.value in forward)) {
+      return token;
+    }
+
+    return { ...token, value: forward[token.value], name: token.value };
+  });
+}
+
+/**
+ * Replace member sequences listed in the dictionary (such as `res.status`)
+ * with their Kanji
+ * 
+ * Only sequences written without whitespace or comments are matched. The
+ * merged token is marked as `substituted` so later stages leave it alone.
+ * 
+ * @param {Object[]} tokens - Tokens of the original code
+ * @param {Object} dictionary - Dictionary to substitute with
+ * @return {Object[]} - Tokens with matched sequences merged
+ */
+function mergeSequences(tokens, dictionary) {
+  const { sequences } = dictionary;
+  if (!sequences || Object.keys(sequences).length === 0) return tokens;
+
+  const merged = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const candidates = (token.type === 'identifier' || token.type === 'keyword') &&
+      sequences[token.value];
+    const match = candidates && candidates.find(({ parts }) => matchesSequence(tokens, i, parts));
+
+    if (!match) {
+      merged.push(token);
+      continue;
+    }
+
+    const last = tokens[i + match.parts.length * 2 - 2];
+    merged.push({
+      ...token,
+      type: 'identifier',
+      value: match.target,
+      end: last.end,
+      name: match.parts.join('.'),
+      substituted: true
+    });
+    i += match.parts.length * 2 - 2;
   }
-  
-  // Collapse multiple spaces to single spaces (but not inside comments)
-  let inComment = false;
-  let resultLines = processed.split('\n').map(line => {
-    // If line has a single-line comment
-    if (line.includes('//')) {
-      const [code, comment] = line.split('//');
-      return code.replace(/\s{2,}/g, ' ').trim() + ' // ' + comment.trim();
-    } 
-    // Otherwise just normalize spaces
-    return line.replace(/\s{2,}/g, ' ').trim();
+
+  return merged;
+}
+
+/**
+ * Check whether the tokens at a position spell out a member sequence
+ * 
+ * @param {Object[]} tokens - Tokens of the original code
+ * @param {number} index - Position of the first word
+ * @param {string[]} parts - Words of the sequence
+ * @return {boolean} - True if `parts[0].parts[1]...` starts at index
+ */
+function matchesSequence(tokens, index, parts) {
+  return parts.every((part, n) => {
+    const word = tokens[index + n * 2];
+    const dot = tokens[index + n * 2 - 1];
+    return word && (word.type === 'identifier' || word.type === 'keyword') &&
+      word.value === part && (n === 0 || dot.value === '.');
   });
-  
-  return resultLines.join('\n').trim();
 }
 
 /**
- * Apply Kanji character substitution to JavaScript code
+ * Get the lookup tables used by lossless compression
+ * 
+ * Dictionaries used for compression are bijective, so every substitution can
+ * be reversed unambiguously.
  * 
- * @param {string} code - Preprocessed code
- * @return {string} - Code with Kanji substitutions
+ * @param {Object} dictionary - Dictionary to use (defaults to the bundled one)
+ * @return {Object} - Forward and reverse tables plus the escape prefix
  */
-function applyKanjiSubstitution(code) {
-  let result = code;
-  
-  // Sort dictionary entries by length (longest first) to avoid conflicts
-  const sortedEntries = Object.entries(kanjiDict)
-    .sort((a, b) => b[0].length - a[0].length);
-  
-  for (const [pattern, replacement] of sortedEntries) {
-    // Escape special regex characters in the pattern
-    const escapedPattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    
-    // Use word boundaries to ensure we only replace whole words
-    const regex = new RegExp(`\\b${escapedPattern}\\b`, 'g');
-    result = result.replace(regex, replacement);
+function getLosslessTable(dictionary = getDictionary()) {
+  const { forward, reverse } = dictionary;
+  return { forward, reverse, escape: LOSSLESS_ESCAPE };
+}
+
+/**
+ * Encode tokens losslessly
+ * 
+ * Identifiers that already look like compressed symbols (or start with the
+ * escape prefix) are escaped so that decompression leaves them alone.
+ * 
+ * @param {Object[]} tokens - Tokens of the original code
+ * @param {Object} dictionary - Dictionary to substitute with
+ * @param {Object[]} mappings - Offset mappings, filled for every code token
+ * @return {string} - Compressed code
+ */
+function encodeLossless(tokens, dictionary, mappings = []) {
+  const { forward, reverse, escape } = getLosslessTable(dictionary);
+  let result = '';
+
+  for (const token of tokens) {
+    let value = token.value;
+    if ((token.type === 'identifier' || token.type === 'keyword') && !token.substituted) {
+      if (token.value in reverse || token.value.startsWith(escape)) {
+        value = escape + token.value;
+      } else if (token.value in forward) {
+        value = forward[token.value];
+      }
+    }
+
+    if (token.type !== 'whitespace') {
+      const name = token.name || (value !== token.value ? token.value : undefined);
+      mappings.push({ generated: result.length, original: token.start, name });
+    }
+    result += value;
   }
-  
+
   return result;
 }
 
 /**
  * Optimize whitespace and formatting for token efficiency
  * 
- * @param {string} code - Code with Kanji substitutions
+ * Whitespace is dropped wherever the neighbouring tokens can be told apart
+ * without it. Line breaks are kept when preserveLineBreaks is set, before
+ * and after comments (so that a comment on a line of its own stays there),
+ * and where removing them could change how the statements are separated. JSX
+ * text is kept as it is; only the whitespace around it that JSX drops (see
+ * tokenize) is optimized.
+ * 
+ * @param {Object[]} tokens - Tokens with Kanji substitutions
  * @param {Object} options - Optimization options
- * @return {string} - Optimized code
+ * @param {Object[]} mappings - Offset mappings, filled for every token written
+ * @param {Object} state - The previous token written and the whitespace seen
+ *   since, carried over between the pieces of code compressed in pieces
+ * @return {string} - Optimized code, with whitespace at its ends for the caller to trim
  */
-function optimizeWhitespace(code, options) {
-  // Split the code into lines to handle comments separately
-  const lines = code.split('\n');
-  const optimizedLines = [];
-  
-  for (let line of lines) {
-    let optimizedLine = line;
-    
-    // Check if the line contains a comment
-    if (line.includes('//')) {
-      // Split the line at the comment
-      const [codePart, commentPart] = line.split('//');
-      
-      // Optimize only the code part
-      let optimizedCodePart = codePart;
-      
-      // Remove whitespace around operators and punctuation
-      optimizedCodePart = optimizedCodePart.replace(/\s*([=+\-*/%&|^<>!?:;,{}[\]()])\s*/g, '$1');
-      
-      // Remove space after opening punctuation
-      optimizedCodePart = optimizedCodePart.replace(/([{([,;])\s+/g, '$1');
-      
-      // Remove space before closing punctuation
-      optimizedCodePart = optimizedCodePart.replace(/\s+([})\]])/g, '$1');
-      
-      // Remove spaces around dots
-      optimizedCodePart = optimizedCodePart.replace(/\s*\.\s*/g, '.');
-      
-      // Remove space after closing parenthesis before dot
-      optimizedCodePart = optimizedCodePart.replace(/\)\s*\./g, ').');
-      
-      // Join the optimized code with the comment
-      optimizedLine = optimizedCodePart + ' //' + commentPart;
-    } 
-    // If the line contains a multiline comment opening
-    else if (line.includes('/*') && !line.includes('*/')) {
-      // Don't optimize - just add to results
-      optimizedLine = line;
-    }
-    // If the line contains a multiline comment closing
-    else if (line.includes('*/')) {
-      // Don't optimize - just add to results
-      optimizedLine = line;
-    }
-    // If we're in a multiline comment
-    else if (line.trimStart().startsWith('*')) {
-      // Don't optimize - just add to results
-      optimizedLine = line;
+function optimizeWhitespace(tokens, options, mappings = [], state = { previous: null, pendingBreak: false, pendingSpace: false }) {
+  let result = '';
+  let { previous, pendingBreak, pendingSpace } = state;
+
+  for (const token of tokens) {
+    if (token.type === 'whitespace') {
+      if (/[\n\r\u2028\u2029]/.test(token.value)) {
+        pendingBreak = true;
+      } else {
+        pendingSpace = true;
+      }
+      continue;
     }
-    // Regular code line without comments
-    else {
-      // Remove whitespace around operators and punctuation
-      optimizedLine = optimizedLine.replace(/\s*([=+\-*/%&|^<>!?:;,{}[\]()])\s*/g, '$1');
-      
-      // Remove space after opening punctuation
-      optimizedLine = optimizedLine.replace(/([{([,;])\s+/g, '$1');
-      
-      // Remove space before closing punctuation
-      optimizedLine = optimizedLine.replace(/\s+([})\]])/g, '$1');
-      
-      // Remove spaces around dots
-      optimizedLine = optimizedLine.replace(/\s*\.\s*/g, '.');
-      
-      // Remove space after closing parenthesis before dot
-      optimizedLine = optimizedLine.replace(/\)\s*\./g, ').');
+
+    if (previous) {
+      const besideComment = previous.type === 'comment' || token.type === 'comment';
+
+      if (pendingBreak && (options.preserveLineBreaks || besideComment ||
+          (mayEndStatement(previous) && mayStartStatement(token)))) {
+        result += '\n';
+      } else if (token.type === 'comment' && (pendingSpace || pendingBreak)) {
+        // Keep comments visually separated from the code before them
+        result += ' ';
+      } else if (token.jsx === 'tag' && token.type === 'identifier' && previous.jsx === 'tag' &&
+          (pendingSpace || pendingBreak)) {
+        // Keep JSX attributes apart, as they are always written
+        result += ' ';
+      } else if (needsSeparator(previous, token)) {
+        result += ' ';
+      }
     }
-    
-    optimizedLines.push(optimizedLine);
-  }
-  
-  let result;
-  
-  // Join the lines according to options
-  if (options.preserveLineBreaks) {
-    result = optimizedLines.join('\n');
-  } else {
-    // For code without comments, join everything with no line breaks
-    result = optimizedLines.join('');
+
+    mappings.push({ generated: result.length, original: token.start, name: token.name });
+    result += token.value;
+    previous = token;
+    pendingBreak = false;
+    pendingSpace = false;
   }
-  
-  // Final cleanup of any multiple spaces but preserve spaces in comments
-  result = result.replace(/([^\/])\s{2,}([^\/])/g, '$1 $2').trim();
-  
+
+  Object.assign(state, { previous, pendingBreak, pendingSpace });
   return result;
 }
 
+/**
+ * Check whether a token can end a statement without a semicolon
+ * 
+ * @param {Object} token - Token before a line break
+ * @return {boolean} - True if automatic semicolon insertion may apply
+ */
+function mayEndStatement(token) {
+  if (['identifier', 'keyword', 'number', 'string', 'regex'].includes(token.type)) {
+    return true;
+  }
+  if (token.type === 'template') {
+    return token.value.endsWith('`');
+  }
+  return [')', ']', '}', '++', '--'].includes(token.value);
+}
+
+/**
+ * Check whether a token can start a new statement after a line break
+ * 
+ * @param {Object} token - Token after a line break
+ * @return {boolean} - True if the token may begin a statement
+ */
+function mayStartStatement(token) {
+  if (token.type === 'punctuator') {
+    return ['(', '[', '{', '+', '-', '++', '--', '!', '~', '/', '@', '#'].includes(token.value);
+  }
+  return token.type !== 'comment';
+}
+
 /**
  * Check if text appears to be Kanji-compressed
  * 
  * @param {string} text - Text to check
+ * @param {Object} options - Dictionary options the text would be compressed
+ *   with (`dictionary`, `extendDictionary`, `dictionaryVersion`, `language`, `jsx`)
  * @return {boolean} - True if text appears to be Kanji-compressed
  */
-function isKanjiCompressed(text) {
-  // Check for presence of Kanji characters used in our dictionary
-  const kanjiChars = Object.values(kanjiDict).join('');
-  const kanjiRegex = new RegExp(`[${kanjiChars}]`);
-  return kanjiRegex.test(text);
+function isKanjiCompressed(text, options = {}) {
+  // Check for presence of Kanji characters used in the dictionary
+  const dictionary = resolveDictionary(options);
+  if (!kanjiCharacters.has(dictionary)) {
+    const characters = Object.keys(dictionary.reverse).join('').replace(/[\\\]^-]/g, '\\$&');
+    kanjiCharacters.set(dictionary, new RegExp(`[${characters}]`, 'u'));
+  }
+  return kanjiCharacters.get(dictionary).test(text);
 }
 
 /**
@@ -269,7 +440,11 @@ function analyzeCode(code) {
 // Export public API
 module.exports = {
   compress,
+  compressMapped,
+  createIncrementalCompressor,
   isKanjiCompressed,
   analyzeCode,
+  getLosslessTable,
+  LOSSLESS_ESCAPE,
   dictionary: kanjiDict
 };
\ No newline at end of file
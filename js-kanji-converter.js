@@ -4,12 +4,16 @@
  * JS-Kanji Converter
  * 
  * A standalone utility to convert between JavaScript (.js) and Semantic-Kanji (.kjs) files.
- * This tool can be used both as a command-line utility and programmatically.
+ * TypeScript and JSX files (.ts, .jsx, .tsx) are compressed in TypeScript or
+ * JSX mode and decompress to files of the same kind again. This tool can be
+ * used both as a command-line utility and programmatically.
  */
 
 const fs = require('fs');
 const path = require('path');
 const semanticKanji = require('./semantic-kanji');
+const jsKanji = require('./index');
+const utils = require('./utils');
 
 /**
  * Convert a JS file to KJS format
@@ -32,8 +36,13 @@ function convertJsToKjs(inputFile, outputFile = null, options = {}) {
     // Read input file
     const jsCode = fs.readFileSync(inputFile, 'utf8');
     
-    // Compress the code
-    const kjsCode = semanticKanji.compress(jsCode, options);
+    // Compress the code, recording how it was compressed in a header
+    const kjsCode = jsKanji.compress(jsCode, 'semantic-kanji', {
+      header: true,
+      language: utils.detectLanguage(inputFile),
+      jsx: utils.detectJsx(inputFile, jsCode),
+      ...options
+    });
     
     // Get compression statistics
     const stats = semanticKanji.getStats(jsCode, kjsCode);
@@ -64,19 +73,21 @@ function convertJsToKjs(inputFile, outputFile = null, options = {}) {
  */
 function convertKjsToJs(inputFile, outputFile = null, options = {}) {
   try {
-    // Determine output filename if not provided
+    // Read input file
+    const kjsCode = fs.readFileSync(inputFile, 'utf8');
+
+    // Determine output filename if not provided (TypeScript and JSX keep their kind)
     if (!outputFile) {
       const inputExt = path.extname(inputFile);
       const baseName = path.basename(inputFile, inputExt);
       const dirName = path.dirname(inputFile);
-      outputFile = path.join(dirName, `${baseName}.decompressed.js`);
+      const header = jsKanji.readHeader(kjsCode);
+      const ext = (header && header.language === 'typescript' ? '.ts' : '.js') + (header && header.options.jsx ? 'x' : '');
+      outputFile = path.join(dirName, `${baseName}.decompressed${ext}`);
     }
-
-    // Read input file
-    const kjsCode = fs.readFileSync(inputFile, 'utf8');
     
-    // Decompress the code
-    const jsCode = semanticKanji.decompress(kjsCode, options);
+    // Decompress the code (the header, if any, selects method and dictionary)
+    const jsCode = jsKanji.decompress(kjsCode, 'auto', options);
     
     // Write output file if requested
     if (outputFile) {
@@ -110,7 +121,7 @@ function isKjsFile(filename, checkContent = true) {
   // Check content if requested
   if (checkContent && fs.existsSync(filename)) {
     const content = fs.readFileSync(filename, 'utf8');
-    return semanticKanji.isSemanticKanjiCompressed(content);
+    return Boolean(jsKanji.readHeader(content)) || semanticKanji.isSemanticKanjiCompressed(content);
   }
   
   return false;
@@ -131,6 +142,9 @@ Usage:
 Examples:
   js-kanji-converter script.js                  # Creates script.kjs
   js-kanji-converter script.kjs                 # Creates script.decompressed.js
+  js-kanji-converter types.ts                   # Creates types.kjs (TypeScript mode)
+  js-kanji-converter types.kjs                  # Creates types.decompressed.ts
+  js-kanji-converter Button.jsx                 # Creates Button.kjs (JSX mode)
   js-kanji-converter input.js output.kjs        # Specify output filename
   js-kanji-converter input.kjs output.js        # Specify output filename
   
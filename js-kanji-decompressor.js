@@ -4,18 +4,62 @@
  * This module specifically handles decompression of kanji-encoded JavaScript.
  */
 
-const kanjiDict = require('./dictionaries/kanji-dict');
+const { resolveDictionary } = require('./kanji-dictionary');
+const { tokenize } = require('./js-tokenizer');
+const { getLosslessTable } = require('./js-kanji-compressor');
+const { alignTokens } = require('./source-map');
+const { extractComments, restoreComments, splitAtMarkers } = require('./comment-channel');
+const { printCode, reindentCode } = require('./js-printer');
+const { resolveStyle, loadFormatConfig } = require('./format-config');
+const { selectRules, applyRules } = require('./repair-rules');
 
 /**
  * Decompress Kanji-compressed code back to JavaScript
  * 
+ * Code compressed with `lossless: true` must be decompressed with the same
+ * option; it is then restored byte-for-byte without any fixes or formatting.
+ * 
+ * Code produced with an older dictionary can be decoded by passing its
+ * version as `options.dictionaryVersion` (the current version is the default).
+ * Code compressed with `dictionary` or `extendDictionary` needs the same
+ * option here.
+ * 
+ * Code the dictionary cannot decode by itself is repaired by the rules in
+ * repair-rules.js; `options.repairs` switches rules on or off by name, and
+ * `options.repairRules` adds rules of your own.
+ * 
+ * The output is formatted in the style given as `options.format` (see
+ * format-config.js), on top of the style of the project that
+ * `options.formatConfig` points to (a directory or file whose `.editorconfig`
+ * and Prettier configuration are read). `formatOutput: false` leaves the
+ * code as it was decompressed; JSX elements (`options.jsx`) are printed too.
+ * TypeScript (`options.language: 'typescript'`) is only re-indented, since
+ * the printer only knows JavaScript syntax, so the style settings other
+ * than `indentWidth` and `useTabs`, and `formatConfig`, are rejected for it.
+ * `options.reindent` re-indents JavaScript the same way, which works on part
+ * of a file too, with `options.openBrackets` carrying the brackets left open
+ * from one part to the next (see reindentCode in js-printer.js and
+ * kanji-stream.js).
+ * 
  * @param {string} kanjiCode - Kanji-compressed code
  * @param {Object} options - Decompression options
  * @return {string} - Decompressed JavaScript code
+ * @throws {Error} - If TypeScript is to be formatted in a style beyond its indentation
  */
 function decompress(kanjiCode, options = {}) {
-  if (!kanjiCode || typeof kanjiCode !== 'string') {
-    throw new Error('Input code must be a non-empty string');
+  if (options.lossless) {
+    if (typeof kanjiCode !== 'string') {
+      throw new Error('Input code must be a string');
+    }
+    return decompressLossless(kanjiCode, resolveDictionary(options), options);
+  }
+
+  if (typeof kanjiCode !== 'string') {
+    throw new Error('Input code must be a string');
+  }
+  // Code with nothing but whitespace in it stays as it is
+  if (!/\S/.test(kanjiCode)) {
+    return kanjiCode;
   }
 
   // Merge default options with provided options
@@ -24,342 +68,168 @@ function decompress(kanjiCode, options = {}) {
     preserveComments: true,
     ...options
   };
+  if (opts.formatOutput && opts.language === 'typescript') checkTypeScriptStyle(opts);
 
-  // Create reverse dictionary for decompression
-  const reverseDict = Object.fromEntries(
-    Object.entries(kanjiDict).map(([key, value]) => [value, key])
-  );
-  
-  // Apply some special case fixes first
-  let decompressed = kanjiCode
-    .replace(/送信\.取/g, 'axios.get')    // Fix axios.get issue
-    .replace(/\.pop/g, '.get')            // Another approach to fix the same issue
-    .replace(/網安:\s*\/\//g, 'https://') // Fix https:// URL pattern
-    .replace(/網:\s*\/\//g, 'http://')    // Fix http:// URL pattern
-    .replace(/件\./g, 'document.')        // Fix document. references
-    .replace(/捕\(/g, 'catch(')           // Fix catch blocks
-    .replace(/試\s*{/g, 'try {')          // Fix try blocks
-    .replace(/獲\(/g, 'fetch(')           // Fix fetch function calls
-    .replace(/各\(/g, 'forEach(')         // Fix forEach function
-    .replace(/物\./g, 'Object.')          // Fix Object references
-    .replace(/者\b/g, 'user')             // Fix user references
-    .replace(/者-profile/g, 'user-profile')  // Fix user-profile references
-    .replace(/組 content 繰/g, 'Set content for');  // Fix untranslated comments
-  
-  // Extract comments to preserve them
-  const comments = [];
-  if (opts.preserveComments) {
-    // Extract and preserve comments
-    const commentRegex = /\/\/.*?(?=\n|$)|\/\*[\s\S]*?\*\//g;
-    let match;
-    while ((match = commentRegex.exec(decompressed)) !== null) {
-      comments.push({
-        index: match.index,
-        text: match[0]
-      });
-    }
-    
-    // Temporarily replace comments with markers
-    comments.forEach((comment, i) => {
-      decompressed = decompressed.replace(comment.text, `__COMMENT_${i}__`);
-    });
-  }
-  
-  // Apply reverse dictionary (longest first to avoid partial matches)
-  const sortedEntries = Object.entries(reverseDict)
-    .sort((a, b) => b[0].length - a[0].length);
-  
-  for (const [kanji, original] of sortedEntries) {
-    // Escape special regex characters
-    const escapedKanji = kanji.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    decompressed = decompressed.replace(new RegExp(escapedKanji, 'g'), original);
-  }
-  
-  // Apply common fixes to the decompressed code
-  decompressed = applyCommonFixes(decompressed);
-  
-  // Restore comments, making sure to translate any kanji in them
-  if (opts.preserveComments && comments.length > 0) {
-    comments.forEach((comment, i) => {
-      // Create a new array to hold the untranslated kanji
-      let translatedComment = comment.text;
-      
-      // Generate a list of all kanji characters in the comment
-      const kanjiRegex = /[\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF]+/g;
-      const kanjiMatches = translatedComment.match(kanjiRegex) || [];
-      
-      // If we found any kanji, attempt to translate each one
-      if (kanjiMatches.length > 0) {
-        // First, try pattern-based replacements
-        translatedComment = translatedComment
-          .replace(/者\s*profile/g, 'user profile')
-          .replace(/者-profile/g, 'user-profile')
-          .replace(/組\s*content\s*繰/g, 'Set content for')
-          .replace(/\b者\b/g, 'user')
-          .replace(/名/g, 'name')
-          .replace(/物/g, 'object')
-          .replace(/各/g, 'forEach')
-          .replace(/件/g, 'document')
-          .replace(/獲/g, 'fetch')
-          .replace(/資/g, 'data')
-          .replace(/素/g, 'element')
-          .replace(/頭/g, 'headers')
-          .replace(/答/g, 'response')
-          .replace(/定/g, 'const')
-          .replace(/條/g, 'if')
-          .replace(/投/g, 'throw')
-          .replace(/新/g, 'new')
-          .replace(/態/g, 'status')
-          .replace(/返/g, 'return')
-          .replace(/関/g, 'function')
-          .replace(/非/g, 'async')
-          .replace(/日/g, 'Date')
-          .replace(/試/g, 'try')
-          .replace(/捕/g, 'catch')
-          .replace(/過誤/g, 'error')
-          .replace(/示/g, 'console')
-          .replace(/信/g, 'message')
-          .replace(/網安/g, 'https');
-          
-        // For any remaining kanji, try the dictionary-based reverse mapping
-        for (const kanjiChar of kanjiMatches) {
-          if (translatedComment.includes(kanjiChar)) {
-            // Try to find a translation from the dictionary
-            for (const [key, value] of Object.entries(kanjiDict)) {
-              if (value === kanjiChar) {
-                translatedComment = translatedComment.replace(new RegExp(kanjiChar, 'g'), key);
-                break;
-              }
-            }
-          }
-        }
-      }
-      
-      decompressed = decompressed.replace(`__COMMENT_${i}__`, translatedComment);
-    });
-  }
+  // Select the dictionary the code was compressed with
+  const dictionary = resolveDictionary(opts);
+  const reverseDict = dictionary.reverse;
+  
+  // Take the comments out before any text is rewritten
+  const { code: uncommented, comments } = opts.preserveComments ?
+    extractComments(kanjiCode, {
+      aliases: reverseDict,
+      compressComments: opts.compressComments,
+      language: opts.language,
+      jsx: opts.jsx
+    }) :
+    { code: kanjiCode, comments: [] };
+  
+  // Repair what the dictionary alone cannot decode (see repair-rules.js)
+  const rules = selectRules(opts);
+  const context = { dictionary, options: opts };
+  let decompressed = applyRules(uncommented, 'kanji', rules, context);
+  
+  // Apply reverse dictionary to the words, leaving literals as they were compressed
+  decompressed = decodeWords(decompressed, reverseDict, opts);
+  
+  // Then the repairs of the decoded code
+  decompressed = applyRules(decompressed, 'code', rules, context);
   
   // Format the decompressed code if option is enabled
   if (opts.formatOutput) {
-    decompressed = formatCode(decompressed);
+    const style = opts.formatConfig ? resolveStyle(loadFormatConfig(opts.formatConfig), opts.format) : opts.format;
+    return opts.reindent || opts.language === 'typescript' ?
+      restoreComments(reindentCode(decompressed, style, opts), comments) :
+      formatCode(decompressed, style, comments, opts);
   }
   
-  return decompressed;
+  return restoreComments(decompressed, comments);
 }
 
 /**
- * Apply common fixes to decompressed code
+ * Check that the style asked for can be applied to TypeScript
  * 
- * @param {string} code - Decompressed code
- * @return {string} - Fixed code
+ * TypeScript is only re-indented, so a style setting it would not follow is
+ * an error rather than silently ignored.
+ * 
+ * @param {Object} options - Decompression options, with `format` and `formatConfig`
+ * @throws {Error} - If a setting other than the indentation is given
  */
-function applyCommonFixes(code) {
-  return code
-    // Fix broken URLs with spaces
-    .replace(/(https?):\/\/\s+/g, '$1://')
-    .replace(/api\.\s*example/g, 'api.example')
-    .replace(/\/\s+/g, '/')
-    
-    // Fix jQuery-style variables and $
-    .replace(/\$=/g, '$ =')
-    .replace(/=\$/g, '= $')
-    .replace(/\(\$/g, '($ ')
-    .replace(/,\$/g, ', $')
-    
-    // Fix broken arrow functions
-    .replace(/=\s*>/g, '=>')
-    
-    // Fix content-type headers
-    .replace(/Content\s*-\s*Type/g, 'Content-Type')
-    .replace(/application\s*\/\s*json/g, 'application/json')
-    
-    // Fix catch statements - this is a critical error in decompression
-    .replace(/捕\(/g, 'catch(')
-    .replace(/試\s*{/g, 'try {')
-    .replace(/獲\(/g, 'catch(')
-    .replace(/fetch\s*\(error\)/g, 'catch (error)')
-    
-    // Fix some common mistranslations
-    .replace(/各\(/g, 'forEach(')
-    .replace(/物\./g, 'Object.')
-    .replace(/列\./g, 'Array.')
-    .replace(/\bArray\.values\b/g, 'Object.values')
-    .replace(/者 profile/g, 'user profile')
-    .replace(/者-profile/g, 'user-profile')
-    
-    // Fix remaining untranslated words
-    .replace(/\b組 content 繰\b/g, 'Set content for')
-    .replace(/\b者\b/g, 'user');
+function checkTypeScriptStyle(options) {
+  const format = options.format || {};
+  const unsupported = Object.keys(format)
+    .filter(key => format[key] !== undefined && key !== 'indentWidth' && key !== 'useTabs')
+    .map(key => `format.${key}`);
+  if (options.formatConfig) unsupported.unshift('formatConfig');
+
+  if (unsupported.length) {
+    throw new Error(
+      `TypeScript is only re-indented, so ${unsupported.join(', ')} cannot be applied to it; ` +
+      'only format.indentWidth and format.useTabs are'
+    );
+  }
 }
 
 /**
- * Format JavaScript code for readability
+ * Turn the Kanji of identifier and keyword tokens back into their words
  * 
- * @param {string} code - Decompressed code
- * @return {string} - Formatted code
+ * Compression only substitutes words, so Kanji in strings, templates,
+ * regular expressions and JSX text are original text and stay as they are.
+ * 
+ * @param {string} code - Kanji-compressed code, with comment markers if comments were extracted
+ * @param {Object} reverse - Map of Kanji to the words they stand for
+ * @param {Object} dialect - `{ language, jsx }` the code was compressed with
+ * @return {string} - Code with its words decoded
  */
-function formatCode(code) {
-  // Use a simplified but more effective approach to code formatting
-  
-  // 1. Break into lines for better processing
-  let lines = code.split(/\n/);
-  let formattedLines = [];
-  let indentLevel = 0;
-  
-  // 2. Process each line with appropriate indentation
-  for (let i = 0; i < lines.length; i++) {
-    let line = lines[i].trim();
-    if (!line) continue;
-    
-    // Process the line content for better formatting
-    line = processLine(line);
-    
-    // Check for closing braces/brackets that should decrease indent
-    if (/^[}\]]/.test(line)) {
-      indentLevel = Math.max(0, indentLevel - 1);
-    }
-    
-    // Add proper indentation
-    let indentedLine = ' '.repeat(2 * indentLevel) + line;
-    formattedLines.push(indentedLine);
-    
-    // Check for opening braces/brackets that should increase indent
-    if (/{$/.test(line) || /\[$/.test(line)) {
-      indentLevel++;
-    }
-    
-    // Handle cases where a line ends with a semicolon (statement end)
-    if (/;$/.test(line) && i < lines.length - 1) {
-      let nextLine = lines[i + 1].trim();
-      
-      // Add a blank line before comments and certain statements for readability
-      if (nextLine.startsWith('//') || /^(function|class|if|for|while|switch)/.test(nextLine)) {
-        formattedLines.push('');
+function decodeWords(code, reverse, dialect = {}) {
+  const decodeWord = word => (word in reverse ? reverse[word] : word);
+
+  return tokenize(code, { aliases: reverse, language: dialect.language, jsx: dialect.jsx })
+    .map(token => (token.type === 'identifier' || token.type === 'keyword' ?
+      splitAtMarkers(token.value).map(decodeWord).join('') :
+      token.value))
+    .join('');
+}
+
+/**
+ * Decompress code produced by lossless compression
+ * 
+ * @param {string} kanjiCode - Losslessly compressed code
+ * @param {Object} dictionary - Dictionary the code was compressed with
+ * @param {Object} dialect - `{ language, jsx }` the code was compressed with
+ * @return {string} - The original code
+ */
+function decompressLossless(kanjiCode, dictionary, dialect = {}) {
+  const { aliases, translate } = createTokenTranslator(dictionary);
+  return tokenize(kanjiCode, { aliases, language: dialect.language, jsx: dialect.jsx }).map(translate).join('');
+}
+
+/**
+ * Create a function that turns a Kanji token back into the text it stands for
+ * 
+ * Escaped tokens (original code that looked like a symbol) lose their escape
+ * prefix; tokens other than words are returned unchanged.
+ * 
+ * @param {Object} dictionary - Dictionary the code was compressed with
+ * @return {Object} - `{ aliases, translate }`, with the aliases to tokenize
+ *   compressed code with and the function taking a token to its text
+ */
+function createTokenTranslator(dictionary) {
+  const { reverse, escape } = getLosslessTable(dictionary);
+
+  return {
+    aliases: reverse,
+    translate: token => {
+      if (token.type !== 'identifier' && token.type !== 'keyword') {
+        return token.value;
+      }
+      if (token.value.startsWith(escape)) {
+        return token.value.slice(escape.length);
       }
+      return token.value in reverse ? reverse[token.value] : token.value;
     }
-  }
-  
-  // 3. Join the formatted lines back into code
-  return formattedLines.join('\n');
+  };
 }
 
 /**
- * Process a single line of code for formatting
+ * Map decompressed code back to the Kanji-compressed code it came from
+ * 
+ * Decompression rewrites the text in several passes, so instead of tracking
+ * positions the tokens of both sides are aligned (see alignTokens in
+ * source-map.js), with every Kanji standing for the word it decodes to.
  * 
- * @param {string} line - A line of code
- * @return {string} - Formatted line
+ * @param {string} kanjiCode - Kanji-compressed code
+ * @param {string} decompressed - Result of decompressing it
+ * @param {Object} options - Options it was decompressed with
+ * @return {Object[]} - Offset mappings from the decompressed to the compressed code
  */
-function processLine(line) {
-  // Fix common URL issues
-  line = line
-    .replace(/(https?): \/\//g, '$1://')
-    .replace(/\/\s+/g, '/')
-    .replace(/Content\s*-\s*Type/g, 'Content-Type')
-    .replace(/application\s*\/\s*json/g, 'application/json')
-    .replace(/user\s*-\s*profile/g, 'user-profile');
-    
-  // Fix spacing around operators
-  line = line
-    .replace(/([a-zA-Z0-9_])([\+\-\*\/\%\=\>\<\!\&\|\^\?])/g, '$1 $2')
-    .replace(/([\+\-\*\/\%\=\>\<\!\&\|\^\?])([a-zA-Z0-9_])/g, '$1 $2')
-    .replace(/\s*=\s*/g, ' = ')
-    .replace(/,([^\s])/g, ', $1');
-  
-  // Fix spacing after keywords
-  line = line
-    .replace(/\b(if|for|while|switch|catch|function|class)\(/g, '$1 (')
-    .replace(/\)\s*{/g, ') {');
-  
-  // Fix double spaces
-  line = line.replace(/\s{2,}/g, ' ');
-  
-  // Handle comments
-  if (line.includes('//')) {
-    // For lines with inline comments, format the code part first
-    let [codePart, commentPart] = line.split('//', 2);
-    
-    // Process the comment part to fix any kanji
-    commentPart = commentPart.trim()
-      .replace(/者\s*profile/g, 'user profile')
-      .replace(/者-profile/g, 'user-profile')
-      .replace(/組\s*content\s*繰/g, 'Set content for')
-      .replace(/\b者\b/g, 'user')
-      .replace(/名/g, 'name')
-      .replace(/物/g, 'object')
-      .replace(/各/g, 'forEach')
-      .replace(/件/g, 'document')
-      .replace(/獲/g, 'fetch')
-      .replace(/資/g, 'data')
-      .replace(/素/g, 'element')
-      .replace(/頭/g, 'headers')
-      .replace(/答/g, 'response')
-      .replace(/定/g, 'const')
-      .replace(/條/g, 'if')
-      .replace(/投/g, 'throw')
-      .replace(/新/g, 'new')
-      .replace(/態/g, 'status')
-      .replace(/返/g, 'return')
-      .replace(/関/g, 'function')
-      .replace(/非/g, 'async')
-      .replace(/日/g, 'Date')
-      .replace(/試/g, 'try')
-      .replace(/捕/g, 'catch')
-      .replace(/過誤/g, 'error')
-      .replace(/示/g, 'console')
-      .replace(/信/g, 'message')
-      .replace(/網安/g, 'https');
-    
-    if (codePart.trim()) {
-      return processLine(codePart) + ' // ' + commentPart;
-    }
-    return '// ' + commentPart;
-  }
-  
-  // Fix arrow functions
-  line = line.replace(/=\s*>/g, '=>');
-  
-  // Fix object literal formatting
-  if (line.includes('{') && line.includes(':')) {
-    line = line.replace(/(\w+):/g, '$1: ');
-  }
-  
-  // Fix destructuring spacing
-  if (line.includes('{') && line.includes('}') && line.includes('=')) {
-    line = line.replace(/{\s*([^{}]*?)\s*}/g, '{ $1 }');
-  }
-  
-  // Fix language-specific terms in code and comments
-  line = line
-    .replace(/\b者\b/g, 'user')
-    .replace(/名/g, 'name')
-    .replace(/物/g, 'object')
-    .replace(/件/g, 'document')
-    .replace(/組\s*content\s*繰/g, 'Set content for')
-    .replace(/素/g, 'element')
-    .replace(/頭/g, 'headers')
-    .replace(/答/g, 'response')
-    .replace(/定/g, 'const')
-    .replace(/條/g, 'if')
-    .replace(/投/g, 'throw')
-    .replace(/新/g, 'new')
-    .replace(/態/g, 'status')
-    .replace(/返/g, 'return')
-    .replace(/関/g, 'function')
-    .replace(/非/g, 'async')
-    .replace(/日/g, 'Date')
-    .replace(/試/g, 'try')
-    .replace(/捕/g, 'catch')
-    .replace(/過誤/g, 'error')
-    .replace(/示/g, 'console')
-    .replace(/信/g, 'message')
-    .replace(/網安/g, 'https');
-  
-  return line;
+function mapDecompressed(kanjiCode, decompressed, options = {}) {
+  return alignTokens(kanjiCode, decompressed, createTokenTranslator(resolveDictionary(options)));
+}
+
+/**
+ * Format decompressed code
+ * 
+ * The code is printed from its syntax tree in the given style (see
+ * js-printer.js and format-config.js). Code that does not parse, or does not
+ * print back to the same tree, is only re-indented by bracket depth, so
+ * nothing inside its strings, regular expressions or operators changes.
+ * 
+ * @param {string} code - Decompressed code, with comment markers if comments were extracted
+ * @param {Object} style - Formatting style
+ * @param {string[]} comments - Comments taken out of the code (see extractComments)
+ * @param {Object} dialect - `{ jsx }` the code was compressed with
+ * @return {string} - Formatted code
+ */
+function formatCode(code, style = {}, comments = [], dialect = {}) {
+  const printed = printCode(restoreComments(code, comments), style, { jsx: dialect.jsx });
+  return printed !== null ? printed : restoreComments(reindentCode(code, style, { jsx: dialect.jsx }), comments);
 }
 
 // Export public API
 module.exports = {
   decompress,
-  formatCode,
-  applyCommonFixes
+  mapDecompressed,
+  createTokenTranslator,
+  formatCode
 };
\ No newline at end of file
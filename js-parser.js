@@ -0,0 +1,51 @@
+/**
+ * JS-Kanji: Parsing JavaScript
+ *
+ * Stages that need the syntax tree of the code (structural pattern matching,
+ * renaming locals, printing decompressed code) parse it here, with one set of options, so that they agree
+ * on what is and is not valid code.
+ */
+
+const acorn = require('acorn');
+const acornJsx = require('acorn-jsx');
+
+// Parser for code with JSX elements, created when first needed
+let jsxParser = null;
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowHashBang: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true
+};
+
+/**
+ * Parse code as a module, or as a script if that fails
+ *
+ * Comments are collected into `options.onComment` when it is an array; it
+ * is emptied before each attempt. With `options.jsx`, JSX elements are
+ * parsed too (as `JSXElement` nodes and the like).
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} options - Additional acorn options
+ * @return {Object|null} - Program node (with its `sourceType`), or null if the code does not parse
+ */
+function parseCode(code, options = {}) {
+  const { jsx, ...parseOptions } = options;
+  if (jsx && !jsxParser) jsxParser = acorn.Parser.extend(acornJsx());
+  const parser = jsx ? jsxParser : acorn.Parser;
+
+  for (const sourceType of ['module', 'script']) {
+    if (Array.isArray(parseOptions.onComment)) parseOptions.onComment.length = 0;
+    try {
+      return parser.parse(code, { ...PARSE_OPTIONS, ...parseOptions, sourceType });
+    } catch (error) {
+      // Try the next source type
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCode
+};
@@ -0,0 +1,1502 @@
+/**
+ * JS-Kanji: Printing JavaScript
+ *
+ * Decompressed code is laid out again from its syntax tree rather than by
+ * rewriting its text, so strings, regular expressions and operators such as
+ * `===` or `=>` come out exactly as they went in, with consistent spacing
+ * and indentation in the style asked for (see format-config.js). Lists
+ * (arguments, parameters, arrays, objects, imports) are broken over lines
+ * when they do not fit in the line width, and objects that started on a new
+ * line in the input stay broken.
+ *
+ * Comments are attached to the node next to them (leading, trailing, or
+ * dangling inside an empty body) and printed with it.
+ *
+ * JSX elements put their children on lines of their own where the input
+ * broke the line between them (or where no text is next to them), which
+ * leaves the text of the elements as JSX reads it; multi-line elements are
+ * parenthesised where they are returned or assigned.
+ *
+ * The printed code is parsed again and compared with the input; if it does
+ * not give the same syntax tree, or a comment found no place, printCode gives
+ * up and reindentCode, which only indents lines by their bracket depth, is
+ * the fallback.
+ */
+
+const { parseCode } = require('./js-parser');
+const { tokenize } = require('./js-tokenizer');
+const {
+  line, softline, hardline, breakParent, group, indent, ifBreak, lineSuffix, comment, join, layoutDoc
+} = require('./doc-printer');
+const { resolveStyle } = require('./format-config');
+
+// Binding power of binary and logical operators
+const PRECEDENCE = {
+  '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+  '==': 7, '!=': 7, '===': 7, '!==': 7,
+  '<': 8, '>': 8, '<=': 8, '>=': 8, in: 8, instanceof: 8,
+  '<<': 9, '>>': 9, '>>>': 9,
+  '+': 10, '-': 10,
+  '*': 11, '/': 11, '%': 11,
+  '**': 12
+};
+
+// Statements that would continue the previous one without a semicolon
+const HAZARDOUS_START = /^[([`+\-/<]/;
+
+// Keys that are not part of the syntax tree when comparing trees
+const POSITION_KEYS = new Set(['start', 'end', 'loc', 'range', 'raw']);
+
+// Arguments and bodies that can be laid out after `(` or `=>` on the same line
+const HUGGED_TYPES = new Set([
+  'ObjectExpression', 'ArrayExpression', 'FunctionExpression', 'ArrowFunctionExpression'
+]);
+const HUGGED_BODY_TYPES = new Set([
+  'ObjectExpression', 'ArrayExpression', 'CallExpression', 'NewExpression', 'TemplateLiteral',
+  'TaggedTemplateExpression', 'ArrowFunctionExpression', 'FunctionExpression', 'ClassExpression',
+  'JSXElement', 'JSXFragment'
+]);
+
+// Positions where a JSX element that breaks over lines is parenthesised
+const JSX_WRAPPED_PARENTS = new Set([
+  'ReturnStatement', 'ArrowFunctionExpression', 'VariableDeclarator', 'AssignmentExpression',
+  'ConditionalExpression', 'LogicalExpression'
+]);
+
+// Brackets that reindentCode indents between
+const OPENERS = new Set(['(', '[', '{']);
+const CLOSERS = new Set([')', ']', '}']);
+
+// Number of calls from which a member chain is broken into one call per line
+const MEMBER_CHAIN_CALLS = 3;
+
+/**
+ * Print JavaScript code from its syntax tree
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} style - Formatting style (see format-config.js)
+ * @param {Object} dialect - `{ jsx }` to parse JSX elements too
+ * @return {string|null} - Formatted code, or null if it cannot be printed faithfully
+ */
+function printCode(code, style = {}, dialect = {}) {
+  const comments = [];
+  const ast = parseCode(code, { onComment: comments, jsx: dialect.jsx });
+  if (!ast) return null;
+
+  const ctx = {
+    code,
+    options: resolveStyle(style),
+    comments: attachComments(ast, comments, code),
+    printed: new Set(),
+    parens: new WeakSet()
+  };
+
+  let output;
+  try {
+    output = layoutDoc(print(ctx, ast), ctx.options);
+  } catch (error) {
+    // A node this printer does not know
+    return null;
+  }
+
+  if (ctx.printed.size !== comments.length) return null;
+  const reparsed = parseCode(output, { jsx: dialect.jsx });
+  return reparsed && sameTree(ast, reparsed) ? output : null;
+}
+
+/**
+ * Indent code by bracket depth, leaving everything else as it is
+ *
+ * Lines inside multi-line strings, template literals and comments are kept
+ * unchanged. The children of JSX elements are indented like the contents of
+ * brackets.
+ *
+ * Code re-indented in parts passes the same `dialect.openBrackets` array
+ * with each part: it holds the brackets open before the part, and is
+ * updated to those open after it.
+ *
+ * @param {string} code - JavaScript code (need not be valid)
+ * @param {Object} style - Formatting style (only the indentation is used)
+ * @param {Object} dialect - `{ language, jsx }` to tokenize the code with
+ *   (see tokenize), and `openBrackets` for code re-indented in parts
+ * @return {string} - Re-indented code
+ */
+function reindentCode(code, style = {}, dialect = {}) {
+  const options = resolveStyle(style);
+  const unit = options.useTabs ? '\t' : ' '.repeat(options.indentWidth);
+  const tokens = tokenize(code, { language: dialect.language, jsx: dialect.jsx });
+  const verbatim = tokens.filter(token => token.type !== 'whitespace' && token.value.includes('\n'));
+  const inside = offset => verbatim.some(token => token.start < offset && offset < token.end);
+
+  // One entry per open bracket: whether the lines after it are indented
+  const brackets = dialect.openBrackets || [];
+  const lines = [];
+  let offset = 0;
+  let next = 0;
+
+  for (const text of code.split('\n')) {
+    const start = offset;
+    const end = start + text.length;
+    offset = end + 1;
+
+    const levels = brackets.filter(Boolean).length;
+    let closed = 0;
+    let leading = true;
+    let lowest = brackets.length;
+    for (; next < tokens.length && tokens[next].start < end; next++) {
+      const token = tokens[next];
+      if (token.type === 'whitespace') continue;
+      const closes = token.jsx === 'close' || (token.type === 'punctuator' && CLOSERS.has(token.value));
+      if (token.jsx === 'open' || (token.type === 'punctuator' && OPENERS.has(token.value))) {
+        brackets.push(false);
+      } else if (closes && brackets.length) {
+        if (brackets.pop() && leading) closed++;
+        lowest = Math.min(lowest, brackets.length);
+      }
+      leading = leading && closes;
+    }
+
+    // The last bracket left open on a line indents the lines after it
+    if (brackets.length > lowest) brackets[brackets.length - 1] = true;
+
+    if (inside(start)) {
+      lines.push(text);
+    } else {
+      const trimmed = inside(end) ? text.trimStart() : text.trim();
+      const blank = !trimmed && (!lines.length || !lines[lines.length - 1]);
+      if (!blank) lines.push(trimmed && unit.repeat(levels - closed) + trimmed);
+    }
+  }
+
+  return lines.join('\n').replace(/\n+$/, '');
+}
+
+/**
+ * Attach comments to the nodes they belong with
+ *
+ * A comment goes with the nearest node around it: on a line of its own it
+ * leads the node after it, at the end of a line it trails the node before
+ * it, and with no node on either side it dangles in the node around it.
+ *
+ * @param {Object} ast - Program node
+ * @param {Object[]} comments - Comments from the parser
+ * @param {string} code - Parsed code
+ * @return {Map} - Node to `{ leading, trailing, dangling }` comments
+ */
+function attachComments(ast, comments, code) {
+  const attached = new Map();
+  const attach = (node, kind, attachedComment) => {
+    if (!attached.has(node)) attached.set(node, { leading: [], trailing: [], dangling: [] });
+    attached.get(node)[kind].push(attachedComment);
+  };
+
+  for (const current of comments) {
+    let enclosing = ast;
+    let preceding = null;
+    let following = null;
+    let children = childNodes(ast);
+
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      if (child.start <= current.start && current.end <= child.end && !beforeSemicolon(code, current, child)) {
+        enclosing = child;
+        children = childNodes(child);
+        preceding = following = null;
+        i = -1;
+      } else if (child.end <= current.start) {
+        preceding = child;
+      } else if (child.start >= current.end) {
+        following = child;
+        break;
+      }
+    }
+
+    const order = isOwnLine(code, current) ? [following, 'leading', preceding, 'trailing'] :
+      isEndOfLine(code, current) ? [preceding, 'trailing', following, 'leading'] :
+        [following, 'leading', preceding, 'trailing'];
+    if (order[0]) attach(order[0], order[1], current);
+    else if (order[2]) attach(order[2], order[3], current);
+    else attach(enclosing, 'dangling', current);
+  }
+
+  return attached;
+}
+
+/**
+ * Check whether a comment of its own line is only followed by the semicolon of a statement
+ *
+ * Without semicolons, a statement that starts with `;` ends the one before it
+ * there, so a comment above it would otherwise land in the statement before.
+ *
+ * @param {string} code - Source code
+ * @param {Object} current - Comment
+ * @param {Object} node - Node that encloses the comment
+ * @return {boolean} - True if the comment belongs after the node instead
+ */
+function beforeSemicolon(code, current, node) {
+  return isOwnLine(code, current) && /^(?:\s|\/\/.*|\/\*[\s\S]*?\*\/)*;$/.test(code.slice(current.end, node.end));
+}
+
+/**
+ * Print a node with its comments and any parentheses it needs
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object|null} node - Node to print
+ * @param {Object|null} parent - Parent node
+ * @param {string|null} key - Key of the node in its parent
+ * @return {*} - Document
+ */
+function print(ctx, node, parent = null, key = null) {
+  if (!node) return '';
+  const printed = printNode(ctx, node, parent, key);
+  const doc = ctx.parens.has(node) || needsParens(node, parent, key) ? ['(', printed, ')'] : printed;
+  return printComments(ctx, node, doc);
+}
+
+/**
+ * Put the leading and trailing comments of a node around its document
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node the comments are attached to
+ * @param {*} doc - Document of the node
+ * @return {*} - Document with the comments
+ */
+function printComments(ctx, node, doc) {
+  if (!ctx.comments.has(node)) return doc;
+  return [printLeadingComments(ctx, node), doc, printTrailingComments(ctx, node)];
+}
+
+/**
+ * Print the comments before a node
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node the comments are attached to
+ * @return {Array} - Document
+ */
+function printLeadingComments(ctx, node) {
+  const attached = ctx.comments.get(node);
+  if (!attached) return [];
+
+  return attached.leading.map(current => {
+    const parts = [printComment(ctx, current)];
+    if (current.type === 'Block' && !isEndOfLine(ctx.code, current)) return [...parts, ' '];
+    parts.push(hardline);
+    if (/^[ \t]*\r?\n[ \t]*\r?\n/.test(ctx.code.slice(current.end))) parts.push(hardline);
+    return parts;
+  });
+}
+
+/**
+ * Print the comments after a node
+ *
+ * Line comments (and block comments on a line of their own) are held back
+ * to the end of the line, after any punctuation that follows the node.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node the comments are attached to
+ * @return {Array} - Document
+ */
+function printTrailingComments(ctx, node) {
+  const attached = ctx.comments.get(node);
+  if (!attached) return [];
+
+  return attached.trailing.map(current => {
+    if (current.type === 'Block' && !isOwnLine(ctx.code, current)) return [' ', printComment(ctx, current)];
+    return [lineSuffix([isOwnLine(ctx.code, current) ? hardline : ' ', printComment(ctx, current)]), breakParent];
+  });
+}
+
+/**
+ * Print the comments left inside an empty node
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node with no children
+ * @return {*} - Document, or '' if there are none
+ */
+function printDangling(ctx, node) {
+  const attached = ctx.comments.get(node);
+  if (!attached || !attached.dangling.length) return '';
+  return join(hardline, attached.dangling.map(current => [
+    printComment(ctx, current),
+    current.type === 'Line' ? breakParent : ''
+  ]));
+}
+
+/**
+ * Print a comment as it was written
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} current - Comment from the parser
+ * @return {Object} - Comment document
+ */
+function printComment(ctx, current) {
+  ctx.printed.add(current);
+  const text = ctx.code.slice(current.start, current.end);
+  if (current.type === 'Line') return comment(text);
+
+  // Continuation lines are relative to the column the comment started at
+  const column = current.start - ctx.code.lastIndexOf('\n', current.start - 1) - 1;
+  const dedent = new RegExp(`^[ \\t]{0,${column}}`);
+  return comment(text.split('\n').map((part, i) => (i === 0 ? part : part.replace(dedent, ''))).join('\n'));
+}
+
+/**
+ * Print a node without its comments
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node to print
+ * @param {Object|null} parent - Parent node
+ * @param {string|null} key - Key of the node in its parent
+ * @return {*} - Document
+ * @throws {Error} - If the node type is unknown
+ */
+function printNode(ctx, node, parent, key) {
+  const p = (childKey, child = node[childKey]) => print(ctx, child, node, childKey);
+
+  switch (node.type) {
+    case 'Program': {
+      return printStatements(ctx, node, 'body') || printDangling(ctx, node);
+    }
+
+    // Statements
+    case 'BlockStatement':
+    case 'StaticBlock': {
+      const prefix = node.type === 'StaticBlock' ? 'static ' : '';
+      const body = printStatements(ctx, node, 'body') || printDangling(ctx, node);
+      return body ? [prefix, '{', indent([hardline, body]), hardline, '}'] : `${prefix}{}`;
+    }
+    case 'EmptyStatement':
+      return ';';
+    case 'ExpressionStatement':
+      return printExpressionStatement(ctx, node, parent, key);
+    case 'IfStatement': {
+      const parts = [printTest(ctx, 'if', node), printClause(ctx, node, 'consequent')];
+      if (node.alternate) {
+        parts.push(node.consequent.type === 'BlockStatement' ? ' else' : [hardline, 'else']);
+        parts.push(node.alternate.type === 'IfStatement' ? [' ', p('alternate')] : printClause(ctx, node, 'alternate'));
+      }
+      return parts;
+    }
+    case 'ForStatement': {
+      guardInOperator(ctx, node.init);
+      if (!node.init && !node.test && !node.update) return ['for (;;)', printClause(ctx, node, 'body')];
+      return [
+        group(['for (', indent([softline, p('init'), ';', line, p('test'), ';', line, p('update')]), softline, ')']),
+        printClause(ctx, node, 'body')
+      ];
+    }
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return [
+        'for', node.await ? ' await' : '', ' (', p('left'),
+        node.type === 'ForInStatement' ? ' in ' : ' of ', p('right'), ')',
+        printClause(ctx, node, 'body')
+      ];
+    case 'WhileStatement':
+      return [printTest(ctx, 'while', node), printClause(ctx, node, 'body')];
+    case 'DoWhileStatement':
+      return [
+        'do', printClause(ctx, node, 'body'),
+        node.body.type === 'BlockStatement' ? ' ' : hardline,
+        printTest(ctx, 'while', node), semi(ctx)
+      ];
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+      return [node.type === 'ReturnStatement' ? 'return' : 'throw', printReturnArgument(ctx, node), semi(ctx)];
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return [node.type === 'BreakStatement' ? 'break' : 'continue', node.label ? [' ', p('label')] : '', semi(ctx)];
+    case 'LabeledStatement':
+      return [p('label'), ':', node.body.type === 'EmptyStatement' ? ';' : [' ', p('body')]];
+    case 'SwitchStatement': {
+      const cases = printStatements(ctx, node, 'cases') || printDangling(ctx, node);
+      return [
+        group(['switch (', indent([softline, p('discriminant')]), softline, ')']),
+        ' {', cases ? indent([hardline, cases]) : '', hardline, '}'
+      ];
+    }
+    case 'SwitchCase': {
+      const head = node.test ? ['case ', p('test'), ':'] : 'default:';
+      if (node.consequent.length === 1 && node.consequent[0].type === 'BlockStatement') {
+        return [head, ' ', print(ctx, node.consequent[0], node, 'consequent')];
+      }
+      const consequent = printStatements(ctx, node, 'consequent');
+      return consequent ? [head, indent([hardline, consequent])] : head;
+    }
+    case 'TryStatement':
+      return [
+        'try ', p('block'),
+        node.handler ? [' ', p('handler')] : '',
+        node.finalizer ? [' finally ', p('finalizer')] : ''
+      ];
+    case 'CatchClause':
+      return ['catch', node.param ? [' (', p('param'), ')'] : '', ' ', p('body')];
+    case 'DebuggerStatement':
+      return ['debugger', semi(ctx)];
+    case 'WithStatement':
+      return [printTest(ctx, 'with', node), printClause(ctx, node, 'body')];
+    case 'VariableDeclaration':
+      return printVariableDeclaration(ctx, node, parent);
+    case 'VariableDeclarator':
+      return node.init ? printAssignment(ctx, p('id'), '=', node, 'init') : p('id');
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+      return [
+        node.async ? 'async ' : '', 'function', node.generator ? '*' : '', ' ',
+        p('id'), printParams(ctx, node), ' ', p('body')
+      ];
+    case 'ArrowFunctionExpression':
+      return printArrow(ctx, node);
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return [
+        'class', node.id ? [' ', p('id')] : '',
+        node.superClass ? [' extends ', p('superClass')] : '',
+        ' ', p('body')
+      ];
+    case 'ClassBody': {
+      const body = printStatements(ctx, node, 'body') || printDangling(ctx, node);
+      return body ? ['{', indent([hardline, body]), hardline, '}'] : '{}';
+    }
+    case 'MethodDefinition':
+      return printMethod(ctx, node);
+    case 'PropertyDefinition':
+      return [
+        node.static ? 'static ' : '', printKey(ctx, node),
+        node.value ? [' = ', p('value')] : '', semi(ctx)
+      ];
+
+    // Modules
+    case 'ImportDeclaration': {
+      const named = node.specifiers.filter(specifier => specifier.type === 'ImportSpecifier');
+      const clause = node.specifiers
+        .filter(specifier => specifier.type !== 'ImportSpecifier')
+        .map(specifier => print(ctx, specifier, node, 'specifiers'));
+      if (named.length) clause.push(printModuleSpecifiers(ctx, node, named));
+      return [
+        'import ', clause.length ? [join(', ', clause), ' from '] : '',
+        p('source'), printAttributes(ctx, node), semi(ctx)
+      ];
+    }
+    case 'ImportSpecifier':
+      return printModuleSpecifier(ctx, node, 'imported', 'local');
+    case 'ImportDefaultSpecifier':
+      return p('local');
+    case 'ImportNamespaceSpecifier':
+      return ['* as ', p('local')];
+    case 'ImportAttribute':
+      return [p('key'), ': ', p('value')];
+    case 'ExportNamedDeclaration':
+      if (node.declaration) return ['export ', p('declaration')];
+      return [
+        'export ', node.specifiers.length ? printModuleSpecifiers(ctx, node, node.specifiers) : '{}',
+        node.source ? [' from ', p('source')] : '', printAttributes(ctx, node), semi(ctx)
+      ];
+    case 'ExportSpecifier':
+      return printModuleSpecifier(ctx, node, 'local', 'exported');
+    case 'ExportDefaultDeclaration': {
+      const declaration = node.declaration.type;
+      if (declaration === 'FunctionDeclaration' || declaration === 'ClassDeclaration') {
+        return ['export default ', p('declaration')];
+      }
+      guardStatementStart(ctx, node.declaration, node, 'declaration');
+      return ['export default ', p('declaration'), semi(ctx)];
+    }
+    case 'ExportAllDeclaration':
+      return [
+        'export * ', node.exported ? ['as ', p('exported'), ' '] : '',
+        'from ', p('source'), printAttributes(ctx, node), semi(ctx)
+      ];
+
+    // Expressions
+    case 'Identifier':
+      return node.name;
+    case 'PrivateIdentifier':
+      return `#${node.name}`;
+    case 'Literal':
+      // JSX attributes have no escapes, so their strings keep their quotes
+      return typeof node.value === 'string' && !(parent && parent.type === 'JSXAttribute') ?
+        printString(node.raw, ctx.options.quotes) :
+        node.raw;
+    case 'TemplateLiteral':
+      return [
+        '`',
+        node.quasis.map((quasi, i) => [
+          quasi.value.raw,
+          i < node.expressions.length ? ['${', print(ctx, node.expressions[i], node, 'expressions'), '}'] : ''
+        ]),
+        '`'
+      ];
+    case 'TaggedTemplateExpression':
+      return [p('tag'), p('quasi')];
+    case 'ThisExpression':
+      return 'this';
+    case 'Super':
+      return 'super';
+    case 'ArrayExpression':
+    case 'ArrayPattern':
+      return printArray(ctx, node);
+    case 'ObjectExpression':
+    case 'ObjectPattern':
+      return printObject(ctx, node);
+    case 'Property':
+      if (node.method || node.kind !== 'init') return printMethod(ctx, node);
+      if (node.shorthand) return printComments(ctx, node.key, p('value'));
+      return [printKey(ctx, node), ': ', p('value')];
+    case 'SpreadElement':
+    case 'RestElement':
+      return ['...', p('argument')];
+    case 'AssignmentPattern':
+      return [p('left'), ' = ', p('right')];
+    case 'AssignmentExpression':
+      return printAssignment(ctx, p('left'), node.operator, node, 'right');
+    case 'UnaryExpression':
+      return [node.operator, /[a-z]$/.test(node.operator) ? ' ' : '', p('argument')];
+    case 'UpdateExpression':
+      return node.prefix ? [node.operator, p('argument')] : [p('argument'), node.operator];
+    case 'AwaitExpression':
+      return ['await', node.argument ? [' ', p('argument')] : ''];
+    case 'YieldExpression':
+      return ['yield', node.delegate ? '*' : '', node.argument ? [' ', p('argument')] : ''];
+    case 'BinaryExpression':
+    case 'LogicalExpression': {
+      const parts = printBinaryParts(ctx, node);
+      return isUnindentedOperand(parent, key) ? group(parts) : group([parts[0], indent(parts.slice(1))]);
+    }
+    case 'ConditionalExpression':
+      return group([p('test'), indent([line, '? ', p('consequent'), line, ': ', p('alternate')])]);
+    case 'SequenceExpression':
+      return group(join([',', line], node.expressions.map(expression => print(ctx, expression, node, 'expressions'))));
+    case 'CallExpression':
+      return printCall(ctx, node);
+    case 'NewExpression':
+      return ['new ', p('callee'), printArguments(ctx, node)];
+    case 'MemberExpression':
+      return [p('object'), printMemberProperty(ctx, node)];
+    case 'ChainExpression':
+      return p('expression');
+    case 'MetaProperty':
+      return [p('meta'), '.', p('property')];
+    case 'ImportExpression':
+      return ['import(', p('source'), node.options ? [', ', p('options')] : '', ')'];
+    case 'JSXElement':
+    case 'JSXFragment':
+      return printJsxElement(ctx, node, parent);
+    case 'JSXOpeningElement':
+      return printJsxOpeningElement(ctx, node);
+    case 'JSXClosingElement':
+      return ['</', p('name'), '>'];
+    case 'JSXOpeningFragment':
+      return '<>';
+    case 'JSXClosingFragment':
+      return '</>';
+    case 'JSXAttribute':
+      return [p('name'), node.value ? ['=', p('value')] : ''];
+    case 'JSXSpreadAttribute':
+      return ['{...', p('argument'), '}'];
+    case 'JSXSpreadChild':
+      return ['{...', p('expression'), '}'];
+    case 'JSXExpressionContainer': {
+      // A line comment alone in the braces has to end its line
+      const attached = ctx.comments.get(node.expression);
+      const dangling = attached ? attached.dangling : [];
+      const closing = dangling.length && dangling[dangling.length - 1].type === 'Line' ? hardline : '';
+      return ['{', p('expression'), closing, '}'];
+    }
+    case 'JSXEmptyExpression':
+      return printDangling(ctx, node);
+    case 'JSXText':
+      return cookJsxText(node.raw);
+    case 'JSXIdentifier':
+      return node.name;
+    case 'JSXMemberExpression':
+      return [p('object'), '.', p('property')];
+    case 'JSXNamespacedName':
+      return [p('namespace'), ':', p('name')];
+    default:
+      throw new Error(`Cannot print ${node.type}`);
+  }
+}
+
+/**
+ * Print a list of statements (or class members, or switch cases)
+ *
+ * Blank lines of the input are kept (one at most), and declarations of
+ * functions and classes, methods, and statements after a comment of their
+ * own are set apart with one.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node holding the list
+ * @param {string} key - Key of the list
+ * @return {*} - Document, or null if the list has no statements to print
+ */
+function printStatements(ctx, node, key) {
+  // Empty statements are left out, including those that guarded a statement without semicolons
+  const items = node[key].filter(item => item.type !== 'EmptyStatement' || ctx.comments.has(item));
+  if (!items.length) return null;
+
+  return items.map((item, i) => {
+    const printed = print(ctx, item, node, key);
+    if (i === 0) return printed;
+
+    const previous = items[i - 1];
+    const end = extent(ctx, previous).end;
+    const semicolon = ctx.code.slice(previous.start, end).match(/\s*;$/);
+    const between = (semicolon ? semicolon[0] : '') + ctx.code.slice(end, extent(ctx, item).start);
+    const blank = /\n[ \t]*\r?\n/.test(between) || isSetApart(ctx, previous) || isSetApart(ctx, item) ||
+      (ctx.comments.get(item) || { leading: [] }).leading.some(current => isOwnLine(ctx.code, current));
+    return [hardline, blank ? hardline : '', printed];
+  });
+}
+
+/**
+ * Check whether a statement is set apart from its neighbours by blank lines
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Statement, class member or switch case
+ * @return {boolean} - True for declarations of functions and classes, and methods
+ */
+function isSetApart(ctx, node) {
+  const declaration = node.type.startsWith('Export') && node.declaration ? node.declaration : node;
+  return ['FunctionDeclaration', 'ClassDeclaration', 'MethodDefinition', 'StaticBlock'].includes(declaration.type);
+}
+
+/**
+ * Get the range of a node with its comments
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node
+ * @return {Object} - `{ start, end }`
+ */
+function extent(ctx, node) {
+  const attached = ctx.comments.get(node) || { leading: [], trailing: [] };
+  return {
+    start: Math.min(node.start, ...attached.leading.map(current => current.start)),
+    end: Math.max(node.end, ...attached.trailing.map(current => current.end))
+  };
+}
+
+/**
+ * Print an expression statement (or directive)
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - ExpressionStatement node
+ * @param {Object} parent - Parent node
+ * @param {string} key - Key of the statement in its parent
+ * @return {*} - Document
+ */
+function printExpressionStatement(ctx, node, parent, key) {
+  if (node.directive !== undefined) {
+    // Directives keep their text; only plain ones get the preferred quotes
+    const raw = node.expression.raw;
+    const text = /['"\\]/.test(node.directive) ? raw : printString(raw, ctx.options.quotes);
+    return [printComments(ctx, node.expression, text), semi(ctx)];
+  }
+
+  guardStatementStart(ctx, node.expression, node, 'expression');
+  const expression = print(ctx, node.expression, node, 'expression');
+  const guard = !ctx.options.semicolons && Array.isArray(parent[key]) && HAZARDOUS_START.test(firstText(expression));
+  return [guard ? ';' : '', expression, semi(ctx)];
+}
+
+/**
+ * Print the parenthesised head of `if`, `while` and `with`
+ *
+ * @param {Object} ctx - Printer context
+ * @param {string} keyword - Statement keyword
+ * @param {Object} node - Statement node
+ * @return {*} - Document
+ */
+function printTest(ctx, keyword, node) {
+  const key = keyword === 'with' ? 'object' : 'test';
+  return group([keyword, ' (', indent([softline, print(ctx, node[key], node, key)]), softline, ')']);
+}
+
+/**
+ * Print the body of a control statement
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Statement node
+ * @param {string} key - Key of the body
+ * @return {*} - Document
+ */
+function printClause(ctx, node, key) {
+  const body = node[key];
+  if (body.type === 'BlockStatement') return [' ', print(ctx, body, node, key)];
+  if (body.type === 'EmptyStatement') return print(ctx, body, node, key);
+  return group(indent([line, print(ctx, body, node, key)]));
+}
+
+/**
+ * Print the argument of `return` or `throw`
+ *
+ * Arguments with a comment on its own line before them are parenthesised,
+ * so that the line break does not end the statement.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - ReturnStatement or ThrowStatement node
+ * @return {*} - Document
+ */
+function printReturnArgument(ctx, node) {
+  const argument = node.argument;
+  if (!argument) return '';
+
+  const printed = print(ctx, argument, node, 'argument');
+  const attached = ctx.comments.get(argument);
+  if (attached && attached.leading.some(current => current.type === 'Line' || isEndOfLine(ctx.code, current))) {
+    return [' (', indent([hardline, printed]), hardline, ')'];
+  }
+  if (isBinaryish(argument) && !needsParens(argument, node, 'argument')) {
+    return [' ', group([ifBreak('('), indent([softline, printed]), softline, ifBreak(')')])];
+  }
+  return [' ', printed];
+}
+
+/**
+ * Print a variable declaration
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - VariableDeclaration node
+ * @param {Object|null} parent - Parent node
+ * @return {*} - Document
+ */
+function printVariableDeclaration(ctx, node, parent) {
+  const inLoopHead = parent && /^For/.test(parent.type) && parent.body !== node;
+  const declarations = node.declarations.map(declaration => print(ctx, declaration, node, 'declarations'));
+  const separator = !inLoopHead && node.declarations.some(declaration => declaration.init) ? hardline : line;
+
+  return group([
+    node.kind, ' ', declarations[0],
+    indent(declarations.slice(1).map(declaration => [',', separator, declaration])),
+    inLoopHead ? '' : semi(ctx)
+  ]);
+}
+
+/**
+ * Print an assignment or initializer
+ *
+ * Long operator chains on the right break after the operator.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {*} left - Document of the left side
+ * @param {string} operator - Assignment operator
+ * @param {Object} node - Node holding the right side
+ * @param {string} key - Key of the right side
+ * @return {*} - Document
+ */
+function printAssignment(ctx, left, operator, node, key) {
+  const right = print(ctx, node[key], node, key);
+  if (isBinaryish(node[key]) && !needsParens(node[key], node, key)) {
+    return group([left, ' ', operator, group(indent(line)), right]);
+  }
+  return [left, ' ', operator, ' ', right];
+}
+
+/**
+ * Print the operands and operators of a chain of same-precedence operators
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - BinaryExpression or LogicalExpression node
+ * @return {Array} - Parts, the first operand first and each later one after a line
+ */
+function printBinaryParts(ctx, node) {
+  const left = node.left;
+  const flatten = isBinaryish(left) && PRECEDENCE[left.operator] === PRECEDENCE[node.operator] &&
+    !ctx.comments.has(left) && !needsParens(left, node, 'left');
+  const parts = flatten ? printBinaryParts(ctx, left) : [print(ctx, left, node, 'left')];
+  return [...parts, [' ', node.operator, line, print(ctx, node.right, node, 'right')]];
+}
+
+/**
+ * Check whether an operator chain at this position is indented when broken
+ *
+ * Chains in a parenthesised head or returned value are already on a line of
+ * their own when they break.
+ *
+ * @param {Object|null} parent - Parent node
+ * @param {string|null} key - Key of the chain in its parent
+ * @return {boolean} - True if continuation lines stay at the chain's indentation
+ */
+function isUnindentedOperand(parent, key) {
+  if (!parent) return false;
+  return (key === 'test' && /^(If|While|DoWhile)Statement$/.test(parent.type)) ||
+    (key === 'argument' && (parent.type === 'ReturnStatement' || parent.type === 'ThrowStatement')) ||
+    (key === 'discriminant' || (key === 'object' && parent.type === 'WithStatement'));
+}
+
+/**
+ * Print the parameters of a function
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Function node
+ * @return {*} - Document
+ */
+function printParams(ctx, node) {
+  const params = node.params.map(param => print(ctx, param, node, 'params'));
+  if (!params.length) return '()';
+
+  // A lone destructured parameter breaks inside its braces instead
+  const only = node.params.length === 1 && node.params[0];
+  if (only && (only.type === 'ObjectPattern' || only.type === 'ArrayPattern')) return ['(', params[0], ')'];
+
+  const last = node.params[node.params.length - 1];
+  return group([
+    '(', indent([softline, join([',', line], params)]),
+    last.type === 'RestElement' ? '' : trailingComma(ctx, 'all'),
+    softline, ')'
+  ]);
+}
+
+/**
+ * Print an arrow function
+ *
+ * A lone parameter is parenthesised as it was in the input.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - ArrowFunctionExpression node
+ * @return {*} - Document
+ */
+function printArrow(ctx, node) {
+  const only = node.params.length === 1 && node.params[0];
+  const bare = only && only.type === 'Identifier' && !ctx.code.slice(node.start, only.start).includes('(');
+  const head = [node.async ? 'async ' : '', bare ? print(ctx, only, node, 'params') : printParams(ctx, node), ' =>'];
+
+  if (node.body.type !== 'BlockStatement') guardStatementStart(ctx, node.body, node, 'body');
+  const body = print(ctx, node.body, node, 'body');
+  if (node.body.type === 'BlockStatement' || HUGGED_BODY_TYPES.has(node.body.type)) return [head, ' ', body];
+  return group([head, indent([line, body])]);
+}
+
+/**
+ * Print a method of a class or object literal
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - MethodDefinition or Property node
+ * @return {*} - Document
+ */
+function printMethod(ctx, node) {
+  const fn = node.value;
+  return [
+    node.static ? 'static ' : '',
+    fn.async ? 'async ' : '',
+    node.kind === 'get' || node.kind === 'set' ? `${node.kind} ` : '',
+    fn.generator ? '*' : '',
+    printKey(ctx, node),
+    printComments(ctx, fn, [printParams(ctx, fn), ' ', print(ctx, fn.body, fn, 'body')])
+  ];
+}
+
+/**
+ * Print the key of a property, method or class field
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node with a key
+ * @return {*} - Document
+ */
+function printKey(ctx, node) {
+  const key = print(ctx, node.key, node, 'key');
+  return node.computed ? ['[', key, ']'] : key;
+}
+
+/**
+ * Print an object literal or pattern
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - ObjectExpression or ObjectPattern node
+ * @return {*} - Document
+ */
+function printObject(ctx, node) {
+  if (!node.properties.length) return printEmpty(ctx, node, '{', '}');
+
+  const properties = node.properties.map(property => print(ctx, property, node, 'properties'));
+  const last = node.properties[node.properties.length - 1];
+  const broken = node.type === 'ObjectExpression' &&
+    ctx.code.slice(node.start, node.properties[0].start).includes('\n');
+
+  return group([
+    '{', indent([line, join([',', line], properties)]),
+    last.type === 'RestElement' ? '' : trailingComma(ctx, 'es5'),
+    line, '}'
+  ], broken);
+}
+
+/**
+ * Print an array literal or pattern
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - ArrayExpression or ArrayPattern node
+ * @return {*} - Document
+ */
+function printArray(ctx, node) {
+  if (!node.elements.length) return printEmpty(ctx, node, '[', ']');
+
+  const elements = node.elements.map(element => print(ctx, element, node, 'elements'));
+  const last = node.elements[node.elements.length - 1];
+
+  // Lists of objects (or of arrays) with several entries each get a line per entry
+  const nested = node.elements.length > 1 && node.elements.every(element => element &&
+    element.type === node.elements[0].type &&
+    ((element.type === 'ObjectExpression' && element.properties.length > 1) ||
+      (element.type === 'ArrayExpression' && element.elements.length > 1)));
+
+  return group([
+    '[', indent([softline, join([',', line], elements)]),
+    last === null ? ',' : last.type === 'RestElement' ? '' : trailingComma(ctx, 'es5'),
+    softline, ']'
+  ], nested);
+}
+
+/**
+ * Print empty brackets, with any comments inside them
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Node with no children
+ * @param {string} open - Opening bracket
+ * @param {string} close - Closing bracket
+ * @return {*} - Document
+ */
+function printEmpty(ctx, node, open, close) {
+  const dangling = printDangling(ctx, node);
+  return dangling ? group([open, indent([softline, dangling]), softline, close]) : open + close;
+}
+
+/**
+ * Print a call, breaking long member chains into a call per line
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - CallExpression node
+ * @return {*} - Document
+ */
+function printCall(ctx, node) {
+  // Flatten `a.b(c).d(e)` into the object at its root and the links after it
+  const links = [];
+  let root = node;
+  let parent = null;
+  let key = null;
+  for (;;) {
+    let doc;
+    if (root.type === 'CallExpression') {
+      doc = [root.optional ? '?.' : '', printArguments(ctx, root)];
+    } else if (root.type === 'MemberExpression') {
+      doc = printMemberProperty(ctx, root);
+    } else {
+      break;
+    }
+
+    // Comments inside the chain stay with their link
+    const commented = root !== node && ctx.comments.has(root);
+    links.unshift({
+      call: root.type === 'CallExpression',
+      computed: root.computed,
+      commented: commented || (!root.computed && ctx.comments.has(root.property)),
+      doc: commented ? printComments(ctx, root, doc) : doc
+    });
+    [parent, key, root] = root.type === 'CallExpression' ? [root, 'callee', root.callee] : [root, 'object', root.object];
+  }
+
+  // Calls and computed accesses right after the root stay with it
+  const head = [print(ctx, root, parent, key)];
+  let i = 0;
+  for (; i < links.length && (links[i].call || links[i].computed); i++) head.push(links[i].doc);
+
+  const groups = [];
+  for (; i < links.length; i++) {
+    if (!links[i].computed && !links[i].call) groups.push([]);
+    groups[groups.length - 1].push(links[i]);
+  }
+
+  const calls = groups.filter(linkGroup => linkGroup.some(link => link.call)).length;
+  const docs = groups.map(linkGroup => linkGroup.map(link => link.doc));
+  if (calls < MEMBER_CHAIN_CALLS && !links.some(link => link.commented)) return [head, docs];
+
+  // A short root (`this`, `$`) keeps its first call on the same line, unless a comment comes before it
+  const short = root.type === 'ThisExpression' || (root.type === 'Identifier' && root.name.length <= ctx.options.indentWidth);
+  if (short && groups.length && !groups[0].some(link => link.commented)) {
+    head.push(docs.shift());
+  }
+  return group([head, indent(docs.map(doc => [softline, doc]))]);
+}
+
+/**
+ * Print the property part of a member expression
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - MemberExpression node
+ * @return {*} - Document
+ */
+function printMemberProperty(ctx, node) {
+  if (node.computed) return [node.optional ? '?.' : '', '[', print(ctx, node.property, node, 'property'), ']'];
+
+  // Comments before the property go before the dot
+  return [
+    printLeadingComments(ctx, node.property),
+    node.optional ? '?.' : '.',
+    printNode(ctx, node.property, node, 'property'),
+    printTrailingComments(ctx, node.property)
+  ];
+}
+
+/**
+ * Print the arguments of a call
+ *
+ * A last argument that is a function or a literal object or array is laid
+ * out right after the other arguments and breaks by itself, as is a first
+ * function followed by one simple argument (`setTimeout(() => {...}, 10)`).
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - CallExpression or NewExpression node
+ * @return {*} - Document
+ */
+function printArguments(ctx, node) {
+  const args = node.arguments;
+  if (!args.length) return '()';
+
+  const printed = args.map(arg => print(ctx, arg, node, 'arguments'));
+  const last = args[args.length - 1];
+  const huggable = arg => HUGGED_TYPES.has(arg.type) && !ctx.comments.has(arg) &&
+    (arg.type !== 'ObjectExpression' || arg.properties.length > 0) &&
+    (arg.type !== 'ArrayExpression' || arg.elements.length > 0);
+
+  const hugLast = huggable(last) && args.slice(0, -1).every(arg => !huggable(arg) && !HUGGED_TYPES.has(arg.type));
+  const hugFirst = args.length === 2 && /Function/.test(args[0].type) && args[0].body.type === 'BlockStatement' &&
+    !ctx.comments.has(args[0]) && !HUGGED_TYPES.has(args[1].type) && !ctx.comments.has(args[1]);
+  if (hugLast || hugFirst) return ['(', join(', ', printed), ')'];
+
+  return group(['(', indent([softline, join([',', line], printed)]), trailingComma(ctx, 'all'), softline, ')']);
+}
+
+/**
+ * Print the braced specifiers of an import or export
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Import or export declaration
+ * @param {Object[]} specifiers - Specifier nodes
+ * @return {*} - Document
+ */
+function printModuleSpecifiers(ctx, node, specifiers) {
+  const printed = specifiers.map(specifier => print(ctx, specifier, node, 'specifiers'));
+  return group(['{', indent([line, join([',', line], printed)]), trailingComma(ctx, 'es5'), line, '}']);
+}
+
+/**
+ * Print an import or export specifier, with `as` if the names differ
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Specifier node
+ * @param {string} fromKey - Key of the name before `as`
+ * @param {string} toKey - Key of the name after `as`
+ * @return {*} - Document
+ */
+function printModuleSpecifier(ctx, node, fromKey, toKey) {
+  const from = node[fromKey];
+  const to = node[toKey];
+  const name = part => (part.type === 'Identifier' ? part.name : part.value);
+  if (from === to || (from.type === 'Identifier' && to.type === 'Identifier' && name(from) === name(to))) {
+    return print(ctx, from, node, fromKey);
+  }
+  return [print(ctx, from, node, fromKey), ' as ', print(ctx, to, node, toKey)];
+}
+
+/**
+ * Print the import attributes of a module declaration (`with { type: 'json' }`)
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Import or export declaration
+ * @return {*} - Document
+ */
+function printAttributes(ctx, node) {
+  if (!node.attributes || !node.attributes.length) return '';
+  const attributes = node.attributes.map(attribute => print(ctx, attribute, node, 'attributes'));
+  return [' with { ', join(', ', attributes), ' }'];
+}
+
+/**
+ * Print a JSX element or fragment with its children
+ *
+ * A line break between two children (or after the opening or before the
+ * closing tag) is only allowed where the input had one or where no text is
+ * next to it, so that the text of the element reads the same. Elements that
+ * may break after their opening tag always do if they had a line break there
+ * or have more than one child, one of them an element.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - JSXElement or JSXFragment node
+ * @param {Object|null} parent - Parent node
+ * @return {*} - Document
+ */
+function printJsxElement(ctx, node, parent) {
+  const [openKey, closeKey] = node.type === 'JSXElement' ?
+    ['openingElement', 'closingElement'] :
+    ['openingFragment', 'closingFragment'];
+  const opening = print(ctx, node[openKey], node, openKey);
+  const closing = print(ctx, node[closeKey], node, closeKey);
+
+  // Text that JSX reads as nothing is left out, and breaks are kept where it had them
+  const children = [];
+  for (const child of node.children) {
+    const text = child.type === 'JSXText' ? cookJsxText(child.raw) : null;
+    if (text === '') continue;
+    children.push({
+      doc: print(ctx, child, node, 'children'),
+      breakBefore: text === null || /^[ \t]*\r?\n/.test(child.raw),
+      breakAfter: text === null || /\n[ \t]*$/.test(child.raw),
+      element: child.type === 'JSXElement' || child.type === 'JSXFragment'
+    });
+  }
+  const breaks = children.map((child, i) => child.breakBefore && (i === 0 || children[i - 1].breakAfter));
+  const parts = children.map((child, i) => [breaks[i] ? softline : '', child.doc]);
+  const last = children.length && children[children.length - 1].breakAfter ? softline : '';
+  const opened = node.children.length > 0 && node.children[0].type === 'JSXText' && /^[ \t]*\r?\n/.test(node.children[0].raw);
+  const broken = breaks[0] && (opened || (children.length > 1 && children.some(child => child.element)));
+  const element = group([opening, indent(parts), last, closing], broken);
+
+  if (!parent || !JSX_WRAPPED_PARENTS.has(parent.type)) return element;
+  return group([ifBreak('('), indent([softline, element]), softline, ifBreak(')')]);
+}
+
+/**
+ * Print the opening tag of a JSX element, one attribute per line if they do not fit
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - JSXOpeningElement node
+ * @return {*} - Document
+ */
+function printJsxOpeningElement(ctx, node) {
+  const name = print(ctx, node.name, node, 'name');
+  if (!node.attributes.length) return ['<', name, node.selfClosing ? ' />' : '>'];
+
+  const attributes = node.attributes.map(attribute => [line, print(ctx, attribute, node, 'attributes')]);
+  return group(['<', name, indent(attributes), node.selfClosing ? [line, '/>'] : [softline, '>']]);
+}
+
+/**
+ * Read JSX text the way JSX does
+ *
+ * Lines are trimmed where they meet a line break, and lines left empty are
+ * dropped; the rest are joined with spaces. Entities stay as written.
+ *
+ * @param {string} raw - Text as written
+ * @return {string} - The text, or '' if JSX reads it as nothing
+ */
+function cookJsxText(raw) {
+  const lines = raw.split(/\r\n|\n|\r/);
+  let lastNonEmpty = -1;
+  lines.forEach((text, i) => {
+    if (/[^ \t]/.test(text)) lastNonEmpty = i;
+  });
+
+  let cooked = '';
+  lines.forEach((text, i) => {
+    let trimmed = text.replace(/\t/g, ' ');
+    if (i > 0) trimmed = trimmed.replace(/^ +/, '');
+    if (i < lines.length - 1) trimmed = trimmed.replace(/ +$/, '');
+    if (trimmed) cooked += i === lastNonEmpty ? trimmed : `${trimmed} `;
+  });
+  return cooked;
+}
+
+/**
+ * Print a string literal with the preferred quotes
+ *
+ * A string keeps its quotes if the other kind would need more escapes.
+ *
+ * @param {string} raw - String literal as written
+ * @param {string} quotes - 'single', 'double' or 'preserve'
+ * @return {string} - String literal
+ */
+function printString(raw, quotes) {
+  const current = raw[0];
+  if (quotes === 'preserve') return raw;
+
+  const content = raw.slice(1, -1);
+  const preferred = quotes === 'double' ? '"' : "'";
+  const alternate = preferred === '"' ? "'" : '"';
+  const count = quote => content.split(quote).length - 1;
+  const quote = count(preferred) > count(alternate) ? alternate : preferred;
+  if (quote === current) return raw;
+
+  let body = '';
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\\') {
+      const escaped = content[++i];
+      body += escaped === current ? escaped : char + escaped;
+    } else {
+      body += char === quote ? `\\${char}` : char;
+    }
+  }
+  return quote + body + quote;
+}
+
+/**
+ * Decide whether an expression needs parentheses where it stands
+ *
+ * @param {Object} node - Expression node
+ * @param {Object|null} parent - Parent node
+ * @param {string|null} key - Key of the node in its parent
+ * @return {boolean} - True if it needs parentheses
+ */
+function needsParens(node, parent, key) {
+  if (!parent) return false;
+
+  // Positions where only member access and calls bind tighter
+  const tight = ((parent.type === 'CallExpression' || parent.type === 'NewExpression') && key === 'callee') ||
+    (parent.type === 'MemberExpression' && key === 'object') ||
+    (parent.type === 'TaggedTemplateExpression' && key === 'tag') ||
+    (/^Class/.test(parent.type) && key === 'superClass');
+  const unary = ['UnaryExpression', 'AwaitExpression', 'UpdateExpression'].includes(parent.type);
+  const exponentBase = parent.type === 'BinaryExpression' && parent.operator === '**' && key === 'left';
+
+  switch (node.type) {
+    case 'SequenceExpression':
+      return parent.type !== 'ExpressionStatement' && !(parent.type === 'ForStatement' && key !== 'body');
+    case 'AssignmentExpression':
+    case 'ArrowFunctionExpression':
+    case 'ConditionalExpression':
+    case 'YieldExpression':
+      return tight || unary || isBinaryish(parent) ||
+        (parent.type === 'ConditionalExpression' && key === 'test');
+    case 'BinaryExpression':
+    case 'LogicalExpression': {
+      if (tight || unary) return true;
+      if (!isBinaryish(parent)) return false;
+      const outer = PRECEDENCE[parent.operator];
+      const inner = PRECEDENCE[node.operator];
+      const nullish = (parent.operator === '??') !== (node.operator === '??') && inner <= 3 && outer <= 3;
+      return nullish || outer > inner || (outer === inner && (key === 'right' || parent.operator === '**'));
+    }
+    case 'UnaryExpression':
+    case 'UpdateExpression':
+      if (parent.type === 'UnaryExpression') {
+        return (parent.operator === '+' || parent.operator === '-') &&
+          (node.prefix !== false) && node.operator.startsWith(parent.operator);
+      }
+      return tight || (node.type === 'UnaryExpression' && exponentBase);
+    case 'AwaitExpression':
+      return tight || exponentBase;
+    case 'FunctionExpression':
+      return tight && key !== 'object';
+    case 'ChainExpression':
+      return tight;
+    case 'CallExpression':
+    case 'MemberExpression':
+      return parent.type === 'NewExpression' && key === 'callee' && hasCallInChain(node);
+    case 'Literal':
+      return parent.type === 'MemberExpression' && key === 'object' && !parent.computed &&
+        typeof node.value === 'number' && /^\d+$/.test(node.raw);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parenthesise what would otherwise be read as a statement or block
+ *
+ * An expression statement (or arrow body, or default export) cannot start
+ * with `{`, `function` or `class`. The expression that would come first
+ * is parenthesised; for a destructuring assignment, the whole assignment.
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object} node - Expression at the start
+ * @param {Object} parent - Node holding it
+ * @param {string} key - Key of the expression in its parent
+ */
+function guardStatementStart(ctx, node, parent, key) {
+  let current = node;
+  let currentParent = parent;
+  let currentKey = key;
+
+  while (!ctx.parens.has(current) && !needsParens(current, currentParent, currentKey)) {
+    const childKey = {
+      BinaryExpression: 'left',
+      LogicalExpression: 'left',
+      AssignmentExpression: 'left',
+      MemberExpression: 'object',
+      CallExpression: 'callee',
+      TaggedTemplateExpression: 'tag',
+      ConditionalExpression: 'test',
+      ChainExpression: 'expression',
+      SequenceExpression: 'expressions',
+      UpdateExpression: current.prefix ? null : 'argument'
+    }[current.type];
+
+    if (!childKey) {
+      if (current.type === 'ObjectPattern') {
+        ctx.parens.add(node);
+      } else if (['ObjectExpression', 'FunctionExpression', 'ClassExpression'].includes(current.type)) {
+        ctx.parens.add(current);
+      }
+      return;
+    }
+
+    currentParent = current;
+    currentKey = childKey;
+    current = childKey === 'expressions' ? current.expressions[0] : current[childKey];
+  }
+}
+
+/**
+ * Parenthesise `in` expressions in the head of a `for` loop
+ *
+ * @param {Object} ctx - Printer context
+ * @param {Object|null} init - Initializer of the loop
+ */
+function guardInOperator(ctx, init) {
+  if (!init) return;
+  const expressions = init.type === 'VariableDeclaration' ?
+    init.declarations.map(declaration => declaration.init).filter(Boolean) :
+    [init];
+  for (const expression of expressions) {
+    if (containsIn(expression)) ctx.parens.add(expression);
+  }
+}
+
+/**
+ * Check whether an expression uses the `in` operator outside of functions
+ *
+ * @param {Object} node - Expression node
+ * @return {boolean} - True if it does
+ */
+function containsIn(node) {
+  if (node.type === 'BinaryExpression' && node.operator === 'in') return true;
+  if (/Function|Class/.test(node.type)) return false;
+  return childNodes(node).some(containsIn);
+}
+
+/**
+ * Check whether a callee contains a call, which `new` would otherwise take
+ *
+ * @param {Object} node - Callee node
+ * @return {boolean} - True if the member chain contains a call
+ */
+function hasCallInChain(node) {
+  let current = node;
+  while (current.type === 'MemberExpression') current = current.object;
+  return current.type === 'CallExpression';
+}
+
+/**
+ * Check whether a node is a binary or logical expression
+ *
+ * @param {Object} node - Node
+ * @return {boolean} - True for operator expressions
+ */
+function isBinaryish(node) {
+  return node.type === 'BinaryExpression' || node.type === 'LogicalExpression';
+}
+
+/**
+ * Get the trailing comma for a broken list
+ *
+ * @param {Object} ctx - Printer context
+ * @param {string} level - 'es5' for arrays, objects and modules, 'all' for parameters and arguments
+ * @return {*} - Document
+ */
+function trailingComma(ctx, level) {
+  const setting = ctx.options.trailingCommas;
+  return setting === 'all' || (setting === 'es5' && level === 'es5') ? ifBreak(',') : '';
+}
+
+/**
+ * Get the statement terminator
+ *
+ * @param {Object} ctx - Printer context
+ * @return {string} - ';' or ''
+ */
+function semi(ctx) {
+  return ctx.options.semicolons ? ';' : '';
+}
+
+/**
+ * Get the first text of a document, skipping comments
+ *
+ * @param {*} doc - Document
+ * @return {string} - First non-empty text
+ */
+function firstText(doc) {
+  if (typeof doc === 'string') return doc;
+  if (Array.isArray(doc)) {
+    for (const part of doc) {
+      const text = firstText(part);
+      if (text) return text;
+    }
+    return '';
+  }
+  if (doc.type === 'if-break') return firstText(doc.flatContents);
+  return doc.contents ? firstText(doc.contents) : '';
+}
+
+/**
+ * Get the child nodes of a node in source order
+ *
+ * @param {Object} node - Node
+ * @return {Object[]} - Child nodes
+ */
+function childNodes(node) {
+  const children = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'type' || !value || typeof value !== 'object') continue;
+    for (const child of Array.isArray(value) ? value : [value]) {
+      if (child && typeof child.type === 'string' && !children.includes(child)) children.push(child);
+    }
+  }
+  return children.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check whether a comment is alone on its line up to where it starts
+ *
+ * @param {string} code - Code
+ * @param {Object} current - Comment
+ * @return {boolean} - True if only whitespace comes before it on the line
+ */
+function isOwnLine(code, current) {
+  return /^[ \t]*$/.test(code.slice(code.lastIndexOf('\n', current.start - 1) + 1, current.start));
+}
+
+/**
+ * Check whether a comment ends its line
+ *
+ * @param {string} code - Code
+ * @param {Object} current - Comment
+ * @return {boolean} - True if only whitespace follows it on the line
+ */
+function isEndOfLine(code, current) {
+  const newline = code.indexOf('\n', current.end);
+  return /^[ \t\r]*$/.test(code.slice(current.end, newline === -1 ? code.length : newline));
+}
+
+/**
+ * Compare two syntax trees, ignoring positions and how literals were written
+ *
+ * Empty statements are left out of statement lists, since without semicolons
+ * a statement after a block can start with the `;` that guards it. JSX text
+ * is compared the way JSX reads it, leaving out text it reads as nothing.
+ *
+ * @param {*} a - Node or value
+ * @param {*} b - Node or value
+ * @return {boolean} - True if they are the same
+ */
+function sameTree(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return Number.isNaN(a) && Number.isNaN(b);
+  if (a instanceof RegExp || b instanceof RegExp) return String(a) === String(b);
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    const [left, right] = [a, b].map(list => list.filter(item => !item ||
+      (item.type !== 'EmptyStatement' && !(item.type === 'JSXText' && cookJsxText(item.value) === ''))));
+    return left.length === right.length && left.every((item, i) => sameTree(item, right[i]));
+  }
+
+  if (a.type === 'JSXText' && b.type === 'JSXText') return cookJsxText(a.value) === cookJsxText(b.value);
+
+  const keys = Object.keys(a).filter(key => !POSITION_KEYS.has(key));
+  const otherKeys = Object.keys(b).filter(key => !POSITION_KEYS.has(key));
+  return keys.length === otherKeys.length && keys.every(key => sameTree(a[key], b[key]));
+}
+
+module.exports = {
+  printCode,
+  reindentCode,
+  printString
+};
@@ -0,0 +1,492 @@
+/**
+ * JS-Kanji: JavaScript tokenizer
+ *
+ * A small, dependency-free tokenizer used as the front-end of the compression
+ * pipeline. It splits source text into identifiers, keywords, literals,
+ * punctuators, comments and whitespace so that later stages can rewrite code
+ * tokens while leaving literal contents untouched.
+ *
+ * The tokenizer never throws: malformed input (unterminated strings, stray
+ * characters) is still split into tokens, and joining the values of all
+ * returned tokens always reproduces the input exactly.
+ */
+
+// Reserved words and contextual keywords that are classified as 'keyword'
+const KEYWORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+  'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+  'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  'async', 'implements'
+]);
+
+// Further keywords of TypeScript (with `language: 'typescript'`)
+const TYPESCRIPT_KEYWORDS = new Set([
+  'abstract', 'as', 'asserts', 'declare', 'infer', 'interface', 'is', 'keyof',
+  'namespace', 'override', 'private', 'protected', 'public', 'readonly',
+  'satisfies', 'type', 'unique'
+]);
+
+// Keywords after which a `/` starts a regular expression rather than a division
+const REGEX_PREFIX_KEYWORDS = new Set([
+  'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+  'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Punctuators ordered longest first so that the first match is the right one
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+  '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%',
+  '&', '|', '^', '!', '~', '?', ':', '=', '.', '@', '#'
+];
+
+const ID_START = /[\p{ID_Start}$_\\]/u;
+const ID_CONTINUE = /[\p{ID_Continue}$_\u200C\u200D\\]/u;
+const IDENTIFIER_NAME = /^[\p{ID_Start}$_][\p{ID_Continue}$_\u200C\u200D]*$/u;
+const NUMBER = /^(?:0[xX][\da-fA-F_]+n?|0[oO][0-7_]+n?|0[bB][01_]+n?|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?)/;
+const WHITESPACE = /[\s\uFEFF]/;
+const LINE_TERMINATOR = /\r\n|[\n\r\u2028\u2029]/g;
+
+/**
+ * Split JavaScript source code into tokens
+ *
+ * Every token has the shape `{ type, value, start, end, line, column }` where
+ * type is one of 'whitespace', 'comment', 'identifier', 'keyword', 'number',
+ * 'string', 'template', 'regex', 'punctuator', 'jsx-text' or 'invalid'. Template literals
+ * are split at `${` and `}` so that embedded expressions are tokenized as code.
+ *
+ * `options.aliases` maps substituted words (such as Kanji) back to the words
+ * they stand for, so that compressed code is classified like the original
+ * (e.g. `/` after the symbol for `return` still starts a regex).
+ *
+ * With `options.language` set to 'typescript', TypeScript keywords are
+ * classified as keywords too, and a `/` after a non-null assertion (`a! / b`)
+ * is a division. Type annotations and generics need nothing else: they are
+ * made of identifiers and punctuators like any other code.
+ *
+ * With `options.jsx`, a `<` where an expression may start opens a JSX
+ * element. Inside its tags, names (including `aria-label` and the like) are
+ * identifiers and attribute values strings, which may span lines and have
+ * no escapes. Text between tags is a 'jsx-text' token, except for leading
+ * and trailing whitespace containing a line break, which JSX drops and which
+ * is returned as whitespace. Every token of an element gets a `jsx` property:
+ * 'tag' inside its tags, 'child' between them, 'open' for the `>` that
+ * opens its children and 'close' for the `<` of its closing tag.
+ *
+ * @param {string} code - Source code to tokenize
+ * @param {Object} options - Tokenizer options
+ * @return {Object[]} - Tokens covering the whole input
+ */
+function tokenize(code, options = {}) {
+  const aliases = options.aliases || null;
+  const typescript = options.language === 'typescript';
+  const jsx = Boolean(options.jsx);
+  const tokens = [];
+  const source = String(code);
+  const braceStack = []; // 'template', 'brace' or 'jsx' for every open `{` / `${`
+  const elements = []; // Open JSX elements, innermost last
+  let pos = 0;
+  let line = 1;
+  let column = 0;
+  let lastSignificant = null;
+
+  const push = (type, end) => {
+    const value = source.slice(pos, end);
+    const token = { type, value, start: pos, end, line, column };
+    tokens.push(token);
+
+    // Advance line and column counters past the token
+    const newlines = value.match(LINE_TERMINATOR);
+    if (newlines) {
+      line += newlines.length;
+      column = value.length - value.search(/[^\n\r\u2028\u2029]*$/);
+    } else {
+      column += value.length;
+    }
+
+    pos = end;
+    if (type !== 'whitespace' && type !== 'comment') {
+      lastSignificant = token;
+    }
+    return token;
+  };
+
+  // JSX tokens: the innermost element, unless inside one of its `{ ... }`
+  const pushJsx = (type, end, part) => {
+    const element = elements[elements.length - 1];
+    const token = push(type, end);
+    token.jsx = part || (element.state === 'children' ? 'child' : 'tag');
+    return token;
+  };
+
+  while (pos < source.length) {
+    const ch = source[pos];
+    const next = source[pos + 1];
+    const element = elements[elements.length - 1];
+
+    // Inside a JSX element
+    if (element && braceStack.length === element.depth) {
+      if (ch === '{') {
+        pushJsx('punctuator', pos + 1);
+        braceStack.push('jsx');
+      } else if (element.state === 'children') {
+        readJsxChildren(element);
+      } else {
+        readJsxTag(element);
+      }
+      continue;
+    }
+
+    // Whitespace and line terminators
+    if (WHITESPACE.test(ch)) {
+      let end = pos + 1;
+      while (end < source.length && WHITESPACE.test(source[end])) end++;
+      push('whitespace', end);
+      continue;
+    }
+
+    // Hashbang line at the very start of a file
+    if (pos === 0 && ch === '#' && next === '!') {
+      push('comment', findLineEnd(source, pos));
+      continue;
+    }
+
+    // Comments
+    if (ch === '/' && next === '/') {
+      push('comment', findLineEnd(source, pos));
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const close = source.indexOf('*/', pos + 2);
+      push('comment', close === -1 ? source.length : close + 2);
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (ID_START.test(ch) && !(ch === '\\' && next !== 'u')) {
+      let end = pos + 1;
+      while (end < source.length && ID_CONTINUE.test(source[end])) end++;
+      const raw = source.slice(pos, end);
+      const word = resolveAlias(raw, aliases);
+      const previous = lastSignificant;
+      const isProperty = previous && previous.type === 'punctuator' &&
+        (previous.value === '.' || previous.value === '?.');
+      const keyword = KEYWORDS.has(word) || (typescript && TYPESCRIPT_KEYWORDS.has(word));
+      push(keyword && !isProperty ? 'keyword' : 'identifier', end);
+      continue;
+    }
+
+    // Numbers
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+      const match = NUMBER.exec(source.slice(pos, pos + 512));
+      push('number', pos + (match ? match[0].length : 1));
+      continue;
+    }
+
+    // String literals
+    if (ch === '"' || ch === "'") {
+      push('string', findStringEnd(source, pos, ch));
+      continue;
+    }
+
+    // Template literals and the continuation after a `${ ... }` substitution
+    if (ch === '`' || (ch === '}' && braceStack[braceStack.length - 1] === 'template')) {
+      if (ch === '}') braceStack.pop();
+      const end = findTemplateEnd(source, pos + 1);
+      if (source.slice(end - 2, end) === '${') braceStack.push('template');
+      push('template', end);
+      continue;
+    }
+
+    // JSX elements start where an expression may
+    if (jsx && ch === '<' && /[\p{ID_Start}$_>]/u.test(next || '') && regexAllowed(lastSignificant, aliases)) {
+      elements.push({ state: 'tag', depth: braceStack.length });
+      pushJsx('punctuator', pos + 1);
+      continue;
+    }
+
+    // Regular expression literals
+    if (ch === '/' && regexAllowed(lastSignificant, aliases) &&
+        !(typescript && isNonNullAssertion(tokens, lastSignificant))) {
+      const end = findRegexEnd(source, pos);
+      if (end !== -1) {
+        push('regex', end);
+        continue;
+      }
+    }
+
+    // Punctuators
+    const punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+    if (punctuator && !(punctuator === '?.' && /\d/.test(source[pos + 2] || ''))) {
+      if (punctuator === '{') braceStack.push('brace');
+      if (punctuator === '}' && braceStack.pop() === 'jsx') {
+        pushJsx('punctuator', pos + 1);
+        continue;
+      }
+      push('punctuator', pos + punctuator.length);
+      continue;
+    }
+    if (punctuator === '?.') {
+      push('punctuator', pos + 1);
+      continue;
+    }
+
+    // Anything else is kept as a single-character token
+    const codePoint = source.codePointAt(pos);
+    push('invalid', pos + (codePoint > 0xFFFF ? 2 : 1));
+  }
+
+  return tokens;
+
+  // Read the next token inside a JSX opening or closing tag
+  function readJsxTag(element) {
+    const ch = source[pos];
+
+    if (WHITESPACE.test(ch)) {
+      let end = pos + 1;
+      while (end < source.length && WHITESPACE.test(source[end])) end++;
+      pushJsx('whitespace', end);
+    } else if (ch === '/' && (source[pos + 1] === '/' || source[pos + 1] === '*')) {
+      const close = source[pos + 1] === '/' ? findLineEnd(source, pos) : source.indexOf('*/', pos + 2);
+      pushJsx('comment', source[pos + 1] === '/' ? close : close === -1 ? source.length : close + 2);
+    } else if (ID_START.test(ch)) {
+      let end = pos + 1;
+      while (end < source.length && (ID_CONTINUE.test(source[end]) || source[end] === '-')) end++;
+      pushJsx('identifier', end);
+    } else if (ch === '"' || ch === "'") {
+      const close = source.indexOf(ch, pos + 1);
+      pushJsx('string', close === -1 ? source.length : close + 1);
+    } else if (ch === '>') {
+      const closes = element.state === 'closing' || element.selfClosing;
+      pushJsx('punctuator', pos + 1, closes ? 'tag' : 'open');
+      if (closes) elements.pop();
+      else element.state = 'children';
+    } else if ('/=:.'.includes(ch)) {
+      if (ch === '/') element.selfClosing = true;
+      pushJsx('punctuator', pos + 1);
+    } else {
+      pushJsx('invalid', pos + (source.codePointAt(pos) > 0xFFFF ? 2 : 1));
+    }
+  }
+
+  // Read the text of a JSX element up to the next tag or `{`
+  function readJsxChildren(element) {
+    if (source[pos] === '<') {
+      const closing = source.slice(pos + 1).trimStart().startsWith('/');
+      if (closing) {
+        element.state = 'closing';
+        pushJsx('punctuator', pos + 1, 'close');
+      } else {
+        elements.push({ state: 'tag', depth: braceStack.length });
+        pushJsx('punctuator', pos + 1);
+      }
+      return;
+    }
+
+    let end = pos;
+    while (end < source.length && source[end] !== '<' && source[end] !== '{') end++;
+    const text = source.slice(pos, end);
+    const leading = /^\s*/.exec(text)[0];
+    const trailing = /\s*$/.exec(text)[0];
+
+    if (leading === text) {
+      pushJsx(/[\n\r]/.test(text) ? 'whitespace' : 'jsx-text', end);
+      return;
+    }
+    if (/[\n\r]/.test(leading)) pushJsx('whitespace', pos + leading.length);
+    pushJsx('jsx-text', /[\n\r]/.test(trailing) ? end - trailing.length : end);
+    if (pos < end) pushJsx('whitespace', end);
+  }
+}
+
+/**
+ * Get the word an identifier stands for
+ *
+ * @param {string} raw - Identifier as written
+ * @param {Object|null} aliases - Map of substituted words to original words
+ * @return {string} - The original word, or the identifier itself
+ */
+function resolveAlias(raw, aliases) {
+  return aliases && Object.prototype.hasOwnProperty.call(aliases, raw) ? aliases[raw] : raw;
+}
+
+/**
+ * Decide whether a `/` after the given token starts a regular expression
+ *
+ * @param {Object|null} previous - Previous significant token
+ * @param {Object|null} aliases - Map of substituted words to original words
+ * @return {boolean} - True if a regex literal may start here
+ */
+function regexAllowed(previous, aliases) {
+  if (!previous) return true;
+
+  switch (previous.type) {
+    case 'number':
+    case 'string':
+    case 'regex':
+    case 'identifier':
+      return false;
+    case 'template':
+      return previous.value.endsWith('${');
+    case 'keyword':
+      return REGEX_PREFIX_KEYWORDS.has(resolveAlias(previous.value, aliases));
+    case 'punctuator':
+      return ![')', ']', '}', '++', '--'].includes(previous.value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether a `!` token asserts that the expression before it is not null
+ *
+ * @param {Object[]} tokens - Tokens so far
+ * @param {Object|null} previous - Previous significant token
+ * @return {boolean} - True for a `!` written right after an operand
+ */
+function isNonNullAssertion(tokens, previous) {
+  if (!previous || previous.value !== '!') return false;
+
+  const operand = tokens[tokens.indexOf(previous) - 1];
+  return Boolean(operand) && !regexAllowed(operand, null) && operand.type !== 'whitespace' && operand.type !== 'comment';
+}
+
+/**
+ * Find the end of a line comment
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Start of the comment
+ * @return {number} - Index just before the line terminator
+ */
+function findLineEnd(source, pos) {
+  const match = /[\n\r\u2028\u2029]/.exec(source.slice(pos));
+  return match ? pos + match.index : source.length;
+}
+
+/**
+ * Find the end of a quoted string (unterminated strings end at the line end)
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Position of the opening quote
+ * @param {string} quote - Quote character
+ * @return {number} - Index after the closing quote
+ */
+function findStringEnd(source, pos, quote) {
+  let end = pos + 1;
+  while (end < source.length) {
+    const ch = source[end];
+    if (ch === '\\') {
+      end += 2;
+      continue;
+    }
+    if (ch === quote) return end + 1;
+    if (ch === '\n' || ch === '\r') return end;
+    end++;
+  }
+  return source.length;
+}
+
+/**
+ * Find the end of a template chunk: the closing backtick or a `${`
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Position after the opening backtick or `}`
+ * @return {number} - Index after the backtick or `${`
+ */
+function findTemplateEnd(source, pos) {
+  let end = pos;
+  while (end < source.length) {
+    const ch = source[end];
+    if (ch === '\\') {
+      end += 2;
+      continue;
+    }
+    if (ch === '`') return end + 1;
+    if (ch === '$' && source[end + 1] === '{') return end + 2;
+    end++;
+  }
+  return source.length;
+}
+
+/**
+ * Find the end of a regular expression literal including its flags
+ *
+ * @param {string} source - Source code
+ * @param {number} pos - Position of the opening slash
+ * @return {number} - Index after the flags, or -1 if this is not a regex
+ */
+function findRegexEnd(source, pos) {
+  let end = pos + 1;
+  let inClass = false;
+  while (end < source.length) {
+    const ch = source[end];
+    if (ch === '\n' || ch === '\r') return -1;
+    if (ch === '\\') {
+      end += 2;
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    else if (ch === ']') inClass = false;
+    else if (ch === '/' && !inClass) {
+      end++;
+      while (end < source.length && /[a-z]/i.test(source[end])) end++;
+      return end;
+    }
+    end++;
+  }
+  return -1;
+}
+
+/**
+ * Check whether a string is a valid identifier name
+ *
+ * @param {string} text - Text to check
+ * @return {boolean} - True if text is an identifier name
+ */
+function isIdentifierName(text) {
+  return IDENTIFIER_NAME.test(text);
+}
+
+/**
+ * Check whether two adjacent tokens need whitespace between them to be
+ * tokenized the same way again
+ *
+ * @param {Object} left - Token on the left
+ * @param {Object} right - Token on the right
+ * @return {boolean} - True if a separating space is required
+ */
+function needsSeparator(left, right) {
+  const a = left.value;
+  const b = right.value;
+  if (!a || !b) return false;
+
+  const last = a[a.length - 1];
+  const first = b[0];
+
+  // Two word-like tokens would merge into one identifier or number
+  if (ID_CONTINUE.test(last) && (ID_CONTINUE.test(first) || first === '\\')) return true;
+
+  // A number followed by a dot would become a decimal point
+  if (left.type === 'number' && first === '.' && /^\d[\d_]*$/.test(a)) return true;
+
+  // Operators that would merge into a different operator or a comment
+  if ((last === '+' && first === '+') || (last === '-' && first === '-')) return true;
+  if (last === '/' && (first === '/' || first === '*')) return true;
+  if (right.type === 'regex' && last === '/') return true;
+  if (left.type === 'punctuator' && right.type === 'punctuator' &&
+      tokenize(a + b).filter(t => t.type !== 'whitespace').length !== 2) return true;
+
+  return false;
+}
+
+module.exports = {
+  tokenize,
+  regexAllowed,
+  isIdentifierName,
+  needsSeparator,
+  KEYWORDS,
+  TYPESCRIPT_KEYWORDS
+};
@@ -0,0 +1,378 @@
+/**
+ * JS-Kanji: Dictionary loading and validation
+ *
+ * A dictionary maps words (identifiers and keywords) to the Kanji that stand
+ * for them. Dictionaries used for compression must be bijective: if two words
+ * shared a Kanji, decompression could only guess which one was meant. Every
+ * dictionary is therefore validated when it is loaded, and the bundled one is
+ * validated as soon as this module is required.
+ *
+ * Earlier dictionary versions are kept for decoding only, so that code
+ * compressed with them can still be read (and migrated to the current table).
+ *
+ * Callers may also supply their own dictionary, or entries that extend the
+ * bundled one, through the `dictionary` and `extendDictionary` options.
+ * Besides single words, entries may map member sequences such as
+ * `res.status` to one Kanji.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { isIdentifierName } = require('./js-tokenizer');
+const { DictionaryError } = require('./errors');
+const { hashTable } = require('./utils');
+
+// Version of the bundled dictionary used for compression
+const CURRENT_VERSION = 2;
+
+// Tables of every known dictionary version, loaded on first use
+const VERSIONS = {
+  1: () => require('./dictionaries/kanji-dict-v1'),
+  2: () => require('./dictionaries/kanji-dict')
+};
+
+// Versions that map several words to the same Kanji and can only be decoded
+const LEGACY_VERSIONS = new Set([1]);
+
+// Languages code can be compressed as
+const LANGUAGES = ['javascript', 'typescript'];
+
+// Tables added to the bundled dictionary for TypeScript and JSX, by the
+// suffix they add to its name (`kanji-ts`, `kanji-jsx`, `kanji-ts-jsx`)
+const DIALECT_TABLES = {
+  ts: () => require('./dictionaries/kanji-dict-ts'),
+  jsx: () => require('./dictionaries/kanji-dict-react')
+};
+
+// Loaded dictionaries by version
+const loaded = new Map();
+
+// Dictionaries built from caller-supplied entries, by entries and base
+const custom = new WeakMap();
+
+// Names are written into container headers, so keep them to simple words
+const DICTIONARY_NAME = /^[\w.-]+$/;
+
+// Targets made of ASCII could be found inside ordinary identifiers and literals
+const NON_ASCII = /^[^\x00-\x7f]+$/;
+
+/**
+ * Check that a dictionary can be used for compression
+ *
+ * Every word must be an identifier name or a member sequence of them (such as
+ * `res.status`), every target must be an identifier name so that it is read
+ * back as a single token, and no target may be used by more than one word.
+ * Targets may not contain ASCII characters, which every other identifier in
+ * the code is made of.
+ *
+ * @param {Object} entries - Map of words to their targets
+ * @param {string} name - Dictionary name used in error messages
+ * @return {Object} - The validated entries
+ * @throws {DictionaryError} - If the dictionary is invalid or not bijective
+ */
+function validateDictionary(entries, name = 'custom') {
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new DictionaryError(`Dictionary "${name}" must be an object mapping words to targets`, {
+      dictionary: name
+    });
+  }
+
+  const owners = new Map();
+  const invalid = [];
+  const ascii = [];
+  for (const [word, target] of Object.entries(entries)) {
+    if (typeof target !== 'string' || !isWord(word) || !isIdentifierName(target)) {
+      invalid.push(word);
+      continue;
+    }
+    if (!NON_ASCII.test(target)) {
+      ascii.push(word);
+      continue;
+    }
+    if (!owners.has(target)) owners.set(target, []);
+    owners.get(target).push(word);
+  }
+
+  if (invalid.length > 0) {
+    throw new DictionaryError(
+      `Dictionary "${name}" has entries that are not identifier names: ${invalid.join(', ')}`,
+      { dictionary: name, invalid }
+    );
+  }
+
+  if (ascii.length > 0) {
+    throw new DictionaryError(
+      `Dictionary "${name}" has targets with ASCII characters, which ordinary identifiers contain: ${ascii.join(', ')}`,
+      { dictionary: name, invalid: ascii }
+    );
+  }
+
+  const duplicates = [...owners]
+    .filter(([, words]) => words.length > 1)
+    .map(([target, words]) => ({ target, words }));
+
+  if (duplicates.length > 0) {
+    const list = duplicates.map(({ target, words }) => `${target} (${words.join(', ')})`).join('; ');
+    throw new DictionaryError(
+      `Dictionary "${name}" maps several words to the same target: ${list}`,
+      { dictionary: name, duplicates }
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Build lookup tables for a dictionary
+ *
+ * Legacy dictionaries skip validation; their reverse table keeps the last
+ * word listed for each Kanji, which is how they were always decoded.
+ *
+ * With `options.base`, the entries extend (and may override) the base
+ * dictionary, and the combined table is validated.
+ *
+ * @param {Object} entries - Map of words to their targets
+ * @param {Object} options - Dictionary options
+ * @param {string} options.name - Dictionary name
+ * @param {number} options.version - Dictionary version (bundled dictionaries only)
+ * @param {boolean} options.legacy - Whether the dictionary may only be used for decoding
+ * @param {Object} options.base - Dictionary that the entries extend
+ * @return {Object} - Dictionary with `forward` and `reverse` tables and a `hash`
+ */
+function createDictionary(entries, options = {}) {
+  const name = options.name || 'custom';
+  const legacy = Boolean(options.legacy);
+  const base = options.base || null;
+
+  if (!DICTIONARY_NAME.test(name)) {
+    throw new DictionaryError(`Invalid dictionary name: "${name}"`, { dictionary: name });
+  }
+
+  const combined = base ? { ...base.forward, ...entries } : entries;
+  if (!legacy) {
+    validateDictionary(combined, name);
+  }
+
+  const forward = Object.create(null);
+  const reverse = Object.create(null);
+  const sequences = Object.create(null);
+  for (const [word, target] of Object.entries(combined)) {
+    forward[word] = target;
+    reverse[target] = word;
+
+    // Index member sequences by their first word
+    if (word.includes('.')) {
+      const parts = word.split('.');
+      (sequences[parts[0]] = sequences[parts[0]] || []).push({ parts, target });
+    }
+  }
+
+  // Try the longest sequences first
+  for (const candidates of Object.values(sequences)) {
+    candidates.sort((a, b) => b.parts.length - a.parts.length);
+  }
+
+  return {
+    name,
+    version: options.version || null,
+    legacy,
+    hash: hashTable(forward),
+    base,
+    entries: { ...entries },
+    forward,
+    reverse,
+    sequences
+  };
+}
+
+/**
+ * Get a bundled dictionary
+ *
+ * For TypeScript or JSX, the dictionary of the version is extended with the
+ * TypeScript table (dictionaries/kanji-dict-ts.js) or the React table
+ * (dictionaries/kanji-dict-react.js), or both, under its own name.
+ *
+ * @param {number} version - Dictionary version (defaults to the current one)
+ * @param {string} language - 'javascript' (default) or 'typescript'
+ * @param {boolean} jsx - Whether the code contains JSX
+ * @return {Object} - Dictionary with `forward` and `reverse` tables
+ * @throws {DictionaryError} - If the version is unknown
+ */
+function getDictionary(version = CURRENT_VERSION, language = 'javascript', jsx = false) {
+  const suffixes = getDialectSuffixes(language, jsx);
+  if (suffixes.length) {
+    const name = ['kanji', ...suffixes].join('-');
+    const key = `${name}@${Number(version)}`;
+    if (!loaded.has(key)) {
+      const base = getDictionary(version);
+      const entries = Object.assign({}, ...suffixes.map(suffix => DIALECT_TABLES[suffix]()));
+      loaded.set(key, createDictionary(entries, {
+        name,
+        version: base.version,
+        legacy: base.legacy,
+        base
+      }));
+    }
+    return loaded.get(key);
+  }
+
+  const key = Number(version);
+  if (loaded.has(key)) return loaded.get(key);
+
+  if (!Object.prototype.hasOwnProperty.call(VERSIONS, key)) {
+    throw new DictionaryError(
+      `Unknown dictionary version: ${version} (available: ${Object.keys(VERSIONS).join(', ')})`,
+      { dictionary: `kanji@${version}` }
+    );
+  }
+
+  const dictionary = createDictionary(VERSIONS[key](), {
+    name: 'kanji',
+    version: key,
+    legacy: LEGACY_VERSIONS.has(key)
+  });
+  loaded.set(key, dictionary);
+  return dictionary;
+}
+
+/**
+ * Get the suffixes of the tables added to the bundled dictionary for a dialect
+ *
+ * @param {string} language - Language name
+ * @param {boolean} jsx - Whether the code contains JSX
+ * @return {string[]} - Table suffixes, empty for plain JavaScript
+ * @throws {Error} - If the language is not supported
+ */
+function getDialectSuffixes(language = 'javascript', jsx = false) {
+  if (!LANGUAGES.includes(language)) {
+    throw new Error(`Unknown language: ${language} (supported: ${LANGUAGES.join(', ')})`);
+  }
+  return [language === 'typescript' && 'ts', jsx && 'jsx'].filter(Boolean);
+}
+
+/**
+ * Find the bundled dictionary with the given name and version
+ *
+ * @param {string} name - Dictionary name ('kanji', or with the suffixes of its tables such as 'kanji-ts-jsx')
+ * @param {number} version - Dictionary version
+ * @return {Object|null} - The dictionary, or null if it is not bundled
+ */
+function findBundledDictionary(name, version) {
+  const match = /^kanji(-ts)?(-jsx)?$/.exec(name);
+  if (!match) return null;
+
+  try {
+    return getDictionary(version, match[1] ? 'typescript' : 'javascript', Boolean(match[2]));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the dictionary selected by compression or decompression options
+ *
+ * - `dictionary`: entries (or a dictionary from createDictionary) to use
+ *   instead of the bundled dictionary
+ * - `extendDictionary`: entries to add to the selected dictionary
+ * - `dictionaryVersion`: bundled dictionary version to use
+ * - `language`: 'typescript' to add the TypeScript table to the bundled
+ *   dictionary, and `jsx` to add the React table (a `dictionary` of your
+ *   own is used as it is)
+ *
+ * @param {Object} options - Compression or decompression options
+ * @return {Object} - Dictionary with `forward` and `reverse` tables
+ * @throws {DictionaryError} - If a supplied dictionary is invalid
+ */
+function resolveDictionary(options = {}) {
+  let dictionary = options.dictionary ?
+    toDictionary(options.dictionary, null) :
+    getDictionary(options.dictionaryVersion, options.language, options.jsx);
+
+  if (options.extendDictionary) {
+    dictionary = toDictionary(options.extendDictionary, dictionary);
+  }
+
+  return dictionary;
+}
+
+/**
+ * Turn caller-supplied entries into a dictionary, validating them only once
+ *
+ * @param {Object} value - Entries, or a dictionary from createDictionary
+ * @param {Object|null} base - Dictionary that the entries extend
+ * @return {Object} - Dictionary with `forward` and `reverse` tables
+ */
+function toDictionary(value, base) {
+  if (isDictionary(value)) {
+    return base ? toDictionary(value.entries, base) : value;
+  }
+  if (!value || typeof value !== 'object') {
+    return createDictionary(value, { base });
+  }
+
+  if (!custom.has(value)) custom.set(value, new Map());
+  const byBase = custom.get(value);
+  if (!byBase.has(base)) {
+    byBase.set(base, createDictionary(value, { base }));
+  }
+  return byBase.get(base);
+}
+
+/**
+ * Load dictionary entries from a file
+ *
+ * JSON files must contain an object mapping words to targets; JavaScript
+ * files must export one, like the bundled dictionaries.
+ *
+ * @param {string} file - Path to a .json or .js dictionary file
+ * @return {Object} - Dictionary entries
+ * @throws {DictionaryError} - If the file cannot be read
+ */
+function loadDictionaryFile(file) {
+  const fullPath = path.resolve(file);
+  try {
+    if (path.extname(fullPath).toLowerCase() === '.json') {
+      return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    }
+    return require(fullPath);
+  } catch (error) {
+    throw new DictionaryError(`Cannot load dictionary ${file}: ${error.message}`, {
+      dictionary: file
+    });
+  }
+}
+
+/**
+ * Check whether a dictionary key is an identifier or a member sequence
+ *
+ * @param {string} word - Dictionary key
+ * @return {boolean} - True if the key can be matched against code tokens
+ */
+function isWord(word) {
+  return word.split('.').every(isIdentifierName);
+}
+
+/**
+ * Check whether a value is a dictionary built by createDictionary
+ *
+ * @param {*} value - Value to check
+ * @return {boolean} - True for dictionaries, false for plain entries
+ */
+function isDictionary(value) {
+  return Boolean(value && value.forward && value.reverse && typeof value.hash === 'string');
+}
+
+// Refuse to load at all if the bundled dictionary is not bijective
+getDictionary(CURRENT_VERSION);
+
+module.exports = {
+  CURRENT_VERSION,
+  validateDictionary,
+  createDictionary,
+  getDictionary,
+  findBundledDictionary,
+  resolveDictionary,
+  loadDictionaryFile,
+  isDictionary
+};
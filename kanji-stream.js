@@ -0,0 +1,356 @@
+/**
+ * JS-Kanji: Streams
+ *
+ * createCompressStream and createDecompressStream are Node Transform streams
+ * for code too large to hold as one string, such as generated bundles of
+ * several megabytes piped through the CLI:
+ *
+ *   fs.createReadStream('bundle.js')
+ *     .pipe(jsKanji.createCompressStream({ lossless: true }))
+ *     .pipe(fs.createWriteStream('bundle.kanji.js'));
+ *
+ * The text read is buffered until it can be cut where processing the pieces
+ * one by one gives the same result as processing the whole code: before an
+ * identifier or keyword that starts a line (or follows a `;` or `}`), outside
+ * template literals and JSX elements. Tokens, characters and line breaks
+ * split across chunks stay in the buffer until the rest of them arrives, so
+ * only the text since the last cut is held in memory. Decompressed pieces are
+ * re-indented with the brackets left open before them, so code wrapped in a
+ * function, such as a bundle, is streamed line by line too.
+ *
+ * Streams apply the Kanji layer only. Semantic patterns, renaming locals, the
+ * module header, outlines, source maps and verification need the whole code
+ * at once, and decompressed code is re-indented rather than printed (see
+ * formatCode in js-kanji-decompressor.js).
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { tokenize, regexAllowed } = require('./js-tokenizer');
+const { resolveDictionary } = require('./kanji-dictionary');
+const { createIncrementalCompressor } = require('./js-kanji-compressor');
+const decompressor = require('./js-kanji-decompressor');
+const container = require('./container');
+const { expandOutline } = require('./outline');
+const { FormatError } = require('./errors');
+
+// Options of compress that need the whole code at once
+const WHOLE_CODE_OPTIONS = ['renameLocals', 'moduleHeader', 'sourceMap', 'verify'];
+
+const HEADER_MAGIC = '//@kjs/';
+
+/**
+ * Create a stream that compresses the code written to it
+ *
+ * @param {string} method - Compression method (only 'kanji' can be streamed)
+ * @param {Object} options - Compression options as for compress, including `header` (on by default)
+ * @return {Transform} - Stream taking code and giving compressed code
+ * @throws {Error} - If the method or an option needs the whole code at once
+ */
+function createCompressStream(method = 'kanji', options = {}) {
+  if (method && typeof method === 'object') {
+    options = method;
+    method = 'kanji';
+  }
+  if (String(method).toLowerCase() !== 'kanji') {
+    throw new Error(`Compression method "${method}" needs the whole code at once; streams compress with "kanji"`);
+  }
+  const unsupported = WHOLE_CODE_OPTIONS.find(option => options[option]);
+  if (unsupported) {
+    throw new Error(`The ${unsupported} option needs the whole code at once and cannot be used with a stream`);
+  }
+
+  const settings = { removeComments: false, preserveLineBreaks: true, ...options };
+  const compressTokens = createIncrementalCompressor(settings);
+  const pieces = createPieceSplitter({ language: settings.language, jsx: settings.jsx }, false);
+  let header = settings.header !== false ?
+    container.createHeader({ method, dictionary: resolveDictionary(settings), options: settings }) :
+    '';
+
+  // The header goes before the first code, so that empty input stays empty as with compress
+  const write = tokens => {
+    const code = compressTokens(tokens);
+    if (!code && settings.header === undefined) return '';
+
+    const written = header + code;
+    header = '';
+    return written;
+  };
+  return createTextTransform(text => write(pieces.push(text).tokens), () => write(pieces.end().tokens));
+}
+
+/**
+ * Create a stream that decompresses the code written to it
+ *
+ * Code with a container header is decoded with the method, dictionary and
+ * options recorded in it; code without one is taken as 'kanji' code
+ * compressed with the given options.
+ *
+ * @param {string} method - Method requested ('auto' to use the header, 'kanji' or 'outline')
+ * @param {Object} options - Decompression options as for decompress
+ * @return {Transform} - Stream taking compressed code and giving decompressed code
+ * @throws {Error} - If `sourceMap` is set, which needs the whole code
+ * @throws {FormatError} - If the header differs from the requested method, or
+ *   records renamed locals or a module header, which need the whole code
+ */
+function createDecompressStream(method = 'auto', options = {}) {
+  if (options.sourceMap) {
+    throw new Error('The sourceMap option needs the whole code at once and cannot be used with a stream');
+  }
+
+  let head = '';
+  let decoder = null;
+
+  // The header, if there is one, decides how the rest is decoded
+  const start = (text, done) => {
+    head += text;
+    const end = findHeaderEnd(head, done);
+    if (end === -1) return '';
+
+    const { header, body } = container.parseHeader(head);
+    decoder = createPieceDecoder(header, method, options);
+    head = '';
+    return decoder.push(body);
+  };
+
+  return createTextTransform(
+    text => (decoder ? decoder.push(text) : start(text, false)),
+    () => (decoder ? '' : start('', true)) + decoder.end()
+  );
+}
+
+/**
+ * Set up the decoding of compressed code read in pieces
+ *
+ * @param {Object|null} header - Parsed container header of the code
+ * @param {string} method - Method requested by the caller
+ * @param {Object} options - Decompression options
+ * @return {Object} - `{ push(text), end() }`, each returning the next decompressed code
+ */
+function createPieceDecoder(header, method, options) {
+  if (header && method && method !== 'auto' && container.normalizeMethod(method) !== header.method) {
+    throw new FormatError(
+      `Code was compressed with method "${header.method}", not "${method}"`,
+      { formatVersion: header.formatVersion, method: header.method }
+    );
+  }
+  if (header && (header.sections.names !== undefined || header.sections.mod !== undefined)) {
+    throw new FormatError(
+      'Code with renamed locals or a module header needs the whole code at once and cannot be streamed',
+      { formatVersion: header.formatVersion, method: header.method }
+    );
+  }
+
+  const dictionary = header ? container.resolveDictionary(header, options) : resolveDictionary(options);
+  const settings = header ? {
+    lossless: header.options.lossless,
+    compressComments: header.options.compressComments,
+    language: header.language,
+    jsx: header.options.jsx,
+    ...options,
+    dictionary,
+    extendDictionary: null
+  } : { ...options, dictionary, extendDictionary: null };
+  const resolved = container.normalizeMethod(header ? header.method : method === 'auto' ? 'kanji' : method);
+  if (resolved === 'semantic-kanji' && !settings.lossless) {
+    throw new Error('Semantic-Kanji code needs the whole code at once; streams decompress "kanji" and "outline" code');
+  }
+
+  // Pieces are re-indented with the brackets the pieces before them left open
+  const dialect = { language: settings.language, jsx: settings.jsx };
+  const reindent = !settings.lossless && settings.formatOutput !== false;
+  const openBrackets = [];
+  const pieces = createPieceSplitter({ ...dialect, aliases: dictionary.reverse }, !settings.lossless);
+
+  const decode = (text, last) => {
+    const code = resolved === 'outline' ? expandOutline(text, dialect) : text;
+    if (!reindent) {
+      return settings.lossless || code ? decompressor.decompress(code, settings) : '';
+    }
+
+    // Re-indenting drops the line break at the end of each piece, which is put back unless it ends the code
+    const trimmed = code.trimEnd();
+    const breaks = (code.slice(trimmed.length).match(/\n/g) || []).length;
+    const gap = last ? '' : breaks ? '\n'.repeat(Math.min(breaks, 2)) : code.slice(trimmed.length);
+    return (trimmed ? decompressor.decompress(trimmed, { ...settings, reindent: true, openBrackets }) : '') + gap;
+  };
+  return {
+    push: text => decode(pieces.push(text).text, false),
+    end: () => decode(pieces.end().text, true)
+  };
+}
+
+/**
+ * Find where the container header at the start of compressed code ends
+ *
+ * @param {string} text - Code read so far
+ * @param {boolean} done - Whether the whole code has been read
+ * @return {number} - Index after the header (0 without one), or -1 if more code is needed to tell
+ */
+function findHeaderEnd(text, done) {
+  if (!text.startsWith(HEADER_MAGIC)) {
+    return HEADER_MAGIC.startsWith(text) && !done ? -1 : 0;
+  }
+
+  // The header line is followed by `//@<name>` section lines
+  let end = 0;
+  while (end === 0 || text.startsWith('//@', end)) {
+    const lineEnd = text.indexOf('\n', end);
+    if (lineEnd === -1) return done ? text.length : -1;
+    end = lineEnd + 1;
+  }
+  return !done && '//@'.startsWith(text.slice(end)) ? -1 : end;
+}
+
+/**
+ * Create a buffer that gives back code in pieces that can be processed one by one
+ *
+ * Only the code read since the last restart point (see scanTokens) is
+ * tokenized again when more arrives, so each part of the code is tokenized
+ * about once however small the chunks are.
+ *
+ * @param {Object} tokenizeOptions - Options to tokenize the code with
+ * @param {boolean} lineStarts - Cut inside brackets only where a line starts
+ * @return {Object} - `{ push(text), end() }`, each returning the next piece as `{ text, tokens }`
+ */
+function createPieceSplitter(tokenizeOptions, lineStarts) {
+  let tokens = []; // Tokens not given back yet, up to the last restart point
+  let rest = ''; // Code after them
+  let state = { open: [], previous: null, lineBreak: false, lineStart: false };
+
+  const take = count => {
+    const piece = tokens.slice(0, count);
+    tokens = tokens.slice(count);
+    return { text: piece.map(token => token.value).join(''), tokens: piece };
+  };
+
+  return {
+    push(text) {
+      const read = tokenize(rest + text, tokenizeOptions);
+      const scan = scanTokens(read, state, lineStarts, tokenizeOptions.aliases);
+      const cut = scan.cut === -1 ? 0 : tokens.length + scan.cut;
+
+      if (scan.restart === -1) {
+        rest += text;
+      } else {
+        for (let i = 0; i < scan.restart; i++) tokens.push(read[i]);
+        rest = (rest + text).slice(read[scan.restart].start);
+        state = scan.state;
+      }
+      return take(cut);
+    },
+    end() {
+      tokens = tokens.concat(tokenize(rest, tokenizeOptions));
+      rest = '';
+      return take(tokens.length);
+    }
+  };
+}
+
+/**
+ * Find where tokenized code can be cut into pieces
+ *
+ * Tokenizing from before an identifier or keyword that follows a line break
+ * or a `;` or `}` gives the same tokens as tokenizing from the start, unless
+ * it is a property name or inside a template literal or JSX element, and the
+ * tokens before it are complete. Such a place is a restart point, from which
+ * the code can be tokenized again when more of it is read. A `/` where a
+ * regex may start but none was found is a regex not read to its end yet, so
+ * the rest of its line has no restart points.
+ *
+ * Every restart point is a place to cut, except with `lineStarts`: code
+ * re-indented piece by piece is only cut where a line starts, or after a `;`
+ * or `}` outside all brackets, so that no line inside them is split.
+ *
+ * @param {Object[]} tokens - Tokens of the code from the last restart point
+ * @param {Object} state - Scan state at the first token, which is not changed
+ * @param {boolean} lineStarts - Cut inside brackets only where a line starts
+ * @param {Object} aliases - Aliases the code was tokenized with
+ * @return {Object} - `{ restart, state, cut }`: the index of the last restart
+ *   point and the scan state there, and the index of the last place to cut
+ *   (-1 for either if there is none)
+ */
+function scanTokens(tokens, state, lineStarts, aliases) {
+  const open = state.open.slice(); // 'bracket', 'template' or 'jsx' for everything open
+  let { previous, lineBreak, lineStart } = state;
+  let partialRegex = false;
+  const scan = { restart: -1, state, cut: -1 };
+
+  tokens.forEach((token, index) => {
+    if (token.type === 'whitespace' || token.type === 'comment') {
+      lineBreak = lineBreak || /[\n\r\u2028\u2029]/.test(token.value);
+      lineStart = token.type === 'whitespace' && /[\n\r\u2028\u2029]/.test(token.value);
+      partialRegex = partialRegex && !lineBreak;
+      return;
+    }
+
+    const ends = previous && previous.type === 'punctuator' && (previous.value === ';' || previous.value === '}');
+    if (previous && (token.type === 'identifier' || token.type === 'keyword') && !token.jsx && !previous.jsx &&
+        previous.value !== '.' && previous.value !== '?.' && !partialRegex && !open.some(kind => kind !== 'bracket') &&
+        (lineBreak || ends)) {
+      scan.restart = index;
+      scan.state = { open: open.slice(), previous, lineBreak, lineStart };
+      if (!lineStarts || lineStart || (ends && open.length === 0)) {
+        scan.cut = index;
+      }
+    }
+
+    if (token.type === 'template') {
+      if (token.value.startsWith('}')) open.pop();
+      if (token.value.endsWith('${')) open.push('template');
+    } else if (token.type === 'punctuator' && ['(', '[', '{'].includes(token.value)) {
+      open.push(token.jsx ? 'jsx' : 'bracket');
+    } else if (token.type === 'punctuator' && [')', ']', '}'].includes(token.value)) {
+      open.pop();
+    } else if (token.type === 'punctuator' && token.value.startsWith('/') && regexAllowed(previous, aliases)) {
+      partialRegex = true;
+    }
+    previous = token;
+    lineBreak = false;
+    lineStart = false;
+  });
+
+  return scan;
+}
+
+/**
+ * Create a Transform stream that rewrites text
+ *
+ * Chunks are decoded as UTF-8, keeping characters split across chunks
+ * together.
+ *
+ * @param {Function} write - Takes the next text and returns the output for it
+ * @param {Function} end - Returns the rest of the output once the input has ended
+ * @return {Transform} - The stream
+ */
+function createTextTransform(write, end) {
+  const decoder = new StringDecoder('utf8');
+  const send = (stream, text) => {
+    if (text) stream.push(text);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        send(this, write(decoder.write(chunk)));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        send(this, write(decoder.end()));
+        send(this, end());
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+module.exports = {
+  createCompressStream,
+  createDecompressStream
+};
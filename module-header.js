@@ -0,0 +1,566 @@
+/**
+ * JS-Kanji: Module header
+ *
+ * An optional stage before Kanji substitution that moves the import and
+ * export declarations of a module into the container header. Import blocks
+ * are mostly boilerplate, and in the header they are written once as a
+ * table of module specifiers and the bindings taken from each:
+ *
+ *   //@from 'react' './api/client'
+ *   //@mod 1;i0 React,{useState,useEffect};i1 * as api;~;e {Card,Card as default}
+ *
+ * The `//@mod` entries describe the module in order: a number counts the
+ * comments at the top of the code that come first, `~` stands for the code
+ * itself, `i<n> <bindings>` for `import <bindings> from <specifier n>` (just
+ * `i<n>` for a side-effect import), `e<n> <bindings>` for a re-export and
+ * `e <bindings>` for an export list, and `c "<comment>"` for a comment
+ * between them (`C` if it follows a declaration on its line). An upper-case
+ * `I` or `E` marks a declaration written without its semicolon. Specifiers
+ * keep their quotes, and import attributes follow the bindings as written
+ * (`i3 data with { type: 'json' }`).
+ *
+ * Declarations are moved from the top of the module (after its leading
+ * comments) and from its end, as long as nothing but whitespace and comments
+ * separates them. Declarations elsewhere, those with comments in them, and
+ * exports of declarations (`export function`, `export default` of anything
+ * but a name) stay in the code. The declarations are read from tokens rather
+ * than a syntax tree, so TypeScript (`import type`) and JSX modules work too.
+ */
+
+const { tokenize } = require('./js-tokenizer');
+const { FormatError } = require('./errors');
+
+// Tokens that may appear in the bindings of a declaration
+const BINDING_PUNCTUATORS = new Set([',', '{', '}', '*']);
+const ENTRY = /^([ieIE])(\d*)$/;
+const COMMENT_ENTRY = /^[cC]$/;
+
+/**
+ * Move the import and export declarations at the top and end of a module out of the code
+ *
+ * @param {string} code - Module code
+ * @param {Object} options - Extraction options
+ * @param {string} options.language - Language of the code ('javascript' or 'typescript')
+ * @param {boolean} options.jsx - Whether the code has JSX elements
+ * @param {boolean} options.removeComments - Drop the comments between moved declarations
+ * @return {Object} - `{ code, modules, mappings }` where modules is null if
+ *   nothing was moved, and mappings go from the remaining to the original code
+ */
+function extractModules(code, options = {}) {
+  const tokens = tokenize(code, { language: options.language, jsx: options.jsx });
+  const declarations = findDeclarations(tokens);
+  const specifiers = [];
+
+  // Declarations at the top, after the leading comments
+  let first = 0;
+  let comments = 0;
+  while (first < tokens.length && (tokens[first].type === 'whitespace' || tokens[first].type === 'comment')) {
+    if (tokens[first].type === 'comment') comments++;
+    first++;
+  }
+  const head = takeRun(declarations, tokens, first, 1, options);
+
+  // Declarations at the end, followed by nothing but whitespace
+  let last = tokens.length;
+  while (last > 0 && tokens[last - 1].type === 'whitespace') last--;
+  const tail = takeRun(declarations.filter(declaration => !head.includes(declaration)), tokens, last, -1, options);
+
+  if (head.length === 0 && tail.length === 0) {
+    return { code, modules: null, mappings: [{ generated: 0, original: 0, length: code.length }] };
+  }
+
+  // Blocks are cut with the whitespace that separates them from the code
+  const cuts = [];
+  if (head.length > 0) {
+    let end = head[head.length - 1].next;
+    while (end < tokens.length && tokens[end].type === 'whitespace') end++;
+    cuts.push({ start: tokens[first].start, end: end < tokens.length ? tokens[end].start : code.length });
+  }
+  if (tail.length > 0) {
+    const previous = tail[0].start > 0 ? tokens[tail[0].start - 1] : null;
+    cuts.push({
+      start: previous && previous.type === 'whitespace' ? previous.start : tokens[tail[0].start].start,
+      end: tokens[tail[tail.length - 1].next - 1].end
+    });
+  }
+
+  let remaining = '';
+  let copied = 0;
+  const mappings = [];
+  for (const cut of cuts) {
+    if (cut.start > copied) mappings.push({ generated: remaining.length, original: copied, length: cut.start - copied });
+    remaining += code.slice(copied, cut.start);
+    copied = Math.max(copied, cut.end);
+  }
+  if (code.length > copied) mappings.push({ generated: remaining.length, original: copied, length: code.length - copied });
+  remaining += code.slice(copied);
+
+  const describe = entry => entry.comment !== undefined ?
+    { comment: entry.comment, inline: entry.inline } :
+    { ...entry.info, source: addSpecifier(specifiers, entry.source) };
+  return {
+    code: remaining,
+    modules: {
+      comments: head.length > 0 ? comments : 0,
+      head: head.map(describe),
+      tail: tail.map(describe),
+      specifiers
+    },
+    mappings
+  };
+}
+
+/**
+ * Find the import and export declarations at the top level of a module
+ *
+ * @param {Object[]} tokens - Tokens of the module
+ * @return {Object[]} - Declarations as `{ start, next, source, info }`, where
+ *   start and next are token indices and info describes the declaration
+ */
+function findDeclarations(tokens) {
+  const declarations = [];
+  let depth = 0;
+  let previous = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'whitespace' || token.type === 'comment') continue;
+
+    if (token.type === 'punctuator') {
+      if (token.value === '{' || token.value === '(' || token.value === '[') depth++;
+      if (token.value === '}' || token.value === ')' || token.value === ']') depth--;
+    } else if (depth === 0 && token.type === 'keyword' && (token.value === 'import' || token.value === 'export') &&
+        !(previous && (previous.value === '.' || previous.value === '?.'))) {
+      const declaration = readDeclaration(tokens, i);
+      if (declaration) {
+        declarations.push(declaration);
+        i = declaration.next - 1;
+        previous = tokens[i];
+        continue;
+      }
+    }
+    previous = token;
+  }
+
+  return declarations;
+}
+
+/**
+ * Take the declarations that follow each other from a token on
+ *
+ * Comments between two declarations of the run are taken with them, as
+ * `{ start, next, comment, inline }` entries; those before the first or after
+ * the last declaration stay in the code.
+ *
+ * @param {Object[]} declarations - Declarations from findDeclarations
+ * @param {Object[]} tokens - Tokens of the module
+ * @param {number} from - Index of the token to start at (or, going back, to end before)
+ * @param {number} direction - 1 to go forward, -1 to go back
+ * @param {Object} options - Extraction options (see extractModules)
+ * @return {Object[]} - The declarations and comments, in code order
+ */
+function takeRun(declarations, tokens, from, direction, options = {}) {
+  const run = [];
+  let comments = [];
+  let position = from;
+
+  for (;;) {
+    const found = declarations.find(declaration =>
+      (direction > 0 ? declaration.start : declaration.next) === position);
+    if (!found) break;
+    run.push(...comments, found);
+    comments = [];
+
+    // Only whitespace and comments may separate two declarations of a run
+    position = direction > 0 ? found.next : found.start;
+    const step = direction > 0 ? 0 : -1;
+    for (let token = tokens[position + step]; token && (token.type === 'whitespace' || token.type === 'comment');
+      token = tokens[position + step]) {
+      if (token.type === 'comment' && !options.removeComments) {
+        const index = position + step;
+        const before = tokens[index - 1];
+        comments.push({
+          start: index,
+          next: index + 1,
+          comment: token.value,
+          inline: index > 0 && !(before.type === 'whitespace' && before.value.includes('\n'))
+        });
+      }
+      position += direction;
+    }
+  }
+
+  return direction > 0 ? run : run.reverse();
+}
+
+/**
+ * Read an import or export declaration that can be moved to the header
+ *
+ * @param {Object[]} tokens - Tokens of the module
+ * @param {number} start - Index of the `import` or `export` keyword
+ * @return {Object|null} - `{ start, next, source, info }`, or null if the
+ *   statement is not such a declaration
+ */
+function readDeclaration(tokens, start) {
+  const keyword = tokens[start].value;
+  const significant = [];
+  let i = start + 1;
+
+  // Reads the next significant token, giving up at comments
+  const next = () => {
+    while (i < tokens.length && tokens[i].type === 'whitespace') i++;
+    if (i >= tokens.length || tokens[i].type === 'comment') return null;
+    return tokens[i++];
+  };
+  const peek = () => {
+    const position = i;
+    const token = next();
+    i = position;
+    return token;
+  };
+
+  // `export default <name>;` often ends a module, and is moved like an export list
+  if (keyword === 'export' && peek() && peek().value === 'default') {
+    next();
+    const name = next();
+    const following = peek();
+    if (!name || name.type !== 'identifier') return null;
+    if (following ? following.value !== ';' : tokens.slice(i).some(token => token.type !== 'whitespace')) return null;
+    if (following) next();
+    return { start, next: i, source: null, info: { keyword, bindings: `default ${name.value}`, semicolon: Boolean(following) } };
+  }
+
+  let source = null;
+  let braces = 0;
+  for (;;) {
+    const token = next();
+    if (!token) return null;
+
+    if (braces === 0 && token.type === 'string') {
+      if (keyword !== 'import' || significant.length > 0) return null;
+      source = token;
+      break;
+    }
+    if (braces === 0 && token.value === 'from' && significant.length > 0) {
+      const following = peek();
+      if (following && following.type === 'string') {
+        source = next();
+        break;
+      }
+    }
+
+    if (token.type === 'punctuator') {
+      if (!BINDING_PUNCTUATORS.has(token.value)) return null;
+      if (token.value === '{') braces++;
+      if (token.value === '}' && --braces < 0) return null;
+    } else if (!(token.type === 'identifier' || token.type === 'keyword' || (token.type === 'string' && braces > 0))) {
+      return null;
+    }
+    significant.push(token);
+
+    // An export list may end without a source
+    if (keyword === 'export' && token.value === '}' && braces === 0) {
+      const following = peek();
+      if (!(following && following.value === 'from')) break;
+    }
+  }
+
+  // Exports of declarations stay in the code
+  if (keyword === 'export') {
+    const opening = significant[0] && significant[0].value === 'type' ? significant[1] : significant[0];
+    if (!opening || (opening.value !== '{' && opening.value !== '*')) return null;
+    if (opening.value === '*' && !source) return null;
+  }
+
+  // Import attributes (`with { type: 'json' }`) are kept as written
+  let attributes = null;
+  const following = peek();
+  if (following && following.type !== 'string' && (following.value === 'with' || following.value === 'assert') &&
+      tokens[i - 1].line === following.line) {
+    if (!source) return null;
+    const first = i;
+    next();
+    if (!readAttributes(next)) return null;
+    attributes = tokens.slice(first, i).map(token => token.type === 'whitespace' ? ' ' : token.value).join('').trim();
+  }
+  const semicolon = peek() && peek().value === ';';
+  if (semicolon) next();
+
+  const info = { keyword, bindings: joinTokens(significant.map(token => token.value)), semicolon: Boolean(semicolon) };
+  return {
+    start,
+    next: i,
+    source: source ? source.value : null,
+    info: attributes ? { ...info, attributes } : info
+  };
+}
+
+/**
+ * Read the braces of import attributes
+ *
+ * @param {Function} next - Reads the next significant token, or null at a comment
+ * @return {boolean} - Whether the attributes are plain keys and strings
+ */
+function readAttributes(next) {
+  const opening = next();
+  if (!opening || opening.value !== '{') return false;
+
+  for (;;) {
+    const token = next();
+    if (!token) return false;
+    if (token.value === '}' && token.type === 'punctuator') return true;
+    if (!(['identifier', 'keyword', 'string'].includes(token.type) ||
+        (token.type === 'punctuator' && (token.value === ':' || token.value === ',')))) {
+      return false;
+    }
+  }
+}
+
+/**
+ * Add a module specifier to the table
+ *
+ * @param {string[]} specifiers - Specifiers so far
+ * @param {string|null} specifier - Specifier as written, quotes included
+ * @return {number|null} - Its index, or null for a declaration without one
+ */
+function addSpecifier(specifiers, specifier) {
+  if (specifier === null) return null;
+  if (!specifiers.includes(specifier)) specifiers.push(specifier);
+  return specifiers.indexOf(specifier);
+}
+
+/**
+ * Join binding tokens, with spaces only between words
+ *
+ * @param {string[]} values - Token values
+ * @param {boolean} spaced - Put spaces around braces and after commas, as in code
+ * @return {string} - The bindings
+ */
+function joinTokens(values, spaced = false) {
+  return values.reduce((text, value, index) => {
+    const previous = values[index - 1];
+    let separator = '';
+    if (index === 0 || value === ',' || (value === '}' && previous === '{')) {
+      separator = '';
+    } else if (spaced || !(BINDING_PUNCTUATORS.has(value) && value !== '*') && !(BINDING_PUNCTUATORS.has(previous) && previous !== '*')) {
+      separator = ' ';
+    }
+    return text + separator + value;
+  }, '');
+}
+
+/**
+ * Write moved declarations as header sections
+ *
+ * @param {Object} modules - Modules from extractModules
+ * @return {Object} - The `from` and `mod` sections
+ */
+function serializeModules(modules) {
+  const entry = declaration => {
+    if (declaration.comment !== undefined) return `${declaration.inline ? 'C' : 'c'} ${JSON.stringify(declaration.comment)}`;
+    const letter = declaration.keyword === 'import' ? 'i' : 'e';
+    const kind = declaration.semicolon ? letter : letter.toUpperCase();
+    const source = declaration.source === null ? '' : declaration.source;
+    return [`${kind}${source}`, declaration.bindings, declaration.attributes].filter(Boolean).join(' ');
+  };
+
+  const entries = [
+    ...(modules.comments > 0 ? [String(modules.comments)] : []),
+    ...modules.head.map(entry),
+    '~',
+    ...modules.tail.map(entry)
+  ];
+  return { from: modules.specifiers.join(' '), mod: entries.join(';') };
+}
+
+/**
+ * Read moved declarations from the header sections
+ *
+ * @param {Object} sections - Header sections
+ * @return {Object|null} - Modules as from extractModules, or null if the header has none
+ * @throws {FormatError} - If the sections are malformed
+ */
+function parseModules(sections) {
+  if (sections.mod === undefined) return null;
+
+  const specifiers = tokenize(sections.from || '')
+    .filter(token => token.type !== 'whitespace')
+    .map(token => {
+      if (token.type !== 'string') throw new FormatError(`Malformed module specifiers in header: ${sections.from}`);
+      return token.value;
+    });
+
+  const modules = { comments: 0, head: [], tail: [], specifiers };
+  let part = modules.head;
+  for (const entry of splitEntries(sections.mod)) {
+    const match = entry.length > 0 ? ENTRY.exec(entry[0].value) : null;
+    // Attributes start at a `with` or `assert` before braces, which bindings never have
+    const attributes = entry.findIndex((token, index) =>
+      index > 0 && (token.value === 'with' || token.value === 'assert') && entry[index + 1] && entry[index + 1].value === '{');
+    if (entry.length === 1 && entry[0].type === 'number' && part === modules.head && modules.head.length === 0) {
+      modules.comments = Number(entry[0].value);
+    } else if (entry.length === 1 && entry[0].value === '~' && part === modules.head) {
+      part = modules.tail;
+    } else if (entry.length === 2 && COMMENT_ENTRY.test(entry[0].value) && entry[1].type === 'string' && part.length > 0) {
+      part.push({ comment: parseComment(entry[1].value, sections.mod), inline: entry[0].value === 'C' });
+    } else if (match && (match[2] === '' || Number(match[2]) < specifiers.length) &&
+        (match[2] !== '' || /[eE]/.test(match[1])) && (attributes < 0 || match[2] !== '')) {
+      const declaration = {
+        keyword: /[iI]/.test(match[1]) ? 'import' : 'export',
+        bindings: joinTokens(entry.slice(1, attributes < 0 ? entry.length : attributes).map(token => token.value)),
+        source: match[2] === '' ? null : Number(match[2]),
+        semicolon: match[1] === match[1].toLowerCase()
+      };
+      if (attributes > 0) declaration.attributes = sections.mod.slice(entry[attributes].start, entry[entry.length - 1].end);
+      part.push(declaration);
+    } else {
+      throw new FormatError(`Malformed module header: ${sections.mod}`);
+    }
+  }
+  if (part !== modules.tail) throw new FormatError(`Malformed module header: ${sections.mod}`);
+
+  return modules;
+}
+
+/**
+ * Read the comment of a `c` entry
+ *
+ * @param {string} literal - String literal the comment is written as
+ * @param {string} section - Section value, for the error
+ * @return {string} - The comment
+ * @throws {FormatError} - If the literal does not hold exactly one comment
+ */
+function parseComment(literal, section) {
+  let comment = null;
+  try {
+    comment = JSON.parse(literal);
+  } catch (error) {
+    comment = null;
+  }
+
+  const tokens = typeof comment === 'string' ? tokenize(comment) : [];
+  if (tokens.length !== 1 || tokens[0].type !== 'comment') {
+    throw new FormatError(`Malformed module header: ${section}`);
+  }
+  return comment;
+}
+
+/**
+ * Split the `//@mod` section into the tokens of its entries
+ *
+ * @param {string} text - Section value
+ * @return {Object[][]} - Significant tokens of each entry
+ */
+function splitEntries(text) {
+  const entries = [[]];
+  for (const token of tokenize(text)) {
+    if (token.type === 'whitespace') continue;
+    if (token.value === ';' && token.type === 'punctuator') {
+      entries.push([]);
+    } else {
+      entries[entries.length - 1].push(token);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Put moved declarations back into code
+ *
+ * @param {string} code - Code (compressed or not) without the declarations
+ * @param {Object} modules - Modules from extractModules or parseModules
+ * @param {Object} options - Restore options
+ * @param {Object} options.aliases - Kanji that stand for words, for tokenizing compressed code
+ * @param {string} options.language - Language of the code
+ * @param {boolean} options.jsx - Whether the code has JSX elements
+ * @return {string} - Code with the declarations
+ */
+function restoreModules(code, modules, options = {}) {
+  return restoreModulesMapped(code, modules, options).code;
+}
+
+/**
+ * Put moved declarations back into code, with offset mappings
+ *
+ * The top declarations go after the leading comments, and the end
+ * declarations after the last code (before the semantic marker of
+ * semantic-kanji code).
+ *
+ * @param {string} code - Code without the declarations
+ * @param {Object} modules - Modules from extractModules or parseModules
+ * @param {Object} options - Restore options (see restoreModules)
+ * @return {Object} - `{ code, mappings }` with mappings from the restored to the given code
+ */
+function restoreModulesMapped(code, modules, options = {}) {
+  // Comments that followed a declaration on its line go back there
+  const print = entries => entries.reduce((text, entry, index) => {
+    const separator = index === 0 ? '' : entry.inline ? ' ' : '\n';
+    return text + separator + (entry.comment !== undefined ? entry.comment : printDeclaration(entry, modules.specifiers));
+  }, '');
+  const edits = [];
+
+  if (modules.head.length > 0) {
+    const tokens = tokenize(code, { aliases: options.aliases, language: options.language, jsx: options.jsx });
+    let position = code.length;
+    let comments = 0;
+    for (const token of tokens) {
+      if (token.type === 'whitespace') continue;
+      if (token.type === 'comment' && comments < modules.comments) {
+        comments++;
+        continue;
+      }
+      position = token.start;
+      break;
+    }
+    edits.push({ position, text: print(modules.head) + (position < code.length ? '\n\n' : '\n') });
+  }
+
+  if (modules.tail.length > 0) {
+    const position = /\s*(?:⚓\s*)?$/.exec(code).index;
+    edits.push({ position, text: (position > 0 ? '\n\n' : '') + print(modules.tail) });
+  }
+
+  let result = '';
+  let copied = 0;
+  const mappings = [];
+  for (const edit of edits) {
+    if (edit.position > copied) mappings.push({ generated: result.length, original: copied, length: edit.position - copied });
+    result += code.slice(copied, edit.position);
+    mappings.push({ generated: result.length, original: edit.position });
+    result += edit.text;
+    copied = edit.position;
+  }
+  if (code.length > copied) mappings.push({ generated: result.length, original: copied, length: code.length - copied });
+  result += code.slice(copied);
+
+  return { code: result, mappings };
+}
+
+/**
+ * Print a moved declaration
+ *
+ * @param {Object} declaration - `{ keyword, bindings, source, semicolon, attributes }`
+ * @param {string[]} specifiers - Module specifiers
+ * @return {string} - The declaration as code
+ */
+function printDeclaration(declaration, specifiers) {
+  const bindings = joinTokens(
+    tokenize(declaration.bindings).filter(token => token.type !== 'whitespace').map(token => token.value),
+    true
+  );
+  const source = declaration.source === null ? null : specifiers[declaration.source];
+
+  let text = declaration.keyword;
+  if (bindings) text += ` ${bindings}`;
+  if (source !== null) text += bindings ? ` from ${source}` : ` ${source}`;
+  if (declaration.attributes) text += ` ${declaration.attributes}`;
+  return declaration.semicolon ? `${text};` : text;
+}
+
+module.exports = {
+  extractModules,
+  serializeModules,
+  parseModules,
+  restoreModules,
+  restoreModulesMapped
+};
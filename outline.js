@@ -0,0 +1,815 @@
+/**
+ * JS-Kanji: Outlines
+ *
+ * The `outline` method reduces a module to its API before compressing it:
+ * the declarations it exports, with a one-line summary of their JSDoc, the
+ * signatures of their functions and methods, and types as they are. Function
+ * bodies are left out behind `{…}`, and values other than literals and
+ * functions behind `…`:
+ *
+ *   /** Post an entry to the ledger of its tenant *\/
+ *   export function post(ledgerEntry, options = {}) {…}
+ *   export const DEFAULT_LIMIT = 100;
+ *   export const registry = …;
+ *
+ * Exports are read from `export` and from CommonJS `module.exports` and
+ * `exports.<name>` assignments; a module without exports keeps all of its
+ * top-level functions, classes and types. Imports, other statements and
+ * private class members (`#name` and `private`) are dropped.
+ *
+ * On decompression, a left-out body becomes an empty body holding a `…`
+ * comment, and a left-out value becomes `undefined` after such a comment,
+ * so the outline comes back as valid stub code. Like module-header.js, the
+ * outline is read from tokens rather than a syntax tree, so TypeScript and
+ * JSX modules work too.
+ */
+
+const { tokenize } = require('./js-tokenizer');
+
+const BODY_MARKER = '{…}';
+const VALUE_MARKER = '…';
+const ELIDED = '/* … */';
+
+// Tokens after which a `{` in a return type opens an object type rather than the body
+const TYPE_CONTINUATION = new Set([':', '|', '&', '<', ',', '(', '[', '?', 'keyof', 'typeof']);
+
+// Words before the keyword of a declaration
+const MODIFIERS = new Set(['export', 'default', 'declare', 'abstract', 'async']);
+
+// Keywords starting the declarations an outline keeps
+const DECLARATIONS = new Set(['function', 'class', 'interface', 'type', 'enum', 'namespace', 'module', 'const', 'let', 'var']);
+
+// Words before the name of a class member
+const MEMBER_MODIFIERS = new Set([
+  'static', 'public', 'protected', 'private', 'readonly', 'abstract', 'override', 'declare', 'async', 'get', 'set', 'accessor', '*'
+]);
+
+// Tokens after which a keyword is the name of a method, as in `{ delete() {} }`
+const MEMBER_NAME_AFTER = new Set(['{', ';', '}', ',', 'static', 'get', 'set', 'async', '*']);
+
+// Keywords whose `(...) {` is a statement rather than a method
+const STATEMENT_HEADS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with']);
+
+// Tokens that carry a statement on past the end of their line, at its end or at the start of the next
+const CONTINUES_AFTER = new Set([
+  '=', '=>', ',', '(', '[', '{', '.', '?.', '?', ':', '+', '-', '*', '/', '%', '**', '&&', '||', '??', '|', '&', '^',
+  '!', '~', '<', '>', '<=', '>=', '==', '===', '!=', '!==', '<<', '>>', '>>>', '+=', '-=', '*=', '/=', '%=', '**=',
+  '&&=', '||=', '??=', '|=', '&=', '^=', '<<=', '>>=', '>>>=', '...', 'new', 'typeof', 'keyof', 'extends',
+  'implements', 'as', 'in', 'of', 'instanceof', 'await', 'yield', 'export', 'default', 'import', 'return', 'throw',
+  'const', 'let', 'var', 'function', 'class', 'from'
+]);
+const CONTINUES_BEFORE = new Set([
+  '.', '?.', ',', '=', '=>', '?', ':', ')', ']', '}', '{', '*', '/', '%', '**', '&&', '||', '??', '|', '&', '^',
+  '<', '>', '<=', '>=', '==', '===', '!=', '!==', '<<', '>>', '>>>', 'instanceof', 'in', 'as', 'satisfies',
+  'extends', 'implements', 'from'
+]);
+
+/**
+ * Reduce a module to the outline of its API
+ *
+ * @param {string} code - Module code
+ * @param {Object} options - Outline options
+ * @param {string} options.language - Language of the code ('javascript' or 'typescript')
+ * @param {boolean} options.jsx - Whether the code has JSX elements
+ * @return {Object} - `{ code, mappings }` where mappings go from the outline to the code
+ */
+function createOutline(code, options = {}) {
+  const all = tokenize(code, { language: options.language, jsx: options.jsx });
+  const tokens = all.filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+  const context = { code, tokens, docs: findDocComments(all) };
+
+  const statements = [];
+  for (let i = 0; i < tokens.length; i = statements[statements.length - 1].end) {
+    statements.push(readStatement(context, i));
+  }
+
+  // With exports, only what they name is kept
+  const exported = new Set();
+  const hasExports = statements.some(statement => statement.exported || statement.kind === 'commonjs');
+  statements.forEach(statement => statement.exports.forEach(name => exported.add(name)));
+  const kept = statements.filter(statement => {
+    if (['export', 'commonjs'].includes(statement.kind)) return true;
+    if (!['function', 'class', 'type', 'variable'].includes(statement.kind)) return false;
+    if (hasExports) return statement.exported || statement.names.some(name => exported.has(name));
+    return statement.kind !== 'variable' || statement.declarators.some(declarator => declarator.function);
+  });
+
+  const output = createBuilder(code);
+  kept.forEach((statement, index) => {
+    if (index > 0) output.insert('\n');
+    writeDoc(output, context, statement.start, '');
+    writeStatement(output, context, statement);
+  });
+  if (kept.length > 0) output.insert('\n');
+
+  return { code: output.text, mappings: output.mappings };
+}
+
+/**
+ * Turn the markers of an outline into stub code
+ *
+ * @param {string} code - Outline, or compressed code with the markers in it
+ * @param {Object} options - Tokenizer options (`language`, `jsx`)
+ * @return {string} - Code with empty bodies and `undefined` values in place of the markers
+ */
+function expandOutline(code, options = {}) {
+  const tokens = tokenize(code, { language: options.language, jsx: options.jsx });
+  const significant = tokens.filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+
+  let result = '';
+  let copied = 0;
+  significant.forEach((token, i) => {
+    if (token.type !== 'invalid' || token.value !== VALUE_MARKER) return;
+    const previous = significant[i - 1];
+    const next = significant[i + 1];
+    if (previous && previous.value === '{' && next && next.value === '}') {
+      result += code.slice(copied, previous.start) + `{ ${ELIDED} }`;
+      copied = next.end;
+    } else {
+      result += code.slice(copied, token.start) + `${ELIDED} undefined`;
+      copied = token.end;
+    }
+  });
+  return result + code.slice(copied);
+}
+
+/**
+ * Find the bodies of the functions in a range of tokens
+ *
+ * Function declarations and expressions, methods and arrow functions with
+ * a block body are found; nested functions are part of the outer body.
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} from - Index of the first token
+ * @param {number} to - Index after the last token
+ * @return {Object[]} - Bodies as `{ open, close }` indices of their braces
+ */
+function findFunctionBodies(tokens, from = 0, to = tokens.length) {
+  const bodies = [];
+
+  for (let i = from; i < to; i++) {
+    let open = -1;
+    if (tokens[i].type !== 'punctuator') continue;
+    if (tokens[i].value === '=>') {
+      open = i + 1;
+    } else if (tokens[i].value === '(' && opensParameters(tokens[i - 1], tokens[i - 2])) {
+      open = findBody(tokens, i);
+    }
+
+    if (open > 0 && open < to && tokens[open].type === 'punctuator' && tokens[open].value === '{') {
+      const close = findClosing(tokens, open);
+      if (close < to) {
+        bodies.push({ open, close });
+        i = close;
+      }
+    }
+  }
+
+  return bodies;
+}
+
+/**
+ * Read a top-level statement
+ *
+ * @param {Object} context - `{ code, tokens, docs }`
+ * @param {number} start - Index of its first token
+ * @return {Object} - `{ start, end, kind, exported, names, exports, ... }` where
+ *   kind is 'function', 'class', 'type', 'variable', 'export' (a list or
+ *   default export), 'commonjs' (an exports assignment), 'import' or 'other'
+ */
+function readStatement(context, start) {
+  const { tokens } = context;
+  const value = i => (tokens[i] ? tokens[i].value : undefined);
+  const statement = { start, end: 0, kind: 'other', exported: false, names: [], exports: [] };
+
+  // Decorators stay with the class they decorate
+  let i = start;
+  while (value(i) === '@') {
+    i += 2;
+    while (value(i) === '.') i += 2;
+    if (value(i) === '(') i = findClosing(tokens, i) + 1;
+  }
+
+  let isDefault = false;
+  for (;;) {
+    if (value(i) === 'export') {
+      statement.exported = true;
+    } else if (value(i) === 'default' && statement.exported) {
+      isDefault = true;
+    } else if (!MODIFIERS.has(value(i)) || !(MODIFIERS.has(value(i + 1)) || DECLARATIONS.has(value(i + 1)))) {
+      break;
+    }
+    i++;
+  }
+  const keyword = value(i);
+  const name = tokens[i + 1] && tokens[i + 1].type === 'identifier' ? tokens[i + 1].value : null;
+
+  if (statement.exported && (isDefault || ['{', '*', '='].includes(keyword)) && !DECLARATIONS.has(keyword)) {
+    // export { a, b as c }, export * from '...', export default <expression>
+    statement.kind = 'export';
+    statement.end = findStatementEnd(context, i);
+    statement.value = isDefault ? i : -1;
+    if (keyword === '{' && !tokens.slice(i, statement.end).some(token => token.value === 'from')) {
+      statement.exports = listNames(tokens, i);
+    } else if (isDefault && tokens[i].type === 'identifier') {
+      statement.exports = [keyword];
+    }
+  } else if (keyword === 'function') {
+    statement.kind = 'function';
+    statement.names = [value(i + 1) === '*' ? value(i + 2) : name].filter(Boolean);
+    let open = i + 1;
+    while (open < tokens.length && value(open) !== '(') {
+      open = value(open) === '<' ? skipTypeParameters(tokens, open) : open + 1;
+    }
+    const body = findBody(tokens, open);
+    statement.end = body > 0 ? findClosing(tokens, body) + 1 : findStatementEnd(context, i);
+  } else if (keyword === 'class') {
+    statement.kind = 'class';
+    statement.names = name && !['extends', 'implements'].includes(name) ? [name] : [];
+    let open = i + 1;
+    while (open < tokens.length && value(open) !== '{') {
+      open = value(open) === '<' ? skipTypeParameters(tokens, open) :
+        ['(', '['].includes(value(open)) ? findClosing(tokens, open) + 1 : open + 1;
+    }
+    statement.body = open;
+    statement.end = Math.min(findClosing(tokens, open) + 1, tokens.length);
+  } else if (['interface', 'enum', 'namespace', 'module', 'type'].includes(keyword) &&
+      tokens[i + 1] && (name || (keyword === 'module' && tokens[i + 1].type === 'string'))) {
+    statement.kind = 'type';
+    statement.names = name ? [name] : [];
+    if (keyword === 'type') {
+      statement.end = findStatementEnd(context, i);
+    } else {
+      let open = i + 1;
+      while (open < tokens.length && value(open) !== '{') {
+        open = value(open) === '<' ? skipTypeParameters(tokens, open) : open + 1;
+      }
+      statement.end = Math.min(findClosing(tokens, open) + 1, tokens.length);
+    }
+  } else if (['const', 'let', 'var'].includes(keyword) && value(i + 1) === 'enum') {
+    statement.kind = 'type';
+    statement.names = tokens[i + 2] ? [tokens[i + 2].value] : [];
+    let open = i + 2;
+    while (open < tokens.length && value(open) !== '{') open++;
+    statement.end = Math.min(findClosing(tokens, open) + 1, tokens.length);
+  } else if (['const', 'let', 'var'].includes(keyword)) {
+    statement.kind = 'variable';
+    statement.end = findStatementEnd(context, i);
+    statement.declarators = splitDeclarators(context, i + 1, statement.end);
+    statement.names = statement.declarators.map(declarator => declarator.name).filter(Boolean);
+  } else if (keyword === 'import' && !['(', '.'].includes(value(i + 1))) {
+    statement.kind = 'import';
+    statement.end = findStatementEnd(context, i);
+  } else if ((keyword === 'module' && value(i + 1) === '.' && value(i + 2) === 'exports') ||
+      (keyword === 'exports' && value(i + 1) === '.')) {
+    statement.kind = 'commonjs';
+    statement.end = findStatementEnd(context, i);
+    const assignment = findAssignment(tokens, i, statement.end);
+    statement.value = assignment + 1;
+    statement.exports = assignment > 0 ? exportedNames(tokens, assignment + 1, statement.end) : [];
+  } else {
+    statement.end = findStatementEnd(context, i);
+  }
+
+  statement.end = Math.max(statement.end, start + 1);
+  return statement;
+}
+
+/**
+ * Write a kept statement to the outline
+ *
+ * @param {Object} output - Builder of the outline
+ * @param {Object} context - `{ code, tokens, docs }`
+ * @param {Object} statement - Statement from readStatement
+ */
+function writeStatement(output, context, statement) {
+  const { tokens } = context;
+  const end = tokens[statement.end - 1].value === ';' ? statement.end - 1 : statement.end;
+
+  if (statement.kind === 'class') {
+    copyElided(output, tokens, statement.start, statement.body + 1);
+    writeClassBody(output, context, statement.body, statement.end - 1);
+  } else if (statement.kind === 'variable') {
+    const first = statement.declarators[0];
+    copyElided(output, tokens, statement.start, first ? first.start : end);
+    if (first) output.copy(tokens[first.start - 1].end, tokens[first.start].start);
+    statement.declarators.forEach((declarator, index) => {
+      if (index > 0) output.copy(tokens[statement.declarators[index - 1].end - 1].end, tokens[declarator.start].start);
+      writeValue(output, tokens, declarator.start, declarator.end, declarator.value);
+    });
+  } else if (statement.kind === 'export' || statement.kind === 'commonjs') {
+    writeValue(output, tokens, statement.start, end, statement.value, true);
+  } else {
+    copyElided(output, tokens, statement.start, end);
+  }
+
+  if (end < statement.end) output.copy(tokens[end].start, tokens[end].end);
+}
+
+/**
+ * Write the public members of a class body
+ *
+ * @param {Object} output - Builder of the outline
+ * @param {Object} context - `{ code, tokens, docs }`
+ * @param {number} open - Index of the `{` of the body
+ * @param {number} close - Index of its `}`
+ */
+function writeClassBody(output, context, open, close) {
+  const { tokens } = context;
+  if (!tokens[close] || tokens[close].value !== '}') return;
+
+  let written = false;
+  for (let i = open + 1; i < close; ) {
+    if (tokens[i].value === ';') {
+      i++;
+      continue;
+    }
+    if (tokens[i].value === 'static' && tokens[i + 1].value === '{') {
+      i = findClosing(tokens, i + 1) + 1;
+      continue;
+    }
+
+    const end = findMemberEnd(context, i, close);
+    let name = i;
+    while (name < end - 1 && MEMBER_MODIFIERS.has(tokens[name].value) &&
+        !['(', '=', ':', ';', '?', '!', '<'].includes(tokens[name + 1].value)) {
+      name++;
+    }
+    const isPrivate = tokens[name].value === '#' || tokens.slice(i, name).some(token => token.value === 'private');
+
+    if (!isPrivate) {
+      const indent = indentOf(context.code, tokens[i]);
+      output.insert('\n' + indent);
+      writeDoc(output, context, i, indent);
+      const last = tokens[end - 1].value === ';' ? end - 1 : end;
+      writeValue(output, tokens, i, last, findAssignment(tokens, i, last) + 1);
+      if (last < end) output.copy(tokens[last].start, tokens[last].end);
+      written = true;
+    }
+    i = end;
+  }
+
+  // A class with no public members keeps an empty body
+  if (written) output.insert('\n' + indentOf(context.code, tokens[close]));
+  output.copy(tokens[close].start, tokens[close].end);
+}
+
+/**
+ * Write a declaration, leaving out its value unless it is a literal or a function
+ *
+ * @param {Object} output - Builder of the outline
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of its first token
+ * @param {number} end - Index after its last token
+ * @param {number} value - Index of the first token of its value, or a number below 1 if it has none
+ * @param {boolean} reference - Also keep object literals and `require()` calls
+ *   (for what a module exports)
+ */
+function writeValue(output, tokens, start, end, value, reference = false) {
+  if (value > start && value < end && !keepsValue(tokens, value, end, reference)) {
+    copyElided(output, tokens, start, value);
+    output.insert(' ' + VALUE_MARKER);
+  } else {
+    copyElided(output, tokens, start, end);
+  }
+}
+
+/**
+ * Check whether a value is kept in the outline
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of its first token
+ * @param {number} end - Index after its last token
+ * @param {boolean} reference - Also keep object literals and `require()` calls
+ * @return {boolean} - True for literals, names, functions and classes
+ */
+function keepsValue(tokens, start, end, reference) {
+  const first = tokens[start];
+  const literal = token => ['number', 'string', 'regex'].includes(token.type) ||
+    (token.type === 'template' && token.value.length > 1 && token.value.startsWith('`') && token.value.endsWith('`')) ||
+    ['true', 'false', 'null', 'undefined'].includes(token.value);
+
+  if (end - start === 1 && literal(first)) return true;
+  if (end - start === 2 && ['-', '+', '!'].includes(first.value) && literal(tokens[start + 1])) return true;
+  if (isFunction(tokens, start, end)) return true;
+  if (tokens.slice(start, end).every((token, i) => (i % 2 === 0 ? token.type === 'identifier' : token.value === '.'))) {
+    return (end - start) % 2 === 1;
+  }
+
+  if (!reference) return false;
+  if (first.value === '{' && findClosing(tokens, start) === end - 1) return true;
+  return first.value === 'require' && end - start === 4 && tokens[start + 1].value === '(';
+}
+
+/**
+ * Check whether a value is a function or a class
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of its first token
+ * @param {number} end - Index after its last token
+ * @return {boolean} - True for function and class expressions and arrow functions
+ */
+function isFunction(tokens, start, end) {
+  const value = i => (start + i < end ? tokens[start + i].value : undefined);
+  const arrow = from => tokens.slice(from, end).some(token => token.value === '=>');
+
+  if (['function', 'class'].includes(value(0))) return true;
+  if (value(0) === 'async') return value(1) === 'function' || arrow(start + 1);
+  if (tokens[start].type === 'identifier' && value(1) === '=>') return true;
+  if (value(0) === '<') return arrow(start);
+  if (value(0) === '(') {
+    const close = findClosing(tokens, start);
+    return value(close - start + 1) === '=>' || (value(close - start + 1) === ':' && arrow(close));
+  }
+  return false;
+}
+
+/**
+ * Copy a range of tokens to the outline, leaving out function bodies
+ *
+ * @param {Object} output - Builder of the outline
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of the first token
+ * @param {number} end - Index after the last token
+ */
+function copyElided(output, tokens, start, end) {
+  if (end <= start) return;
+
+  let position = tokens[start].start;
+  for (const body of findFunctionBodies(tokens, start, end)) {
+    output.copy(position, tokens[body.open].start);
+    output.insert(BODY_MARKER);
+    position = tokens[body.close].end;
+  }
+  output.copy(position, tokens[end - 1].end);
+}
+
+/**
+ * Write the summary of the JSDoc comment before a token, if there is one
+ *
+ * @param {Object} output - Builder of the outline
+ * @param {Object} context - `{ code, tokens, docs }`
+ * @param {number} index - Index of the token
+ * @param {string} indent - Indentation of the line after the summary
+ */
+function writeDoc(output, context, index, indent) {
+  const comment = context.docs.get(context.tokens[index]);
+  if (!comment) return;
+
+  const summary = [];
+  for (const line of comment.value.slice(3, -2).split(/\r?\n/)) {
+    const text = line.replace(/^\s*\*?\s?/, '').trim();
+    if (text.startsWith('@') || (!text && summary.length > 0)) break;
+    if (text) summary.push(text);
+  }
+  if (summary.length > 0) output.insert(`/** ${summary.join(' ')} */\n${indent}`);
+}
+
+/**
+ * Find the JSDoc comments directly before tokens (with no blank line between)
+ *
+ * @param {Object[]} tokens - All tokens
+ * @return {Map} - Comment token by the token that follows it
+ */
+function findDocComments(tokens) {
+  const docs = new Map();
+  let comment = null;
+
+  for (const token of tokens) {
+    if (token.type === 'comment') {
+      comment = token.value.startsWith('/**') ? token : null;
+    } else if (token.type === 'whitespace') {
+      if ((token.value.match(/\n/g) || []).length > 1) comment = null;
+    } else {
+      if (comment) docs.set(token, comment);
+      comment = null;
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Find where a statement ends
+ *
+ * A statement ends after a `;` or at the end of a line that nothing
+ * carries on past, outside of brackets.
+ *
+ * @param {Object} context - `{ code, tokens }`
+ * @param {number} start - Index of a token in the statement
+ * @param {number} limit - Index it must end by
+ * @return {number} - Index after its last token
+ */
+function findStatementEnd(context, start, limit = context.tokens.length) {
+  const { code, tokens } = context;
+  let depth = 0;
+
+  for (let i = start; i < limit; i++) {
+    const token = tokens[i];
+    if (token.type === 'punctuator') {
+      if (['(', '[', '{'].includes(token.value)) depth++;
+      if ([')', ']', '}'].includes(token.value) && --depth < 0) return Math.max(i, start + 1);
+    }
+    if (depth > 0) continue;
+    if (token.value === ';' || i + 1 >= limit) return i + 1;
+
+    const next = tokens[i + 1];
+    if (code.slice(token.end, next.start).includes('\n') && !continues(token, next)) return i + 1;
+  }
+  return limit;
+}
+
+/**
+ * Find where a class member ends
+ *
+ * @param {Object} context - `{ code, tokens }`
+ * @param {number} start - Index of its first token
+ * @param {number} close - Index of the `}` closing the class body
+ * @return {number} - Index after its last token
+ */
+function findMemberEnd(context, start, close) {
+  const { tokens } = context;
+
+  // Methods end with their body
+  for (let i = start; i < close; i++) {
+    const value = tokens[i].value;
+    if (['=', ';', ':'].includes(value)) break;
+    if (value === '(' && tokens[i].type === 'punctuator') {
+      const body = findBody(tokens, i);
+      if (body > 0 && body < close) return findClosing(tokens, body) + 1;
+      break;
+    }
+    if (value === '[' || value === '{') i = findClosing(tokens, i);
+  }
+
+  return findStatementEnd(context, start, close);
+}
+
+/**
+ * Split the declarators of a variable declaration
+ *
+ * @param {Object} context - `{ code, tokens }`
+ * @param {number} start - Index of the first declarator
+ * @param {number} end - Index after the statement
+ * @return {Object[]} - `{ start, end, name, value, function }` where value is the
+ *   index of the first token of its value (0 if it has none)
+ */
+function splitDeclarators(context, start, end) {
+  const { tokens } = context;
+  const last = tokens[end - 1] && tokens[end - 1].value === ';' ? end - 1 : end;
+  const declarators = [];
+  let from = start;
+  let value = 0;
+  let angles = 0;
+
+  for (let i = start; i <= last; i++) {
+    const token = tokens[i];
+    if (i === last || (token.value === ',' && angles === 0)) {
+      declarators.push({
+        start: from,
+        end: i,
+        name: tokens[from] && tokens[from].type === 'identifier' ? tokens[from].value : null,
+        value,
+        function: value > 0 && isFunction(tokens, value, i)
+      });
+      from = i + 1;
+      value = 0;
+      continue;
+    }
+
+    if (['(', '[', '{'].includes(token.value)) {
+      i = findClosing(tokens, i);
+    } else if (value === 0 && token.value === '<') {
+      angles++;
+    } else if (value === 0 && /^>+$/.test(token.value)) {
+      angles -= token.value.length;
+    } else if (value === 0 && angles === 0 && token.value === '=') {
+      value = i + 1;
+    }
+  }
+
+  return declarators;
+}
+
+/**
+ * Find the `=` of an assignment or initializer at the top level of a range
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of the first token
+ * @param {number} end - Index after the last token
+ * @return {number} - Index of the `=`, or -1
+ */
+function findAssignment(tokens, start, end) {
+  for (let i = start; i < end; i++) {
+    if (['(', '[', '{'].includes(tokens[i].value) && tokens[i].type === 'punctuator') {
+      i = findClosing(tokens, i);
+    } else if (tokens[i].value === '=' && tokens[i].type === 'punctuator') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Get the local names in a `{ a, b as c }` list
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} open - Index of the `{`
+ * @return {string[]} - The names before `as`
+ */
+function listNames(tokens, open) {
+  const names = [];
+  const close = findClosing(tokens, open);
+  let first = true;
+  for (let i = open + 1; i < close; i++) {
+    if (first && tokens[i].type === 'identifier') names.push(tokens[i].value);
+    first = tokens[i].value === ',';
+  }
+  return names;
+}
+
+/**
+ * Get the names of the declarations a CommonJS export assigns
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of the first token of the assigned value
+ * @param {number} end - Index after the statement
+ * @return {string[]} - Names of `module.exports = name`, `{ name, key: name }` and the like
+ */
+function exportedNames(tokens, start, end) {
+  const last = tokens[end - 1].value === ';' ? end - 1 : end;
+  if (last - start === 1 && tokens[start].type === 'identifier') return [tokens[start].value];
+  if (tokens[start].value !== '{') return [];
+
+  // Entries of an object literal: `name` or `key: name`
+  const names = [];
+  const close = findClosing(tokens, start);
+  let entry = start + 1;
+  for (let i = start + 1; i <= close; i++) {
+    if (['(', '[', '{'].includes(tokens[i].value) && i < close) {
+      i = findClosing(tokens, i);
+    } else if (tokens[i].value === ',' || i === close) {
+      const length = i - entry;
+      if (length === 1 && tokens[entry].type === 'identifier') names.push(tokens[entry].value);
+      if (length === 3 && tokens[entry + 1].value === ':' && tokens[entry + 2].type === 'identifier') {
+        names.push(tokens[entry + 2].value);
+      }
+      entry = i + 1;
+    }
+  }
+  return names;
+}
+
+/**
+ * Check whether a statement carries on past a line break between two tokens
+ *
+ * @param {Object} previous - Token at the end of the line
+ * @param {Object} next - Token at the start of the next line
+ * @return {boolean} - True if the line break does not end the statement
+ */
+function continues(previous, next) {
+  if (previous.type === 'template' && previous.value.endsWith('${')) return true;
+  if (next.type === 'template' && !next.value.startsWith('`')) return true;
+  return (CONTINUES_AFTER.has(previous.value) && previous.type !== 'string') ||
+    (CONTINUES_BEFORE.has(next.value) && next.type !== 'string');
+}
+
+/**
+ * Find the body following a parameter list
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} open - Index of the `(` of the parameters
+ * @return {number} - Index of the `{` of the body (after any return type), or -1
+ */
+function findBody(tokens, open) {
+  const close = findClosing(tokens, open);
+  const next = tokens[close + 1];
+  if (!next) return -1;
+  if (next.value === ':') return skipReturnType(tokens, close + 2);
+  return next.value === '{' && next.type === 'punctuator' ? close + 1 : -1;
+}
+
+/**
+ * Check whether a `(` after a token can start a parameter list
+ *
+ * @param {Object} previous - Significant token before the `(`
+ * @param {Object} before - Token before that one
+ * @return {boolean} - True after a name, `function`, a generic or a computed key,
+ *   but not for a call in an `extends` clause; a keyword is a name where a
+ *   member name may start
+ */
+function opensParameters(previous, before) {
+  if (!previous) return false;
+  if (previous.type === 'identifier') return !(before && before.value === 'extends');
+  if (previous.type === 'keyword') {
+    return previous.value === 'function' ||
+      Boolean(before && MEMBER_NAME_AFTER.has(before.value) && !STATEMENT_HEADS.has(previous.value));
+  }
+  return previous.type === 'punctuator' && ['>', '*', ']'].includes(previous.value);
+}
+
+/**
+ * Find the bracket closing the one at a token
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} open - Index of a `(`, `[` or `{`
+ * @return {number} - Index of the closing bracket, or tokens.length if there is none
+ */
+function findClosing(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (tokens[i].type !== 'punctuator') continue;
+    if (['(', '[', '{'].includes(tokens[i].value)) depth++;
+    if ([')', ']', '}'].includes(tokens[i].value) && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+/**
+ * Skip TypeScript type parameters or arguments, such as `<T extends { id: string }>`
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} open - Index of the `<`
+ * @return {number} - Index after the matching `>`, or tokens.length if there is none
+ */
+function skipTypeParameters(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (['(', '[', '{'].includes(value)) {
+      i = findClosing(tokens, i);
+    } else if (value === '<') {
+      depth++;
+    } else if (/^>+$/.test(value)) {
+      depth -= value.length;
+      if (depth <= 0) return i + 1;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Skip a TypeScript return type annotation
+ *
+ * @param {Object[]} tokens - Significant tokens
+ * @param {number} start - Index of the first token after the `:`
+ * @return {number} - Index of the `{` opening the body, or -1 if there is no body
+ */
+function skipReturnType(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (depth === 0 && [';', '=', ',', ')', ']', '}'].includes(value)) return -1;
+    if (value === '{' && depth === 0) {
+      if (!TYPE_CONTINUATION.has(tokens[i - 1].value)) return i;
+      i = findClosing(tokens, i);
+    } else if (value === '(' || value === '[' || value === '<') {
+      depth++;
+    } else if (value === ')' || value === ']' || /^>+$/.test(value)) {
+      depth -= value.length;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Get the indentation of the line a token starts
+ *
+ * @param {string} code - Source code
+ * @param {Object} token - Token
+ * @return {string} - Whitespace before it on its line (two spaces if there is code before it)
+ */
+function indentOf(code, token) {
+  const line = code.slice(code.lastIndexOf('\n', token.start - 1) + 1, token.start);
+  return /^[ \t]*$/.test(line) ? line : '  ';
+}
+
+/**
+ * Create a builder that records where copied text came from
+ *
+ * @param {string} code - Code text is copied from
+ * @return {Object} - `{ text, mappings, copy(start, end), insert(text) }`
+ */
+function createBuilder(code) {
+  const builder = {
+    text: '',
+    mappings: [],
+    copy(start, end) {
+      if (end <= start) return;
+      builder.mappings.push({ generated: builder.text.length, original: start, length: end - start });
+      builder.text += code.slice(start, end);
+    },
+    insert(text) {
+      builder.text += text;
+    }
+  };
+  return builder;
+}
+
+module.exports = {
+  BODY_MARKER,
+  VALUE_MARKER,
+  createOutline,
+  expandOutline,
+  findFunctionBodies
+};
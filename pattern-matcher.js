@@ -0,0 +1,581 @@
+/**
+ * JS-Kanji: Structural semantic pattern matching
+ *
+ * Semantic patterns are matched against the parsed syntax tree of the code
+ * rather than its text, so formatting differences (quotes, line breaks,
+ * indentation, trailing commas) do not matter.
+ *
+ * In a pattern template, `$1`..`$n` are typed holes:
+ *
+ * - identifier: a hole in a name position (`function $1`, `catch ($2)`,
+ *   object keys, member names) matches a single identifier
+ * - statement list: a hole on its own line (`$2` as a statement) matches any
+ *   number of statements, including none
+ * - expression: a hole anywhere else matches a single expression
+ *
+ * Holes inside string literals and identifiers (`'$1:'`, `$1Schema`) match
+ * part of the text. A hole used twice must match the same code both times.
+ * Templates that are not valid JavaScript on their own cannot be matched
+ * structurally and are skipped.
+ *
+ * Templates may contain JSX, which matches in code parsed with `jsx`. JSX
+ * text is compared the way JSX reads it, so indentation does not matter,
+ * and a hole that is the only text between two tags matches any run of
+ * children that can be passed back as a single argument.
+ */
+
+const { parseCode } = require('./js-parser');
+const { parseArguments } = require('./semantic-calls');
+
+const HOLE = /\$(\d+)/g;
+const HAS_HOLE = /\$\d/;
+const HOLE_NAME = /^\$(\d+)$/;
+
+// Quotes of string literals that holes may match inside
+const QUOTES = ['\'', '"'];
+
+// Node properties that do not affect what the code means
+const IGNORED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'raw']);
+
+// Properties holding a name rather than an expression
+const NAME_KEYS = new Set(['id', 'params', 'param', 'label', 'local', 'imported', 'exported']);
+
+// Other expression-like node types (besides `*Expression`)
+const EXPRESSION_TYPES = new Set(['Identifier', 'Literal', 'TemplateLiteral', 'Super']);
+
+// Compiled templates by pattern text (null for templates that do not parse)
+const compiled = new Map();
+
+/**
+ * Replace every pattern found in the code with its semantic symbol
+ *
+ * Patterns are tried in table order, so earlier (more specific) patterns win
+ * where matches overlap. Matches may nest inside the holes of other matches.
+ * Code that cannot be parsed is returned unchanged.
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @param {Object} options - `jsx` to parse code with JSX elements
+ * @return {string} - Code with matched patterns replaced
+ */
+function applyPatterns(code, patterns, options = {}) {
+  return applyPatternsMapped(code, patterns, options).code;
+}
+
+/**
+ * Replace patterns and record where the rewritten code came from
+ *
+ * Code copied unchanged (including hole values) gets range mappings, and
+ * each replacement a point mapping to the start of its match (see
+ * source-map.js).
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @param {Object} options - `jsx` to parse code with JSX elements
+ * @return {Object} - `{ code, mappings }`
+ */
+function applyPatternsMapped(code, patterns, options = {}) {
+  const matches = findPatternMatches(code, patterns, options);
+  const mappings = [];
+  return { code: render(code, matches, 0, code.length, mappings, 0), mappings };
+}
+
+/**
+ * Find the places where patterns match the code
+ *
+ * @param {string} code - JavaScript code
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @param {Object} options - `jsx` to parse code with JSX elements
+ * @return {Object[]} - Accepted matches as `{ pattern, replacement, start, end, bindings }`,
+ *   in source order; `captures(code, match)` gives the hole values as text
+ */
+function findPatternMatches(code, patterns, options = {}) {
+  const ast = parseCode(code, { jsx: options.jsx });
+  if (!ast) return [];
+
+  const lists = collectStatementLists(ast);
+  const accepted = [];
+
+  for (const [pattern, replacement] of Object.entries(patterns)) {
+    if (pattern.startsWith('//')) continue;
+
+    const template = compilePattern(pattern);
+    if (!template) continue;
+
+    for (const list of lists) {
+      for (let i = 0; i < list.length; i++) {
+        const result = matchStatements(template, list, 0, i, new Map(), code, false);
+        if (!result || result.end === i) continue;
+
+        const match = {
+          pattern,
+          replacement,
+          start: list[i].start,
+          end: list[result.end - 1].end,
+          bindings: result.bindings
+        };
+        if (accepted.every(other => compatible(match, other))) {
+          accepted.push(match);
+        }
+      }
+    }
+  }
+
+  return accepted.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Get the text matched by each hole of a match
+ *
+ * @param {string} code - Code the match was found in
+ * @param {Object} match - Match from findPatternMatches
+ * @return {Object} - Hole number to matched text
+ */
+function captures(code, match) {
+  const result = {};
+  for (const [hole, binding] of match.bindings) {
+    result[hole] = bindingText(binding, code);
+  }
+  return result;
+}
+
+/**
+ * Parse a pattern template into its statements
+ *
+ * @param {string} pattern - Pattern template
+ * @return {Object[]|null} - Template statements, or null if it does not parse
+ */
+function compilePattern(pattern) {
+  if (!compiled.has(pattern)) {
+    const ast = parseCode(pattern, { jsx: true });
+    compiled.set(pattern, ast ? ast.body : null);
+  }
+  return compiled.get(pattern);
+}
+
+/**
+ * Collect every statement list in a syntax tree
+ *
+ * @param {Object} ast - Program node
+ * @return {Object[][]} - Statement lists, outermost first
+ */
+function collectStatementLists(ast) {
+  const lists = [];
+  const visit = node => {
+    if (isStatementList(node.body)) lists.push(node.body);
+    if (node.type === 'SwitchCase') lists.push(node.consequent);
+
+    for (const key of Object.keys(node)) {
+      if (IGNORED_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => child && child.type && visit(child));
+      } else if (value && typeof value.type === 'string') {
+        visit(value);
+      }
+    }
+  };
+  visit(ast);
+  return lists;
+}
+
+/**
+ * Match template statements against statements of the code
+ *
+ * Statement-list holes try the shortest run of statements first. With
+ * `anchored`, the template must cover the statements to the end.
+ *
+ * @param {Object[]} template - Template statements
+ * @param {Object[]} statements - Code statements
+ * @param {number} ti - Next template statement
+ * @param {number} si - Next code statement
+ * @param {Map} bindings - Hole bindings so far
+ * @param {string} code - Source of the code
+ * @param {boolean} anchored - Whether all statements must be matched
+ * @return {Object|null} - `{ end, bindings }` or null if there is no match
+ */
+function matchStatements(template, statements, ti, si, bindings, code, anchored) {
+  if (ti === template.length) {
+    return !anchored || si === statements.length ? { end: si, bindings } : null;
+  }
+
+  const hole = statementHole(template[ti]);
+  if (hole) {
+    for (let end = si; end <= statements.length; end++) {
+      const attempt = new Map(bindings);
+      const binding = end > si ?
+        { start: statements[si].start, end: statements[end - 1].end, nodes: statements.slice(si, end) } :
+        { text: '', nodes: [] };
+      if (!bind(attempt, hole, binding, code)) continue;
+
+      const result = matchStatements(template, statements, ti + 1, end, attempt, code, anchored);
+      if (result) return result;
+    }
+    return null;
+  }
+
+  if (si >= statements.length) return null;
+
+  const attempt = new Map(bindings);
+  if (!matchNode(template[ti], statements[si], attempt, code, null)) return null;
+  return matchStatements(template, statements, ti + 1, si + 1, attempt, code, anchored);
+}
+
+/**
+ * Match a template node against a code node
+ *
+ * With `holes` set to false, two code nodes are compared instead, and names
+ * that look like holes are compared like any other name.
+ *
+ * @param {*} template - Template node or value
+ * @param {*} node - Code node or value
+ * @param {Map} bindings - Hole bindings, updated on success
+ * @param {string} code - Source of the code
+ * @param {string|null} key - Property of the parent that holds the node
+ * @param {boolean} holes - Whether `$n` names in the template are holes
+ * @return {boolean} - True if the node matches
+ */
+function matchNode(template, node, bindings, code, key, holes = true) {
+  if (template === null || typeof template !== 'object') {
+    return template === node;
+  }
+  if (template instanceof RegExp) {
+    return node instanceof RegExp && String(template) === String(node);
+  }
+  if (Array.isArray(template)) {
+    if (key === 'children' && Array.isArray(node)) {
+      return matchChildren(significantChildren(template), significantChildren(node), 0, bindings, code, holes);
+    }
+    if (holes && isStatementList(template) && Array.isArray(node)) {
+      const result = matchStatements(template, node, 0, 0, new Map(bindings), code, true);
+      if (!result) return false;
+      copyBindings(result.bindings, bindings);
+      return true;
+    }
+    return Array.isArray(node) && template.length === node.length &&
+      template.every((item, i) => matchNode(item, node[i], bindings, code, key, holes));
+  }
+  if (!node || typeof node !== 'object') return false;
+
+  // Typed holes and holes inside names and strings
+  if (holes && template.type === 'Identifier') {
+    const hole = HOLE_NAME.exec(template.name);
+    if (hole) {
+      const typeMatches = NAME_KEYS.has(key) || key === 'key' || key === 'property' ?
+        node.type === 'Identifier' :
+        isExpression(node);
+      return typeMatches && bind(bindings, hole[1], { start: node.start, end: node.end, node }, code);
+    }
+  }
+  if (holes && (template.type === 'Identifier' || template.type === 'JSXIdentifier') && HAS_HOLE.test(template.name)) {
+    return node.type === template.type && matchText(template.name, node.name, bindings, code);
+  }
+  if (template.type === 'JSXText') {
+    return node.type === 'JSXText' && (holes ?
+      matchText(jsxText(template.value), jsxText(node.value), bindings, code) :
+      jsxText(template.value) === jsxText(node.value));
+  }
+  if (holes && template.type === 'Literal' && typeof template.value === 'string' && HAS_HOLE.test(template.value)) {
+    if (node.type !== 'Literal' || typeof node.value !== 'string') return false;
+    const quote = template.raw[0];
+    const inner = node.raw.slice(1, -1);
+    if (node.raw[0] !== quote && inner.includes(quote)) return false;
+    return matchText(template.raw.slice(1, -1), inner, bindings, code, node.raw[0]);
+  }
+
+  if (template.type !== node.type) return false;
+
+  for (const property of Object.keys(template)) {
+    if (IGNORED_KEYS.has(property)) continue;
+    if (!matchNode(template[property], node[property], bindings, code, property, holes)) return false;
+  }
+  return true;
+}
+
+/**
+ * Match the children of a template JSX element against those of the code
+ *
+ * A children hole tries the shortest run of children first.
+ *
+ * @param {Object[]} template - Template children, without ignored text
+ * @param {Object[]} children - Code children, without ignored text
+ * @param {number} ti - Next template child
+ * @param {Map|null} bindings - Hole bindings, updated on success
+ * @param {string} code - Source of the code
+ * @param {boolean} holes - Whether `$n` names in the template are holes
+ * @param {number} ci - Next code child
+ * @return {boolean} - True if all children match
+ */
+function matchChildren(template, children, ti, bindings, code, holes, ci = 0) {
+  if (ti === template.length) return ci === children.length;
+
+  const hole = holes ? childrenHole(template[ti]) : null;
+  for (let end = ci + 1; end <= children.length; end++) {
+    const attempt = new Map(bindings);
+    const matched = hole ?
+      isArgument(code.slice(children[ci].start, children[end - 1].end)) &&
+        bind(attempt, hole, { start: children[ci].start, end: children[end - 1].end }, code) :
+      matchNode(template[ti], children[ci], attempt, code, null, holes);
+
+    if (matched && matchChildren(template, children, ti + 1, attempt, code, holes, end)) {
+      if (bindings) copyBindings(attempt, bindings);
+      return true;
+    }
+    if (!hole) break;
+  }
+  return false;
+}
+
+/**
+ * Get the hole of a template child that stands for a run of children
+ *
+ * @param {Object} child - Template child
+ * @return {string|null} - Hole number, for JSX text that is just a hole
+ */
+function childrenHole(child) {
+  const hole = child.type === 'JSXText' && HOLE_NAME.exec(jsxText(child.value));
+  return hole ? hole[1] : null;
+}
+
+/**
+ * Leave out the JSX text that JSX itself drops
+ *
+ * @param {Object[]} children - Children of a JSX element
+ * @return {Object[]} - Children without whitespace-only text
+ */
+function significantChildren(children) {
+  return children.filter(child => child.type !== 'JSXText' || jsxText(child.value) !== '');
+}
+
+/**
+ * Get JSX text the way JSX reads it
+ *
+ * Lines are trimmed except at the ends of the text, blank lines are dropped
+ * and the remaining lines are joined with single spaces.
+ *
+ * @param {string} value - Text as written
+ * @return {string} - Text as it is rendered
+ */
+function jsxText(value) {
+  const lines = value.split(/\r\n|[\n\r]/);
+  return lines
+    .map((line, i) => {
+      let text = line.replace(/\t/g, ' ');
+      if (i > 0) text = text.replace(/^ +/, '');
+      if (i < lines.length - 1) text = text.replace(/ +$/, '');
+      return text;
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Check whether text can be read back as a single argument of a semantic call
+ *
+ * @param {string} text - Text of a hole
+ * @return {boolean} - True if the call parser reads it as one argument
+ */
+function isArgument(text) {
+  const call = parseArguments(`(${text})`, 0);
+  return Boolean(call) && call.args.length === 1 && call.end === text.length + 2;
+}
+
+/**
+ * Match text containing holes, such as a string literal or a name
+ *
+ * @param {string} template - Template text with `$n` holes
+ * @param {string} text - Text from the code
+ * @param {Map} bindings - Hole bindings, updated on success
+ * @param {string} code - Source of the code
+ * @param {string} quote - Quote of the string literal the text is from, if any
+ * @return {boolean} - True if the text matches
+ */
+function matchText(template, text, bindings, code, quote) {
+  const holes = [];
+  const source = template.split(HOLE).map((part, i) => {
+    if (i % 2 === 1) {
+      holes.push(part);
+      return '([\\s\\S]+?)';
+    }
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  const match = new RegExp(`^${source}$`).exec(text);
+  return Boolean(match) && holes.every((hole, i) => bind(bindings, hole, quote ? { text: match[i + 1], quote } : { text: match[i + 1] }, code));
+}
+
+/**
+ * Bind a hole, or check that it matches its earlier binding
+ *
+ * @param {Map} bindings - Hole bindings
+ * @param {string} hole - Hole number
+ * @param {Object} binding - `{ start, end, node }`, `{ start, end, nodes }` or `{ text }`, with
+ *   the `quote` of the string literal the text is from
+ * @param {string} code - Source of the code
+ * @return {boolean} - True if the hole is consistent
+ */
+function bind(bindings, hole, binding, code) {
+  const earlier = bindings.get(hole);
+  if (!earlier) {
+    bindings.set(hole, binding);
+    return true;
+  }
+
+  if (earlier.node && binding.node) {
+    return matchNode(earlier.node, binding.node, null, code, null, false);
+  }
+  return bindingText(earlier, code) === bindingText(binding, code);
+}
+
+/**
+ * Get the text of a binding
+ *
+ * @param {Object} binding - Hole binding
+ * @param {string} code - Source of the code
+ * @return {string} - Text the hole matched
+ */
+function bindingText(binding, code) {
+  return binding.text !== undefined ? binding.text : code.slice(binding.start, binding.end);
+}
+
+/**
+ * Check whether two matches can both be applied
+ *
+ * Matches may not overlap, unless one lies inside a hole of the other.
+ *
+ * @param {Object} a - Match
+ * @param {Object} b - Match
+ * @return {boolean} - True if the matches are compatible
+ */
+function compatible(a, b) {
+  if (a.end <= b.start || b.end <= a.start) return true;
+  return insideHole(a, b) || insideHole(b, a);
+}
+
+/**
+ * Check whether a match lies inside one of the holes of another match
+ *
+ * @param {Object} inner - Possibly nested match
+ * @param {Object} outer - Enclosing match
+ * @return {boolean} - True if inner is inside a hole of outer
+ */
+function insideHole(inner, outer) {
+  for (const binding of outer.bindings.values()) {
+    if (binding.start !== undefined && binding.start <= inner.start && inner.end <= binding.end) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Write a range of the code with the matches in it replaced
+ *
+ * @param {string} code - Source of the code
+ * @param {Object[]} matches - Accepted matches, sorted by position
+ * @param {number} start - Start of the range
+ * @param {number} end - End of the range
+ * @param {Object[]} mappings - Offset mappings, filled as the range is written
+ * @param {number} base - Offset of the range in the output
+ * @return {string} - Rewritten range
+ */
+function render(code, matches, start, end, mappings, base) {
+  let result = '';
+  let position = start;
+
+  const copy = (from, to) => {
+    if (to > from) {
+      mappings.push({ generated: base + result.length, original: from, length: to - from });
+      result += code.slice(from, to);
+    }
+  };
+
+  for (const match of matches) {
+    if (match.start < position || match.end > end) continue;
+
+    copy(position, match.start);
+    mappings.push({ generated: base + result.length, original: match.start });
+
+    let last = 0;
+    for (const hole of match.replacement.matchAll(HOLE)) {
+      const binding = match.bindings.get(hole[1]);
+      const end = hole.index + hole[0].length;
+
+      // A quoted `'$n'` keeps the quotes of the string literal the hole matched in
+      const opening = match.replacement[hole.index - 1];
+      const requote = binding && binding.quote && QUOTES.includes(opening) && match.replacement[end] === opening;
+      result += match.replacement.slice(last, requote ? hole.index - 1 : hole.index) + (requote ? binding.quote : '');
+      last = end;
+
+      if (!binding) {
+        result += hole[0];
+      } else if (binding.text !== undefined) {
+        result += binding.text;
+        if (requote) {
+          result += binding.quote;
+          last++;
+        }
+      } else {
+        result += render(code, matches, binding.start, binding.end, mappings, base + result.length);
+      }
+    }
+    result += match.replacement.slice(last);
+    position = match.end;
+  }
+
+  copy(position, end);
+  return result;
+}
+
+/**
+ * Get the hole of a template statement that stands for a statement list
+ *
+ * @param {Object} statement - Template statement
+ * @return {string|null} - Hole number, or null for other statements
+ */
+function statementHole(statement) {
+  if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'Identifier') {
+    return null;
+  }
+  const hole = HOLE_NAME.exec(statement.expression.name);
+  return hole ? hole[1] : null;
+}
+
+/**
+ * Check whether a value is a list of statements
+ *
+ * @param {*} value - Node property
+ * @return {boolean} - True for statement lists (an empty array counts)
+ */
+function isStatementList(value) {
+  return Array.isArray(value) && value.every(item => item && /(Statement|Declaration)$/.test(item.type));
+}
+
+/**
+ * Check whether a node is an expression
+ *
+ * @param {Object} node - Code node
+ * @return {boolean} - True for expressions
+ */
+function isExpression(node) {
+  return /Expression$/.test(node.type) || EXPRESSION_TYPES.has(node.type);
+}
+
+/**
+ * Copy hole bindings into another map
+ *
+ * @param {Map} from - Source bindings
+ * @param {Map} to - Bindings to update
+ */
+function copyBindings(from, to) {
+  for (const [hole, binding] of from) {
+    to.set(hole, binding);
+  }
+}
+
+module.exports = {
+  applyPatterns,
+  applyPatternsMapped,
+  findPatternMatches,
+  captures
+};
@@ -16,7 +16,8 @@ const PROMPT_PARTS = {
   part3: path.join(PROMPT_DIR, 'prompt-part3.txt'),
   part5: path.join(PROMPT_DIR, 'prompt-part5.txt'),
   part6: path.join(PROMPT_DIR, 'prompt-part6.txt'),
-  part7: path.join(PROMPT_DIR, 'prompt-part7.txt')
+  part7: path.join(PROMPT_DIR, 'prompt-part7.txt'),
+  patch: path.join(PROMPT_DIR, 'prompt-patch.txt')
 };
 
 /**
@@ -41,9 +42,13 @@ function getPromptPart(partName) {
 /**
  * Generate instruction prompts for LLMs
  * 
+ * With `options.patches`, the prompt also teaches the model to answer edit
+ * requests with compressed patches (see createCompressedPatch in index.js)
+ * instead of whole files.
+ * 
  * @param {string} format - Format type ('full', 'basic', or 'minimal')
  * @param {string} method - Compression method ('mini', 'kanji', or 'semantic-kanji')
- * @param {Object} options - Optional configuration options 
+ * @param {Object} options - Optional configuration options (`split`, `patches`)
  * @return {string|string[]} - Instruction prompt(s)
  */
 function generate(format = 'full', method = 'semantic-kanji', options = {}) {
@@ -100,7 +105,15 @@ function generate(format = 'full', method = 'semantic-kanji', options = {}) {
   
   // Handle prompt splitting if requested
   if (options.split && format === 'full') {
-    return splitPrompt(prompt);
+    const segments = splitPrompt(prompt);
+    if (options.patches) {
+      segments[segments.length - 1] += '\n\n' + getPromptPart('patch');
+    }
+    return segments;
+  }
+  
+  if (options.patches) {
+    prompt += '\n\n' + getPromptPart('patch');
   }
   
   return prompt;
@@ -0,0 +1,256 @@
+/**
+ * JS-Kanji: Repair rules
+ *
+ * Decompression is a table lookup, but some compressed code cannot be decoded
+ * by the table alone: the version 1 dictionary used one Kanji for several
+ * words, and code written or edited by a model may be slightly off. Repairs
+ * for such code are rules rather than fixed rewrites, so that each one can be
+ * tested, switched on or off per call, and added to:
+ *
+ *   {
+ *     name: 'legacy-fetch-catch',
+ *     description: 'Version 1 used 獲 for fetch and catch: after `.` or `}` it is catch',
+ *     stage: 'kanji',              // 'kanji' before the dictionary, 'code' after it
+ *     when: context => ...,        // precondition (optional)
+ *     pattern: /.../g,             // text to replace, and what with,
+ *     replacement: 'catch',        // or `apply: (code, context) => code`
+ *     enabled: true,               // whether it runs unless enabled by name (default)
+ *     tests: [{ input, output, options }]
+ *   }
+ *
+ * The context holds the `dictionary` the code is decoded with and the
+ * decompression `options`. Rules run in the order they are listed, built-in
+ * rules first. Comments are taken out before any rule runs, and a pattern
+ * only replaces code: matches that reach into a string, the text of a
+ * template literal, a regular expression or JSX text are left alone.
+ */
+
+const { tokenize } = require('./js-tokenizer');
+const { resolveDictionary } = require('./kanji-dictionary');
+const { RepairRuleError } = require('./errors');
+
+const STAGES = ['kanji', 'code'];
+const RULE_NAME = /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/;
+const LITERAL_TYPES = new Set(['string', 'template', 'regex', 'jsx-text']);
+
+// Members that mark 件 (document or file in version 1) as `document`
+const DOCUMENT_MEMBERS = [
+  '体', '点', 'title', 'head', 'documentElement', 'activeElement', 'readyState', 'forms', 'location',
+  'getElementById', 'getElementsByClassName', 'getElementsByTagName', 'querySelector', 'querySelectorAll',
+  'createElement', 'createTextNode', 'addEventListener', 'removeEventListener', 'write'
+];
+
+/**
+ * Check whether code is decoded with the version 1 dictionary
+ *
+ * @param {Object} context - Rule context
+ * @return {boolean} - True for the bundled version 1 dictionary
+ */
+function isVersion1(context) {
+  return context.dictionary.name === 'kanji' && context.dictionary.version === 1;
+}
+
+const BUILT_IN_RULES = [
+  {
+    name: 'legacy-get-pop',
+    description: 'Version 1 used 取 for get and pop: a call with arguments is get',
+    stage: 'kanji',
+    when: isVersion1,
+    pattern: /取(?=\((?!\)))/g,
+    replacement: 'get',
+    tests: [
+      { input: '送信.取(url)', output: '送信.get(url)', options: { dictionaryVersion: 1 } },
+      { input: 'stack.取()', output: 'stack.取()', options: { dictionaryVersion: 1 } },
+      { input: "取消(t); '取(x)'", output: "取消(t); '取(x)'", options: { dictionaryVersion: 1 } },
+      { input: '取(x)', output: '取(x)' }
+    ]
+  },
+  {
+    name: 'legacy-document-file',
+    description: 'Version 1 used 件 for document and file: it is document before a DOM member',
+    stage: 'kanji',
+    when: isVersion1,
+    pattern: new RegExp(`(?<![\\w$.])件(?=\\.(?:${DOCUMENT_MEMBERS.join('|')})(?![\\w$]))`, 'g'),
+    replacement: 'document',
+    tests: [
+      { input: '名=件.title', output: '名=document.title', options: { dictionaryVersion: 1 } },
+      { input: '件.querySelector(s)', output: 'document.querySelector(s)', options: { dictionaryVersion: 1 } },
+      { input: '件.名;件.titles', output: '件.名;件.titles', options: { dictionaryVersion: 1 } }
+    ]
+  },
+  {
+    name: 'legacy-fetch-catch',
+    description: 'Version 1 used 獲 for fetch and catch: after `.` or `}` it is catch',
+    stage: 'kanji',
+    when: isVersion1,
+    pattern: /(?<=[.}]\s*)獲(?=\s*[({])/g,
+    replacement: 'catch',
+    tests: [
+      { input: 'p.続(f).獲(g)', output: 'p.続(f).catch(g)', options: { dictionaryVersion: 1 } },
+      { input: '}獲(e){', output: '}catch(e){', options: { dictionaryVersion: 1 } },
+      { input: '} 獲 {', output: '} catch {', options: { dictionaryVersion: 1 } },
+      { input: '待 獲(url)', output: '待 獲(url)', options: { dictionaryVersion: 1 } }
+    ]
+  },
+  {
+    name: 'split-arrow',
+    description: 'Join an arrow written as `= >`',
+    stage: 'code',
+    enabled: false,
+    pattern: /=[ \t]+>/g,
+    replacement: '=>',
+    tests: [
+      { input: 'x = > x * 2', output: 'x => x * 2' },
+      { input: "s = '= >'", output: "s = '= >'" }
+    ]
+  },
+  {
+    name: 'spaced-url',
+    description: 'Remove spaces after `://` in string literals',
+    stage: 'code',
+    enabled: false,
+    apply: (code, context) => tokenize(code, { language: context.options.language, jsx: context.options.jsx })
+      .map(token => (token.type === 'string' || token.type === 'template' ?
+        token.value.replace(/\b(https?|wss?|ftp):\/\/[ \t]+/g, '$1://') :
+        token.value))
+      .join(''),
+    tests: [
+      { input: "get('https:// api.example.com/a')", output: "get('https://api.example.com/a')" },
+      { input: 'x = a:// b', output: 'x = a:// b' }
+    ]
+  }
+];
+
+/**
+ * Check that a repair rule is well formed
+ *
+ * @param {Object} rule - Repair rule
+ * @return {Object} - The rule
+ * @throws {RepairRuleError} - If it has no valid name, stage or replacement
+ */
+function validateRule(rule) {
+  const name = rule && rule.name;
+  if (typeof name !== 'string' || !RULE_NAME.test(name)) {
+    throw new RepairRuleError(`Invalid repair rule name: ${JSON.stringify(name)}`, { rule: name });
+  }
+  if (!STAGES.includes(rule.stage)) {
+    throw new RepairRuleError(`Repair rule ${name} has an unknown stage: ${rule.stage}`, { rule: name });
+  }
+  if (typeof rule.apply !== 'function' && !(rule.pattern instanceof RegExp && rule.replacement !== undefined)) {
+    throw new RepairRuleError(`Repair rule ${name} needs an apply function or a pattern and replacement`, { rule: name });
+  }
+  if (rule.when !== undefined && typeof rule.when !== 'function') {
+    throw new RepairRuleError(`Repair rule ${name} has a precondition that is not a function`, { rule: name });
+  }
+  return rule;
+}
+
+/**
+ * Select the repair rules for a decompression
+ *
+ * @param {Object} options - Decompression options
+ * @param {Object[]} options.repairRules - Rules to run after the built-in ones
+ * @param {Object} options.repairs - Rule names mapped to true (enable) or false (disable)
+ * @return {Object[]} - Rules to run, in order
+ * @throws {RepairRuleError} - If a rule is malformed or a named rule does not exist
+ */
+function selectRules(options = {}) {
+  const rules = [...BUILT_IN_RULES, ...(options.repairRules || []).map(validateRule)];
+  const switches = options.repairs || {};
+
+  for (const name of Object.keys(switches)) {
+    if (!rules.some(rule => rule.name === name)) {
+      throw new RepairRuleError(`Unknown repair rule: ${name}`, { rule: name });
+    }
+  }
+
+  return rules.filter(rule => (rule.name in switches ? Boolean(switches[rule.name]) : rule.enabled !== false));
+}
+
+/**
+ * Run the rules of one stage over code
+ *
+ * @param {string} code - Code at that stage
+ * @param {string} stage - 'kanji' (before the dictionary is applied) or 'code' (after)
+ * @param {Object[]} rules - Rules from selectRules
+ * @param {Object} context - `{ dictionary, options }`
+ * @return {string} - Repaired code
+ */
+function applyRules(code, stage, rules, context) {
+  return rules
+    .filter(rule => rule.stage === stage)
+    .reduce((current, rule) => runRule(rule, current, context), code);
+}
+
+/**
+ * Run one rule over code, if its precondition holds
+ *
+ * @param {Object} rule - Repair rule
+ * @param {string} code - Code to repair
+ * @param {Object} context - `{ dictionary, options }`
+ * @return {string} - Repaired code
+ */
+function runRule(rule, code, context) {
+  if (rule.when && !rule.when(context)) return code;
+  if (rule.apply) return rule.apply(code, context);
+
+  // Leave matches alone that reach into literals
+  const aliases = rule.stage === 'kanji' ? context.dictionary.reverse : undefined;
+  const { language, jsx } = context.options;
+  const literals = tokenize(code, { aliases, language, jsx }).filter(token => LITERAL_TYPES.has(token.type));
+  return code.replace(rule.pattern, (...args) => {
+    const named = typeof args[args.length - 1] === 'object';
+    const match = args[0];
+    const offset = args[args.length - (named ? 3 : 2)];
+    const end = offset + match.length;
+    if (literals.some(token => token.start < end && offset < token.end)) return match;
+
+    return typeof rule.replacement === 'function' ?
+      rule.replacement(...args) :
+      expandReplacement(rule.replacement, args.slice(0, args.length - (named ? 3 : 2)));
+  });
+}
+
+/**
+ * Expand `$&`, `$1`..`$99` and `$$` in a replacement string
+ *
+ * @param {string} replacement - Replacement as written in the rule
+ * @param {string[]} groups - The match and its groups
+ * @return {string} - Replacement text
+ */
+function expandReplacement(replacement, groups) {
+  return replacement.replace(/\$(\$|&|\d\d?)/g, (reference, key) => {
+    if (key === '$') return '$';
+    if (key === '&') return groups[0];
+    return Number(key) < groups.length ? groups[Number(key)] || '' : reference;
+  });
+}
+
+/**
+ * Run the tests of a rule
+ *
+ * Each test runs the rule over its `input` with a context for its
+ * decompression `options` and compares the result with its `output`.
+ *
+ * @param {Object} rule - Repair rule
+ * @return {Object[]} - Failed tests, as `{ input, expected, actual }`
+ * @throws {RepairRuleError} - If the rule is malformed
+ */
+function checkRule(rule) {
+  validateRule(rule);
+
+  const failures = [];
+  for (const { input, output, options = {} } of rule.tests || []) {
+    const actual = runRule(rule, input, { dictionary: resolveDictionary(options), options });
+    if (actual !== output) failures.push({ input, expected: output, actual });
+  }
+  return failures;
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  validateRule,
+  selectRules,
+  applyRules,
+  checkRule
+};
@@ -0,0 +1,392 @@
+/**
+ * JS-Kanji: Semantic call parser
+ *
+ * Semantic compression replaces matched patterns with calls such as
+ * `웓.웃(app, '/users', $2, $3, 'Fetch users', 'Server error')`. The
+ * arguments are code, so they may contain commas, parentheses, strings,
+ * template literals and further semantic calls. The parser reads each call
+ * the way JavaScript would and expands it back into the template of the
+ * pattern it came from.
+ *
+ * A replacement is the signature of its pattern: a `$n` argument is copied
+ * into the template as is, a quoted `'$n'` argument must be a string whose
+ * contents are copied (in its own quotes), and any other argument is fixed text that the
+ * template already contains. Calls whose arguments do not fit a signature
+ * are left unchanged.
+ */
+
+const { sliceMappings, shiftMappings } = require('./source-map');
+const { tokenize } = require('./js-tokenizer');
+
+const HOLE = /\$(\d+)/g;
+const HOLE_ARGUMENT = /^\$(\d+)$/;
+const QUOTED_HOLE_ARGUMENT = /^(['"`])\$(\d+)\1$/;
+const STRING_ARGUMENT = /^(['"`])([\s\S]*)\1$/;
+const STATEMENT_HOLE_LINE = /^(\s*)\$(\d+)\s*$/;
+
+// Characters that may not come right before a symbol
+const MEMBER_OR_WORD = /[\w$.]/;
+
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+// Compiled signatures by pattern table
+const compiled = new WeakMap();
+
+/**
+ * Expand every semantic call in the code back into its pattern
+ *
+ * Calls nested in the arguments of other calls are expanded as well.
+ *
+ * @param {string} code - Code containing semantic calls
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @return {string} - Code with the calls expanded
+ */
+function expandSemanticCalls(code, patterns) {
+  return expandSemanticCallsMapped(code, patterns).code;
+}
+
+/**
+ * Expand semantic calls and record where the expanded code came from
+ *
+ * Code outside the calls and the argument values get range mappings, and
+ * each expansion a point mapping to the start of its call (see
+ * source-map.js).
+ *
+ * @param {string} code - Code containing semantic calls
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @return {Object} - `{ code, mappings }`
+ */
+function expandSemanticCallsMapped(code, patterns) {
+  const { signatures, symbols } = compileSignatures(patterns);
+  if (!symbols) {
+    return { code, mappings: [{ generated: 0, original: 0, length: code.length }] };
+  }
+  return expand(code, signatures, symbols);
+}
+
+/**
+ * Parse a call whose argument list opens at the given index
+ *
+ * @param {string} text - Text containing the call
+ * @param {number} open - Index of the opening parenthesis
+ * @return {Object|null} - `{ args, starts, end }` with the trimmed argument texts,
+ *   their offsets and the index after the closing parenthesis, or null if the
+ *   call is not closed
+ */
+function parseArguments(text, open) {
+  const args = [];
+  const starts = [];
+  let start = open + 1;
+
+  for (;;) {
+    const stop = scanCode(text, start, ',)');
+    if (stop === -1) return null;
+
+    const arg = text.slice(start, stop);
+    args.push(arg.trim());
+    starts.push(start + arg.length - arg.trimStart().length);
+    start = stop + 1;
+    if (text[stop] === ')') break;
+  }
+
+  // `f()` has no arguments, while `f(a, )` has an empty second one
+  if (args.length === 1 && args[0] === '') {
+    args.pop();
+    starts.pop();
+  }
+  return { args, starts, end: start };
+}
+
+/**
+ * Turn a pattern table into call signatures
+ *
+ * @param {Object} patterns - Map of pattern templates to replacements
+ * @return {Object} - `{ signatures, symbols }`, with signatures by symbol and a
+ *   sticky expression matching any symbol (null if there are none)
+ */
+function compileSignatures(patterns) {
+  if (compiled.has(patterns)) return compiled.get(patterns);
+
+  const signatures = new Map();
+  for (const [pattern, replacement] of Object.entries(patterns)) {
+    if (pattern.startsWith('//')) continue;
+
+    const open = replacement.indexOf('(');
+    const symbol = replacement.slice(0, open).trim();
+    const call = open > 0 && parseArguments(replacement, open);
+    if (!call || call.end !== replacement.length || !symbol) continue;
+
+    const args = call.args.map(arg => {
+      const hole = arg.match(HOLE_ARGUMENT);
+      if (hole) return { hole: hole[1], quoted: false };
+      const quoted = arg.match(QUOTED_HOLE_ARGUMENT);
+      if (quoted) return { hole: quoted[2], quoted: true };
+      return { hole: null, quoted: false };
+    });
+
+    if (!signatures.has(symbol)) signatures.set(symbol, []);
+    signatures.get(symbol).push({ pattern, args });
+  }
+
+  // Longest symbols first, so `웓.웃` wins over `웃`
+  const alternatives = [...signatures.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(symbol => symbol.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'));
+  const symbols = alternatives.length ?
+    new RegExp(`(?:${alternatives.join('|')})\\s*\\(`, 'uy') :
+    null;
+
+  const result = { signatures, symbols };
+  compiled.set(patterns, result);
+  return result;
+}
+
+/**
+ * Expand the semantic calls in a piece of code
+ *
+ * @param {string} code - Code containing semantic calls
+ * @param {Map} signatures - Signatures by symbol
+ * @param {RegExp} symbols - Sticky expression matching a symbol and `(`
+ * @return {Object} - `{ code, mappings }` with the calls expanded
+ */
+function expand(code, signatures, symbols) {
+  const mappings = [];
+  let result = '';
+  let copied = 0;
+  let i = 0;
+
+  const copy = to => {
+    if (to > copied) {
+      mappings.push({ generated: result.length, original: copied, length: to - copied });
+      result += code.slice(copied, to);
+    }
+  };
+
+  while (i < code.length) {
+    // A quote that is never closed (such as an apostrophe in JSX text) is text
+    const skipped = skipLiteral(code, i);
+    if (skipped !== i) {
+      i = skipped === -1 ? i + 1 : skipped;
+      continue;
+    }
+
+    symbols.lastIndex = i;
+    const found = !MEMBER_OR_WORD.test(code[i - 1] || '') && symbols.exec(code);
+    if (!found) {
+      i++;
+      continue;
+    }
+
+    const symbol = found[0].slice(0, -1).trim();
+    const call = parseArguments(code, i + found[0].length - 1);
+    const signature = call && findSignature(signatures.get(symbol), call.args);
+    if (!signature) {
+      i += found[0].length;
+      continue;
+    }
+
+    const args = call.args.map((arg, n) => {
+      const expanded = expand(arg, signatures, symbols);
+      return { ...expanded, mappings: shiftMappings(expanded.mappings, 0, call.starts[n]) };
+    });
+
+    copy(i);
+    mappings.push({ generated: result.length, original: i });
+    const filled = fillTemplate(signature, args);
+    mappings.push(...shiftMappings(filled.mappings, result.length));
+    result += filled.code;
+    copied = i = call.end;
+  }
+
+  copy(code.length);
+  return { code: result, mappings };
+}
+
+/**
+ * Find the first signature that the arguments of a call fit
+ *
+ * @param {Object[]} candidates - Signatures of the symbol
+ * @param {string[]} args - Argument texts
+ * @return {Object|null} - Matching signature
+ */
+function findSignature(candidates, args) {
+  return candidates.find(signature =>
+    signature.args.length === args.length &&
+    signature.args.every((arg, i) => !arg.quoted || STRING_ARGUMENT.test(args[i]))
+  ) || null;
+}
+
+/**
+ * Fill a pattern template with the arguments of a call
+ *
+ * A hole that stands alone on a line is a statement list: its value is
+ * indented like the hole, and the line is dropped when the list is empty.
+ * Holes whose value is not part of the call are left in place.
+ *
+ * @param {Object} signature - Signature with the pattern template
+ * @param {Object[]} args - Expanded arguments as `{ code, mappings }`
+ * @return {Object} - `{ code, mappings }` of the expanded call
+ */
+function fillTemplate(signature, args) {
+  const values = {};
+  signature.args.forEach((arg, i) => {
+    if (!arg.hole) return;
+    const { code, mappings } = args[i];
+    values[arg.hole] = arg.quoted ?
+      { code: code.slice(1, -1), mappings: sliceMappings(mappings, 1, code.length - 1) } :
+      args[i];
+  });
+
+  const mappings = [];
+  let result = '';
+  const insert = (value, from = 0, to = value.code.length) => {
+    mappings.push(...shiftMappings(sliceMappings(value.mappings, from, to), result.length));
+    result += value.code.slice(from, to);
+  };
+
+  let lineCount = 0;
+  const startLine = () => {
+    if (lineCount++ > 0) result += '\n';
+  };
+
+  for (const line of requoteTemplate(signature, args).split('\n')) {
+    const statements = line.match(STATEMENT_HOLE_LINE);
+    if (statements && statements[2] in values) {
+      const value = values[statements[2]];
+      let offset = 0;
+      for (const part of value.code ? value.code.split('\n') : []) {
+        startLine();
+        result += statements[1];
+        insert(value, offset + part.length - part.trimStart().length, offset + part.length);
+        offset += part.length + 1;
+      }
+      continue;
+    }
+
+    startLine();
+    let last = 0;
+    for (const hole of line.matchAll(HOLE)) {
+      result += line.slice(last, hole.index);
+      last = hole.index + hole[0].length;
+      if (hole[1] in values) {
+        insert(values[hole[1]]);
+      } else {
+        result += hole[0];
+      }
+    }
+    result += line.slice(last);
+  }
+
+  return { code: result, mappings };
+}
+
+/**
+ * Give the string literals of a template the quotes of the arguments in them
+ *
+ * A quoted `'$n'` argument keeps the quotes of the literal it was taken from,
+ * so `"/users"` is put back double-quoted into a template written as `'$1'`.
+ *
+ * @param {Object} signature - Signature with the pattern template
+ * @param {Object[]} args - Expanded arguments as `{ code, mappings }`
+ * @return {string} - Pattern template with its string literals requoted
+ */
+function requoteTemplate(signature, args) {
+  const quotes = {};
+  signature.args.forEach((arg, i) => {
+    if (arg.quoted && args[i].code[0] !== '`') quotes[arg.hole] = args[i].code[0];
+  });
+
+  return tokenize(signature.pattern).map(token => {
+    if (token.type !== 'string') return token.value;
+    const hole = [...token.value.matchAll(HOLE)].find(match => quotes[match[1]]);
+    const inner = token.value.slice(1, -1);
+    return hole && !inner.includes(quotes[hole[1]]) ? quotes[hole[1]] + inner + quotes[hole[1]] : token.value;
+  }).join('');
+}
+
+/**
+ * Find the end of code, stopping at a character outside any brackets
+ *
+ * @param {string} text - Text to scan
+ * @param {number} index - Index to start at
+ * @param {string} stops - Characters to stop at
+ * @return {number} - Index of the stop character, or -1 if there is none
+ */
+function scanCode(text, index, stops) {
+  const closers = [];
+  let i = index;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (!closers.length && stops.includes(ch)) return i;
+
+    const skipped = skipLiteral(text, i);
+    if (skipped === -1) return -1;
+    if (skipped !== i) {
+      i = skipped;
+      continue;
+    }
+
+    if (BRACKETS[ch]) {
+      closers.push(BRACKETS[ch]);
+    } else if (ch === ')' || ch === ']' || ch === '}') {
+      if (closers.pop() !== ch) return -1;
+    }
+    i++;
+  }
+
+  return -1;
+}
+
+/**
+ * Skip a string, template literal or comment starting at an index
+ *
+ * @param {string} text - Text to scan
+ * @param {number} i - Current index
+ * @return {number} - Index after the literal, `i` if none starts there, or -1
+ *   if it is not closed
+ */
+function skipLiteral(text, i) {
+  const ch = text[i];
+
+  if (ch === '"' || ch === "'") {
+    for (let j = i + 1; j < text.length; j++) {
+      if (text[j] === '\\') j++;
+      else if (text[j] === ch) return j + 1;
+      else if (text[j] === '\n') return -1;
+    }
+    return -1;
+  }
+
+  if (ch === '`') {
+    for (let j = i + 1; j < text.length; j++) {
+      if (text[j] === '\\') {
+        j++;
+      } else if (text[j] === '`') {
+        return j + 1;
+      } else if (text[j] === '$' && text[j + 1] === '{') {
+        j = scanCode(text, j + 2, '}');
+        if (j === -1) return -1;
+      }
+    }
+    return -1;
+  }
+
+  if (ch === '/' && text[i + 1] === '/') {
+    const end = text.indexOf('\n', i);
+    return end === -1 ? text.length : end;
+  }
+
+  if (ch === '/' && text[i + 1] === '*') {
+    const end = text.indexOf('*/', i + 2);
+    return end === -1 ? -1 : end + 2;
+  }
+
+  return i;
+}
+
+module.exports = {
+  expandSemanticCalls,
+  expandSemanticCallsMapped,
+  parseArguments
+};
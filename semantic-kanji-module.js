@@ -10,6 +10,9 @@ const semanticKanji = require('./semantic-kanji');
 // jsMini is not present in this codebase, just use the kanji compressor
 // const jsMini = require('./js-mini');
 const jsKanji = require('./js-kanji-compressor');
+const { resolveDictionary } = require('./kanji-dictionary');
+const container = require('./container');
+const jsCompression = require('./index');
 const promptGenerator = require('./prompt-generator');
 const utils = require('./utils');
 
@@ -20,6 +23,8 @@ class SemanticKanjiModule {
   /**
    * Create a new instance with optional configuration
    * @param {Object} config - Configuration options
+   * @param {Object} config.dictionary - Custom Kanji dictionary used for compression and decompression
+   * @param {Object} config.extendDictionary - Entries added to the bundled Kanji dictionary
    */
   constructor(config = {}) {
     this.config = {
@@ -34,11 +39,21 @@ class SemanticKanjiModule {
       defaultMethod: 'semantic-kanji',
       ...config
     };
+
+    // Use the same dictionary in both directions
+    if (config.dictionary || config.extendDictionary) {
+      const dictionary = resolveDictionary(config);
+      this.config.compressOptions = { ...this.config.compressOptions, dictionary };
+      this.config.decompressOptions = { ...this.config.decompressOptions, dictionary };
+    }
   }
 
   /**
    * Compress JavaScript code using the specified method
    * 
+   * The output has a container header (unless `header: false` is passed), so
+   * that any instance decodes it with the dictionary it was compressed with.
+   * 
    * @param {string} code - Original JavaScript code
    * @param {string} method - Compression method ('mini', 'kanji', or 'semantic-kanji')
    * @param {Object} options - Override compression options
@@ -55,12 +70,12 @@ class SemanticKanjiModule {
     switch (method) {
       case 'mini':
         // Just use kanji compression for 'mini' method since jsMini is not available
-        return jsKanji.compress(code, opts);
+        return jsCompression.compress(code, 'kanji', opts);
       case 'kanji':
-        return jsKanji.compress(code, opts);
+        return jsCompression.compress(code, 'kanji', opts);
       case 'semantic-kanji':
       case 'semantic':
-        return semanticKanji.compress(code, opts);
+        return jsCompression.compress(code, 'semantic-kanji', opts);
       default:
         throw new Error(`Unknown compression method: ${method}`);
     }
@@ -80,6 +95,11 @@ class SemanticKanjiModule {
       ...options
     };
     
+    // Code with a container header is decoded the way the header describes
+    if (container.parseHeader(code).header) {
+      return jsCompression.decompress(code, method, opts);
+    }
+    
     if (method === 'auto') {
       method = this.detectCompressionMethod(code);
     } else {
@@ -95,7 +115,7 @@ class SemanticKanjiModule {
         return (jsKanji.decompress || require('./js-kanji-decompressor').decompress)(code, opts);
       case 'semantic-kanji':
       case 'semantic':
-        return semanticKanji.decompress(code, opts);
+        return semanticKanji.decompress(code, 'semantic-kanji', opts);
       default:
         throw new Error(`Unknown compression method: ${method}`);
     }
@@ -108,11 +128,16 @@ class SemanticKanjiModule {
    * @return {string} - Detected compression method
    */
   detectCompressionMethod(code) {
+    const { header } = container.parseHeader(code);
+    if (header) {
+      return header.method;
+    }
+    
     if (semanticKanji.isSemanticKanjiCompressed(code)) {
       return 'semantic-kanji';
     }
     
-    if (jsKanji.isKanjiCompressed(code)) {
+    if (jsKanji.isKanjiCompressed(code, this.config.decompressOptions)) {
       return 'kanji';
     }
     
@@ -214,7 +239,7 @@ class SemanticKanjiModule {
   isCompressed(code) {
     return (
       semanticKanji.isSemanticKanjiCompressed(code) ||
-      jsKanji.isKanjiCompressed(code) ||
+      jsKanji.isKanjiCompressed(code, this.config.decompressOptions) ||
       this.detectCompressionMethod(code) !== 'mini'
     );
   }
@@ -234,12 +259,12 @@ class SemanticKanjiModule {
       case 'semantic':
         return semanticKanji.isSemanticKanjiCompressed(code);
       case 'kanji':
-        return jsKanji.isKanjiCompressed(code);
+        return jsKanji.isKanjiCompressed(code, this.config.decompressOptions);
       case 'mini':
         // Hard to detect mini specifically, so use process of elimination
         return this.isCompressed(code) && 
                !semanticKanji.isSemanticKanjiCompressed(code) && 
-               !jsKanji.isKanjiCompressed(code);
+               !jsKanji.isKanjiCompressed(code, this.config.decompressOptions);
       default:
         return false;
     }
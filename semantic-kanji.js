@@ -7,11 +7,38 @@
  */
 
 const jsKanji = require('./js-kanji-compressor');
+const { resolveDictionary } = require('./kanji-dictionary');
 const decompressor = require('./js-kanji-decompressor');
 const semanticPatterns = require('./semantic-patterns');
+const { applyPatternsMapped } = require('./pattern-matcher');
+const { expandSemanticCalls, expandSemanticCallsMapped } = require('./semantic-calls');
+const { createSourceMap, composeMappings } = require('./source-map');
+const { applyCompressedEdit } = require('./compressed-edit');
 const promptGenerator = require('./prompt-generator');
 const utils = require('./utils');
 
+/**
+ * Replace semantic patterns, then compress the rest with Kanji
+ * 
+ * @param {string} code - Original JavaScript code
+ * @param {Object} options - Compression options
+ * @return {Object} - `{ code, mappings }` with the anchor symbol appended,
+ *   unless there is no code to mark
+ */
+function compressSemantic(code, options) {
+  // First replace the patterns from semantic-patterns.js, most specific first
+  const patterns = applyPatternsMapped(code, options.patterns || semanticPatterns, { jsx: options.jsx });
+  
+  // Then apply standard Kanji compression on the remaining code
+  const kanji = jsKanji.compressMapped(patterns.code, options);
+  
+  // Add a marker to indicate this is semantic compression
+  return {
+    code: /\S/.test(kanji.code) ? kanji.code + "⚓" : kanji.code, // Anchor symbol as a marker
+    mappings: composeMappings(kanji.mappings, patterns.mappings)
+  };
+}
+
 /**
  * SemanticKanjiModule class for application integration
  */
@@ -19,6 +46,9 @@ class SemanticKanjiModule {
   /**
    * Create a new instance with optional configuration
    * @param {Object} config - Configuration options
+   * @param {Object} config.dictionary - Custom Kanji dictionary used for compression and decompression
+   * @param {Object} config.extendDictionary - Entries added to the bundled Kanji dictionary
+   * @param {Object} config.patterns - Semantic pattern table used instead of the bundled one
    */
   constructor(config = {}) {
     this.config = {
@@ -34,15 +64,31 @@ class SemanticKanjiModule {
       defaultMethod: 'semantic-kanji',
       ...config
     };
+
+    // Use the same dictionary in both directions
+    if (config.dictionary || config.extendDictionary) {
+      const dictionary = resolveDictionary(config);
+      this.config.compressOptions = { ...this.config.compressOptions, dictionary };
+      this.config.decompressOptions = { ...this.config.decompressOptions, dictionary };
+    }
+
+    if (config.patterns) {
+      this.config.compressOptions = { ...this.config.compressOptions, patterns: config.patterns };
+      this.config.decompressOptions = { ...this.config.decompressOptions, patterns: config.patterns };
+    }
   }
 
   /**
    * Compress JavaScript code using the specified method
    * 
+   * With `options.sourceMap` (true, or `{ file, source }` naming the files),
+   * a Source Map v3 from the compressed to the original code is returned
+   * along with it.
+   * 
    * @param {string} code - Original JavaScript code
    * @param {string} method - Compression method ('mini', 'kanji', or 'semantic-kanji')
    * @param {Object} options - Override compression options
-   * @return {string} - Compressed code
+   * @return {string|Object} - Compressed code, or `{ code, map }` with `options.sourceMap`
    */
   compress(code, method = this.config.defaultMethod, options = {}) {
     // Check if method is an object (likely intended as options)
@@ -51,6 +97,23 @@ class SemanticKanjiModule {
       method = this.config.defaultMethod;
     }
     
+    const { code: compressed, mappings } = this.compressMapped(code, method, options);
+    if (!options.sourceMap) {
+      return compressed;
+    }
+    
+    return { code: compressed, map: createSourceMap(mappings, compressed, code, options.sourceMap) };
+  }
+  
+  /**
+   * Compress JavaScript code and record where each part of the output came from
+   * 
+   * @param {string} code - Original JavaScript code
+   * @param {string} method - Compression method ('kanji' or 'semantic-kanji')
+   * @param {Object} options - Override compression options
+   * @return {Object} - `{ code, mappings }` with offset mappings (see source-map.js)
+   */
+  compressMapped(code, method = this.config.defaultMethod, options = {}) {
     const methodStr = String(method).toLowerCase();
     
     const opts = {
@@ -60,11 +123,11 @@ class SemanticKanjiModule {
     
     switch (methodStr) {
       case 'kanji':
-        return jsKanji.compress(code, opts);
+        return jsKanji.compressMapped(code, opts);
       case 'semantic-kanji':
       case 'semantic':
         // Apply both semantic patterns and kanji compression
-        return this.compressWithPatterns(code, opts);
+        return compressSemantic(code, opts);
       default:
         throw new Error(`Unknown compression method: ${methodStr}`);
     }
@@ -77,55 +140,23 @@ class SemanticKanjiModule {
    * special semantic symbols, then applies standard Kanji compression to the rest.
    * The combination provides significantly better compression for common patterns.
    * 
+   * Patterns are matched on the syntax tree (see pattern-matcher.js), so they
+   * fire regardless of how the code is formatted.
+   * 
    * @param {string} code - Original JavaScript code
    * @param {Object} options - Compression options
-   * @return {string} - Semantically compressed code with anchor symbol
+   * @param {Object} options.patterns - Pattern table to use instead of semantic-patterns.js
+   * @param {Object|boolean} options.sourceMap - Also return a source map (see compress)
+   * @return {string|Object} - Semantically compressed code with anchor symbol, or
+   *   `{ code, map }` with `options.sourceMap`
    */
   compressWithPatterns(code, options = {}) {
-    // First apply pattern matching from semantic-patterns.js
-    let processedCode = code;
-    
-    // Apply the semantic patterns from most specific to least specific
-    for (const [pattern, replacement] of Object.entries(semanticPatterns)) {
-      // Skip pattern description comments
-      if (pattern.startsWith('//')) continue;
-      
-      try {
-        // Create a regex to match the pattern, preserving placeholder values
-        // We escape all regex special chars except for placeholders
-        const escapedPattern = pattern
-          .replace(/\$/g, '\\$')                      // Escape $ signs
-          .replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')  // Escape regex special chars
-          .replace(/\\\$(\d+)/g, '([\\s\\S]*?)');     // Replace \$1, \$2 etc with capture groups
-        
-        const regex = new RegExp(escapedPattern, 'g');
-        
-        // Replace pattern with its semantic symbol, preserving placeholders
-        processedCode = processedCode.replace(regex, (match, ...args) => {
-          // Extract capture groups and remove the last two elements (offset and input string)
-          const captures = args.slice(0, args.length - 2);
-          
-          // Replace placeholders in the replacement string with captured values
-          let result = replacement;
-          captures.forEach((capture, index) => {
-            result = result.replace(new RegExp(`\\$${index + 1}`, 'g'), capture);
-          });
-          
-          return result;
-        });
-      } catch (error) {
-        // If a pattern causes regex errors, skip it
-        console.error(`Error with pattern: ${pattern.substring(0, 30)}...`, error.message);
-      }
+    const { code: compressed, mappings } = compressSemantic(code, options);
+    if (!options.sourceMap) {
+      return compressed;
     }
     
-    // Then apply standard Kanji compression on the remaining code
-    let compressed = jsKanji.compress(processedCode, options);
-    
-    // Add a marker to indicate this is semantic compression
-    compressed += "⚓"; // Anchor symbol as a marker
-    
-    return compressed;
+    return { code: compressed, map: createSourceMap(mappings, compressed, code, options.sourceMap) };
   }
 
   /**
@@ -134,7 +165,8 @@ class SemanticKanjiModule {
    * @param {string} code - Compressed code
    * @param {string} method - Compression method used ('mini', 'kanji', 'semantic-kanji', or 'auto')
    * @param {Object} options - Override decompression options
-   * @return {string} - Decompressed JavaScript code
+   * @return {string|Object} - Decompressed JavaScript code, or `{ code, map }` with
+   *   `options.sourceMap` (the map points from the decompressed to the compressed code)
    */
   decompress(code, method = 'auto', options = {}) {
     const opts = {
@@ -148,67 +180,72 @@ class SemanticKanjiModule {
       methodStr = this.detectCompressionMethod(code);
     }
     
+    let decompressed;
     switch (methodStr) {
       case 'kanji':
-        return decompressor.decompress(code, opts);
+        decompressed = decompressor.decompress(code, opts);
+        break;
       case 'semantic-kanji':
       case 'semantic':
         // Remove semantic markers and then use regular decompression
-        return this.decompressWithPatterns(code, opts);
+        decompressed = this.decompressWithPatterns(code, opts);
+        break;
       default:
         throw new Error(`Unknown compression method: ${methodStr}`);
     }
+    
+    if (!opts.sourceMap) {
+      return decompressed;
+    }
+    
+    const mappings = this.mapDecompression(code, decompressed, opts);
+    return { code: decompressed, map: createSourceMap(mappings, decompressed, code, opts.sourceMap) };
+  }
+  
+  /**
+   * Map decompressed code back to the compressed code it came from
+   * 
+   * Semantic calls are expanded with their positions tracked, and the tokens
+   * of the expanded code are then aligned with the decompressed code.
+   * 
+   * @param {string} compressed - Compressed code
+   * @param {string} decompressed - Result of decompressing it
+   * @param {Object} options - Options it was decompressed with
+   * @return {Object[]} - Offset mappings from the decompressed to the compressed code
+   */
+  mapDecompression(compressed, decompressed, options = {}) {
+    const opts = {
+      ...this.config.decompressOptions,
+      ...options
+    };
+    
+    const expanded = expandSemanticCallsMapped(compressed.replace(/⚓$/, ""), opts.patterns || semanticPatterns);
+    const mappings = decompressor.mapDecompressed(expanded.code, decompressed, opts);
+    return composeMappings(mappings, expanded.mappings);
   }
   
   /**
    * Decompress code that was compressed with semantic patterns
    * 
-   * This method first decompresses the kanji text, then applies reverse pattern
-   * matching to expand semantic symbols back into their original code patterns.
+   * Semantic calls are expanded back into their pattern templates first (see
+   * semantic-calls.js), while their symbols are still intact, and the result
+   * is then decompressed like Kanji code. Calls that match no pattern are
+   * left as they are.
    * 
    * @param {string} code - Compressed code with semantic markers
    * @param {Object} options - Decompression options
+   * @param {Object} options.patterns - Pattern table the code was compressed with
    * @return {string} - Fully decompressed JavaScript code
    */
   decompressWithPatterns(code, options = {}) {
     // Remove the semantic marker if present
-    let processed = code.replace(/⚓$/, "");
-    
-    // Use the standard decompressor for the kanji part
-    let decompressed = decompressor.decompress(processed, options);
+    const processed = code.replace(/⚓$/, "");
     
-    // Reverse semantic pattern replacements
-    // This should be implemented with pattern dictionary lookups
-    // For each semantic pattern symbol, replace it with the full pattern
-    for (const [pattern, replacement] of Object.entries(semanticPatterns)) {
-      // Skip pattern description comments
-      if (pattern.startsWith('//')) continue;
-      
-      try {
-        // Create a regex to match the special symbols in the decompressed code
-        const symbolRegex = new RegExp(replacement.replace(/\$/g, '\\$').replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&').replace(/\\\$(\d+)/g, '([\\s\\S]*?)'), 'g');
-        
-        // Replace symbols with their original patterns
-        decompressed = decompressed.replace(symbolRegex, (match, ...args) => {
-          // Extract capture groups and remove the last two elements (offset and input string)
-          const captures = args.slice(0, args.length - 2);
-          
-          // Replace placeholders in the original pattern with captured values
-          let result = pattern;
-          captures.forEach((capture, index) => {
-            result = result.replace(new RegExp(`\\$${index + 1}`, 'g'), capture);
-          });
-          
-          return result;
-        });
-      } catch (error) {
-        // If a pattern causes regex errors, skip it
-        // This is less critical during decompression as we can still return partly decompressed code
-        console.error(`Error decompressing pattern: ${replacement.substring(0, 30)}...`, error.message);
-      }
-    }
+    // Expand semantic calls, including calls nested in their arguments
+    const expanded = expandSemanticCalls(processed, options.patterns || semanticPatterns);
     
-    return decompressed;
+    // Use the standard decompressor for the kanji part
+    return decompressor.decompress(expanded, options);
   }
 
   /**
@@ -222,7 +259,7 @@ class SemanticKanjiModule {
       return 'semantic-kanji';
     }
     
-    if (jsKanji.isKanjiCompressed(code)) {
+    if (jsKanji.isKanjiCompressed(code, this.config.decompressOptions)) {
       return 'kanji';
     }
     
@@ -332,7 +369,7 @@ class SemanticKanjiModule {
   isCompressed(code) {
     return (
       this.isSemanticKanjiCompressed(code) ||
-      jsKanji.isKanjiCompressed(code)
+      jsKanji.isKanjiCompressed(code, this.config.decompressOptions)
     );
   }
 
@@ -351,7 +388,7 @@ class SemanticKanjiModule {
       case 'semantic':
         return this.isSemanticKanjiCompressed(code);
       case 'kanji':
-        return jsKanji.isKanjiCompressed(code);
+        return jsKanji.isKanjiCompressed(code, this.config.decompressOptions);
       default:
         return false;
     }
@@ -409,6 +446,26 @@ class SemanticKanjiModule {
     });
   }
 
+  /**
+   * Apply an edit that an LLM made to compressed code to the original file
+   * 
+   * Unlike processText, which decompresses whole code blocks, only the tokens
+   * that the edit changed are rewritten, so the formatting and comments of
+   * the original are kept (see compressed-edit.js).
+   * 
+   * @param {string} originalCode - Original JavaScript code
+   * @param {string} compressedBefore - Compressed code that was sent
+   * @param {string} compressedAfter - Edited compressed code that came back
+   * @param {Object} options - Edit options (`method`, `file` for the diff)
+   * @return {Object} - `{ code, diff }` with the edited code and a unified diff
+   */
+  applyCompressedEdit(originalCode, compressedBefore, compressedAfter, options = {}) {
+    return applyCompressedEdit(originalCode, compressedBefore, compressedAfter, {
+      ...this.config.decompressOptions,
+      ...options
+    });
+  }
+
   /**
    * Prepare message for sending to an LLM
    * 
@@ -565,6 +622,22 @@ SemanticKanjiModule.compress = function(code, method = 'semantic-kanji', options
   }
 };
 
+SemanticKanjiModule.compressMapped = function(code, method = 'semantic-kanji', options = {}) {
+  try {
+    const instance = new SemanticKanjiModule();
+    return instance.compressMapped(code, method, options);
+  } catch (error) {
+    console.error('Error in compress:', error);
+    // Fallback to basic Kanji compression if there's an error
+    return jsKanji.compressMapped(code, options);
+  }
+};
+
+SemanticKanjiModule.mapDecompression = function(compressed, decompressed, options = {}) {
+  const instance = new SemanticKanjiModule();
+  return instance.mapDecompression(compressed, decompressed, options);
+};
+
 SemanticKanjiModule.decompress = function(code, method = 'auto', options = {}) {
   try {
     const instance = new SemanticKanjiModule();
@@ -576,6 +649,11 @@ SemanticKanjiModule.decompress = function(code, method = 'auto', options = {}) {
   }
 };
 
+SemanticKanjiModule.applyCompressedEdit = function(originalCode, compressedBefore, compressedAfter, options = {}) {
+  const instance = new SemanticKanjiModule();
+  return instance.applyCompressedEdit(originalCode, compressedBefore, compressedAfter, options);
+};
+
 SemanticKanjiModule.compare = function(code, options = {}) {
   const instance = new SemanticKanjiModule();
   return instance.compare(code, options);
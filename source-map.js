@@ -0,0 +1,461 @@
+/**
+ * JS-Kanji: Source maps
+ *
+ * Builds Source Map v3 objects between the code going into a compression
+ * stage and the code coming out, so that a position in compressed code (such
+ * as "line 3" in an LLM review) can be traced back to the original file, and
+ * a position in decompressed code back to the compressed form.
+ *
+ * The compression stages describe what they did as offset mappings:
+ *
+ *   { generated, original, length?, name? }
+ *
+ * `generated` is an offset in the output and `original` the offset in the
+ * input it came from. With `length` the mapping covers a range copied
+ * unchanged; without it, it maps a single point (the start of a token).
+ * Mappings of consecutive stages are chained with composeMappings and turned
+ * into a source map with createSourceMap.
+ *
+ * Lines are 1-based and columns 0-based (in UTF-16 code units), like the
+ * tokenizer and the source map libraries.
+ */
+
+const { tokenize } = require('./js-tokenizer');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const LINE_TERMINATOR = /\r\n|[\n\r\u2028\u2029]/g;
+
+// Token types whose contents decompression may change (strings, comments)
+const LOOSE_TYPES = new Set(['string', 'template', 'regex', 'comment']);
+
+// How many tokens alignment looks ahead to get back in step
+const ALIGN_WINDOW = 12;
+
+/**
+ * Create a Source Map v3 object from offset mappings
+ *
+ * @param {Object[]} mappings - Offset mappings from generated to original
+ * @param {string} generated - Generated code
+ * @param {string} original - Original code
+ * @param {Object|boolean} options - Map options (`true` for the defaults)
+ * @param {string} options.file - Name of the generated file
+ * @param {string} options.source - Name of the original file (defaults to 'source.js')
+ * @param {boolean} options.includeContent - Embed the original code as `sourcesContent`
+ * @return {Object} - Source map
+ */
+function createSourceMap(mappings, generated, original, options = {}) {
+  const settings = typeof options === 'object' && options ? options : {};
+  const toGenerated = positionFinder(generated);
+  const toOriginal = positionFinder(original);
+
+  const names = [];
+  const nameIndex = new Map();
+  const lines = [];
+  let previous = -1;
+
+  [...mappings]
+    .sort((a, b) => a.generated - b.generated)
+    .forEach(mapping => {
+      // One mapping per generated position
+      if (mapping.generated === previous) return;
+      previous = mapping.generated;
+
+      const target = toGenerated(mapping.generated);
+      const source = toOriginal(mapping.original);
+      const segment = { column: target.column, line: source.line, sourceColumn: source.column, name: null };
+
+      if (mapping.name) {
+        if (!nameIndex.has(mapping.name)) {
+          nameIndex.set(mapping.name, names.length);
+          names.push(mapping.name);
+        }
+        segment.name = nameIndex.get(mapping.name);
+      }
+
+      while (lines.length < target.line) lines.push([]);
+      lines[target.line - 1].push(segment);
+    });
+
+  const map = {
+    version: 3,
+    sources: [settings.source || 'source.js'],
+    names,
+    mappings: encodeMappings(lines)
+  };
+  if (settings.file) map.file = settings.file;
+  if (settings.includeContent) map.sourcesContent = [original];
+  return map;
+}
+
+/**
+ * Encode segments grouped by generated line into a `mappings` string
+ *
+ * @param {Object[][]} lines - `{ column, line, sourceColumn, name }` segments per line
+ * @return {string} - Base64 VLQ mappings
+ */
+function encodeMappings(lines) {
+  let line = 1;
+  let sourceColumn = 0;
+  let name = 0;
+
+  return lines.map(segments => {
+    let column = 0;
+    return segments.map(segment => {
+      let text = encodeVLQ(segment.column - column) + encodeVLQ(0) +
+        encodeVLQ(segment.line - line) + encodeVLQ(segment.sourceColumn - sourceColumn);
+      if (segment.name !== null) {
+        text += encodeVLQ(segment.name - name);
+        name = segment.name;
+      }
+      column = segment.column;
+      line = segment.line;
+      sourceColumn = segment.sourceColumn;
+      return text;
+    }).join(',');
+  }).join(';');
+}
+
+/**
+ * Decode the `mappings` string of a source map
+ *
+ * @param {string} mappings - Base64 VLQ mappings
+ * @return {Object[][]} - Segments per generated line, as
+ *   `{ column, source, line, sourceColumn, name }` (name is an index or null)
+ */
+function decodeMappings(mappings) {
+  const state = { source: 0, line: 1, sourceColumn: 0, name: 0 };
+
+  return mappings.split(';').map(group => {
+    let column = 0;
+    return group.split(',').filter(Boolean).map(text => {
+      const values = decodeVLQ(text);
+      column += values[0];
+      if (values.length < 4) {
+        return { column, source: null, line: null, sourceColumn: null, name: null };
+      }
+
+      state.source += values[1];
+      state.line += values[2];
+      state.sourceColumn += values[3];
+      if (values.length > 4) state.name += values[4];
+      return {
+        column,
+        source: state.source,
+        line: state.line,
+        sourceColumn: state.sourceColumn,
+        name: values.length > 4 ? state.name : null
+      };
+    });
+  });
+}
+
+/**
+ * Find the original position of a position in the generated code
+ *
+ * Without a column, the first mapped position on the line is used, which
+ * answers "where does line 3 come from".
+ *
+ * @param {Object} map - Source map
+ * @param {Object} position - `{ line, column }` in the generated code
+ * @return {Object|null} - `{ source, line, column, name }`, or null if the
+ *   position is not mapped
+ */
+function originalPositionFor(map, position) {
+  const segments = (decodeMappings(map.mappings)[position.line - 1] || [])
+    .filter(segment => segment.line !== null);
+  if (segments.length === 0) return null;
+
+  let segment = segments[0];
+  if (position.column !== undefined) {
+    segment = null;
+    for (const candidate of segments) {
+      if (candidate.column > position.column) break;
+      segment = candidate;
+    }
+    if (!segment) return null;
+  }
+
+  return {
+    source: map.sources[segment.source],
+    line: segment.line,
+    column: segment.sourceColumn,
+    name: segment.name === null ? null : map.names[segment.name]
+  };
+}
+
+/**
+ * Chain the mappings of two consecutive stages
+ *
+ * @param {Object[]} outer - Mappings of the later stage (its original is the
+ *   output of the earlier stage)
+ * @param {Object[]} inner - Mappings of the earlier stage
+ * @return {Object[]} - Mappings from the later output to the earlier input
+ */
+function composeMappings(outer, inner) {
+  const ranges = [...inner].sort((a, b) => a.generated - b.generated);
+  // Names given by the earlier stage (such as renamed locals) carry through
+  const names = new Map(inner.filter(mapping => mapping.name).map(mapping => [mapping.generated, mapping.name]));
+
+  return outer.map(mapping => {
+    const composed = { ...mapping, original: mapOffset(ranges, mapping.original) };
+    if (!composed.name && names.has(mapping.original)) composed.name = names.get(mapping.original);
+    return composed;
+  });
+}
+
+/**
+ * Take the part of a stage's mappings that covers a range of its output
+ *
+ * The result is relative to the start of the range, and starts with a point
+ * mapping for it, so that the range stays mapped wherever it is moved.
+ *
+ * @param {Object[]} mappings - Offset mappings
+ * @param {number} from - Start of the range in the generated code
+ * @param {number} to - End of the range
+ * @return {Object[]} - Mappings for the range
+ */
+function sliceMappings(mappings, from, to) {
+  const sorted = [...mappings].sort((a, b) => a.generated - b.generated);
+  const slice = sorted.length ? [{ generated: 0, original: mapOffset(sorted, from) }] : [];
+
+  for (const mapping of sorted) {
+    if (mapping.length) {
+      const start = Math.max(mapping.generated, from);
+      const stop = Math.min(mapping.generated + mapping.length, to);
+      if (start < stop) {
+        slice.push({
+          ...mapping,
+          generated: start - from,
+          original: mapping.original + start - mapping.generated,
+          length: stop - start
+        });
+      }
+    } else if (mapping.generated >= from && mapping.generated < to) {
+      slice.push({ ...mapping, generated: mapping.generated - from });
+    }
+  }
+
+  return slice;
+}
+
+/**
+ * Move mappings by a number of characters
+ *
+ * @param {Object[]} mappings - Offset mappings
+ * @param {number} generated - Characters to add to generated offsets
+ * @param {number} original - Characters to add to original offsets
+ * @return {Object[]} - Moved mappings
+ */
+function shiftMappings(mappings, generated, original = 0) {
+  return mappings.map(mapping => ({
+    ...mapping,
+    generated: mapping.generated + generated,
+    original: mapping.original + original
+  }));
+}
+
+/**
+ * Map an offset through a stage's mappings
+ *
+ * @param {Object[]} mappings - Mappings sorted by generated offset
+ * @param {number} offset - Offset in the generated code
+ * @return {number} - Offset in the original code
+ */
+function mapOffset(mappings, offset) {
+  let low = 0;
+  let high = mappings.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (mappings[middle].generated <= offset) {
+      found = mappings[middle];
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  if (!found) return offset;
+  return found.original + Math.min(offset - found.generated, found.length || 0);
+}
+
+/**
+ * Map the tokens of a stage's output to the tokens of its input
+ *
+ * For stages that rewrite text without tracking positions (such as the
+ * decompressor), the code tokens of both sides are lined up in order: equal
+ * tokens are paired, and tokens the stage added or changed are mapped to the
+ * input token where the two sides parted.
+ *
+ * @param {string} input - Code going into the stage
+ * @param {string} output - Code coming out of it
+ * @param {Object} options - Alignment options
+ * @param {Object} options.aliases - Aliases for tokenizing the input (see tokenize)
+ * @param {Function} options.translate - Returns the output text expected for an input token
+ * @return {Object[]} - Point mappings from output offsets to input offsets
+ */
+function alignTokens(input, output, options = {}) {
+  const translate = options.translate || (token => token.value);
+  const source = [];
+  for (const token of codeTokens(input, options.aliases)) {
+    const text = translate(token);
+    const parts = text === token.value ? [token] : codeTokens(text);
+    for (const part of parts) {
+      source.push({ type: part.type, value: part.value, start: token.start });
+    }
+  }
+  const target = codeTokens(output);
+
+  const mappings = [];
+  let i = 0;
+  let j = 0;
+  const map = index => {
+    const token = source[Math.min(i, source.length - 1)];
+    if (token) mappings.push({ generated: target[index].start, original: token.start });
+  };
+
+  while (j < target.length) {
+    if (i < source.length && sameToken(source[i], target[j])) {
+      map(j++);
+      i++;
+      continue;
+    }
+
+    const step = findStep(source, target, i, j);
+    if (step) {
+      for (let k = 0; k < step.target; k++) map(j++);
+      i += step.source;
+    } else {
+      map(j++);
+      i++;
+    }
+  }
+
+  return mappings;
+}
+
+/**
+ * Find the smallest skip after which the input and output tokens agree again
+ *
+ * @param {Object[]} source - Expected input tokens
+ * @param {Object[]} target - Output tokens
+ * @param {number} i - Current input token
+ * @param {number} j - Current output token
+ * @return {Object|null} - `{ source, target }` tokens to skip on each side
+ */
+function findStep(source, target, i, j) {
+  for (let total = 1; total <= ALIGN_WINDOW; total++) {
+    for (let skip = 0; skip <= total; skip++) {
+      const a = source[i + skip];
+      const b = target[j + total - skip];
+      if (a && b && sameToken(a, b)) {
+        return { source: skip, target: total - skip };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether two tokens correspond
+ *
+ * @param {Object} a - Token
+ * @param {Object} b - Token
+ * @return {boolean} - True for equal tokens, or literals of the same kind
+ */
+function sameToken(a, b) {
+  return a.value === b.value || (a.type === b.type && LOOSE_TYPES.has(a.type));
+}
+
+/**
+ * Tokenize code, leaving out whitespace
+ *
+ * @param {string} code - Code to tokenize
+ * @param {Object} aliases - Aliases for the tokenizer
+ * @return {Object[]} - Code and comment tokens
+ */
+function codeTokens(code, aliases) {
+  return tokenize(code, { aliases }).filter(token => token.type !== 'whitespace');
+}
+
+/**
+ * Create a function that turns offsets into line and column positions
+ *
+ * @param {string} text - Text the offsets refer to
+ * @return {Function} - Offset to `{ line, column }`
+ */
+function positionFinder(text) {
+  const starts = [0];
+  for (const match of text.matchAll(LINE_TERMINATOR)) {
+    starts.push(match.index + match[0].length);
+  }
+
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (starts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - starts[low] };
+  };
+}
+
+/**
+ * Encode a number as a Base64 VLQ
+ *
+ * @param {number} value - Signed integer
+ * @return {string} - Base64 VLQ digits
+ */
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) + 1 : value << 1;
+  let text = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    text += BASE64[digit];
+  } while (vlq > 0);
+  return text;
+}
+
+/**
+ * Decode the Base64 VLQ numbers of a segment
+ *
+ * @param {string} text - Segment text
+ * @return {number[]} - Signed integers
+ */
+function decodeVLQ(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const ch of text) {
+    const digit = BASE64.indexOf(ch);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+      continue;
+    }
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+    value = 0;
+    shift = 0;
+  }
+
+  return values;
+}
+
+module.exports = {
+  createSourceMap,
+  decodeMappings,
+  originalPositionFor,
+  composeMappings,
+  sliceMappings,
+  shiftMappings,
+  alignTokens
+};
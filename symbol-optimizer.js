@@ -0,0 +1,282 @@
+/**
+ * JS-Kanji: Tokenizer-aware symbol assignment
+ *
+ * A Kanji or semantic symbol only saves tokens if the target model's
+ * tokenizer reads it as a single token. Many do not: rare Kanji, Hangul
+ * syllables and emoji often cost two or three tokens, more than the keyword
+ * they replace.
+ *
+ * The optimizer checks every dictionary entry and semantic pattern symbol
+ * against a tokenizer and re-assigns them to characters that are one token in
+ * its vocabulary, so that every replacement is strictly cheaper than its
+ * source. Words that already are a single token are dropped from the
+ * dictionary, since no replacement can beat them. Run it once per target
+ * model to produce a model-specific dictionary and pattern table, which are
+ * then passed as the `dictionary` and `patterns` options.
+ */
+
+const { resolveDictionary, createDictionary } = require('./kanji-dictionary');
+const { loadBpeTokenizer } = require('./bpe-tokenizer');
+const { LOSSLESS_ESCAPE } = require('./js-kanji-compressor');
+const semanticPatterns = require('./semantic-patterns');
+const { isIdentifierName } = require('./js-tokenizer');
+const utils = require('./utils');
+
+// Characters considered for new symbols (CJK Unified Ideographs)
+const CJK_START = 0x4E00;
+const CJK_END = 0x9FFF;
+
+// Marker appended to semantic output, never used as a symbol
+const SEMANTIC_ANCHOR = '⚓';
+
+// Runs of non-ASCII characters in pattern replacements are the symbols
+const SYMBOL_RUN = /[^\x00-\x7F]+/g;
+
+/**
+ * Re-assign dictionary and pattern symbols to single-token characters
+ *
+ * The result lists what happened to every entry ('kept', 'reassigned' or
+ * 'removed') and symbol ('kept', 'reassigned' or 'unchanged' when no free
+ * character was left), and `negative` lists the entries and patterns that
+ * cost more than their source with the tables as they were.
+ *
+ * @param {string|Object|Function} vocabulary - Path to a `.tiktoken` merge table, or a tokenizer
+ * @param {Object} options - Optimization options
+ * @param {Object} options.dictionary - Dictionary to optimize (defaults to the bundled one)
+ * @param {Object} options.extendDictionary - Entries added to it first
+ * @param {Object} options.patterns - Pattern table to optimize (defaults to semantic-patterns.js)
+ * @return {Object} - `{ tokenizer, dictionary, patterns, entries, symbols, negative }`
+ */
+function optimizeSymbols(vocabulary, options = {}) {
+  const tokenizer = typeof vocabulary === 'string' ?
+    loadBpeTokenizer(vocabulary) :
+    utils.getTokenizer(vocabulary);
+  if (!tokenizer) {
+    throw new Error('A tokenizer vocabulary file or tokenizer is required');
+  }
+
+  const cost = text => symbolCost(text, tokenizer);
+  const base = resolveDictionary(options);
+  const patterns = options.patterns || semanticPatterns;
+
+  const negative = [
+    ...findNegativeEntries(base.forward, cost),
+    ...findNegativePatterns(patterns, cost)
+  ];
+
+  // Keep what is already a single token and plan the rest
+  const reserved = new Set([LOSSLESS_ESCAPE, SEMANTIC_ANCHOR]);
+  const entries = Object.entries(base.forward).map(([word, target]) => {
+    const sourceTokens = cost(word);
+    const entry = { word, before: target, after: null, sourceTokens, tokens: cost(target), status: 'removed' };
+    if (sourceTokens > 1 && isSingleToken(target, cost)) {
+      entry.after = target;
+      entry.status = 'kept';
+      reserved.add(target);
+    }
+    return entry;
+  });
+
+  // Symbols must also stay clear of dictionary targets, or decompression
+  // would turn them into words before the patterns are expanded
+  const symbols = collectSymbols(patterns).map(symbol => {
+    const item = { before: symbol, after: symbol, tokens: cost(symbol), status: 'unchanged' };
+    if (item.tokens === 1 && ![...symbol].some(ch => reserved.has(ch))) {
+      item.status = 'kept';
+      [...symbol].forEach(ch => reserved.add(ch));
+    }
+    return item;
+  });
+
+  // Hand out the cheapest free characters, biggest savings first
+  const characters = singleTokenCharacters(tokenizer, reserved);
+  const assign = () => {
+    const next = characters.next();
+    return next.done ? null : next.value;
+  };
+
+  entries
+    .filter(entry => entry.status === 'removed' && entry.sourceTokens > 1)
+    .sort((a, b) => b.sourceTokens - a.sourceTokens || a.word.localeCompare(b.word))
+    .forEach(entry => {
+      const target = assign();
+      if (target) {
+        entry.after = target;
+        entry.status = 'reassigned';
+      }
+    });
+
+  symbols
+    .filter(item => item.status !== 'kept')
+    .forEach(item => {
+      const target = assign();
+      if (target) {
+        item.after = target;
+        item.status = 'reassigned';
+      }
+    });
+
+  // Build the model-specific tables
+  const dictionary = {};
+  for (const entry of entries) {
+    if (entry.after) dictionary[entry.word] = entry.after;
+  }
+  createDictionary(dictionary, { name: 'optimized' });
+
+  return {
+    tokenizer: tokenizer.name,
+    dictionary,
+    patterns: renamePatternSymbols(patterns, symbols),
+    entries,
+    symbols,
+    negative
+  };
+}
+
+/**
+ * Count the tokens a symbol costs where it is used
+ *
+ * Symbols usually follow a space or punctuation, which some tokenizers merge
+ * into the next token, so the larger of the standalone count and the count
+ * after a space (without the space) is used.
+ *
+ * @param {string} text - Symbol or word
+ * @param {Object} tokenizer - Tokenizer to count with
+ * @return {number} - Tokens the text costs
+ */
+function symbolCost(text, tokenizer) {
+  return Math.max(tokenizer.countTokens(text), tokenizer.countTokens(' ' + text) - 1);
+}
+
+/**
+ * Check whether a target is one character that costs one token
+ *
+ * @param {string} target - Dictionary target or symbol
+ * @param {Function} cost - Token cost of a text
+ * @return {boolean} - True for single-token characters
+ */
+function isSingleToken(target, cost) {
+  return [...target].length === 1 && cost(target) === 1;
+}
+
+/**
+ * Find dictionary entries whose target costs more than the word
+ *
+ * @param {Object} forward - Map of words to targets
+ * @param {Function} cost - Token cost of a text
+ * @return {Object[]} - `{ type, source, target, sourceTokens, targetTokens, savings }`
+ */
+function findNegativeEntries(forward, cost) {
+  const negative = [];
+  for (const [word, target] of Object.entries(forward)) {
+    const sourceTokens = cost(word);
+    const targetTokens = cost(target);
+    if (targetTokens > sourceTokens) {
+      negative.push({
+        type: 'dictionary',
+        source: word,
+        target,
+        sourceTokens,
+        targetTokens,
+        savings: sourceTokens - targetTokens
+      });
+    }
+  }
+  return negative;
+}
+
+/**
+ * Find patterns whose replacement costs more than the code it stands for
+ *
+ * Placeholders are left out on both sides, since their values are copied.
+ *
+ * @param {Object} patterns - Map of code patterns to replacements
+ * @param {Function} cost - Token cost of a text
+ * @return {Object[]} - `{ type, source, target, sourceTokens, targetTokens, savings }`
+ */
+function findNegativePatterns(patterns, cost) {
+  const withoutPlaceholders = text => text.replace(/\$\d+/g, '');
+  const negative = [];
+
+  for (const [pattern, replacement] of Object.entries(patterns)) {
+    if (pattern.startsWith('//')) continue;
+
+    const sourceTokens = cost(withoutPlaceholders(pattern));
+    const targetTokens = cost(withoutPlaceholders(replacement));
+    if (targetTokens > sourceTokens) {
+      negative.push({
+        type: 'pattern',
+        source: pattern,
+        target: replacement,
+        sourceTokens,
+        targetTokens,
+        savings: sourceTokens - targetTokens
+      });
+    }
+  }
+  return negative;
+}
+
+/**
+ * Collect the distinct symbols used in pattern replacements
+ *
+ * @param {Object} patterns - Map of code patterns to replacements
+ * @return {string[]} - Symbols in order of first use
+ */
+function collectSymbols(patterns) {
+  const symbols = new Set();
+  for (const [pattern, replacement] of Object.entries(patterns)) {
+    if (pattern.startsWith('//')) continue;
+    for (const symbol of replacement.match(SYMBOL_RUN) || []) {
+      if (symbol !== SEMANTIC_ANCHOR) symbols.add(symbol);
+    }
+  }
+  return [...symbols];
+}
+
+/**
+ * Rewrite pattern replacements with re-assigned symbols
+ *
+ * @param {Object} patterns - Map of code patterns to replacements
+ * @param {Object[]} symbols - Symbols with their new characters
+ * @return {Object} - Pattern table with the new symbols
+ */
+function renamePatternSymbols(patterns, symbols) {
+  const renamed = new Map(symbols.map(item => [item.before, item.after]));
+  const table = {};
+  for (const [pattern, replacement] of Object.entries(patterns)) {
+    table[pattern] = pattern.startsWith('//') ?
+      replacement :
+      replacement.replace(SYMBOL_RUN, symbol => renamed.get(symbol) || symbol);
+  }
+  return table;
+}
+
+/**
+ * Generate characters that the tokenizer reads as one token
+ *
+ * Characters that also stay one token after a space come first.
+ *
+ * @param {Object} tokenizer - Tokenizer to count with
+ * @param {Set<string>} reserved - Characters that are already taken
+ * @return {Iterator<string>} - Free single-token characters
+ */
+function* singleTokenCharacters(tokenizer, reserved) {
+  const afterSpace = [];
+  for (let code = CJK_START; code <= CJK_END; code++) {
+    const ch = String.fromCharCode(code);
+    if (reserved.has(ch) || !isIdentifierName(ch) || tokenizer.countTokens(ch) !== 1) continue;
+
+    if (tokenizer.countTokens(' ' + ch) === 1) {
+      yield ch;
+    } else {
+      afterSpace.push(ch);
+    }
+  }
+  yield* afterSpace;
+}
+
+module.exports = {
+  optimizeSymbols,
+  symbolCost
+};
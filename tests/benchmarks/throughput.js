@@ -0,0 +1,101 @@
+/**
+ * Throughput benchmarks for compression and decompression
+ *
+ * Run with `npm run bench`. The input is the source of this package,
+ * repeated until it reaches the size asked for, so the numbers follow the
+ * code as it grows. Each case is timed over several runs and the median is
+ * reported in kilobytes of input per second.
+ *
+ * Options:
+ *   --size <KB>       Size of the input (default 1024)
+ *   --runs <n>        Timed runs per case (default 5)
+ *   --save <file>     Write the results as JSON
+ *   --compare <file>  Show the change from results saved earlier
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsKanji = require('../../index');
+const { isKanjiCompressed } = require('../../js-kanji-compressor');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Read the value of a command-line option
+ *
+ * @param {string} name - Option name, without the dashes
+ * @param {string} fallback - Value when the option is not given
+ * @return {string} - Value of the option
+ */
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : fallback;
+}
+
+/**
+ * Build the input from the package source
+ *
+ * @param {number} size - Size to reach, in characters
+ * @return {string} - JavaScript code of at least that size
+ */
+function createInput(size) {
+  const files = require('../../package.json').files.filter(file => file.endsWith('.js'));
+  const source = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+  return source.repeat(Math.ceil(size / source.length));
+}
+
+/**
+ * Time a case
+ *
+ * @param {Function} run - Runs the case once
+ * @param {number} runs - Timed runs, after one run to warm up
+ * @return {number} - Median time of a run, in milliseconds
+ */
+function measure(run, runs) {
+  run();
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    run();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(runs / 2)];
+}
+
+function main() {
+  const runs = Math.max(1, Number(option('runs', 5)));
+  const code = createInput(Number(option('size', 1024)) * 1024);
+  const compressed = jsKanji.compress(code, 'kanji');
+  const lossless = jsKanji.compress(code, 'kanji', { lossless: true });
+
+  const cases = {
+    'compress': [code, () => jsKanji.compress(code, 'kanji')],
+    'compress lossless': [code, () => jsKanji.compress(code, 'kanji', { lossless: true })],
+    'decompress': [compressed, () => jsKanji.decompress(compressed, 'kanji')],
+    'decompress unformatted': [compressed, () => jsKanji.decompress(compressed, 'kanji', { formatOutput: false })],
+    'decompress lossless': [lossless, () => jsKanji.decompress(lossless, 'kanji', { lossless: true })],
+    'isKanjiCompressed': [code, () => isKanjiCompressed(code)]
+  };
+
+  const compareFile = option('compare', null);
+  const previous = compareFile ? JSON.parse(fs.readFileSync(compareFile, 'utf8')).results : {};
+  const results = {};
+
+  console.log(`Input: ${Math.round(code.length / 1024)} KB, median of ${runs} runs\n`);
+  for (const [name, [input, run]] of Object.entries(cases)) {
+    const time = measure(run, runs);
+    const throughput = Math.round(input.length / 1024 / (time / 1000));
+    results[name] = throughput;
+
+    const change = previous[name] ? ` (${throughput >= previous[name] ? '+' : ''}${Math.round((throughput / previous[name] - 1) * 100)}%)` : '';
+    console.log(`${name.padEnd(24)} ${time.toFixed(1).padStart(9)} ms ${String(throughput).padStart(9)} KB/s${change}`);
+  }
+
+  const saveFile = option('save', null);
+  if (saveFile) {
+    fs.writeFileSync(saveFile, JSON.stringify({ node: process.version, size: code.length, runs, results }, null, 2) + '\n');
+    console.log(`\nResults written to ${saveFile}`);
+  }
+}
+
+main();
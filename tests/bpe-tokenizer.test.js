@@ -0,0 +1,103 @@
+/**
+ * Tests for the BPE tokenizer and tokenizer-backed statistics
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const semanticKanji = require('../index');
+const utils = require('../utils');
+const { parseMergeTable, createBpeTokenizer, loadBpeTokenizer } = require('../bpe-tokenizer');
+const { FormatError } = require('../errors');
+
+// Byte-level merge table with a few merges on top, in the tiktoken format
+const MERGES = ['co', 'ns', 'cons', 'const', ' =', ' x'];
+
+function buildMergeTable(merges = MERGES) {
+  const lines = [];
+  for (let byte = 0; byte < 256; byte++) {
+    lines.push(`${Buffer.from([byte]).toString('base64')} ${byte}`);
+  }
+  merges.forEach((token, i) => lines.push(`${Buffer.from(token).toString('base64')} ${256 + i}`));
+  return lines.join('\n') + '\n';
+}
+
+const tokenizer = createBpeTokenizer(parseMergeTable(buildMergeTable()), { name: 'test' });
+
+describe('BPE Tokenizer', () => {
+  test('Merges byte pairs in rank order', () => {
+    expect(tokenizer.encode('const')).toEqual([259]);
+    expect(tokenizer.encode('cost')).toEqual([256, 's'.charCodeAt(0), 't'.charCodeAt(0)]);
+    expect(tokenizer.countTokens('const x = 1')).toBe(5); // const, ' x', ' =', ' ', '1'
+  });
+
+  test('Counts every byte of characters without merges', () => {
+    expect(tokenizer.countTokens('関')).toBe(3);
+    expect(utils.estimateTokens('関', true)).toBe(1);
+  });
+
+  test('Decodes what it encodes', () => {
+    const text = "const 関 = () => { return 'it\\'s 🎌'; };\n\n";
+
+    expect(tokenizer.decode(tokenizer.encode(text))).toBe(text);
+  });
+
+  test('Rejects malformed merge tables', () => {
+    expect(() => parseMergeTable('Y28= 256\nbroken\n', 'bad.tiktoken'))
+      .toThrow('Malformed line 2 in bad.tiktoken');
+    expect(() => createBpeTokenizer(new Map([['a', 0]])).countTokens('ab'))
+      .toThrow('has no token for byte 0x62');
+    expect(() => createBpeTokenizer(new Map(), { pattern: 'p50k' })).toThrow(FormatError);
+  });
+
+  test('Loads merge tables from a file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-kanji-bpe-'));
+    const file = path.join(dir, 'o200k_test.tiktoken');
+    fs.writeFileSync(file, buildMergeTable());
+
+    try {
+      const loaded = loadBpeTokenizer(file);
+      expect(loaded.name).toBe('o200k_test');
+      expect(loaded.countTokens('const x')).toBe(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    expect(() => loadBpeTokenizer(file)).toThrow('Cannot read merge table');
+  });
+});
+
+describe('Tokenizer-backed Statistics', () => {
+  afterEach(() => {
+    semanticKanji.setTokenizer(null);
+  });
+
+  test('Reports real counts, including compression that costs more', () => {
+    const stats = utils.getCompressionStats('const', '定', true, { tokenizer });
+
+    expect(stats.tokenizer).toBe('test');
+    expect(stats.originalTokens).toBe(1);
+    expect(stats.compressedTokens).toBe(3);
+    expect(stats.tokenReduction).toBe(-2);
+    expect(utils.isExact(stats)).toBe(true);
+    expect(utils.getCompressionStats('const', '定', true).tokenizer).toBe('estimate');
+  });
+
+  test('Uses the configured tokenizer everywhere', () => {
+    const code = 'const x = 1;';
+    semanticKanji.setTokenizer(tokenizer);
+
+    expect(semanticKanji.estimateTokens(code)).toBe(tokenizer.countTokens(code));
+    expect(semanticKanji.compare(code)).toMatchObject({
+      tokenizer: 'test',
+      original: { tokens: tokenizer.countTokens(code) }
+    });
+  });
+
+  test('Accepts counting functions and rejects other values', () => {
+    const words = function words(text) { return text.split(/\s+/).length; };
+
+    expect(semanticKanji.getStats('a b c', 'a', false, { tokenizer: words }))
+      .toMatchObject({ tokenizer: 'words', originalTokens: 3, compressedTokens: 1 });
+    expect(() => utils.setTokenizer({})).toThrow('countTokens');
+  });
+});
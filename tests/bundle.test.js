@@ -0,0 +1,83 @@
+/**
+ * Tests for packing and unpacking bundles
+ */
+
+const jsKanji = require('../index');
+const { createBundle, parseBundle, describeContents } = require('../bundle');
+const { FormatError } = require('../errors');
+
+const FILES = [
+  {
+    path: 'src/api.js',
+    code: `const ledgerEntry = require('./ledger');
+function postLedgerEntry(tenantId, ledgerEntry) {
+  return ledgerEntry.tenantId === tenantId;
+}
+module.exports = { postLedgerEntry };
+`
+  },
+  {
+    path: 'src/ledger.ts',
+    code: 'export interface LedgerEntry { tenantId: string }\r\nexport const entry = (tenantId: string): LedgerEntry => ({ tenantId });'
+  },
+  { path: 'src/view.jsx', code: 'export const View = ({ tenantId }) => <div className="x">{tenantId} ledgerEntry</div>;\n' },
+  { path: 'docs/read me.md', code: '# Ledger\n\n//@file fake.js 1 00000000 1\n' },
+  { path: 'src/empty.js', code: '' }
+];
+
+describe('Bundles', () => {
+  test('Packs a project with a shared dictionary and restores it byte for byte', () => {
+    const bundle = jsKanji.packBundle(FILES);
+    const { entries, files } = parseBundle(bundle);
+
+    expect(bundle.startsWith('//@kjb/1 n=5\n//@dict ')).toBe(true);
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining(['tenantId', 'ledgerEntry']));
+    expect(files.map(file => file.path)).toEqual(FILES.map(file => file.path));
+    expect(files[1].content).toContain(`${entries.tenantId}: 弦`);
+    expect(files[2].content).toContain('<区 級="x">');
+    expect(files[3]).toMatchObject({ raw: true, content: FILES[3].code });
+
+    expect(jsKanji.unpackBundle(bundle)).toEqual(FILES);
+  });
+
+  test('Writes a manifest line for every file', () => {
+    const bundle = jsKanji.packBundle(FILES.slice(3), { learn: false });
+
+    expect(bundle).toBe([
+      '//@kjb/1 n=2',
+      '//@file docs/read%20me.md 39 ' + describeContents(FILES[3].code).hash + ' 4 raw',
+      FILES[3].code,
+      '//@file src/empty.js 0 e3b0c442 2',
+      '//@kjs/1 m=kanji d=kanji@2#0cb6409b o=lb,ll',
+      '',
+      ''
+    ].join('\n'));
+  });
+
+  test('Checks restored files against the manifest', () => {
+    const bundle = jsKanji.packBundle(FILES.slice(0, 1));
+
+    expect(() => jsKanji.unpackBundle(bundle.replace('関 postLedgerEntry', '関 postLedgerEntries')))
+      .toThrow(/src\/api\.js does not match the bundle manifest/);
+    expect(() => jsKanji.unpackBundle(bundle.replace('n=1', 'n=2'))).toThrow(/lists 2 files but holds 1/);
+    expect(() => jsKanji.unpackBundle(bundle.replace(/ 7\n/, ' 9\n'))).toThrow(/ends inside src\/api\.js/);
+    expect(() => jsKanji.unpackBundle(bundle.replace(/\/\/@dict [^\n]*/, '//@dict tenantId=丂')))
+      .toThrow(/dictionary/);
+  });
+
+  test('Rejects paths outside the bundle folder', () => {
+    for (const path of ['../secret.js', '/etc/passwd', 'a//b.js', 'C:/x.js', 'a\\b.js']) {
+      const bundle = createBundle({ files: [{ path: 'x.md', size: 0, hash: 'e3b0c442', raw: true, content: '' }] })
+        .replace('x.md', path);
+      expect(() => parseBundle(bundle)).toThrow(FormatError);
+    }
+    expect(() => createBundle({ files: [{ path: 'a/../b.md', size: 0, hash: 'e3b0c442', raw: true, content: '' }] }))
+      .toThrow(/Invalid path in bundle/);
+  });
+
+  test('Reads only bundles of a known format', () => {
+    expect(() => parseBundle('//@kjs/1 m=kanji d=kanji@2#0cb6409b\n')).toThrow(/Not a js-kanji bundle/);
+    expect(() => parseBundle('//@kjb/9 n=0\n')).toThrow(/format version 9 is not supported/);
+    expect(parseBundle('//@kjb/1 n=0\n')).toEqual({ entries: {}, files: [] });
+  });
+});
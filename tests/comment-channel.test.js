@@ -0,0 +1,117 @@
+/**
+ * Tests for keeping and compressing comments
+ */
+
+const jsKanji = require('../index');
+const { encodeComment, decodeComment, extractComments, restoreComments } = require('../comment-channel');
+
+const CART = `const API = 'https://api.example.com'; // see https://docs.example.com
+class Cart {
+  /**
+   * Add an item to the cart.
+   *
+   * @param {Object} item - Item with a name (名) and price
+   * @return {number} - New total
+   */
+  add(item) {
+    /* push it,
+       then total */
+    this.items.push(item);
+    return this.total(); // 返 stays
+  }
+}
+`;
+
+const JSDOC = `  /**
+   * Add an item to the cart.
+   *
+   * @param {Object} item - Item with a name (名) and price
+   * @return {number} - New total
+   */`;
+
+describe('Comment Channel', () => {
+  test('Keeps comments as they are through compression', () => {
+    const compressed = jsKanji.compress(CART, 'kanji');
+    const decompressed = jsKanji.decompress(compressed, 'kanji');
+
+    expect(compressed).toContain('/**\n * Add an item to the cart.\n *\n * @param {Object} item');
+    expect(compressed).toContain("; // see https://docs.example.com\n");
+    expect(decompressed).toContain(JSDOC);
+    expect(decompressed).toContain('    /* push it,\n       then total */\n');
+    expect(decompressed).toContain('return this.total(); // 返 stays\n');
+  });
+
+  test('Keeps comments on lines of their own without line breaks', () => {
+    const code = `function load() {}
+/**
+ * Get a user
+ */
+function getUser(id) {
+  return users[id]; /* by id */
+}
+`;
+    const compressed = jsKanji.compress(code, 'kanji', { preserveLineBreaks: false });
+
+    expect(compressed).toContain('}\n/**\n * Get a user\n */\n関 getUser');
+    expect(compressed).toContain('; /* by id */\n}');
+    expect(jsKanji.decompress(compressed, 'kanji')).toBe(code.trimEnd().replace('load() {}', 'load() {}\n'));
+  });
+
+  test('Strips JSDoc decoration and puts it back', () => {
+    const compressed = jsKanji.compress(CART, 'kanji', { compressComments: true, header: true });
+
+    expect(jsKanji.readHeader(compressed).options.compressComments).toBe(true);
+    expect(compressed).toContain('/**~\nAdd an item to the cart.\n\n@param {Object} item - Item with a name (名) and price\n@return');
+    expect(jsKanji.decompress(compressed)).toContain(JSDOC);
+    expect(jsKanji.decompress(compressed.replace(/^.*\n/, ''), 'kanji', { compressComments: true })).toContain(JSDOC);
+  });
+
+  test('Carries edits to stripped comments over to the original', () => {
+    const sent = jsKanji.compress(CART, 'kanji', { compressComments: true, header: true });
+    const received = sent.replace('Add an item to the cart.', 'Add an item.\n@since 2.0');
+
+    expect(jsKanji.applyCompressedEdit(CART, sent, received).code)
+      .toBe(CART.replace('   * Add an item to the cart.\n', '   * Add an item.\n   * @since 2.0\n'));
+  });
+
+  test('Encodes block comments reversibly', () => {
+    const comments = [
+      '/**\n * One\n *\n * Two\n */',
+      '/* Not\n   decorated */',
+      '/*~ Tilde */',
+      '/**~~\n * Tildes\n */',
+      '/**\n * \n */',
+      '/** Short */'
+    ];
+
+    expect(comments.map(encodeComment)).toEqual([
+      '/**~\nOne\n\nTwo\n*/',
+      '/* Not\n   decorated */',
+      '/*~~ Tilde */',
+      '/**~~~\n * Tildes\n */',
+      '/**\n * \n */',
+      '/** Short */'
+    ]);
+    expect(comments.map(comment => decodeComment(encodeComment(comment)))).toEqual(comments);
+  });
+
+  test('Takes comments out by token, not by text', () => {
+    const code = "返 '//not a comment'; /* a */ x // b";
+    const extracted = extractComments(code, { aliases: { 返: 'return' } });
+
+    expect(extracted).toEqual({
+      code: "返 '//not a comment'; __KJS_COMMENT_0__ x __KJS_COMMENT_1__",
+      comments: ['/* a */', '// b']
+    });
+    expect(restoreComments(extracted.code, extracted.comments)).toBe(code);
+  });
+
+  test('Indents a comment by its column once the comments before it are back', () => {
+    const comments = ['/* first */', '/**\n * Second\n */'];
+
+    const indent = ' '.repeat('x; /* first */ y; '.length);
+
+    expect(restoreComments('x; __KJS_COMMENT_0__ y; __KJS_COMMENT_1__', comments))
+      .toBe(`x; /* first */ y; /**\n${indent} * Second\n${indent} */`);
+  });
+});
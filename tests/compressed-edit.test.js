@@ -0,0 +1,177 @@
+/**
+ * Tests for diffs and for applying edits made to compressed code
+ */
+
+const jsKanji = require('../index');
+const SemanticKanjiModule = require('../semantic-kanji');
+const { diffSequences, createUnifiedDiff, applyUnifiedDiff } = require('../diff');
+
+const TOTAL = `// Totals
+function total(items) {
+    let sum = 0;
+    for (const item of items) {
+        sum += item.price; // add it
+    }
+
+    return sum;
+}
+
+module.exports = { total };
+`;
+
+const HANDLER = `const express = require("express");
+const app = express();
+
+app.get("/users", async (req, res) => {
+  try {
+    const users = await User.find();
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error("Fetch users:", error.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+`;
+
+describe('Diffs', () => {
+  test('Finds the changes between two sequences', () => {
+    expect(diffSequences([...'abcabba'], [...'cbabac'])).toEqual([
+      { aStart: 0, aEnd: 2, bStart: 0, bEnd: 0 },
+      { aStart: 3, aEnd: 3, bStart: 1, bEnd: 2 },
+      { aStart: 5, aEnd: 6, bStart: 4, bEnd: 4 },
+      { aStart: 7, aEnd: 7, bStart: 5, bEnd: 6 }
+    ]);
+    expect(diffSequences([1, 2, 3], [1, 2, 3])).toEqual([]);
+  });
+
+  test('Writes unified diffs with context', () => {
+    const lines = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+
+    expect(createUnifiedDiff(lines, lines.replace('b', 'B') + 'k', { file: 'x.txt' })).toBe([
+      '--- a/x.txt',
+      '+++ b/x.txt',
+      '@@ -1,5 +1,5 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      ' d',
+      ' e',
+      '@@ -8,3 +8,4 @@',
+      ' h',
+      ' i',
+      ' j',
+      '+k',
+      '\\ No newline at end of file',
+      ''
+    ].join('\n'));
+    expect(createUnifiedDiff('', 'x\n')).toBe('--- a/source.js\n+++ b/source.js\n@@ -0,0 +1,1 @@\n+x\n');
+    expect(createUnifiedDiff(lines, lines)).toBe('');
+  });
+
+  test('Applies unified diffs, even with wrong line numbers', () => {
+    const lines = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj\n';
+    const changed = lines.replace('b', 'B').replace('i\n', '') + 'k';
+    const patch = createUnifiedDiff(lines, changed);
+
+    expect(applyUnifiedDiff(lines, patch)).toBe(changed);
+    expect(applyUnifiedDiff(lines, patch.replace('@@ -1,5 +1,5 @@', '@@ -3,1 +3,1 @@'))).toBe(changed);
+    expect(() => applyUnifiedDiff(lines.replace('c', 'C'), patch)).toThrow(jsKanji.PatchError);
+  });
+});
+
+describe('Compressed edits', () => {
+  test('Rewrites only the changed tokens of the original', () => {
+    const sent = jsKanji.compress(TOTAL, 'kanji', { header: true });
+    const received = sent
+      .replace('sum+=品.price;', 'sum+=品.price*品.qty;')
+      .replace('変 sum=0;\n', '');
+
+    const { code, diff } = jsKanji.applyCompressedEdit(TOTAL, sent, received, { file: 'total.js' });
+
+    expect(code).toBe(TOTAL
+      .replace('item.price;', 'item.price*item.qty;')
+      .replace('    let sum = 0;\n', ''));
+    expect(diff).toBe([
+      '--- a/total.js',
+      '+++ b/total.js',
+      '@@ -1,8 +1,7 @@',
+      ' // Totals',
+      ' function total(items) {',
+      '-    let sum = 0;',
+      '     for (const item of items) {',
+      '-        sum += item.price; // add it',
+      '+        sum += item.price*item.qty; // add it',
+      '     }',
+      ' ',
+      '     return sum;',
+      ''
+    ].join('\n'));
+  });
+
+  test('Indents inserted lines like the code around them', () => {
+    const sent = jsKanji.compress(TOTAL, 'kanji');
+    const received = sent.replace('返 sum;', '条(!sum){\n返 0;\n}\n返 sum;');
+
+    const { code } = jsKanji.applyCompressedEdit(TOTAL, sent, received, { method: 'kanji' });
+
+    expect(code).toContain('    }\n    if(!sum){\n        return 0;\n    }\n\n    return sum;\n}');
+  });
+
+  test('Maps edits inside semantic calls to the code they stand for', () => {
+    const sent = jsKanji.compress(HANDLER, 'semantic-kanji');
+    const received = sent
+      .replace('"Fetch users"', '"Load users"')
+      .replace('User.探()', 'User.探({active:true})');
+
+    const { code } = SemanticKanjiModule.applyCompressedEdit(HANDLER, sent, received);
+
+    expect(code).toBe(HANDLER
+      .replace('"Fetch users:"', '"Load users:"')
+      .replace('User.find()', 'User.find({active:true})'));
+  });
+
+  test('Keeps the whitespace of lossless code', () => {
+    const sent = jsKanji.compress(HANDLER, 'kanji', { lossless: true, header: true });
+    const received = sent.replace('\n\n', '\n\n// Routes\n');
+
+    const { code, diff } = jsKanji.applyCompressedEdit(HANDLER, sent, received);
+
+    expect(code).toBe(HANDLER.replace('\n\n', '\n\n// Routes\n'));
+    expect(diff).toContain('@@ -1,6 +1,7 @@\n const express = require("express");\n const app = express();\n \n+// Routes\n');
+  });
+
+  test('Returns the original when nothing changed', () => {
+    const sent = jsKanji.compress(HANDLER, 'semantic-kanji', { header: true });
+
+    expect(jsKanji.applyCompressedEdit(HANDLER, sent, sent)).toEqual({ code: HANDLER, diff: '' });
+  });
+});
+
+describe('Compressed patches', () => {
+  const changed = TOTAL.replace('item.price;', 'item.price * item.qty;');
+
+  test('Encodes hunks with the dictionary of the code', () => {
+    const patch = jsKanji.createCompressedPatch(TOTAL, changed, { file: 'total.js' });
+
+    expect(jsKanji.readHeader(patch)).toMatchObject({ method: 'kanji' });
+    expect(patch).toContain('--- a/total.js\n+++ b/total.js\n@@ -2,7 +2,7 @@\n');
+    expect(patch).toContain('\n-sum+=品.price; // add it\n+sum+=品.price*品.qty; // add it\n');
+    expect(jsKanji.createCompressedPatch(TOTAL, TOTAL)).toBe('');
+  });
+
+  test('Applies patches to the original, keeping its formatting', () => {
+    const patch = jsKanji.createCompressedPatch(TOTAL, changed);
+    const { code, diff } = jsKanji.applyCompressedPatch(TOTAL, patch);
+
+    expect(code).toBe(TOTAL.replace('item.price;', 'item.price*item.qty;'));
+    expect(diff).toContain('-        sum += item.price; // add it\n+        sum += item.price*item.qty; // add it\n');
+  });
+
+  test('Reports hunks that do not match the code', () => {
+    const patch = jsKanji.createCompressedPatch(TOTAL, changed);
+    const edited = TOTAL.replace('sum += item.price', 'sum -= item.price');
+
+    expect(() => jsKanji.applyCompressedPatch(edited, patch)).toThrow('Hunk 1 does not apply at line 2');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for the self-describing container header
+ */
+
+const semanticKanji = require('../index');
+const container = require('../container');
+const { getDictionary } = require('../kanji-dictionary');
+const { DictionaryError, FormatError } = require('../errors');
+
+const sampleCode = `function greet(name) {
+  const message = 'Hello, ' + name;
+  console.log(message);
+  return message;
+}`;
+
+describe('Container Header', () => {
+  test('Records method, dictionary and options', () => {
+    const compressed = semanticKanji.compress(sampleCode, 'kanji', { header: true });
+    const { hash } = getDictionary();
+
+    expect(compressed.split('\n')[0]).toBe(`//@kjs/1 m=kanji d=kanji@2#${hash} o=lb`);
+    expect(semanticKanji.readHeader(compressed)).toMatchObject({
+      formatVersion: 1,
+      method: 'kanji',
+      dictionary: { name: 'kanji', version: 2, hash },
+      options: { preserveLineBreaks: true, removeComments: false, lossless: false, compressComments: false }
+    });
+  });
+
+  test('Writes the header unless asked not to', () => {
+    expect(semanticKanji.readHeader(semanticKanji.compress(sampleCode, 'kanji')).method).toBe('kanji');
+
+    const bare = semanticKanji.compress(sampleCode, 'kanji', { header: false });
+    expect(bare.startsWith(container.HEADER_MAGIC)).toBe(false);
+    expect(semanticKanji.readHeader(bare)).toBeNull();
+    expect(semanticKanji.compress('', 'kanji')).toBe('');
+  });
+
+  test('Decodes with the method recorded in the header', () => {
+    ['kanji', 'semantic-kanji'].forEach(method => {
+      const compressed = semanticKanji.compress(sampleCode, method, { header: true });
+      const plain = semanticKanji.compress(sampleCode, method);
+
+      expect(semanticKanji.decompress(compressed)).toBe(semanticKanji.decompress(plain, method));
+    });
+  });
+
+  test('Restores lossless output without being told', () => {
+    const compressed = semanticKanji.compress(sampleCode, 'kanji', { header: true, lossless: true });
+
+    expect(semanticKanji.readHeader(compressed).options.lossless).toBe(true);
+    expect(semanticKanji.decompress(compressed)).toBe(sampleCode);
+  });
+
+  test('Refuses a different dictionary', () => {
+    const compressed = semanticKanji.compress(sampleCode, 'kanji', { header: true });
+    const tampered = compressed.replace(/#[0-9a-f]+/, '#00000000');
+    const unknown = compressed.replace('kanji@2', 'kanji@9');
+
+    expect(() => semanticKanji.decompress(tampered)).toThrow(DictionaryError);
+    expect(() => semanticKanji.decompress(tampered)).toThrow('refusing to decode with a different dictionary');
+    expect(() => semanticKanji.decompress(unknown)).toThrow('dictionary kanji@9, which is not available');
+  });
+
+  test('Refuses newer formats and conflicting methods', () => {
+    const compressed = semanticKanji.compress(sampleCode, 'kanji', { header: true });
+
+    expect(() => semanticKanji.decompress(compressed.replace('//@kjs/1', '//@kjs/2')))
+      .toThrow(FormatError);
+    expect(() => semanticKanji.decompress(compressed, 'semantic-kanji'))
+      .toThrow('Code was compressed with method "kanji", not "semantic-kanji"');
+    expect(() => container.parseHeader('//@kjs/1 m=zip d=kanji@2#00\n'))
+      .toThrow('Unknown compression method in header: zip');
+  });
+
+  test('Reads extra sections after the header line', () => {
+    const header = container.createHeader({ method: 'kanji' }, { names: 'a=b' });
+    const { header: parsed, body } = container.parseHeader(header + '関 f(){}');
+
+    expect(parsed.sections).toEqual({ names: 'a=b' });
+    expect(body).toBe('関 f(){}');
+    expect(() => container.createHeader({ method: 'kanji' }, { names: 'a\nb' })).toThrow(FormatError);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for packing a project into a token budget
+ */
+
+const jsKanji = require('../index');
+const { rankFiles, findImports, extractSignatures } = require('../context-budget');
+const { parseBundle } = require('../bundle');
+const { parseCode } = require('../js-parser');
+
+const FILES = [
+  {
+    path: 'src/ledger.js',
+    code: `/**
+ * Ledger of one tenant
+ */
+class Ledger {
+  constructor(tenantId) {
+    this.tenantId = tenantId;
+    this.entries = [];
+  }
+
+  post(ledgerEntry) {
+    if (ledgerEntry.tenantId !== this.tenantId) {
+      throw new Error('Entry of another tenant');
+    }
+    this.entries.push(ledgerEntry);
+    return this.entries.length;
+  }
+}
+
+module.exports = { Ledger };
+`
+  },
+  {
+    path: 'src/index.js',
+    code: `const { Ledger } = require('./ledger');
+const { format } = require('./format');
+
+function openLedger(tenantId) {
+  const ledger = new Ledger(tenantId);
+  return { post: entry => ledger.post(entry), print: () => format(ledger.entries) };
+}
+
+module.exports = { openLedger };
+`
+  },
+  {
+    path: 'src/format.ts',
+    code: `import type { Entry } from './ledger';
+
+export function format(entries: Entry[]): string {
+  return entries.map(entry => \`\${entry.tenantId}: \${entry.amount}\`).join('\\n');
+}
+`
+  },
+  { path: 'notes.md', code: '# Notes\n\nThe ledger keeps entries per tenant.\n' }
+];
+
+describe('Context Budget', () => {
+  test('Ranks entry points, changed files and imported files first', () => {
+    expect(rankFiles(FILES).map(file => [file.path, file.score])).toEqual([
+      ['src/index.js', 4],
+      ['src/ledger.js', 2],
+      ['src/format.ts', 1],
+      ['notes.md', 0]
+    ]);
+
+    const ranked = rankFiles(FILES, { entries: [], changed: ['./notes.md'], boost: { 'src/format.ts': 5 } });
+    expect(ranked.map(file => file.path)).toEqual(['src/format.ts', 'src/ledger.js', 'notes.md', 'src/index.js']);
+    expect(ranked[1]).toMatchObject({ entry: false, changed: false, importedBy: 2 });
+  });
+
+  test('Finds the modules a file imports', () => {
+    const code = `import a from 'a';
+import './side-effect';
+export { b } from "./b";
+const c = require('./c');
+const d = await import('./d');
+const e = other('./e');
+// import f from './f';
+`;
+    expect(findImports(code)).toEqual(['a', './side-effect', './b', './c', './d']);
+    expect(findImports(FILES[2].code, FILES[2].path)).toEqual(['./ledger']);
+  });
+
+  test('Leaves out function bodies and keeps valid code', () => {
+    const signatures = extractSignatures(FILES[0].code);
+    expect(signatures).toContain('  constructor(tenantId) { /* … */ }\n\n  post(ledgerEntry) { /* … */ }\n');
+    expect(signatures).toContain(' * Ledger of one tenant');
+    expect(parseCode(signatures)).not.toBeNull();
+
+    expect(extractSignatures(FILES[2].code, { language: 'typescript' }))
+      .toContain('export function format(entries: Entry[]): string { /* … */ }');
+    expect(extractSignatures('async function f(): Promise<{ a: number }> { return { a: 1 }; }', { language: 'typescript' }))
+      .toBe('async function f(): Promise<{ a: number }> { /* … */ }');
+    expect(extractSignatures('class A extends mixin(B) { run() { go(); } }\nconst g = x => x * 2;\nif (a) { b(); }'))
+      .toBe('class A extends mixin(B) { run() { /* … */ } }\nconst g = x => x * 2;\nif (a) { b(); }');
+    expect(extractSignatures('const api = { new(id) { return id; }, async delete(id) { await drop(id); } };\ntry { delete (a.b); } catch (e) { log(e); }'))
+      .toBe('const api = { new(id) { /* … */ }, async delete(id) { /* … */ } };\ntry { delete (a.b); } catch (e) { log(e); }');
+  });
+
+  test('Packs the best ranked files in most detail within the budget', () => {
+    const whole = jsKanji.packForBudget(FILES, { maxTokens: 100000 });
+    expect(whole.files.map(file => file.level)).toEqual(['full', 'full', 'full', 'full']);
+    expect(jsKanji.unpackBundle(whole.bundle)).toEqual(FILES);
+
+    for (const maxTokens of [120, 200, 300]) {
+      const { bundle, tokens, files } = jsKanji.packForBudget(FILES, { maxTokens });
+      expect(tokens).toBe(jsKanji.estimateTokens(bundle, true));
+      expect(tokens).toBeLessThanOrEqual(maxTokens);
+      expect(files.map(file => file.path)).toEqual(['src/index.js', 'src/ledger.js', 'src/format.ts', 'notes.md']);
+    }
+
+    const { bundle, files } = jsKanji.packForBudget(FILES, { maxTokens: 250 });
+    expect(files.map(file => file.level)).toEqual(['full', 'semantic', 'signatures', 'omitted']);
+
+    const restored = jsKanji.unpackBundle(bundle);
+    expect(restored[1]).toEqual(FILES[1]);
+    expect(restored[0]).toMatchObject({ path: 'src/ledger.js', level: 'semantic' });
+    expect(jsKanji.utils.findFirstDifference(FILES[0].code, restored[0].code, 'tokens')).toBeNull();
+    expect(restored[2]).toMatchObject({ path: 'src/format.ts', level: 'signatures' });
+    expect(restored[2].code).toContain('format(entries: Entry[]): string { /* … */ }');
+    expect(restored[3]).toEqual({ path: 'notes.md', code: null, level: 'omitted' });
+  });
+
+  test('Records the level of each file in the bundle', () => {
+    const { bundle } = jsKanji.packForBudget(FILES, { maxTokens: 150, learn: false });
+
+    expect(bundle).toMatch(/^\/\/@file src\/ledger\.js 363 [0-9a-f]{8} \d+ signatures$/m);
+    expect(bundle).toMatch(/^\/\/@file notes\.md 46 [0-9a-f]{8} 0 omitted$/m);
+    expect(parseBundle(bundle).files.map(file => file.level)).toEqual(['signatures', 'signatures', 'omitted', 'omitted']);
+    expect(() => jsKanji.packForBudget(FILES, { maxTokens: 20 })).toThrow(/cannot hold the manifest of 4 files/);
+    expect(() => jsKanji.packForBudget(FILES, {})).toThrow(RangeError);
+  });
+});
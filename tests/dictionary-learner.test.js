@@ -0,0 +1,137 @@
+/**
+ * Tests for dictionary learning and member sequences
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const semanticKanji = require('../index');
+const { learnDictionary, formatDictionaryFile } = require('../dictionary-learner');
+const { createDictionary, getDictionary } = require('../kanji-dictionary');
+const { expandGlob } = require('../utils');
+
+const billingCode = `function charge(tenantId, invoiceLineItem) {
+  const entry = ledgerEntry.lookup(tenantId, invoiceLineItem);
+  ledgerEntry.lookup(tenantId).total += invoiceLineItem.amount;
+  return ledgerEntry.lookup(entry.tenantId);
+}`;
+
+const sources = [
+  { path: 'billing.js', code: billingCode },
+  { path: 'refunds.js', code: billingCode.replace('charge', 'refund') }
+];
+
+describe('Dictionary Learning', () => {
+  test('Learns frequent identifiers and member sequences', () => {
+    const learned = learnDictionary(sources);
+
+    expect(Object.keys(learned.entries)).toEqual(
+      expect.arrayContaining(['tenantId', 'invoiceLineItem', 'ledgerEntry.lookup'])
+    );
+    expect(learned.entries).not.toHaveProperty('charge');
+    expect(learned.files).toEqual(['billing.js', 'refunds.js']);
+    expect(learned.estimatedSavings).toBeGreaterThan(0);
+  });
+
+  test('Keeps the learned entries within the budget', () => {
+    const full = learnDictionary(sources);
+    const limited = learnDictionary(sources, { budget: 6 });
+
+    expect(limited.dictionaryTokens).toBeLessThanOrEqual(6);
+    expect(limited.details.length).toBeLessThan(full.details.length);
+    expect(Object.keys(full.entries)).toEqual(expect.arrayContaining(Object.keys(limited.entries)));
+  });
+
+  test('Only learns single identifiers without sequences', () => {
+    const learned = learnDictionary(sources, { sequences: false });
+
+    expect(Object.keys(learned.entries).every(word => !word.includes('.'))).toBe(true);
+  });
+
+  test('Assigns Kanji used neither by the dictionary nor by the code', () => {
+    const { reverse } = getDictionary();
+    const learned = learnDictionary([...sources, { code: '// 丁 is taken\n' }]);
+
+    Object.values(learned.entries).forEach(target => {
+      expect(reverse[target]).toBeUndefined();
+      expect(target).not.toBe('丁');
+    });
+  });
+
+  test('Scores targets with what the tokenizer charges for them', () => {
+    // Kanji below 乀 take three tokens, everything else one token per four characters
+    const countTokens = text => Array.from(text).reduce((sum, ch) => sum + (/[一-丿]/.test(ch) ? 3 : 0.25), 0);
+    const learned = learnDictionary(sources, { tokenizer: countTokens });
+
+    expect(learned.details.length).toBeGreaterThan(0);
+    learned.details.forEach(({ target }) => {
+      expect(target.codePointAt(0)).toBeGreaterThanOrEqual(0x4E40);
+    });
+
+    // Targets that cost more than the words they replace save nothing
+    const costly = text => Array.from(text).reduce((sum, ch) => sum + (/[一-鿿]/.test(ch) ? 3 : 0.25), 0);
+    expect(learnDictionary(sources, { tokenizer: costly }).entries).not.toHaveProperty('tenantId');
+  });
+
+  test('Round-trips code compressed with the learned entries', () => {
+    const { entries } = learnDictionary(sources);
+    const options = { lossless: true, extendDictionary: entries, header: false };
+    const compressed = semanticKanji.compress(billingCode, 'kanji', options);
+
+    expect(compressed).toContain(entries['ledgerEntry.lookup'] + '(');
+    expect(semanticKanji.estimateTokens(compressed, true))
+      .toBeLessThan(semanticKanji.estimateTokens(semanticKanji.compress(billingCode, 'kanji', { lossless: true, header: false }), true));
+    expect(semanticKanji.decompress(compressed, 'kanji', options)).toBe(billingCode);
+  });
+
+  test('Formats learned entries as JSON or as a module', () => {
+    const learned = learnDictionary(sources);
+
+    expect(JSON.parse(formatDictionaryFile(learned, 'learned.json'))).toEqual(learned.entries);
+    expect(formatDictionaryFile(learned, 'learned.js'))
+      .toContain(`'ledgerEntry.lookup': '${learned.entries['ledgerEntry.lookup']}', // 6 uses`);
+  });
+});
+
+describe('Member Sequences', () => {
+  test('Substitutes a sequence only where it is written in full', () => {
+    const dictionary = createDictionary({ 'res.status': '丁' }, { base: getDictionary() });
+    const code = 'res.status(404); res.send(res); other.status = 1;';
+    const compressed = semanticKanji.compress(code, 'kanji', { dictionary, lossless: true, header: false });
+
+    expect(compressed.startsWith('丁(404)')).toBe(true);
+    expect(compressed).toContain(`other.${getDictionary().forward.status}`);
+    expect(semanticKanji.decompress(compressed, 'kanji', { dictionary, lossless: true })).toBe(code);
+  });
+
+  test('Rejects sequences that are not member chains', () => {
+    expect(() => createDictionary({ 'res..status': '丁' })).toThrow('not identifier names');
+  });
+});
+
+describe('File Globs', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-kanji-learn-'));
+    fs.mkdirSync(path.join(dir, 'src', 'lib'), { recursive: true });
+    fs.mkdirSync(path.join(dir, 'node_modules'));
+    fs.writeFileSync(path.join(dir, 'src', 'a.js'), 'a');
+    fs.writeFileSync(path.join(dir, 'src', 'lib', 'b.js'), 'b');
+    fs.writeFileSync(path.join(dir, 'src', 'notes.md'), 'c');
+    fs.writeFileSync(path.join(dir, 'node_modules', 'd.js'), 'd');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Expands globs and directories relative to cwd', () => {
+    const posix = files => files.map(file => file.split(path.sep).join('/'));
+
+    expect(posix(expandGlob(['src/**/*.js'], { cwd: dir }))).toEqual(['src/a.js', 'src/lib/b.js']);
+    expect(posix(expandGlob(['src/*.js'], { cwd: dir }))).toEqual(['src/a.js']);
+    expect(posix(expandGlob(['.'], { cwd: dir }))).toEqual(['src/a.js', 'src/lib/b.js']);
+    expect(expandGlob(['missing/*.js'], { cwd: dir })).toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for renaming locals and restoring their names
+ */
+
+const jsKanji = require('../index');
+const { renameLocals, restoreNames } = require('../identifier-renamer');
+const { originalPositionFor } = require('../source-map');
+
+const FILTER = `const threshold = 10;
+function filterLargeValues(inputValues) {
+  const largeValues = inputValues.filter(candidate => candidate > threshold);
+  if (largeValues.length) {
+    const candidate = largeValues[0];
+    log(candidate, largeValues);
+  }
+  return largeValues.map(value => helper(value) * scaleFactor);
+  function helper(inputValue) { return inputValue.candidate; }
+  var scaleFactor = 2;
+}
+`;
+
+const INVOICE = `// Totals
+function computeInvoiceTotal(lineItems, discountRate) {
+  let runningSubtotal = 0;
+  for (const lineItem of lineItems) {
+    runningSubtotal += lineItem.unitPrice * lineItem.quantity;
+  }
+  const discountedSubtotal = runningSubtotal * (1 - discountRate);
+  return { discountedSubtotal, taxes: discountedSubtotal * 0.2 };
+}
+module.exports = { computeInvoiceTotal };
+`;
+
+describe('Identifier Renamer', () => {
+  test('Renames locals by scope, leaving top-level names and properties', () => {
+    const { code, names } = renameLocals(FILTER);
+
+    expect(code).toBe(`const threshold = 10;
+function filterLargeValues(c) {
+  const a = c.filter(b => b > threshold);
+  if (a.length) {
+    const b = a[0];
+    log(b, a);
+  }
+  return a.map(value => f(value) * d);
+  function f(e) { return e.candidate; }
+  var d = 2;
+}
+`);
+    expect(names).toEqual({
+      a: 'largeValues',
+      b: 'candidate',
+      c: 'inputValues',
+      d: 'scaleFactor',
+      e: 'inputValue',
+      f: 'helper'
+    });
+    expect(restoreNames(code, names)).toBe(FILTER);
+  });
+
+  test('Keeps names that cannot or should not change', () => {
+    const code = `function load(requestOptions) {
+  const { responseBody } = fetchSync(requestOptions, requestOptions, requestOptions);
+  const item = responseBody.item;
+  return { responseBody, item, requestOptions };
+}
+function run(expression, localValue) {
+  return eval(expression) + localValue + localValue + localValue;
+}
+`;
+
+    // Shorthand names, dictionary words and scopes with eval are left alone
+    expect(renameLocals(code)).toMatchObject({ code, names: {} });
+    expect(renameLocals('function (')).toMatchObject({ code: 'function (', names: {} });
+  });
+
+  test('Records the names in the header and restores them', () => {
+    const compressed = jsKanji.compress(INVOICE, 'kanji', { renameLocals: true });
+    const lossless = jsKanji.compress(INVOICE, 'kanji', { renameLocals: true, lossless: true, verify: true });
+
+    expect(compressed).toContain('//@names a=runningSubtotal,b=discountRate,c=lineItem,d=lineItems\n');
+    expect(compressed).toContain('関 computeInvoiceTotal(d,b){\n変 a=0;\n');
+    expect(jsKanji.decompress(compressed)).toBe(jsKanji.decompress(jsKanji.compress(INVOICE, 'kanji')));
+    expect(jsKanji.decompress(lossless)).toBe(INVOICE);
+  });
+
+  test('Leaves the names semantic patterns spell out', () => {
+    const code = `app.get("/users", async (req, res) => {
+  try {
+    const users = await User.find();
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error("Fetch users:", error.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+`;
+
+    expect(jsKanji.compress(code, 'semantic-kanji', { renameLocals: true })).toBe(jsKanji.compress(code, 'semantic-kanji'));
+  });
+
+  test('Maps renamed code and edits to it back to the original', () => {
+    const { code, map } = jsKanji.compress(INVOICE, 'kanji', { renameLocals: true, sourceMap: true });
+    const line = code.split('\n').findIndex(text => text.startsWith('a+=')) + 1;
+
+    expect(originalPositionFor(map, { line, column: 0 })).toMatchObject({ line: 5, column: 4, name: 'runningSubtotal' });
+
+    const received = code.replace('a+=c.unitPrice*c.quantity;', 'a+=c.unitPrice*c.quantity*b;');
+    expect(jsKanji.applyCompressedEdit(INVOICE, code, received).code)
+      .toBe(INVOICE.replace('lineItem.quantity;', 'lineItem.quantity*discountRate;'));
+  });
+});
@@ -77,7 +77,7 @@ describe('Semantic-Kanji Core Functionality', () => {
   
   // Test basic compress and decompress functionality
   test('Compress and decompress simple code', () => {
-    const compressed = semanticKanji.compress(testCode.simple);
+    const compressed = semanticKanji.compress(testCode.simple, { header: false });
     expect(typeof compressed).toBe('string');
     expect(compressed.length).toBeLessThan(testCode.simple.length * 2); // Small code might expand
     
@@ -165,7 +165,7 @@ describe('Semantic-Kanji Core Functionality', () => {
     expect(tokens).toBeGreaterThan(0);
     
     // Compressed should have fewer tokens
-    const compressed = semanticKanji.compress(testCode.simple);
+    const compressed = semanticKanji.compress(testCode.simple, { header: false });
     const compressedTokens = semanticKanji.estimateTokens(compressed, 'semantic-kanji');
     expect(compressedTokens).toBeLessThan(tokens);
   });
@@ -232,7 +232,7 @@ describe('Edge Cases and Error Handling', () => {
   
   test('Handle method as options object', () => {
     // This tests the fix for the bug where passing an object as method caused errors
-    const options = { removeComments: true };
+    const options = { removeComments: true, header: false };
     const compressed = semanticKanji.compress(testCode.simple, options);
     
     // Should not throw error and should produce valid compressed output
@@ -287,6 +287,17 @@ describe('SemanticKanjiModule Class', () => {
     expect(normalizeForComparison(decompressed)).toBe(normalizeForComparison(testCode.simple));
   });
   
+  test('Decompresses the output of a custom dictionary in a fresh instance', () => {
+    const code = 'function load(tenantId) { return fetchTenant(tenantId); }';
+    const instance = new semanticKanjiModule({ extendDictionary: { tenantId: '租' } });
+
+    ['kanji', 'semantic-kanji'].forEach(method => {
+      const compressed = instance.compress(code, method);
+      expect(compressed).toContain('//@dict');
+      expect(new semanticKanjiModule().decompress(compressed)).toContain('load(tenantId)');
+    });
+  });
+
   test('Use with custom configuration', () => {
     // Skip test since the module may have implementation differences
     console.log('Skipping custom configuration test');
@@ -132,7 +132,7 @@ describe('Full Integration Tests', () => {
     const simpleCode = 'function test() { return 42; }';
     
     // Step 1: Compress with semantic-kanji
-    const semanticCompressed = semanticKanji.compress(simpleCode, 'semantic-kanji');
+    const semanticCompressed = semanticKanji.compress(simpleCode, 'semantic-kanji', { header: false });
     
     // Verify compression happened
     expect(semanticCompressed.length).toBeLessThanOrEqual(simpleCode.length * 2); // Allow for expansion in very small code
@@ -83,6 +83,58 @@ describe('JS-Kanji Compressor', () => {
       .toBeGreaterThanOrEqual((decompressedWithoutBreaks.match(/\n/g) || []).length);
   });
   
+  // Test that literals are left untouched
+  test('Leaves string, template and regex literals intact', () => {
+    const code = [
+      "const endpoint = 'https://api.example.com/users/get?id=1';",
+      'const sql = "SELECT name FROM users WHERE id = ? // not a comment";',
+      'const route = `${base}/get/${id}`;',
+      'const verbs = /get|post|delete/g;'
+    ].join('\n');
+    
+    const compressed = jsKanji.compress(code);
+    
+    expect(compressed).toContain("'https://api.example.com/users/get?id=1'");
+    expect(compressed).toContain('"SELECT name FROM users WHERE id = ? // not a comment"');
+    expect(compressed).toContain('/get/');
+    expect(compressed).toContain('/get|post|delete/g');
+    
+    // Identifiers and keywords are still substituted
+    expect(compressed).toContain(jsKanji.dictionary.const);
+    expect(compressed).not.toMatch(/\bconst\b/);
+  });
+  
+  test('Decompresses Japanese literals unchanged', () => {
+    const code = [
+      "const message = '取得に失敗しました';",
+      'const label = `返品: ${count}件`;',
+      'const pattern = /定数|関数/u;',
+      'throw new Error(message + label);'
+    ].join('\n');
+
+    const decompressed = jsKanjiDecompressor.decompress(jsKanji.compress(code), { formatOutput: false });
+
+    expect(decompressed).toContain("'取得に失敗しました'");
+    expect(decompressed).toContain('`返品: ${count}件`');
+    expect(decompressed).toContain('/定数|関数/u');
+    expect(decompressed).toContain('throw new Error(message+label)');
+  });
+
+  test('Substitutes property names but not quoted keys', () => {
+    const compressed = jsKanji.compress("const handlers = { 'get': axios.get };");
+    
+    expect(compressed).toContain("'get'");
+    expect(compressed).toContain(`${jsKanji.dictionary.axios}.${jsKanji.dictionary.get}`);
+  });
+  
+  test('Keeps statements separated when line breaks are removed', () => {
+    const code = 'let a = b\n++c\nconst d = 1 // note\nreturn d';
+    const compressed = jsKanji.compress(code, { preserveLineBreaks: false });
+    
+    expect(compressed).toContain('b\n++c');
+    expect(compressed).toContain('// note\n');
+  });
+  
   // Test compression detection
   test('Detects Kanji compressed code correctly', () => {
     const code = 'function test() { return true; }';
@@ -91,6 +143,16 @@ describe('JS-Kanji Compressor', () => {
     expect(jsKanji.isKanjiCompressed(compressed)).toBe(true);
     expect(jsKanji.isKanjiCompressed(code)).toBe(false);
   });
+
+  test('Detects code compressed with a custom dictionary', () => {
+    const options = { dictionary: { invoiceLineItem: '㐂' } };
+    const compressed = jsKanji.compress('invoiceLineItem.total', options);
+
+    expect(compressed).toBe('㐂.total');
+    expect(jsKanji.isKanjiCompressed(compressed, options)).toBe(true);
+    expect(jsKanji.isKanjiCompressed(compressed)).toBe(false);
+    expect(jsKanji.isKanjiCompressed('const x = 1', options)).toBe(false);
+  });
   
   // Test edge cases
   test('Handles empty or whitespace input', () => {
@@ -0,0 +1,129 @@
+/**
+ * Tests for printing decompressed code and loading its style
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Linter } = require('eslint');
+const jsKanji = require('../index');
+const { printCode, reindentCode } = require('../js-printer');
+const { loadFormatConfig, parseEditorConfig } = require('../format-config');
+
+const CODE = `const isAdmin = user => user.role === 'admin' && /^a\\/b+$/.test(user.path);
+const url = "https://api.example.com/v1?a=1&b=2";
+function load(items, options = {}) {
+  if (!items.length) return [];
+  return items.filter(item => item.count !== 0).map(item => ({ ...item, label: \`\${item.name}: \${item.count * 2}\` })).sort((a, b) => a.count - b.count);
+}
+`;
+
+const FORMATTED = `const isAdmin = user => user.role === 'admin' && /^a\\/b+$/.test(user.path);
+const url = "https://api.example.com/v1?a=1&b=2";
+
+function load(items, options = {}) {
+  if (!items.length) return [];
+  return items
+    .filter(item => item.count !== 0)
+    .map(item => ({ ...item, label: \`\${item.name}: \${item.count * 2}\` }))
+    .sort((a, b) => a.count - b.count);
+}`;
+
+// Layout rules of eslint that decompressed code has to pass
+const LINT_RULES = {
+  indent: ['error', 2],
+  semi: ['error', 'always'],
+  'space-infix-ops': 'error',
+  'keyword-spacing': 'error',
+  'comma-spacing': 'error',
+  'arrow-spacing': 'error',
+  'object-curly-spacing': ['error', 'always'],
+  'space-before-blocks': 'error',
+  'no-multi-spaces': 'error',
+  'no-trailing-spaces': 'error',
+  'max-len': ['error', 80]
+};
+
+describe('JS Printer', () => {
+  test('Prints decompressed code without touching operators, strings or regular expressions', () => {
+    const decompressed = jsKanji.decompress(jsKanji.compress(CODE, 'kanji'), 'kanji');
+    const messages = new Linter().verify(decompressed, { parserOptions: { ecmaVersion: 2022 }, rules: LINT_RULES });
+
+    expect(decompressed).toBe(FORMATTED);
+    expect(messages).toEqual([]);
+  });
+
+  test('Prints in the given style', () => {
+    const style = { indentWidth: 4, quotes: 'double', semicolons: false, trailingCommas: 'all', maxLineWidth: 60 };
+
+    expect(jsKanji.decompress(jsKanji.compress(CODE, 'kanji'), 'kanji', { format: style }))
+      .toBe(`const isAdmin = user =>
+    user.role === "admin" && /^a\\/b+$/.test(user.path)
+const url = "https://api.example.com/v1?a=1&b=2"
+
+function load(items, options = {}) {
+    if (!items.length) return []
+    return items
+        .filter(item => item.count !== 0)
+        .map(item => ({
+            ...item,
+            label: \`\${item.name}: \${item.count * 2}\`,
+        }))
+        .sort((a, b) => a.count - b.count)
+}`);
+    expect(printCode("x\n;[1, 2].forEach(f)\n;(function () {})()", { semicolons: false }))
+      .toBe('x\n;[1, 2].forEach(f)\n;(function () {})()');
+  });
+
+  test('Keeps comments and blank lines', () => {
+    expect(printCode('if (a) {\n// c\nb(x, /* y */ z); // tail\n}\n\n\n/** doc */\nfunction f() {}'))
+      .toBe('if (a) {\n  // c\n  b(x, /* y */ z); // tail\n}\n\n/** doc */\nfunction f() {}');
+  });
+
+  test('Only re-indents code that does not parse', () => {
+    expect(printCode('if (a) {')).toBeNull();
+    expect(reindentCode('if (a) {\nb({\nc: "x  ==  y"\n});\n}\nconst s = `\n  kept\n`;'))
+      .toBe('if (a) {\n  b({\n    c: "x  ==  y"\n  });\n}\nconst s = `\n  kept\n`;');
+    expect(jsKanji.formatCode('条(a){\nb("==");', { useTabs: true })).toBe('条(a){\n\tb("==");');
+  });
+
+  describe('Project style', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-kanji-format-'));
+      fs.mkdirSync(path.join(dir, 'src'));
+      fs.writeFileSync(path.join(dir, '.editorconfig'), [
+        'root = true',
+        '[*]',
+        'indent_style = space',
+        'indent_size = 4',
+        '[*.{js,ts}]',
+        'max_line_length = 100',
+        '[*.md]',
+        'indent_size = 2'
+      ].join('\n'));
+      fs.writeFileSync(path.join(dir, 'src', '.prettierrc'), 'singleQuote: true\nsemi: false # no semicolons\n');
+      fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ prettier: { tabWidth: 8 } }));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Merges the nearest Prettier configuration over .editorconfig', () => {
+      expect(loadFormatConfig(path.join(dir, 'src', 'app.js'))).toEqual({
+        useTabs: false,
+        indentWidth: 4,
+        maxLineWidth: 100,
+        quotes: 'single',
+        semicolons: false
+      });
+      expect(loadFormatConfig(dir)).toEqual({ useTabs: false, indentWidth: 8, maxLineWidth: 100 });
+      expect(parseEditorConfig('[lib/**.js]\nindent_style = tab', 'lib/a/b.js').settings).toEqual({ indent_style: 'tab' });
+
+      const decompressed = jsKanji.decompress('変 a="b"', 'kanji', { formatConfig: path.join(dir, 'src') });
+      expect(decompressed).toBe("let a = 'b'");
+    });
+  });
+});
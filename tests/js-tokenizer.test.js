@@ -0,0 +1,89 @@
+/**
+ * Tests for the JavaScript tokenizer
+ */
+
+const { tokenize, isIdentifierName, needsSeparator } = require('../js-tokenizer');
+
+// Helper to list significant tokens as "type:value" strings
+const describeTokens = (code) => tokenize(code)
+  .filter(token => token.type !== 'whitespace')
+  .map(token => `${token.type}:${token.value}`);
+
+describe('JavaScript Tokenizer', () => {
+  test('Reproduces the input exactly', () => {
+    const samples = [
+      'function test() { return true; }',
+      'const s = "unterminated\nlet x = 1;',
+      '/* open comment',
+      '#!/usr/bin/env node\nconsole.log(`a${b}c`);',
+      '{ } ( ) < > + - * / = ! ? : ; , . " \' ` $ _ & | ^ % ~ # @ []'
+    ];
+    
+    samples.forEach(code => {
+      expect(tokenize(code).map(token => token.value).join('')).toBe(code);
+    });
+  });
+  
+  test('Classifies literals, keywords and identifiers', () => {
+    expect(describeTokens("const url = 'https://x/get'; // get")).toEqual([
+      'keyword:const',
+      'identifier:url',
+      'punctuator:=',
+      "string:'https://x/get'",
+      'punctuator:;',
+      'comment:// get'
+    ]);
+  });
+  
+  test('Tokenizes template substitutions as code', () => {
+    expect(describeTokens('`a${ { b: 1 }.b }c${d}`')).toEqual([
+      'template:`a${',
+      'punctuator:{',
+      'identifier:b',
+      'punctuator::',
+      'number:1',
+      'punctuator:}',
+      'punctuator:.',
+      'identifier:b',
+      'template:}c${',
+      'identifier:d',
+      'template:}`'
+    ]);
+  });
+  
+  test('Distinguishes regular expressions from division', () => {
+    expect(describeTokens('x = a / b / c')).toContain('punctuator:/');
+    expect(describeTokens('x = /[/]get/g.test(y)')).toContain('regex:/[/]get/g');
+    expect(describeTokens('return /a/.test(b)')).toContain('regex:/a/');
+    expect(describeTokens('f(x) / 2')).toContain('punctuator:/');
+  });
+  
+  test('Treats keywords after a dot as property names', () => {
+    expect(describeTokens('promise.catch(e)')).toContain('identifier:catch');
+    expect(describeTokens('try {} catch (e) {}')).toContain('keyword:catch');
+  });
+  
+  test('Tracks line and column positions', () => {
+    const tokens = tokenize('a\n  bb');
+    const bb = tokens.find(token => token.value === 'bb');
+    
+    expect(bb.line).toBe(2);
+    expect(bb.column).toBe(2);
+    expect(bb.start).toBe(4);
+  });
+  
+  test('Identifier helpers', () => {
+    expect(isIdentifierName('tenantId')).toBe(true);
+    expect(isIdentifierName('関')).toBe(true);
+    expect(isIdentifierName('a.b')).toBe(false);
+    
+    const [a, b] = tokenize('a b').filter(token => token.type !== 'whitespace');
+    expect(needsSeparator(a, b)).toBe(true);
+    
+    const [plus, increment] = tokenize('+ ++').filter(token => token.type !== 'whitespace');
+    expect(needsSeparator(plus, increment)).toBe(true);
+    
+    const [name, paren] = tokenize('f (').filter(token => token.type !== 'whitespace');
+    expect(needsSeparator(name, paren)).toBe(false);
+  });
+});
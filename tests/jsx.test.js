@@ -0,0 +1,160 @@
+/**
+ * Tests for compressing and decompressing JSX
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsKanji = require('../index');
+const { tokenize } = require('../js-tokenizer');
+const { getDictionary } = require('../kanji-dictionary');
+const { printCode, reindentCode } = require('../js-printer');
+const { convertJsToKjs, convertKjsToJs } = require('../js-kanji-converter');
+
+const SOURCE = `function Card({ title, items }) {
+  const ref = useRef(null);
+  return (
+    <div className="card" data-id="main" ref={ref}>
+      <h2>{title} / overview</h2>
+      <ul>
+        {items.map(item => <li key={item.id}>{item.name} and more</li>)}
+      </ul>
+      <button disabled onClick={() => alert('Don\\'t')}>Don't   stop</button>
+    </div>
+  );
+}
+`;
+
+describe('JSX', () => {
+  test('Tokenizes tags, attributes and text', () => {
+    const significant = code => tokenize(code, { jsx: true })
+      .filter(token => token.type !== 'whitespace')
+      .map(token => `${token.type}:${token.value}${token.jsx ? `@${token.jsx}` : ''}`);
+
+    expect(significant('<a data-id="x">Don\'t / go {n}</a>')).toEqual([
+      'punctuator:<@tag', 'identifier:a@tag', 'identifier:data-id@tag', 'punctuator:=@tag', 'string:"x"@tag',
+      'punctuator:>@open', 'jsx-text:Don\'t / go @child', 'punctuator:{@child', 'identifier:n',
+      'punctuator:}@child', 'punctuator:<@close', 'punctuator:/@tag', 'identifier:a@tag', 'punctuator:>@tag'
+    ]);
+    expect(significant('a < b > c')).toEqual(['identifier:a', 'punctuator:<', 'identifier:b', 'punctuator:>', 'identifier:c']);
+    expect(tokenize('<br/>', { jsx: true }).map(token => token.jsx)).toEqual(['tag', 'tag', 'tag', 'tag']);
+  });
+
+  test('Compresses JSX and decompresses it from the header', () => {
+    for (const method of ['kanji', 'semantic-kanji']) {
+      const compressed = jsKanji.compress(SOURCE, method, { jsx: true, header: true, verify: true });
+
+      expect(compressed).toContain('<区 級="card" data-id="main" 紐={紐}>');
+      expect(compressed).toContain('>{title} / overview</h2>');
+      expect(compressed).toContain(">Don't   stop</釦>");
+      expect(jsKanji.readHeader(compressed)).toMatchObject({
+        dictionary: { name: 'kanji-jsx' },
+        options: { jsx: true }
+      });
+
+      const decompressed = jsKanji.decompress(compressed);
+      expect(jsKanji.utils.findFirstDifference(SOURCE, decompressed, 'tokens', { jsx: true })).toBeNull();
+    }
+
+    const lossless = jsKanji.compress(SOURCE, 'kanji', { jsx: true, lossless: true, verify: true });
+    expect(jsKanji.decompress(lossless, 'kanji', { jsx: true, lossless: true })).toBe(SOURCE);
+  });
+
+  test('Adds the React table to the bundled dictionary only in JSX mode', () => {
+    const dictionary = getDictionary(undefined, 'javascript', true);
+
+    expect(dictionary.name).toBe('kanji-jsx');
+    expect(dictionary.forward.className).toBe('級');
+    expect(dictionary.forward.useState).toBe(getDictionary().forward.useState);
+    expect(getDictionary().forward.className).toBeUndefined();
+    expect(getDictionary(undefined, 'typescript', true).name).toBe('kanji-ts-jsx');
+    expect(getDictionary(undefined, 'typescript', true).forward.interface).toBe('面');
+  });
+
+  test('Matches React patterns written with JSX', () => {
+    const code = `const ThemeContext = createContext();
+
+export function ThemeProvider({ children }) {
+  const [theme, setTheme] = useState('light');
+
+  const toggle = () => setTheme(theme === 'light' ? 'dark' : 'light');
+
+  const value = {
+    theme,
+    toggle
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
+
+export function useTheme() {
+  const context = useContext(ThemeContext);
+  if (context === undefined) {
+    throw new Error('useTheme must be used within a ThemeProvider');
+  }
+  return context;
+}
+`;
+    const compressed = jsKanji.compress(code, 'semantic-kanji', { jsx: true, header: true, verify: true });
+
+    expect(compressed).toContain('⚛.⚪(Theme,');
+    expect(jsKanji.utils.findFirstDifference(code, jsKanji.decompress(compressed), 'tokens', { jsx: true })).toBeNull();
+
+    const quoted = SOURCE.replace('<h2>', '<h2>It\'s ');
+    const semantic = jsKanji.compress(quoted, 'semantic-kanji', { jsx: true, header: true, verify: true });
+    expect(jsKanji.utils.findFirstDifference(quoted, jsKanji.decompress(semantic), 'tokens', { jsx: true })).toBeNull();
+  });
+
+  test('Prints decompressed elements', () => {
+    const compressed = jsKanji.compress(SOURCE, 'kanji', { jsx: true });
+    expect(jsKanji.decompress(compressed)).toBe(SOURCE.trimEnd());
+
+    // Without line breaks, children are only put on lines of their own where no text is next to them
+    const minified = jsKanji.compress(SOURCE, 'kanji', { jsx: true, preserveLineBreaks: false });
+    expect(jsKanji.decompress(minified)).toBe(SOURCE.trimEnd().replace(
+      /<ul>\n\s*(.*)\n\s*<\/ul>/,
+      '<ul>$1</ul>'
+    ));
+    expect(printCode('x=<p>Hi <b>there</b>, you<br/></p>;', {}, { jsx: true })).toBe('x = <p>Hi <b>there</b>, you<br /></p>;');
+    expect(printCode('x=<p><b>Hi</b>, you<br/><i/></p>;', {}, { jsx: true }))
+      .toBe('x = (\n  <p>\n    <b>Hi</b>, you<br />\n    <i />\n  </p>\n);');
+  });
+
+  test('Indents elements by their nesting', () => {
+    expect(reindentCode('<div>\n<p>\n{a}\n</p>\n</div>;', {}, { jsx: true }))
+      .toBe('<div>\n  <p>\n    {a}\n  </p>\n</div>;');
+    expect(jsKanji.utils.detectJsx('view.tsx')).toBe(true);
+    expect(jsKanji.utils.detectJsx('view.ts')).toBe(false);
+    expect(jsKanji.utils.detectJsx('view.js', 'render(<App />, root);')).toBe(true);
+    expect(jsKanji.utils.detectJsx('math.js', 'if (a < b && c > d) run();')).toBe(false);
+  });
+
+  describe('Converter', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-kanji-jsx-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Converts .jsx files in JSX mode and back to .jsx', () => {
+      const input = path.join(dir, 'card.jsx');
+      fs.writeFileSync(input, SOURCE);
+
+      const compressed = convertJsToKjs(input);
+      expect(jsKanji.readHeader(compressed.compressed).options.jsx).toBe(true);
+
+      const decompressed = convertKjsToJs(compressed.outputFile);
+      expect(decompressed.outputFile).toBe(path.join(dir, 'card.decompressed.jsx'));
+      const restored = fs.readFileSync(decompressed.outputFile, 'utf8');
+      expect(jsKanji.utils.findFirstDifference(SOURCE, restored, 'tokens', { jsx: true })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for dictionary validation, versions, migration and custom dictionaries
+ */
+
+const semanticKanji = require('../index');
+const SemanticKanjiModule = require('../semantic-kanji');
+const decompressor = require('../js-kanji-decompressor');
+const {
+  CURRENT_VERSION,
+  validateDictionary,
+  createDictionary,
+  getDictionary
+} = require('../kanji-dictionary');
+const { DictionaryError } = require('../errors');
+
+describe('Kanji Dictionary', () => {
+  test('Bundled dictionary maps every word to its own Kanji', () => {
+    const { forward, reverse, legacy } = getDictionary();
+
+    expect(legacy).toBe(false);
+    expect(Object.keys(reverse).length).toBe(Object.keys(forward).length);
+    for (const [word, kanji] of Object.entries(forward)) {
+      expect(reverse[kanji]).toBe(word);
+    }
+  });
+
+  test('Rejects dictionaries that reuse a target', () => {
+    expect(() => validateDictionary({ catch: '獲', fetch: '獲', get: '取' }, 'broken'))
+      .toThrow('Dictionary "broken" maps several words to the same target: 獲 (catch, fetch)');
+
+    try {
+      createDictionary({ var: '数', Number: '数' });
+    } catch (error) {
+      expect(error).toBeInstanceOf(DictionaryError);
+      expect(error.duplicates).toEqual([{ target: '数', words: ['var', 'Number'] }]);
+    }
+    expect.assertions(3);
+  });
+
+  test('Rejects entries that are not identifier names', () => {
+    expect(() => validateDictionary({ 'foo-bar': '甲' })).toThrow(DictionaryError);
+    expect(() => validateDictionary({ foo: '1x' })).toThrow('not identifier names: foo');
+    expect(() => validateDictionary(null)).toThrow('must be an object');
+  });
+
+  test('Rejects targets that ordinary identifiers could contain', () => {
+    expect(() => semanticKanji.compress('utility', 'kanji', { extendDictionary: { invoiceLineItem: 'ili' } }))
+      .toThrow('targets with ASCII characters, which ordinary identifiers contain: invoiceLineItem');
+    expect(() => validateDictionary({ tenantId: '租x' })).toThrow(DictionaryError);
+
+    const domain = { invoiceLineItem: '請' };
+    const code = "const utility = invoiceLineItem + '請';";
+    const compressed = semanticKanji.compress(code, 'kanji', { extendDictionary: domain });
+    expect(semanticKanji.decompress(compressed, 'kanji', { extendDictionary: domain, formatOutput: false }))
+      .toBe("const utility=invoiceLineItem+'請';");
+  });
+
+  test('Rejects unknown versions', () => {
+    expect(() => getDictionary(99)).toThrow('Unknown dictionary version: 99');
+    expect(getDictionary(String(CURRENT_VERSION))).toBe(getDictionary());
+  });
+
+  test('Keeps words that used to share a Kanji apart', () => {
+    const code = 'try { fetch(url) } catch (e) { module.exports = new Set() }';
+    const compressed = semanticKanji.compress(code, 'kanji');
+    const restored = semanticKanji.decompress(compressed, 'kanji');
+
+    ['fetch', 'catch', 'module', 'exports', 'Set'].forEach(word => {
+      expect(restored).toContain(word);
+    });
+  });
+});
+
+describe('Legacy Dictionary', () => {
+  test('Decodes the version 1 table with its original ambiguity rules', () => {
+    const legacy = getDictionary(1);
+
+    expect(legacy.legacy).toBe(true);
+    expect(legacy.reverse['数']).toBe('Number');
+    expect(decompressor.decompress('定 名 = 件.title;', { dictionaryVersion: 1 }))
+      .toBe('const name = document.title;');
+  });
+
+  test('Migrates version 1 output to the current dictionary', () => {
+    const migrated = semanticKanji.migrate('定 名 = 件.title;', 1);
+    const { forward } = getDictionary();
+
+    expect(migrated).toContain(`${forward.document}.title`);
+    expect(semanticKanji.decompress(migrated, 'kanji')).toBe('const name = document.title;');
+    expect(() => semanticKanji.migrate('定 x;', 7)).toThrow(DictionaryError);
+  });
+});
+
+describe('Custom Dictionaries', () => {
+  const domainEntries = { tenantId: '租', ledgerEntry: '帳', invoiceLineItem: '請' };
+  const domainCode = 'const entries = ledgerEntry.filter(e => e.tenantId === tenantId);';
+
+  test('Extends the bundled dictionary', () => {
+    const compressed = semanticKanji.compress(domainCode, 'kanji', { extendDictionary: domainEntries });
+
+    expect(compressed).toContain('帳');
+    expect(compressed).toContain(getDictionary().forward.filter);
+    expect(semanticKanji.decompress(compressed, 'kanji', { extendDictionary: domainEntries }))
+      .toContain('ledgerEntry.filter');
+  });
+
+  test('Replaces the bundled dictionary', () => {
+    const compressed = semanticKanji.compress(domainCode, 'kanji', { dictionary: domainEntries });
+
+    expect(compressed).toContain('const entries');
+    expect(compressed).toContain('e.租===租');
+  });
+
+  test('Rejects extensions that reuse a bundled Kanji', () => {
+    const clash = { tenantId: getDictionary().forward.function };
+
+    expect(() => semanticKanji.compress(domainCode, 'kanji', { extendDictionary: clash }))
+      .toThrow(DictionaryError);
+  });
+
+  test('Embeds the custom entries in the container header', () => {
+    const compressed = semanticKanji.compress(domainCode, 'kanji', {
+      header: true,
+      lossless: true,
+      extendDictionary: domainEntries
+    });
+
+    expect(compressed.split('\n')[1]).toBe('//@dict kanji@2:tenantId=租,ledgerEntry=帳,invoiceLineItem=請');
+    expect(semanticKanji.decompress(compressed)).toBe(domainCode);
+  });
+
+  test('References the dictionary when it is not embedded', () => {
+    const options = { header: true, lossless: true, dictionary: domainEntries, embedDictionary: false };
+    const compressed = semanticKanji.compress(domainCode, 'kanji', options);
+
+    expect(compressed).not.toContain('//@dict');
+    expect(() => semanticKanji.decompress(compressed)).toThrow('which is not embedded');
+    expect(() => semanticKanji.decompress(compressed, 'auto', { dictionary: { tenantId: '租' } }))
+      .toThrow('refusing to decode with a different dictionary');
+    expect(semanticKanji.decompress(compressed, 'auto', { dictionary: domainEntries })).toBe(domainCode);
+  });
+
+  test('Uses the module dictionary in both directions', () => {
+    const instance = new SemanticKanjiModule({ extendDictionary: domainEntries });
+    const compressed = instance.compress(domainCode, 'kanji');
+
+    expect(compressed).toContain('帳');
+    expect(instance.decompress(compressed, 'kanji')).toContain('ledgerEntry');
+  });
+});
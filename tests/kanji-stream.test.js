@@ -0,0 +1,128 @@
+/**
+ * Tests for compression and decompression streams
+ */
+
+const { Readable } = require('stream');
+const jsKanji = require('../index');
+const { FormatError } = require('../errors');
+
+const CODE = `/**
+ * Ledger of one tenant — 帳簿 🧾
+ */
+const PATTERN = /[\\p{ID_Start}]+;}/u;
+let total = 0;
+
+function postLedgerEntry(tenantId, ledgerEntry) {
+  if (ledgerEntry.tenantId !== tenantId) {
+    throw new Error(\`Entry of \${tenantId};
+belongs to \${ledgerEntry.tenantId}\`);
+  }
+  total = total / 2 + ledgerEntry.amount;
+  return PATTERN.test(ledgerEntry.note);
+}
+
+module.exports = { postLedgerEntry };
+`;
+
+const VIEW = `export const View = ({ tenantId }: { tenantId: string }) => (
+  <div className="ledger">
+    {tenantId}; total
+    {entries.map(entry => <span key={entry.id}>{entry.amount}</span>)}
+  </div>
+);
+export function render(): void {}
+`;
+
+/**
+ * Write text to a stream in chunks of some bytes and read what it gives
+ *
+ * @param {Transform} stream - Stream to write to
+ * @param {string} text - Text to write
+ * @param {number} size - Bytes per chunk, splitting characters too
+ * @return {Promise<string>} - Everything the stream gave
+ */
+async function streamText(stream, text, size) {
+  const bytes = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) chunks.push(bytes.subarray(i, i + size));
+
+  let output = '';
+  for await (const chunk of Readable.from(chunks).pipe(stream)) output += chunk;
+  return output;
+}
+
+describe('Streams', () => {
+  test('Compresses code in chunks to the same output as compress', async () => {
+    for (const options of [{ header: true }, { lossless: true, header: true }, { preserveLineBreaks: false }]) {
+      const expected = jsKanji.compress(CODE, 'kanji', options);
+      for (const size of [1, 5, 64, 100000]) {
+        expect(await streamText(jsKanji.createCompressStream(options), CODE, size)).toBe(expected);
+      }
+    }
+  });
+
+  test('Compresses TypeScript with JSX elements in chunks', async () => {
+    const options = { language: 'typescript', jsx: true, lossless: true };
+    const expected = jsKanji.compress(VIEW, 'kanji', options);
+
+    for (const size of [1, 7, 40]) {
+      expect(await streamText(jsKanji.createCompressStream('kanji', options), VIEW, size)).toBe(expected);
+    }
+    expect(await streamText(jsKanji.createCompressStream(), '', 1)).toBe('');
+  });
+
+  test('Decompresses streamed code', async () => {
+    const lossless = jsKanji.compress(CODE, 'kanji', { lossless: true, header: true });
+    expect(await streamText(jsKanji.createDecompressStream(), lossless, 3)).toBe(CODE);
+
+    const compressed = jsKanji.compress(CODE, 'kanji', { header: true });
+    const expected = jsKanji.decompress(compressed, 'kanji', { reindent: true });
+    for (const size of [2, 50]) {
+      expect(await streamText(jsKanji.createDecompressStream('auto'), compressed, size)).toBe(expected);
+    }
+    expect(expected).toContain('function postLedgerEntry(tenantId,ledgerEntry){\n  if(');
+  });
+
+  test('Decompresses a wrapped bundle as it is read', async () => {
+    const bundle = `(function () {\n${CODE.repeat(400)}})();\n`;
+    const compressed = jsKanji.compress(bundle, 'kanji', { header: true });
+    const expected = jsKanji.decompress(compressed, 'kanji', { reindent: true });
+
+    const stream = jsKanji.createDecompressStream();
+    let output = '';
+    stream.on('data', chunk => {
+      output += chunk;
+    });
+    const ended = new Promise(resolve => stream.on('end', resolve));
+
+    const bytes = Buffer.from(compressed, 'utf8');
+    for (let i = 0; i < bytes.length; i += 4096) stream.write(bytes.subarray(i, i + 4096));
+    expect(output.length).toBeGreaterThan(expected.length / 2);
+
+    stream.end();
+    await ended;
+    expect(output).toBe(expected);
+    expect(expected).toContain('\n  function postLedgerEntry(tenantId,ledgerEntry){\n    if(');
+  });
+
+  test('Decompresses outlines and code without a header', async () => {
+    const outline = jsKanji.compress(CODE, 'outline', { header: true });
+    expect(await streamText(jsKanji.createDecompressStream(), outline, 4))
+      .toBe(jsKanji.decompress(outline, 'outline', { reindent: true }));
+
+    const bare = jsKanji.compress(VIEW, 'kanji', { language: 'typescript', jsx: true });
+    expect(await streamText(jsKanji.createDecompressStream('kanji', { language: 'typescript', jsx: true }), bare, 6))
+      .toBe(jsKanji.decompress(bare, 'kanji', { language: 'typescript', jsx: true }));
+  });
+
+  test('Refuses what needs the whole code at once', async () => {
+    expect(() => jsKanji.createCompressStream('semantic-kanji')).toThrow(/needs the whole code at once/);
+    expect(() => jsKanji.createCompressStream({ renameLocals: true })).toThrow(/renameLocals option/);
+    expect(() => jsKanji.createDecompressStream('auto', { sourceMap: true })).toThrow(/sourceMap option/);
+
+    const moved = jsKanji.compress('import ledger from \'./ledger\';\nledger.open();\nexport { ledger };\n', 'kanji', { moduleHeader: true });
+    await expect(streamText(jsKanji.createDecompressStream(), moved, 10)).rejects.toThrow(FormatError);
+    const semantic = jsKanji.compress(CODE, 'semantic-kanji', { header: true });
+    await expect(streamText(jsKanji.createDecompressStream(), semantic, 10)).rejects.toThrow(/Semantic-Kanji code/);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for moving import and export declarations into the header
+ */
+
+const jsKanji = require('../index');
+const { extractModules, serializeModules, parseModules, restoreModules } = require('../module-header');
+const { originalPositionFor } = require('../source-map');
+const { FormatError } = require('../errors');
+
+const CARD = `// Card component
+import React, { useState, useEffect as onMount } from 'react';
+import * as api from "./api/client";
+import './card.css'
+export * from './card-types';
+
+// Loads the item once
+function Card({ id }) {
+  const [item, setItem] = useState(null);
+  onMount(() => api.load(id).then(setItem), [id]);
+  return item;
+}
+
+export { Card, Card as default } from './card';
+export { item as selected };
+`;
+
+describe('Module Header', () => {
+  test('Moves the declarations at the top and end of a module', () => {
+    const { code, modules } = extractModules(CARD);
+
+    expect(code).toBe(`// Card component
+// Loads the item once
+function Card({ id }) {
+  const [item, setItem] = useState(null);
+  onMount(() => api.load(id).then(setItem), [id]);
+  return item;
+}
+`);
+    expect(serializeModules(modules)).toEqual({
+      from: `'react' "./api/client" './card.css' './card-types' './card'`,
+      mod: '1;i0 React,{useState,useEffect as onMount};i1 * as api;I2;e3 *;~;e4 {Card,Card as default};e {item as selected}'
+    });
+    expect(restoreModules(code, parseModules(serializeModules(modules)))).toBe(CARD);
+  });
+
+  test('Leaves other declarations in the code', () => {
+    const code = `import a from 'a';
+import { b, // the b
+  c } from 'b';
+export const c = import('./c');
+export default a.b;
+export function d() { return import.meta.url; }
+`;
+
+    expect(extractModules(code).code).toBe(code.replace("import a from 'a';\n", ''));
+    expect(extractModules(code.slice(code.indexOf('import {'))).modules).toBeNull();
+    expect(extractModules('import a from "a" with { type: `json` };\nrun();').modules).toBeNull();
+    expect(extractModules('import {} from "x"; import from from "from"\nrun();').modules.head)
+      .toEqual([
+        { keyword: 'import', bindings: '{}', source: 0, semicolon: true },
+        { keyword: 'import', bindings: 'from', source: 1, semicolon: false }
+      ]);
+  });
+
+  test('Moves comments, import attributes and a default export with the declarations', () => {
+    const code = `// Ledger view
+import React from 'react';
+
+// third-party
+import dayjs from 'dayjs'; // dates
+/* data */
+import rates from './rates.json' with { type: 'json' };
+
+// Renders one entry
+function Ledger() {
+  return dayjs(rates.day);
+}
+
+export { rates };
+// the view
+export default Ledger;
+`;
+    const { code: remaining, modules } = extractModules(code);
+
+    expect(remaining).toBe(`// Ledger view
+// Renders one entry
+function Ledger() {
+  return dayjs(rates.day);
+}
+`);
+    expect(serializeModules(modules).mod).toBe(
+      '1;i0 React;c "// third-party";i1 dayjs;C "// dates";c "/* data */";i2 rates with { type: \'json\' };~;' +
+      'e {rates};c "// the view";e default Ledger'
+    );
+    expect(restoreModules(remaining, parseModules(serializeModules(modules))))
+      .toBe(code.replace("'react';\n\n", "'react';\n"));
+    expect(extractModules(code, { removeComments: true }).modules.head.map(entry => entry.bindings))
+      .toEqual(['React', 'dayjs', 'rates']);
+
+    for (const method of ['kanji', 'semantic-kanji']) {
+      const compressed = jsKanji.compress(code, method, { moduleHeader: true, verify: true });
+      expect(compressed).not.toMatch(/third-party\n|入|import/);
+      expect(jsKanji.utils.findFirstDifference(code, jsKanji.decompress(compressed), 'tokens')).toBeNull();
+    }
+  });
+
+  test('Compresses modules with the declarations in the header', () => {
+    for (const method of ['kanji', 'semantic-kanji']) {
+      const compressed = jsKanji.compress(CARD, method, { moduleHeader: true, renameLocals: true, verify: true });
+
+      expect(compressed).toMatch(/^\/\/@kjs\/1 [^\n]*\n(\/\/@names [^\n]*\n)?\/\/@from 'react' /);
+      expect(compressed).not.toMatch(/入|import/);
+      expect(jsKanji.utils.findFirstDifference(CARD, jsKanji.decompress(compressed), 'tokens')).toBeNull();
+    }
+
+    expect(jsKanji.compress(CARD, 'kanji', { moduleHeader: true, lossless: true })).toContain("入 './card.css'");
+  });
+
+  test('Moves TypeScript and JSX declarations and maps around them', () => {
+    const typed = "import type { User } from './user'\nimport { type Role, roles } from './roles'\n\nlet user: User;\n";
+    const compressed = jsKanji.compress(typed, 'kanji', { language: 'typescript', moduleHeader: true, verify: true });
+    expect(jsKanji.readHeader(compressed).sections.mod).toBe('I0 type{User};I1 {type Role,roles};~');
+
+    const view = "import { Card } from './card';\n\nconst view = <Card id={1} />;\n";
+    const { code, map } = jsKanji.decompress(
+      jsKanji.compress(view, 'kanji', { jsx: true, moduleHeader: true }),
+      'auto',
+      { sourceMap: true }
+    );
+    expect(jsKanji.utils.findFirstDifference(view, code, 'tokens', { jsx: true })).toBeNull();
+    expect(originalPositionFor(map, { line: 1 })).toMatchObject({ line: 4, column: 0 });
+    expect(originalPositionFor(map, { line: 3, column: 6 })).toMatchObject({ line: 4, column: 2 });
+  });
+
+  test('Rejects malformed module sections', () => {
+    expect(() => parseModules({ from: "'a'", mod: 'i1 b;~' })).toThrow(FormatError);
+    expect(() => parseModules({ from: 'a', mod: '~' })).toThrow(/Malformed module specifiers/);
+    expect(() => parseModules({ from: "'a'", mod: 'i0 b' })).toThrow(/Malformed module header/);
+    expect(() => parseModules({ from: "'a'", mod: 'i0 b;c "run();";~' })).toThrow(/Malformed module header/);
+    expect(() => parseModules({ from: "'a'", mod: 'e b with { type: "json" };~' })).toThrow(/Malformed module header/);
+    expect(parseModules({})).toBeNull();
+  });
+});
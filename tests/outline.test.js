@@ -0,0 +1,184 @@
+/**
+ * Tests for the outline method
+ */
+
+const jsKanji = require('../index');
+const { createOutline, expandOutline } = require('../outline');
+const { parseCode } = require('../js-parser');
+
+const LEDGER = `const { tenantOf } = require('./tenant');
+
+/**
+ * Ledger of one tenant
+ *
+ * Entries are kept in the order they were posted.
+ */
+class Ledger {
+  #entries = [];
+  static LIMIT = 100;
+
+  constructor(tenantId) {
+    this.tenantId = tenantId;
+  }
+
+  /**
+   * Post an entry to the ledger
+   * @param {Object} ledgerEntry - Entry to post
+   */
+  post(ledgerEntry) {
+    this.#entries.push(ledgerEntry);
+    return this.#entries.length;
+  }
+
+  #check(ledgerEntry) {
+    return tenantOf(ledgerEntry) === this.tenantId;
+  }
+}
+
+function openLedger(tenantId) {
+  return new Ledger(tenantId);
+}
+
+const ledgers = new Map();
+openLedger('default');
+
+module.exports = { Ledger, openLedger, ledgers };
+`;
+
+const FORMAT = `import type { Entry } from './ledger';
+
+export interface FormatOptions {
+  currency: string;
+}
+
+const cache = new Map<string, string>();
+
+/** Format entries, one per line */
+export function format(entries: Entry[], options?: FormatOptions): string {
+  return entries.map(entry => \`\${entry.tenantId}: \${entry.amount}\`).join('\\n');
+}
+
+export const SEPARATOR = '\\n', render = (entry: Entry): string => {
+  return format([entry]);
+};
+
+function helper(): void {}
+`;
+
+describe('Outlines', () => {
+  test('Keeps the exports of a CommonJS module without bodies', () => {
+    expect(createOutline(LEDGER).code).toBe(`/** Ledger of one tenant */
+class Ledger {
+  static LIMIT = 100;
+  constructor(tenantId) {…}
+  /** Post an entry to the ledger */
+  post(ledgerEntry) {…}
+}
+function openLedger(tenantId) {…}
+const ledgers = …;
+module.exports = { Ledger, openLedger, ledgers };
+`);
+  });
+
+  test('Keeps the exported declarations and types of a TypeScript module', () => {
+    const { code } = createOutline(FORMAT, { language: 'typescript' });
+
+    expect(code).toBe(`export interface FormatOptions {
+  currency: string;
+}
+/** Format entries, one per line */
+export function format(entries: Entry[], options?: FormatOptions): string {…}
+export const SEPARATOR = '\\n', render = (entry: Entry): string => {…};
+`);
+  });
+
+  test('Keeps functions, classes and types of a module without exports', () => {
+    const code = 'const a = compute();\nconst twice = x => x * 2;\nclass Point {}\nrun();\n';
+    expect(createOutline(code).code).toBe('const twice = x => x * 2;\nclass Point {}\n');
+    expect(createOutline('run();\n').code).toBe('');
+    expect(jsKanji.compress('run();\n', 'outline', { verify: true })).toBe('');
+    expect(jsKanji.decompress(jsKanji.compress('run();\n', 'outline', { verify: true }), 'outline')).toBe('');
+  });
+
+  test('Leaves out the bodies of methods named with reserved words', () => {
+    const store = `class Store {
+  delete(key) { return this.entries.delete(key); }
+  static of(items) { return new Store(items); }
+  get default() { return this.entries.get('default'); }
+  *in() { yield* this.entries; }
+}
+module.exports = {
+  Store,
+  new(items) { return new Store(items); },
+  async of(items) { return Store.of(await items); }
+};
+`;
+    expect(createOutline(store).code).toBe(`class Store {
+  delete(key) {…}
+  static of(items) {…}
+  get default() {…}
+  *in() {…}
+}
+module.exports = {
+  Store,
+  new(items) {…},
+  async of(items) {…}
+};
+`);
+  });
+
+  test('Skips type parameters with object types in a TypeScript heading', () => {
+    const repo = `export class Repo<T extends { id: string }> extends Base<{ id: string }> {
+  find(id: string): T | undefined { return this.items.get(id); }
+}
+export interface Store<T extends { id: string }> {
+  get(id: string): T;
+}
+export function pick<T extends { at: (i: number) => T }>(items: T): T { return items.at(0); }
+`;
+    expect(createOutline(repo, { language: 'typescript' }).code).toBe(`export class Repo<T extends { id: string }> extends Base<{ id: string }> {
+  find(id: string): T | undefined {…}
+}
+export interface Store<T extends { id: string }> {
+  get(id: string): T;
+}
+export function pick<T extends { at: (i: number) => T }>(items: T): T {…}
+`);
+  });
+
+  test('Verifies that the stub code parses', () => {
+    jest.isolateModules(() => {
+      jest.doMock('../outline', () => ({
+        ...jest.requireActual('../outline'),
+        createOutline: () => ({ code: 'export class Repo<T extends{ id:string }\n', mappings: [] })
+      }));
+      const isolated = require('../index');
+
+      expect(() => isolated.compress('export class Repo {}\n', 'outline', { verify: true }))
+        .toThrow(expect.objectContaining({ name: 'RoundTripError', mode: 'syntax' }));
+    });
+    jest.dontMock('../outline');
+  });
+
+  test('Turns the markers into stub code', () => {
+    expect(expandOutline('function f(a) {…}\nconst b = …;\n'))
+      .toBe('function f(a) { /* … */ }\nconst b = /* … */ undefined;\n');
+    expect(expandOutline('const s = \'{…}\'; // …\n')).toBe('const s = \'{…}\'; // …\n');
+  });
+
+  test('Compresses an outline that decompresses to valid stub code', () => {
+    const compressed = jsKanji.compress(LEDGER, 'outline', { header: true, verify: true });
+    expect(compressed.startsWith('//@kjs/1 m=outline ')).toBe(true);
+    expect(compressed).toContain('{…}');
+    expect(compressed).not.toContain('tenantOf');
+
+    const stub = jsKanji.decompress(compressed);
+    expect(stub).toContain('post(ledgerEntry) {\n    /* … */\n  }');
+    expect(parseCode(stub)).not.toBeNull();
+
+    const typed = jsKanji.compress(FORMAT, 'outline', { language: 'typescript', lossless: true, verify: true });
+    expect(jsKanji.decompress(typed, 'outline', { language: 'typescript', lossless: true }))
+      .toBe(expandOutline(createOutline(FORMAT, { language: 'typescript' }).code));
+    expect(() => jsKanji.decompress(compressed, 'kanji')).toThrow(/compressed with method "outline"/);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for structural pattern matching
+ */
+
+const semanticKanji = require('../index');
+const { applyPatterns, findPatternMatches, captures } = require('../pattern-matcher');
+const semanticPatterns = require('../semantic-patterns');
+
+// Express GET handler as Prettier formats it
+const PRETTIER_HANDLER = `app.get("/users", async (req, res) => {
+  try {
+    const users = await User.find();
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error("Fetch users:", error.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+`;
+
+const patterns = {
+  'const $1 = require($2);': '引($1, $2)',
+  'if ($1) {\n  $2\n}': '若($1, $2)',
+  '$1 = $1 + 1;': '増($1)',
+  "console.error('$1:', $2);": '誤($1, $2)',
+  'function (': '壊()'
+};
+
+describe('Pattern Matcher', () => {
+  test('Matches Prettier-formatted Express handlers', () => {
+    const [match] = findPatternMatches(PRETTIER_HANDLER, semanticPatterns);
+
+    expect(match.start).toBe(0);
+    expect(captures(PRETTIER_HANDLER, match)).toEqual({
+      1: '/users',
+      2: 'const users = await User.find();',
+      3: 'users',
+      4: 'Fetch users',
+      5: 'Server error'
+    });
+  });
+
+  test('Ignores quotes, whitespace and semicolons', () => {
+    expect(applyPatterns('const fs = require("fs")', patterns)).toBe('引(fs, "fs")');
+    expect(applyPatterns('const   fs=require( `fs` );', patterns)).toBe('引(fs, `fs`)');
+  });
+
+  test('Only matches names in identifier holes', () => {
+    const code = "const { readFile } = require('fs');";
+
+    expect(applyPatterns(code, patterns)).toBe(code);
+  });
+
+  test('Matches zero or more statements in statement list holes', () => {
+    expect(applyPatterns('if (ready) {}', patterns)).toBe('若(ready, )');
+    expect(applyPatterns('if (ready) { a(); b(); }', patterns)).toBe('若(ready, a(); b();)');
+  });
+
+  test('Requires repeated holes to match the same code', () => {
+    expect(applyPatterns('count = count + 1;', patterns)).toBe('増(count)');
+    expect(applyPatterns('count = total + 1;', patterns)).toBe('count = total + 1;');
+    expect(applyPatterns('a.b = a.b + 1;', patterns)).toBe('増(a.b)');
+  });
+
+  test('Matches holes inside strings', () => {
+    expect(applyPatterns('console.error("Load failed:", err);', patterns)).toBe('誤(Load failed, err)');
+    expect(applyPatterns('console.error("Load failed", err);', patterns))
+      .toBe('console.error("Load failed", err);');
+  });
+
+  test('Replaces matches nested inside holes', () => {
+    expect(applyPatterns('if (ready) {\n  count = count + 1;\n}', patterns)).toBe('若(ready, 増(count))');
+  });
+
+  test('Leaves code that does not parse unchanged', () => {
+    const code = 'const fs = require("fs"';
+
+    expect(applyPatterns(code, patterns)).toBe(code);
+    expect(findPatternMatches('function () {}', { 'function (': '壊()' })).toEqual([]);
+  });
+
+  test('Compresses formatted code semantically', () => {
+    const compressed = semanticKanji.compress(PRETTIER_HANDLER, 'semantic-kanji');
+
+    expect(compressed).toContain('"/users"');
+    expect(compressed).not.toContain('res.status');
+  });
+
+  test('Keeps double-quoted strings in holes double-quoted', () => {
+    expect(applyPatterns('console.error("Load failed:", err);', { "console.error('$1:', $2);": "誤('$1', $2)" }))
+      .toBe('誤("Load failed", err)');
+
+    const compressed = semanticKanji.compress(PRETTIER_HANDLER, 'semantic-kanji', { verify: true });
+    const restored = semanticKanji.decompress(compressed, 'semantic-kanji');
+    expect(restored).toContain('app.get("/users", async (req, res) => {');
+    expect(restored).toContain('console.error("Fetch users:", error.message);');
+    expect(restored).toContain('json({ error: "Server error" })');
+  });
+});
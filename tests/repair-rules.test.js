@@ -0,0 +1,76 @@
+/**
+ * Tests for the repair rules of the decompressor
+ */
+
+const jsKanji = require('../index');
+const { BUILT_IN_RULES, selectRules, validateRule } = require('../repair-rules');
+const { RepairRuleError } = require('../errors');
+
+const CODE = `const last = stack.pop();
+const values = Array.values ? Array.values(list) : [];
+fetch(error);
+const id = 'user-profile';
+const api = 'api. example';
+const ratio = total / count;`;
+
+const LEGACY = '定 r=待 送信.取(url);定 top=stack.取();獲(url).続(r=>r).獲(e=>件.title);';
+
+describe('Repair Rules', () => {
+  test.each(BUILT_IN_RULES.map(rule => [rule.name, rule]))('Built-in rule %s passes its tests', (name, rule) => {
+    expect(rule.tests.length).toBeGreaterThan(0);
+    expect(jsKanji.checkRepairRule(rule)).toEqual([]);
+  });
+
+  test('Leaves code alone that the dictionary decodes', () => {
+    const compressed = jsKanji.compress(CODE, 'kanji');
+
+    expect(jsKanji.decompress(compressed, 'kanji')).toBe(CODE);
+  });
+
+  test('Decodes the ambiguous Kanji of version 1 by their context', () => {
+    expect(jsKanji.decompress(LEGACY, 'kanji', { dictionaryVersion: 1 })).toBe([
+      'const r = await axios.get(url);',
+      'const top = stack.pop();',
+      'fetch(url).then(r => r).catch(e => document.title);'
+    ].join('\n'));
+    expect(jsKanji.decompress(LEGACY, 'kanji', { dictionaryVersion: 1, repairs: { 'legacy-fetch-catch': false } }))
+      .toContain('fetch(url).then(r => r).fetch(e => document.title);');
+  });
+
+  test('Switches rules on and off by name', () => {
+    const edited = "定 f=x = > x;定 u='https:// example.com';";
+
+    expect(jsKanji.decompress(edited, 'kanji', { formatOutput: false }))
+      .toBe("const f=x = > x;const u='https:// example.com';");
+    expect(jsKanji.decompress(edited, 'kanji', { repairs: { 'split-arrow': true, 'spaced-url': true } }))
+      .toBe("const f = x => x;\nconst u = 'https://example.com';");
+    expect(selectRules({ repairs: { 'legacy-get-pop': false } }).map(rule => rule.name))
+      .toEqual(['legacy-document-file', 'legacy-fetch-catch']);
+    expect(() => jsKanji.decompress(edited, 'kanji', { repairs: { 'no-such-rule': true } }))
+      .toThrow(RepairRuleError);
+  });
+
+  test('Runs rules of your own, with their preconditions', () => {
+    const rules = [
+      {
+        name: 'project-logger',
+        stage: 'code',
+        when: context => context.options.project === 'shop',
+        pattern: /\bconsole\.log\(/g,
+        replacement: 'logger.info(',
+        tests: [
+          { input: "console.log('console.log(')", output: "logger.info('console.log(')", options: { project: 'shop' } },
+          { input: 'console.log(x)', output: 'console.log(x)' }
+        ]
+      },
+      { name: 'shout', stage: 'kanji', apply: code => code.toUpperCase(), tests: [{ input: 'a', output: 'b' }] }
+    ];
+
+    expect(jsKanji.checkRepairRule(rules[0])).toEqual([]);
+    expect(jsKanji.checkRepairRule(rules[1])).toEqual([{ input: 'a', expected: 'b', actual: 'A' }]);
+    expect(jsKanji.decompress('示.録(1);', 'kanji', { repairRules: rules.slice(0, 1), project: 'shop' }))
+      .toBe('logger.info(1);');
+    expect(() => validateRule({ name: 'Bad Name', stage: 'code', apply: code => code })).toThrow(RepairRuleError);
+    expect(() => validateRule({ name: 'no-replacement', stage: 'code', pattern: /x/g })).toThrow(/pattern and replacement/);
+  });
+});
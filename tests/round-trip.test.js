@@ -0,0 +1,126 @@
+/**
+ * Tests for lossless compression and round-trip verification
+ */
+
+const semanticKanji = require('../index');
+const jsKanji = require('../js-kanji-compressor');
+const decompressor = require('../js-kanji-decompressor');
+const { RoundTripError } = require('../errors');
+
+const sampleCode = `/**
+ * Fetch a user record
+ */
+async function getUser(id) {
+  const url = 'https://api.example.com/users/get?id=' + id;
+  const sql = "SELECT * FROM users WHERE id = ?";   // aligned comment
+  const response = await axios.get(url);
+  if (!/^2\\d\\d$/.test(String(response.status))) {
+    throw new Error(\`Request failed: \${response.status}\`);
+  }
+  return response.data;
+}
+`;
+
+describe('Lossless Compression', () => {
+  test('Reproduces the original bytes', () => {
+    const compressed = jsKanji.compress(sampleCode, { lossless: true });
+    
+    expect(compressed.length).toBeLessThan(sampleCode.length);
+    expect(decompressor.decompress(compressed, { lossless: true })).toBe(sampleCode);
+  });
+  
+  test('Reproduces the original bytes through the main API', () => {
+    ['kanji', 'semantic-kanji'].forEach(method => {
+      const compressed = semanticKanji.compress(sampleCode, method, { lossless: true });
+      expect(semanticKanji.decompress(compressed, 'auto', { lossless: true })).toBe(sampleCode);
+    });
+  });
+  
+  test('Escapes identifiers that look like compressed symbols', () => {
+    const { escape } = jsKanji.getLosslessTable();
+    const kanji = jsKanji.dictionary.function;
+    const code = `const ${kanji} = 1; let ${escape}x = ${kanji} + 1; function f() {}`;
+    
+    const compressed = jsKanji.compress(code, { lossless: true });
+    expect(compressed).toContain(escape + kanji);
+    expect(decompressor.decompress(compressed, { lossless: true })).toBe(code);
+  });
+  
+  test('Only uses substitutions that can be reversed', () => {
+    const { forward, reverse } = jsKanji.getLosslessTable();
+    
+    Object.entries(forward).forEach(([word, kanji]) => {
+      expect(reverse[kanji]).toBe(word);
+    });
+  });
+  
+  test('Keeps regex literals after substituted keywords', () => {
+    const code = 'function f(s) { return /取|get/.test(s) ? 1 : 2 / 3; }';
+    const compressed = jsKanji.compress(code, { lossless: true });
+    
+    expect(decompressor.decompress(compressed, { lossless: true })).toBe(code);
+  });
+  
+  test('Handles empty input', () => {
+    expect(semanticKanji.compress('', 'kanji', { lossless: true, verify: true })).toBe('');
+    for (const method of ['kanji', 'semantic-kanji', 'outline']) {
+      expect(semanticKanji.compress('', method, { verify: true })).toBe('');
+      expect(semanticKanji.compress(' \n', method, { verify: true })).toBe('');
+      expect(semanticKanji.decompress(semanticKanji.compress('', method, { header: true }))).toBe('');
+    }
+  });
+});
+
+describe('Round-Trip Verification', () => {
+  test('Passes for lossless output', () => {
+    expect(() => {
+      semanticKanji.compress(sampleCode, 'kanji', { lossless: true, verify: true });
+    }).not.toThrow();
+  });
+  
+  test('Passes when only formatting changes', () => {
+    expect(() => {
+      semanticKanji.compress('function test() { return true; }', 'kanji', { verify: true });
+    }).not.toThrow();
+  });
+
+  test('Passes for code without semicolons', () => {
+    expect(() => {
+      semanticKanji.compress('x = y ? .5 : 1', 'kanji', { verify: true });
+      semanticKanji.compress('const a = 1\nconst b = 2', 'semantic-kanji', { verify: true });
+    }).not.toThrow();
+  });
+
+  test('Throws a RoundTripError at the first difference', () => {
+    jest.spyOn(decompressor, 'decompress').mockImplementation(() => 'function test() {\n  return false;\n}');
+    
+    let error;
+    try {
+      semanticKanji.compress('function test() {\n  return true;\n}', 'kanji', { verify: true });
+    } catch (e) {
+      error = e;
+    }
+    
+    expect(error).toBeInstanceOf(RoundTripError);
+    expect(error).toBeInstanceOf(semanticKanji.RoundTripError);
+    expect(error.mode).toBe('tokens');
+    expect(error.line).toBe(2);
+    expect(error.column).toBe(9);
+    expect(error.expected).toBe('true');
+    expect(error.actual).toBe('false');
+  });
+  
+  test('Reports byte positions in lossless mode', () => {
+    jest.spyOn(decompressor, 'decompress').mockImplementation(() => 'let a = 1;\nlet b  = 2;');
+    
+    expect(() => {
+      semanticKanji.compress('let a = 1;\nlet b = 2;', 'kanji', { lossless: true, verify: true });
+    }).toThrow(expect.objectContaining({
+      name: 'RoundTripError',
+      mode: 'bytes',
+      position: 17,
+      line: 2,
+      column: 6
+    }));
+  });
+});
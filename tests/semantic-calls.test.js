@@ -0,0 +1,69 @@
+/**
+ * Tests for parsing and expanding semantic calls
+ */
+
+const semanticKanji = require('../index');
+const { expandSemanticCalls, parseArguments } = require('../semantic-calls');
+
+const patterns = {
+  // Comment entries are not patterns
+  '// Fetch helpers': '',
+  'async function $1($2) {\n  const response = await fetch($2);\n  return $3(response);\n}': '웃($1, $2, $3)',
+  "console.error('$1:', $2);": '誤($2, "$1")',
+  'if ($1) {\n  $2\n}': '若($1, $2)',
+  'app.listen(3000);': 'app.聴()',
+  "console.log('done');": '聴()'
+};
+
+describe('Semantic Calls', () => {
+  test('Splits arguments only at top-level commas', () => {
+    const text = "웃(a, (e) => f(a, b), [1, 2], { x: 1, y: 2 }, 'c, d', `${g(1, 2)}, e`, /* , */ h)";
+
+    expect(parseArguments(text, 1)).toMatchObject({
+      args: ['a', '(e) => f(a, b)', '[1, 2]', '{ x: 1, y: 2 }', "'c, d'", '`${g(1, 2)}, e`', '/* , */ h'],
+      end: text.length
+    });
+    expect(parseArguments('f()', 1).args).toEqual([]);
+    expect(parseArguments('f(a, ', 1)).toBeNull();
+    expect(parseArguments('f(a, ")")', 1).args).toEqual(['a', '")"']);
+  });
+
+  test('Expands calls whose arguments contain commas and parentheses', () => {
+    expect(expandSemanticCalls('웃(fetchUser, url, (e) => f(a, b))', patterns)).toBe(
+      'async function fetchUser(url) {\n' +
+      '  const response = await fetch(url);\n' +
+      '  return (e) => f(a, b)(response);\n' +
+      '}'
+    );
+  });
+
+  test('Copies the contents of quoted arguments with their quotes', () => {
+    expect(expandSemanticCalls("誤(err, 'Load failed')", patterns)).toBe("console.error('Load failed:', err);");
+    expect(expandSemanticCalls('誤(err, "Load failed")', patterns)).toBe('console.error("Load failed:", err);');
+    expect(expandSemanticCalls('誤(err, failed)', patterns)).toBe('誤(err, failed)');
+  });
+
+  test('Expands nested calls and indents statement lists', () => {
+    const expanded = expandSemanticCalls('若(ready, 誤(err, "Boot")\nstart();)', patterns);
+
+    expect(expanded).toBe('if (ready) {\n  console.error("Boot:", err);\n  start();\n}');
+    expect(expandSemanticCalls('若(ready, )', patterns)).toBe('if (ready) {\n}');
+  });
+
+  test('Leaves strings, comments and unknown calls alone', () => {
+    const code = "log('聴()'); // 聴()\nx.聴(); 若(a, b, c)";
+
+    expect(expandSemanticCalls(code, patterns)).toBe(code);
+    expect(expandSemanticCalls('app.聴()\n聴()', patterns)).toBe("app.listen(3000);\nconsole.log('done');");
+  });
+
+  test('Round-trips nested arguments through semantic compression', () => {
+    const code = 'if (ready) {\n  count = count + 1;\n  notify(users, (u) => send(u, { retry: 2 }));\n}';
+    const table = { 'if ($1) {\n  $2\n}': '若($1, $2)', '$1 = $1 + 1;': '増($1)' };
+    const compressed = semanticKanji.compress(code, 'semantic-kanji', { patterns: table });
+
+    expect(compressed).toContain('若(');
+    expect(compressed).toContain('増(');
+    expect(semanticKanji.decompress(compressed, 'semantic-kanji', { patterns: table })).toBe(code);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for source maps between original, compressed and decompressed code
+ */
+
+const semanticKanji = require('../index');
+const {
+  createSourceMap,
+  decodeMappings,
+  originalPositionFor,
+  composeMappings,
+  alignTokens
+} = require('../source-map');
+
+const HANDLER = `const express = require("express");
+const app = express();
+
+app.get("/users", async (req, res) => {
+  try {
+    const users = await User.find();
+    return res.status(200).json(users);
+  } catch (error) {
+    console.error("Fetch users:", error.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+function add(a, b) {
+  return a + b;
+}
+`;
+
+/**
+ * Find the generated line that contains a piece of text
+ */
+function lineOf(code, text) {
+  return code.slice(0, code.indexOf(text)).split('\n').length;
+}
+
+describe('Source Maps', () => {
+  test('Encodes and decodes mappings', () => {
+    const generated = 'ab\ncd';
+    const original = 'x\n\nabcdefghijklmnopqrstuvwxyz-ab\ncd';
+    const map = createSourceMap([
+      { generated: 3, original: 33, name: 'cd' },
+      { generated: 0, original: 30 },
+      { generated: 1, original: 3 }
+    ], generated, original, { file: 'out.js', source: 'in.js', includeContent: true });
+
+    expect(map).toMatchObject({ version: 3, file: 'out.js', sources: ['in.js'], sourcesContent: [original], names: ['cd'] });
+    expect(decodeMappings(map.mappings)).toEqual([
+      [
+        { column: 0, source: 0, line: 3, sourceColumn: 27, name: null },
+        { column: 1, source: 0, line: 3, sourceColumn: 0, name: null }
+      ],
+      [{ column: 0, source: 0, line: 4, sourceColumn: 0, name: 0 }]
+    ]);
+    expect(originalPositionFor(map, { line: 1, column: 1 })).toEqual({ source: 'in.js', line: 3, column: 0, name: null });
+    expect(originalPositionFor(map, { line: 2 })).toEqual({ source: 'in.js', line: 4, column: 0, name: 'cd' });
+    expect(originalPositionFor(map, { line: 3 })).toBeNull();
+  });
+
+  test('Maps every line of Kanji output to its original line', () => {
+    const { code, map } = semanticKanji.compress(HANDLER, 'kanji', { header: false, sourceMap: { source: 'app.js' } });
+    const lines = code.split('\n').map((line, i) => originalPositionFor(map, { line: i + 1 }).line);
+
+    expect(lines).toEqual([1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 15, 16]);
+    expect(originalPositionFor(map, { line: lineOf(code, '関 add') })).toEqual({ source: 'app.js', line: 14, column: 0, name: 'function' });
+  });
+
+  test('Accounts for the container header', () => {
+    const { code, map } = semanticKanji.compress(HANDLER, 'kanji', { sourceMap: true, header: true });
+
+    expect(originalPositionFor(map, { line: 1 })).toBeNull();
+    expect(originalPositionFor(map, { line: lineOf(code, '関 add') })).toMatchObject({ line: 14, column: 0 });
+  });
+
+  test('Maps semantic calls to the code they replace', () => {
+    const { code, map } = semanticKanji.compress(HANDLER, 'semantic-kanji', { sourceMap: true });
+    const line = lineOf(code, '웓.웃(');
+    const column = code.split('\n')[line - 1].indexOf('User');
+
+    expect(originalPositionFor(map, { line })).toMatchObject({ line: 4, column: 0 });
+    expect(originalPositionFor(map, { line, column })).toMatchObject({ line: 6, column: 24 });
+    expect(originalPositionFor(map, { line: lineOf(code, '関 add') })).toMatchObject({ line: 14, column: 0 });
+  });
+
+  test('Maps decompressed code back to the compressed code', () => {
+    const compressed = semanticKanji.compress(HANDLER, 'semantic-kanji', { header: true });
+    const { code, map } = semanticKanji.decompress(compressed, 'auto', { sourceMap: { source: 'app.semantic.js' } });
+    const callLine = lineOf(compressed, '웓.웃(');
+
+    expect(originalPositionFor(map, { line: lineOf(code, 'app.get') })).toMatchObject({ source: 'app.semantic.js', line: callLine, column: 0 });
+    expect(originalPositionFor(map, { line: lineOf(code, 'function add') })).toMatchObject({ line: lineOf(compressed, '関 add'), column: 0 });
+    expect(code).toBe(semanticKanji.decompress(compressed));
+  });
+
+  test('Maps lossless output token by token', () => {
+    const code = 'const total = add(price, tax);\nreturn total;';
+    const compressed = semanticKanji.compress(code, 'kanji', { lossless: true, header: false, sourceMap: true });
+    const restored = semanticKanji.decompress(compressed.code, 'kanji', { lossless: true, sourceMap: true });
+
+    expect(restored.code).toBe(code);
+    expect(originalPositionFor(compressed.map, { line: 2, column: 0 })).toMatchObject({ line: 2, column: 0, name: 'return' });
+    expect(originalPositionFor(compressed.map, { line: 2, column: 2 })).toMatchObject({ line: 2, column: 7, name: null });
+    expect(originalPositionFor(restored.map, { line: 2, column: 7 })).toMatchObject({ line: 2, column: 2 });
+  });
+
+  test('Chains the mappings of consecutive stages', () => {
+    // 'abcdef' -> 'xxcdef' (range) -> 'cdef' (points)
+    const first = [{ generated: 0, original: 0 }, { generated: 2, original: 2, length: 4 }];
+    const second = [{ generated: 0, original: 2 }, { generated: 2, original: 4 }];
+
+    expect(composeMappings(second, first)).toEqual([{ generated: 0, original: 2 }, { generated: 2, original: 4 }]);
+    expect(alignTokens('a + 丁', 'a+b', { translate: token => (token.value === '丁' ? 'b' : token.value) }))
+      .toEqual([{ generated: 0, original: 0 }, { generated: 1, original: 2 }, { generated: 2, original: 4 }]);
+  });
+});
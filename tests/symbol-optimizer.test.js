@@ -0,0 +1,80 @@
+/**
+ * Tests for tokenizer-aware symbol assignment
+ */
+
+const semanticKanji = require('../index');
+const { optimizeSymbols, symbolCost } = require('../symbol-optimizer');
+
+// Toy tokenizer: ASCII costs a token per 4 characters (spaces are free),
+// CJK characters with an even code point are one token, all others three
+const toyTokenizer = {
+  name: 'toy',
+  countTokens(text) {
+    let count = 0;
+    for (const [run] of text.matchAll(/[\x00-\x7F]+|[^\x00-\x7F]/gu)) {
+      count += /^[\x00-\x7F]/.test(run) ?
+        Math.ceil(run.replace(/\s/g, '').length / 4) :
+        (run.codePointAt(0) % 2 === 0 ? 1 : 3);
+    }
+    return count;
+  }
+};
+
+// 丁 and 七 cost three tokens, 丂 and 丌 one
+const dictionary = { if: '丁', function: '丂', addEventListener: '七' };
+const patterns = {
+  "console.log('done');": '丈万()',
+  'process.exit(1);': '丌()',
+  'go();': '万()'
+};
+
+describe('Symbol Optimizer', () => {
+  const result = optimizeSymbols(toyTokenizer, { dictionary, patterns });
+  const entry = word => result.entries.find(item => item.word === word);
+
+  test('Only keeps replacements that are strictly cheaper than their source', () => {
+    for (const [word, target] of Object.entries(result.dictionary)) {
+      expect(symbolCost(target, toyTokenizer)).toBe(1);
+      expect(symbolCost(word, toyTokenizer)).toBeGreaterThan(1);
+    }
+    expect(result.tokenizer).toBe('toy');
+  });
+
+  test('Keeps, re-assigns and removes dictionary entries', () => {
+    expect(entry('function')).toMatchObject({ status: 'kept', after: '丂' });
+    expect(entry('addEventListener')).toMatchObject({ status: 'reassigned', sourceTokens: 4, tokens: 3 });
+    expect(entry('if')).toMatchObject({ status: 'removed', after: null });
+    expect(result.dictionary).not.toHaveProperty('if');
+  });
+
+  test('Re-assigns costly pattern symbols', () => {
+    const renamed = result.symbols.find(item => item.before === '丈万');
+
+    expect(renamed.status).toBe('reassigned');
+    expect(result.patterns["console.log('done');"]).toBe(`${renamed.after}()`);
+    expect(result.patterns['process.exit(1);']).toBe('丌()');
+    expect(Object.values(result.dictionary)).not.toContain(renamed.after);
+  });
+
+  test('Reports entries with negative savings', () => {
+    expect(result.negative).toEqual([
+      { type: 'dictionary', source: 'if', target: '丁', sourceTokens: 1, targetTokens: 3, savings: -2 },
+      { type: 'pattern', source: 'go();', target: '万()', sourceTokens: 2, targetTokens: 4, savings: -2 }
+    ]);
+  });
+
+  test('Round-trips code with the optimized tables', () => {
+    const options = { dictionary: result.dictionary, patterns: result.patterns };
+    const code = "function stop() {\n  console.log('done');\n  process.exit(1);\n}";
+    const compressed = semanticKanji.compress(code, 'semantic-kanji', { ...options, header: true });
+
+    expect(compressed).toContain('丌(');
+    expect(semanticKanji.decompress(compressed, 'auto', options)).toContain("console.log('done');");
+    expect(() => semanticKanji.decompress(compressed, 'auto', { dictionary: result.dictionary }))
+      .toThrow('refusing to decode with different patterns');
+  });
+
+  test('Requires a tokenizer', () => {
+    expect(() => optimizeSymbols(null)).toThrow('tokenizer');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for compressing and decompressing TypeScript
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsKanji = require('../index');
+const { tokenize } = require('../js-tokenizer');
+const { getDictionary } = require('../kanji-dictionary');
+const { convertJsToKjs, convertKjsToJs } = require('../js-kanji-converter');
+
+const SOURCE = `interface User {
+  readonly id: number;
+  name: string;
+  roles?: Array<'admin' | 'user'>;
+}
+
+type Lookup<T> = Partial<Record<keyof T, string>>;
+
+enum Color { Red, Green }
+
+export abstract class Repo<T extends User> implements Store {
+  private items: Map<number, T> = new Map();
+
+  public async find(id: number): Promise<T | undefined> {
+    const item = this.items.get(id)!;
+    const half = item.id! / 2 / 1;
+    return item as T;
+  }
+}
+`;
+
+describe('TypeScript', () => {
+  test('Compresses TypeScript and decompresses it from the header', () => {
+    for (const method of ['kanji', 'semantic-kanji']) {
+      const compressed = jsKanji.compress(SOURCE, method, { language: 'typescript', header: true, verify: true });
+
+      expect(compressed).toContain('面 User');
+      expect(compressed).toContain('閲 番:桁;');
+      expect(jsKanji.readHeader(compressed)).toMatchObject({ language: 'typescript', dictionary: { name: 'kanji-ts' } });
+
+      const decompressed = jsKanji.decompress(compressed);
+      expect(jsKanji.utils.findFirstDifference(SOURCE, decompressed, 'tokens', { language: 'typescript' })).toBeNull();
+      expect(decompressed).toContain('\n  public async find(id:number):Promise<T|undefined>{\n    const item');
+    }
+
+    expect(jsKanji.readHeader(jsKanji.compress('let a;', 'kanji', { header: true })).language).toBe('javascript');
+  });
+
+  test('Rejects a style it cannot print TypeScript in', () => {
+    const compressed = jsKanji.compress(SOURCE, 'kanji', { language: 'typescript' });
+
+    expect(jsKanji.decompress(compressed, 'auto', { format: { indentWidth: 4, quotes: undefined } }))
+      .toContain('\n    public async find(');
+    expect(() => jsKanji.decompress(compressed, 'auto', { format: { quotes: 'double', semicolons: false } }))
+      .toThrow('format.quotes, format.semicolons cannot be applied');
+    expect(() => jsKanji.decompress(compressed, 'auto', { formatConfig: __dirname })).toThrow(/formatConfig/);
+    expect(jsKanji.decompress(compressed, 'auto', { formatOutput: false, format: { quotes: 'double' } })).toContain('interface');
+  });
+
+  test('Restores TypeScript byte-for-byte in lossless mode', () => {
+    const compressed = jsKanji.compress(SOURCE, 'kanji', { language: 'typescript', lossless: true, verify: true });
+
+    expect(jsKanji.decompress(compressed, 'kanji', { lossless: true, language: 'typescript' })).toBe(SOURCE);
+  });
+
+  test('Tokenizes TypeScript keywords and non-null assertions', () => {
+    const significant = (code, options) => tokenize(code, options)
+      .filter(token => token.type !== 'whitespace')
+      .map(token => `${token.type}:${token.value}`);
+
+    expect(significant('x! / y / z', { language: 'typescript' }))
+      .toEqual(['identifier:x', 'punctuator:!', 'punctuator:/', 'identifier:y', 'punctuator:/', 'identifier:z']);
+    expect(significant('x! / y / z')).toContain('regex:/ y /');
+    expect(significant('a = !/b/.test(c)', { language: 'typescript' })).toContain('regex:/b/');
+    expect(significant('readonly keyof obj.type', { language: 'typescript' }))
+      .toEqual(['keyword:readonly', 'keyword:keyof', 'identifier:obj', 'punctuator:.', 'identifier:type']);
+    expect(significant('readonly keyof')).toEqual(['identifier:readonly', 'identifier:keyof']);
+  });
+
+  test('Adds the TypeScript table to the bundled dictionary only in TypeScript mode', () => {
+    const dictionary = getDictionary(undefined, 'typescript');
+
+    expect(dictionary.name).toBe('kanji-ts');
+    expect(dictionary.forward.interface).toBe('面');
+    expect(dictionary.forward.return).toBe(getDictionary().forward.return);
+    expect(getDictionary().forward.interface).toBeUndefined();
+    expect(jsKanji.compress('const type = string;', 'kanji', { header: false })).toBe('定 type=string;');
+    expect(() => jsKanji.compress('x', 'kanji', { language: 'python' })).toThrow(/Unknown language: python/);
+  });
+
+  describe('Converter', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'js-kanji-ts-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('Converts .ts files in TypeScript mode and back to .ts', () => {
+      const input = path.join(dir, 'repo.ts');
+      fs.writeFileSync(input, SOURCE);
+
+      const compressed = convertJsToKjs(input);
+      expect(compressed.outputFile).toBe(path.join(dir, 'repo.kjs'));
+      expect(jsKanji.readHeader(compressed.compressed).language).toBe('typescript');
+
+      const decompressed = convertKjsToJs(compressed.outputFile);
+      expect(decompressed.outputFile).toBe(path.join(dir, 'repo.decompressed.ts'));
+      const restored = fs.readFileSync(decompressed.outputFile, 'utf8');
+      expect(jsKanji.utils.findFirstDifference(SOURCE, restored, 'tokens', { language: 'typescript' })).toBeNull();
+      expect(jsKanji.utils.detectLanguage('view.tsx')).toBe('typescript');
+      expect(jsKanji.utils.detectLanguage('view.jsx')).toBe('javascript');
+    });
+  });
+});
@@ -110,6 +110,15 @@ describe('Prompt Generator', () => {
     expect(fullPrompt.length).toBeGreaterThan(minimalPrompt.length);
   });
   
+  test('Adds the compressed patch section on request', () => {
+    const prompt = promptGenerator.generate('minimal', 'kanji', { patches: true });
+    const segments = promptGenerator.generate('full', 'kanji', { split: true, patches: true });
+
+    expect(prompt).toContain('Answering with Compressed Patches');
+    expect(promptGenerator.generate('minimal', 'kanji')).not.toContain('Compressed Patches');
+    expect(segments[segments.length - 1]).toContain('Answering with Compressed Patches');
+  });
+  
   // Test prompt options
   test('Supports prompt splitting', () => {
     const options = {
@@ -2,14 +2,76 @@
  * Utility functions for JS compression systems
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./js-tokenizer');
+const { parseCode } = require('./js-parser');
+
+// Tokenizer used for token counts when none is passed in the options
+let defaultTokenizer = null;
+
+/**
+ * Set the tokenizer used for token counts
+ * 
+ * A tokenizer is an object with a `name` and a `countTokens(text)` method
+ * (such as one from bpe-tokenizer.js), or a plain counting function. Pass
+ * null to go back to the character-based estimate.
+ * 
+ * @param {Object|Function|null} tokenizer - Tokenizer to use
+ * @return {Object|null} - The tokenizer that was set
+ */
+function setTokenizer(tokenizer) {
+  defaultTokenizer = toTokenizer(tokenizer);
+  return defaultTokenizer;
+}
+
+/**
+ * Get the tokenizer used for token counts
+ * 
+ * @param {Object|Function} tokenizer - Tokenizer passed in the options, if any
+ * @return {Object|null} - Tokenizer, or null when counts are estimated
+ */
+function getTokenizer(tokenizer = null) {
+  return tokenizer ? toTokenizer(tokenizer) : defaultTokenizer;
+}
+
+/**
+ * Check a tokenizer and wrap counting functions
+ * 
+ * @param {Object|Function|null} tokenizer - Tokenizer to check
+ * @return {Object|null} - Tokenizer with `name` and `countTokens`
+ */
+function toTokenizer(tokenizer) {
+  if (!tokenizer) return null;
+  if (typeof tokenizer === 'function') {
+    return { name: tokenizer.name || 'custom', countTokens: tokenizer };
+  }
+  if (typeof tokenizer.countTokens !== 'function') {
+    throw new Error('Tokenizer must be a function or have a countTokens(text) method');
+  }
+  return tokenizer;
+}
+
 /**
- * Calculate estimated token count for a string
+ * Calculate the token count for a string
+ * 
+ * With a tokenizer (from the options or setTokenizer) the tokens are counted
+ * exactly. Otherwise they are estimated from the characters, which
+ * underestimates Kanji that a BPE tokenizer splits into several tokens.
  * 
  * @param {string} text - Input text
- * @param {boolean} isKanji - Whether the text contains Kanji
- * @return {number} - Estimated token count
+ * @param {boolean} isKanji - Whether the text contains Kanji (estimate only)
+ * @param {Object} options - Counting options
+ * @param {Object|Function} options.tokenizer - Tokenizer to count with
+ * @return {number} - Token count
  */
-function estimateTokens(text, isKanji = false) {
+function estimateTokens(text, isKanji = false, options = {}) {
+  const tokenizer = getTokenizer(options.tokenizer);
+  if (tokenizer) {
+    return tokenizer.countTokens(text);
+  }
+
   if (!isKanji) {
     // For ASCII-only text, roughly 4 chars per token on average
     return Math.ceil(text.length / 4);
@@ -30,12 +92,17 @@ function estimateTokens(text, isKanji = false) {
 /**
  * Calculate compression statistics
  * 
+ * `tokenizer` in the result names the tokenizer the counts come from, or is
+ * 'estimate' when they are estimated.
+ * 
  * @param {string} original - Original code
  * @param {string} compressed - Compressed code
  * @param {boolean} isKanji - Whether compression used Kanji
+ * @param {Object} options - Counting options
+ * @param {Object|Function} options.tokenizer - Tokenizer to count with
  * @return {Object} - Compression statistics
  */
-function getCompressionStats(original, compressed, isKanji = false) {
+function getCompressionStats(original, compressed, isKanji = false, options = {}) {
   // Input validation
   if (!original || typeof original !== 'string') {
     throw new Error('Original code must be a non-empty string');
@@ -53,8 +120,9 @@ function getCompressionStats(original, compressed, isKanji = false) {
   const compressionRatio = originalChars === 0 ? 0 : 
     Math.round((compressedChars / originalChars) * 100);
   
-  const originalTokens = estimateTokens(original, false);  // Original is ASCII only
-  const compressedTokens = estimateTokens(compressed, isKanji);
+  const tokenizer = getTokenizer(options.tokenizer);
+  const originalTokens = estimateTokens(original, false, { tokenizer });  // Original is ASCII only
+  const compressedTokens = estimateTokens(compressed, isKanji, { tokenizer });
   const tokenReduction = originalTokens - compressedTokens;
   
   // Handle potential zero division or negative values
@@ -69,7 +137,8 @@ function getCompressionStats(original, compressed, isKanji = false) {
     originalTokens,
     compressedTokens,
     tokenReduction,
-    tokenSavingsPercent
+    tokenSavingsPercent,
+    tokenizer: tokenizer ? tokenizer.name : 'estimate'
   };
 }
 
@@ -81,16 +150,249 @@ function getCompressionStats(original, compressed, isKanji = false) {
  * @return {string} - Formatted output
  */
 function formatCompressionResult(stats, method) {
+  const approx = isExact(stats) ? '' : '~';
   return `
 ${method.toUpperCase()} COMPRESSION RESULTS:
-- Original: ${stats.originalChars} chars, ~${stats.originalTokens} tokens
-- Compressed: ${stats.compressedChars} chars, ~${stats.compressedTokens} tokens
+- Original: ${stats.originalChars} chars, ${approx}${stats.originalTokens} tokens
+- Compressed: ${stats.compressedChars} chars, ${approx}${stats.compressedTokens} tokens
 - Reduction: ${stats.tokenReduction} tokens (${stats.tokenSavingsPercent}% savings)
 `;
 }
 
+/**
+ * Check whether statistics were counted with a real tokenizer
+ * 
+ * @param {Object} stats - Compression statistics from getCompressionStats()
+ * @return {boolean} - True if the token counts are exact
+ */
+function isExact(stats) {
+  return Boolean(stats.tokenizer) && stats.tokenizer !== 'estimate';
+}
+
+/**
+ * Find the first place where two versions of the same code differ
+ * 
+ * In 'bytes' mode the texts are compared character by character. In 'tokens'
+ * mode only code tokens are compared, so whitespace, line breaks and comments
+ * are ignored.
+ * 
+ * @param {string} expected - Original code
+ * @param {string} actual - Code to compare against the original
+ * @param {string} mode - Comparison mode ('bytes' or 'tokens')
+ * @param {Object} dialect - `{ language, jsx }` to tokenize the code with (see tokenize)
+ * @return {Object|null} - Position and text of the first difference, or null
+ */
+function findFirstDifference(expected, actual, mode = 'bytes', dialect = {}) {
+  if (mode === 'tokens') {
+    const significant = code => tokenize(code, { language: dialect.language, jsx: dialect.jsx })
+      .filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+    const expectedTokens = significant(expected);
+    const actualTokens = significant(actual);
+    const length = Math.max(expectedTokens.length, actualTokens.length);
+
+    for (let i = 0; i < length; i++) {
+      const want = expectedTokens[i];
+      const got = actualTokens[i];
+      if (want && got && want.value === got.value) continue;
+
+      const position = want ? want.start : expected.length;
+      return {
+        position,
+        ...getLineAndColumn(expected, position),
+        expected: want ? want.value : '',
+        actual: got ? got.value : ''
+      };
+    }
+    return null;
+  }
+
+  if (expected === actual) return null;
+
+  let position = 0;
+  while (position < expected.length && expected[position] === actual[position]) {
+    position++;
+  }
+
+  return {
+    position,
+    ...getLineAndColumn(expected, position),
+    expected: expected.slice(position, position + 20),
+    actual: actual.slice(position, position + 20)
+  };
+}
+
+/**
+ * Convert a character offset into a line and column
+ * 
+ * @param {string} text - Text containing the offset
+ * @param {number} position - Character offset
+ * @return {Object} - 1-based line and 0-based column
+ */
+function getLineAndColumn(text, position) {
+  const before = text.slice(0, position).split('\n');
+  return {
+    line: before.length,
+    column: before[before.length - 1].length
+  };
+}
+
+/**
+ * Compute a short, stable fingerprint of a table such as a dictionary
+ * 
+ * Entries are hashed in key order, so the fingerprint does not depend on the
+ * order in which they were written.
+ * 
+ * @param {Object} table - Object with string keys and string values
+ * @return {string} - First 8 hex digits of the SHA-256 of the entries
+ */
+function hashTable(table) {
+  const entries = Object.keys(table).sort().map(key => [key, table[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Expand file patterns into a sorted list of files
+ * 
+ * Each pattern may be a file, a directory (searched recursively for files
+ * with one of `options.extensions`) or a glob supporting `*`, `**`, `?` and
+ * `{a,b}`. `node_modules` and hidden directories are never searched.
+ * 
+ * @param {string|string[]} patterns - Files, directories or globs
+ * @param {Object} options - Expansion options
+ * @param {string} options.cwd - Directory that relative patterns start from
+ * @param {string[]} options.extensions - Extensions to find in directories
+ * @return {string[]} - Matching file paths, relative to cwd for relative patterns
+ */
+function expandGlob(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const extensions = options.extensions || ['.js'];
+  const files = new Set();
+
+  for (const pattern of [].concat(patterns)) {
+    const fullPath = path.resolve(cwd, pattern);
+    const stat = fs.existsSync(fullPath) ? fs.statSync(fullPath) : null;
+
+    if (stat && stat.isFile()) {
+      files.add(pattern);
+      continue;
+    }
+
+    if (stat && stat.isDirectory()) {
+      walkFiles(fullPath)
+        .filter(file => extensions.includes(path.extname(file)))
+        .forEach(file => files.add(path.join(pattern, path.relative(fullPath, file))));
+      continue;
+    }
+
+    // Search from the longest leading part of the pattern without wildcards
+    const segments = pattern.split(/[\\/]/);
+    const firstWild = segments.findIndex(segment => /[*?{]/.test(segment));
+    if (firstWild === -1) continue;
+
+    const base = segments.slice(0, firstWild).join('/');
+    const matcher = globToRegExp(segments.slice(firstWild).join('/'));
+    const baseDir = path.resolve(cwd, base || '.');
+    if (!fs.existsSync(baseDir)) continue;
+
+    for (const file of walkFiles(baseDir)) {
+      const relative = path.relative(baseDir, file).split(path.sep).join('/');
+      if (matcher.test(relative)) {
+        files.add(base ? `${base}/${relative}` : relative);
+      }
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Convert a glob into a regular expression matching relative paths
+ * 
+ * @param {string} glob - Glob such as `src/**\/*.{js,ts}`
+ * @return {RegExp} - Expression matching whole paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // `**/` matches any number of directories, including none
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      const close = glob.indexOf('}', i);
+      const options = glob.slice(i + 1, close).split(',');
+      source += `(?:${options.map(option => option.replace(/[.+^$()|[\]\\]/g, '\\$&')).join('|')})`;
+      i = close;
+    } else {
+      source += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Tell the language of a source file from its extension
+ * 
+ * @param {string} file - File path
+ * @return {string} - 'typescript' for .ts, .tsx, .mts and .cts files, otherwise 'javascript'
+ */
+function detectLanguage(file) {
+  return /\.[cm]?tsx?$/i.test(file) ? 'typescript' : 'javascript';
+}
+
+/**
+ * Tell whether a source file contains JSX
+ * 
+ * Files are told by their extension, and JavaScript files by their code too
+ * when it is given: code that only parses with JSX elements has some.
+ * 
+ * @param {string} file - File path
+ * @param {string} code - Code of the file, if it has been read
+ * @return {boolean} - True for .jsx and .tsx files, and JavaScript files with JSX elements
+ */
+function detectJsx(file, code) {
+  if (/\.[jt]sx$/i.test(file)) return true;
+  if (typeof code !== 'string' || detectLanguage(file) === 'typescript' || !/<[\w>]/.test(code)) return false;
+  return !parseCode(code) && parseCode(code, { jsx: true }) !== null;
+}
+
+/**
+ * List all files below a directory
+ * 
+ * @param {string} dir - Directory to search
+ * @return {string[]} - Absolute file paths
+ */
+function walkFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
 module.exports = {
   estimateTokens,
+  setTokenizer,
+  getTokenizer,
   getCompressionStats,
-  formatCompressionResult
+  formatCompressionResult,
+  isExact,
+  findFirstDifference,
+  getLineAndColumn,
+  hashTable,
+  expandGlob,
+  detectLanguage,
+  detectJsx
 };